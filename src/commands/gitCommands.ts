@@ -6,6 +6,7 @@ import { GitCommit, GitHubRepository } from '../types';
 
 // Import services
 import { GitHubService } from '../services/GitHubService';
+import { GitCommandCancelledError } from '../services/GitCommandRunner';
 
 const {
   getCommitHistoryTemplate,
@@ -30,10 +31,7 @@ interface RepositoryDetails {
   isPrivate: boolean;
 }
 
-interface CommitData {
-  hash: string;
-  author: string;
-  date: string;
+interface CommitData extends GitCommit {
   subject: string;
   version: number;
 }
@@ -41,9 +39,7 @@ interface CommitData {
 // Helper function to convert GitCommit to CommitData
 function gitCommitToCommitData(commit: GitCommit): CommitData {
   return {
-    hash: commit.hash,
-    author: commit.author,
-    date: commit.date,
+    ...commit,
     subject: commit.subject || commit.message,
     version: 0 // Will be filled by GitService
   };
@@ -113,7 +109,10 @@ export class GitCommands {
       throw new Error("Commit not found");
     }
 
-    const commitDetails = await this.gitService.getCommitDetails(commitHash);
+    const [commitDetails, signature] = await Promise.all([
+      this.gitService.getCommitDetails(commitHash),
+      this.gitService.getCommitSignature(commitHash).catch(() => null),
+    ]);
 
     const panel = vscode.window.createWebviewPanel(
       constants.COMMIT_DETAILS_VIEW_ID,
@@ -125,7 +124,7 @@ export class GitCommands {
       }
     );
 
-    panel.webview.html = getCommitDetailsTemplate(commit, commitDetails);
+    panel.webview.html = getCommitDetailsTemplate({ ...commit, ...signature }, commitDetails);
   }
 
   /**
@@ -142,8 +141,10 @@ export class GitCommands {
     }
 
     try {
-      await this.gitService.restoreVersion(gitCommitToCommitData(commit));
-      panel.dispose();
+      const result = await this.restoreWithProgress(commit, null);
+      if (result.success) {
+        panel.dispose();
+      }
     } catch (error) {
       const errorMessage = error instanceof Error ? error.message : String(error);
       throw new Error(`Failed to restore version: ${errorMessage}`);
@@ -160,13 +161,29 @@ export class GitCommands {
     }
 
     try {
-      await this.gitService.restoreVersion(gitCommitToCommitData(commit), repoPath);
+      await this.restoreWithProgress(commit, repoPath);
     } catch (error) {
       const errorMessage = error instanceof Error ? error.message : String(error);
       await this.notificationService.showError(errorMessage);
     }
   }
 
+  /**
+   * Restore a version behind a progress notification whose Cancel button stops git and rolls back
+   */
+  private async restoreWithProgress(commit: GitCommit, repoPath: string | null): Promise<{ success: boolean }> {
+    const result = await this.notificationService.showProgress(
+      constants.MESSAGES.RESTORING_VERSION,
+      (_progress, token) => this.gitService.restoreVersion(gitCommitToCommitData(commit), repoPath, false, token),
+      { cancellable: true }
+    );
+
+    if (result.cancelled) {
+      await this.notificationService.showInfo(result.message || constants.MESSAGES.RESTORE_CANCELLED);
+    }
+    return result;
+  }
+
   /**
    * Save uncommitted changes with AI-generated commit message
    */
@@ -213,7 +230,7 @@ export class GitCommands {
 
       await this.notificationService.showProgress(
         "Saving to GitHub...",
-        async (progress) => {
+        async (progress, token) => {
           progress.report({ increment: 10, message: "Checking GitHub authentication..." });
 
           const user = await this.githubService.getUser();
@@ -260,7 +277,7 @@ export class GitCommands {
 
           progress.report({ increment: 70, message: "Saving code to GitHub..." });
 
-          await this.githubService.addRemoteAndPush(repoPath, repoUrl);
+          await this.githubService.addRemoteAndPush(repoPath, repoUrl, token);
 
           progress.report({ increment: 100, message: "Save completed!" });
 
@@ -272,9 +289,14 @@ export class GitCommands {
               await this.notificationService.openExternalUrl(repoWebUrl);
             }
           );
-        }
+        },
+        { cancellable: true }
       );
     } catch (error) {
+      if (error instanceof GitCommandCancelledError) {
+        await this.notificationService.showInfo(constants.MESSAGES.PUSH_CANCELLED);
+        return;
+      }
       const errorMessage = error instanceof Error ? error.message : String(error);
       await this.notificationService.showError(`Failed to save to GitHub: ${errorMessage}`);
     }
@@ -301,7 +323,7 @@ export class GitCommands {
     try {
       await this.notificationService.showProgress(
         "Loading from GitHub...",
-        async (progress) => {
+        async (progress, token) => {
           progress.report({ increment: 10, message: "Checking GitHub authentication..." });
 
           const user = await this.githubService.getUser();
@@ -335,7 +357,7 @@ export class GitCommands {
 
           progress.report({ increment: 80, message: "Cloning repository..." });
 
-          await this.githubService.cloneRepository(selectedRepo.cloneUrl, targetPath);
+          await this.githubService.cloneRepository(selectedRepo.cloneUrl, targetPath, token);
 
           progress.report({ increment: 100, message: "Clone completed!" });
 
@@ -357,9 +379,14 @@ export class GitCommands {
               true
             );
           }
-        }
+        },
+        { cancellable: true }
       );
     } catch (error) {
+      if (error instanceof GitCommandCancelledError) {
+        await this.notificationService.showInfo(constants.MESSAGES.CLONE_CANCELLED);
+        return;
+      }
       const errorMessage = error instanceof Error ? error.message : String(error);
       await this.notificationService.showError(`Failed to load from GitHub: ${errorMessage}`);
     }
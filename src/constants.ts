@@ -15,38 +15,50 @@ export interface CommandsConfig {
   RESTORE_VERSION: string;
   SAVE_CHANGES: string;
   SETUP_VERSION_TRACKING: string;
+  UNDO_RESTORE: string;
+  SELECT_REPOSITORY: string;
+  SHOW_FILE_HISTORY: string;
+  CLEAR_COMPARISON_BASELINE: string;
+  SHOW_QUICK_MENU: string;
+  SHOW_BACKUPS: string;
   SAVE_TO_GITHUB: string;
   LOAD_FROM_GITHUB: string;
+  SHOW_VERSION_DETAILS: string;
+  OPEN_LINE_PREVIOUS_DIFF: string;
+  TIMELINE_OPEN_CHANGES: string;
+  TIMELINE_COMPARE_WITH_CURRENT: string;
+  TIMELINE_RESTORE_FILE: string;
+  TIMELINE_OPEN_DETAILS: string;
 }
 
 export interface GitCommandsConfig {
-  COUNT_COMMITS: string;
-  STATUS_PORCELAIN: string;
-  STATUS_LONG: string;
-  STASH_PUSH: string;
-  LOG_FORMAT: string;
-  LOG_SIMPLE: string;
-  SHOW_COMMIT: string;
-  CHECKOUT_FILES: string;
-  DIFF_CACHED: string;
-  DIFF_WORKING: string;
-  DIFF_STAT: string;
-  ADD_ALL: string;
-  COMMIT_FILE: string;
-  COMMIT_MESSAGE: string;
-  COMMIT_EMPTY: string;
-  REV_PARSE_HEAD: string;
-  INIT_REPO: string;
-  CONFIG_USER_NAME: string;
-  CONFIG_USER_EMAIL: string;
-  RESET_HARD: string;
-  RESET_SOFT_HEAD: string;
+  COUNT_COMMITS: string[];
+  STATUS_PORCELAIN: string[];
+  STATUS_LONG: string[];
+  STASH_PUSH: string[];
+  LOG_FORMAT: string[];
+  LOG_SIMPLE: string[];
+  SHOW_COMMIT: string[];
+  DIFF_CACHED: string[];
+  DIFF_WORKING: string[];
+  DIFF_STAT: string[];
+  ADD_ALL: string[];
+  COMMIT_MESSAGE: string[];
+  COMMIT_EMPTY: string[];
+  REV_PARSE_HEAD: string[];
+  INIT_REPO: string[];
+  CONFIG_USER_NAME: string[];
+  CONFIG_USER_EMAIL: string[];
+  RESET_HARD: string[];
+  RESET_SOFT_HEAD: string[];
 }
 
 export interface MessagesConfig {
   EXTENSION_ACTIVATED: string;
   LOADING_HISTORY: string;
   RESTORING_VERSION: string;
+  UNDOING_RESTORE: string;
+  RESTORE_UNDONE: string;
   CHANGES_STASHED: string;
   NO_COMMITS: string;
   NOT_ON_BRANCH: string;
@@ -66,6 +78,22 @@ export interface MessagesConfig {
   BACKUP_RESTORED: string;
   CLEANING_BACKUPS: string;
   BACKUPS_CLEANED: string;
+  DISCARDED_WORK_BROUGHT_BACK: string;
+  SELECT_REPOSITORY: string;
+  FIRST_SAVE_COMMIT: string;
+  RESTORE_CANCELLED: string;
+  CLONE_CANCELLED: string;
+  PUSH_CANCELLED: string;
+  SELECT_COMPARE_VERSION: string;
+  VERSION_NOT_LISTED_YET: string;
+  SELECT_RESTORE_VERSION: string;
+  NO_FILES_SELECTED: string;
+  OPEN_FILE_FOR_HISTORY: string;
+  FILE_NOT_IN_REPOSITORY: string;
+  COMPARISON_BASELINE_CLEARED: string;
+  COMMIT_MESSAGE_REJECTED: string;
+  COMMIT_MESSAGE_WARNINGS: string;
+  BACKUP_DELETED: string;
 }
 
 export interface BackupConfig {
@@ -74,6 +102,20 @@ export interface BackupConfig {
   MAX_BACKUPS: number;
 }
 
+export interface AutosaveConfig {
+  REF_PREFIX: string;
+  RETENTION_DAYS: number;
+  MAX_AUTOSAVES: number;
+  SAVE_DELAY: number;
+}
+
+export interface CommitComposerConfig {
+  MAX_RECENT_MESSAGES: number;
+  MAX_DIFF_LENGTH: number;
+  PROVIDER_TIMEOUT_SECONDS: number;
+  STYLE_SAMPLE_SIZE: number;
+}
+
 export interface ErrorsConfig {
   GIT_EXTENSION_NOT_FOUND: string;
   GIT_EXTENSION_NOT_READY: string;
@@ -81,8 +123,12 @@ export interface ErrorsConfig {
   NO_REPOSITORIES: string;
   FETCH_COMMITS_FAILED: string;
   RESTORE_VERSION_FAILED: string;
+  UNDO_RESTORE_FAILED: string;
+  NOTHING_TO_UNDO: string;
   BACKUP_CREATION_FAILED: string;
   BACKUP_RESTORE_FAILED: string;
+  BRING_BACK_FAILED: string;
+  AUTOSAVE_FAILED: string;
   SHOW_COMMIT_DETAILS_FAILED: string;
   NO_WORKSPACE_FOLDER: string;
   REPO_CREATION_FAILED: string;
@@ -92,21 +138,34 @@ export interface ErrorsConfig {
   GITHUB_LOAD_FAILED: string;
 }
 
+export interface GitTimeoutsConfig {
+  DEFAULT: number;
+  NETWORK: number;
+}
+
 export interface ConstantsConfig {
   CACHE_TIMEOUT: number;
+  AUTO_REFRESH_DELAY: number;
+  GIT_TIMEOUTS: GitTimeoutsConfig;
   MAX_COMMITS_SIDEBAR: number;
   MAX_COMMITS_PANEL: number;
   MAX_COMMITS_QUICKPICK: number;
+  QUICKPICK_PAGE_SIZE: number;
   PROGRESSIVE_LOADING: ProgressiveLoadingConfig;
   EXTENSION_NAME: string;
   GIT_EXTENSION_ID: string;
   SIDEBAR_VIEW_ID: string;
   COMMIT_DETAILS_VIEW_ID: string;
+  COMPARISON_VIEW_ID: string;
+  BACKUPS_VIEW_ID: string;
+  VERSION_URI_SCHEME: string;
   GIT_HISTORY_VIEW_ID: string;
   COMMANDS: CommandsConfig;
   GIT_COMMANDS: GitCommandsConfig;
   MESSAGES: MessagesConfig;
   BACKUP: BackupConfig;
+  AUTOSAVE: AutosaveConfig;
+  COMMIT_COMPOSER: CommitComposerConfig;
   ERRORS: ErrorsConfig;
   TEMP_COMMIT_FILE: string;
 }
@@ -115,10 +174,20 @@ export const constants: ConstantsConfig = {
   // Cache settings
   CACHE_TIMEOUT: 5 * 60 * 1000, // 5 minutes
 
+  // Wait for changes made outside TimeLad to settle before refreshing the sidebar
+  AUTO_REFRESH_DELAY: 500,
+
+  // Git processes are killed after this long
+  GIT_TIMEOUTS: {
+    DEFAULT: 2 * 60 * 1000, // 2 minutes for local commands
+    NETWORK: 30 * 60 * 1000, // 30 minutes for clone and push
+  },
+
   // Git settings
   MAX_COMMITS_SIDEBAR: 30,
   MAX_COMMITS_PANEL: 30,
   MAX_COMMITS_QUICKPICK: 20,
+  QUICKPICK_PAGE_SIZE: 200, // Versions read at a time while a picker fills with the whole history
   
   // Progressive loading settings
   PROGRESSIVE_LOADING: {
@@ -136,6 +205,9 @@ export const constants: ConstantsConfig = {
   // View identifiers
   SIDEBAR_VIEW_ID: "timelad-git-history",
   COMMIT_DETAILS_VIEW_ID: "timelad.commitDetails",
+  COMPARISON_VIEW_ID: "timelad.comparison",
+  BACKUPS_VIEW_ID: "timelad.backups",
+  VERSION_URI_SCHEME: "timelad",
   GIT_HISTORY_VIEW_ID: "timelad.gitHistory",
 
   // Command identifiers
@@ -145,36 +217,47 @@ export const constants: ConstantsConfig = {
     RESTORE_VERSION: "timelad.restoreVersion",
     SAVE_CHANGES: "timelad.saveChanges",
     SETUP_VERSION_TRACKING: "timelad.setupVersionTracking",
+    UNDO_RESTORE: "timelad.undoRestore",
+    SELECT_REPOSITORY: "timelad.selectRepository",
+    SHOW_FILE_HISTORY: "timelad.showFileHistory",
+    CLEAR_COMPARISON_BASELINE: "timelad.clearComparisonBaseline",
+    SHOW_QUICK_MENU: "timelad.showQuickMenu",
+    SHOW_BACKUPS: "timelad.showBackups",
     
     // Internal commands - used programmatically but not in command palette
     SAVE_TO_GITHUB: "timelad.saveToGitHub",
     LOAD_FROM_GITHUB: "timelad.loadFromGitHub",
+    SHOW_VERSION_DETAILS: "timelad.showVersionDetails",
+    OPEN_LINE_PREVIOUS_DIFF: "timelad.openLinePreviousDiff",
+
+    // Timeline item commands - shown on TimeLad entries in the Explorer's Timeline view
+    TIMELINE_OPEN_CHANGES: "timelad.timeline.openChanges",
+    TIMELINE_COMPARE_WITH_CURRENT: "timelad.timeline.compareWithCurrent",
+    TIMELINE_RESTORE_FILE: "timelad.timeline.restoreFile",
+    TIMELINE_OPEN_DETAILS: "timelad.timeline.openDetails",
   },
 
-  // Git command templates
+  // Git argument vectors (run without a shell); values such as revisions are appended by the caller
   GIT_COMMANDS: {
-    COUNT_COMMITS: "git rev-list --count HEAD",
-    STATUS_PORCELAIN: "git status --porcelain",
-    STATUS_LONG: "git status",
-    STASH_PUSH: 'git stash push -m "Auto-stash before TimeLad restore"',
-    LOG_FORMAT:
-      'git log -n %d --pretty=format:"%h|%an|%ad|%s" --date=format:"%Y-%m-%d %H:%M:%S"',
-    LOG_SIMPLE: 'git log -n %d --pretty=format:"%h|%an|%ar|%s"',
-    SHOW_COMMIT: "git show %s --stat --pretty=fuller",
-    CHECKOUT_FILES: "git checkout %s -- .",
-    DIFF_CACHED: "git diff --cached --name-only",
-    DIFF_WORKING: "git diff --name-only",
-    DIFF_STAT: "git diff --stat",
-    ADD_ALL: "git add .",
-    COMMIT_FILE: 'git commit -F "%s"',
-    COMMIT_MESSAGE: 'git commit -m "%s"',
-    COMMIT_EMPTY: 'git commit --allow-empty -F "%s"',
-    REV_PARSE_HEAD: "git rev-parse HEAD",
-    INIT_REPO: "git init",
-    CONFIG_USER_NAME: 'git config user.name "%s"',
-    CONFIG_USER_EMAIL: 'git config user.email "%s"',
-    RESET_HARD: "git reset --hard %s",
-    RESET_SOFT_HEAD: "git reset --soft HEAD@{1}",
+    COUNT_COMMITS: ["rev-list", "--count", "HEAD"],
+    STATUS_PORCELAIN: ["status", "--porcelain"],
+    STATUS_LONG: ["status"],
+    STASH_PUSH: ["stash", "push", "-m", "Auto-stash before TimeLad restore"],
+    LOG_FORMAT: ["log", "-z", "--date=format:%Y-%m-%d %H:%M:%S"], // GitService adds the field format
+    LOG_SIMPLE: ["log", "-z", "--date=relative"],
+    SHOW_COMMIT: ["show", "--stat", "--pretty=fuller"],
+    DIFF_CACHED: ["diff", "--cached", "--name-only"],
+    DIFF_WORKING: ["diff", "--name-only"],
+    DIFF_STAT: ["diff", "--stat"],
+    ADD_ALL: ["add", "."],
+    COMMIT_MESSAGE: ["commit", "-F", "-"], // message on stdin
+    COMMIT_EMPTY: ["commit", "--allow-empty", "-F", "-"], // message on stdin
+    REV_PARSE_HEAD: ["rev-parse", "HEAD"],
+    INIT_REPO: ["init"],
+    CONFIG_USER_NAME: ["config", "user.name"],
+    CONFIG_USER_EMAIL: ["config", "user.email"],
+    RESET_HARD: ["reset", "--hard"],
+    RESET_SOFT_HEAD: ["reset", "--soft", "HEAD@{1}"],
   },
 
   // Messages
@@ -182,6 +265,8 @@ export const constants: ConstantsConfig = {
     EXTENSION_ACTIVATED: "TimeLad extension is now active!",
     LOADING_HISTORY: "Loading history...",
     RESTORING_VERSION: "Restoring version...",
+    UNDOING_RESTORE: "Undoing restore...",
+    RESTORE_UNDONE: "Restore undone. Your files are back to how they were before the restore.",
     CHANGES_STASHED: "Changes stashed successfully.",
     NO_COMMITS: "No commits found in this repository.",
     NOT_ON_BRANCH: "Not on any branch",
@@ -202,6 +287,22 @@ export const constants: ConstantsConfig = {
     BACKUP_RESTORED: "Successfully restored from backup.",
     CLEANING_BACKUPS: "Cleaning up old backups...",
     BACKUPS_CLEANED: "Old backups cleaned up successfully.",
+    DISCARDED_WORK_BROUGHT_BACK: "Discarded changes brought back. They are now unsaved changes in your files.",
+    SELECT_REPOSITORY: "Select the repository TimeLad should show",
+    FIRST_SAVE_COMMIT: "🎉 First save! Welcome to TimeLad version tracking",
+    RESTORE_CANCELLED: "Restore cancelled. Your files are back to how they were.",
+    CLONE_CANCELLED: "Loading from GitHub cancelled. The partly downloaded folder was removed.",
+    PUSH_CANCELLED: "Saving to GitHub cancelled.",
+    SELECT_COMPARE_VERSION: "Select the version to compare with, or type its number",
+    VERSION_NOT_LISTED_YET: "Not listed yet",
+    SELECT_RESTORE_VERSION: "Select the version to restore",
+    NO_FILES_SELECTED: "None of the selected files has unsaved changes. Tick the files to save and try again.",
+    OPEN_FILE_FOR_HISTORY: "Open a file in the editor to see its history.",
+    FILE_NOT_IN_REPOSITORY: "This file is not inside a Git repository, so it has no history yet.",
+    COMPARISON_BASELINE_CLEARED: "The editor gutter shows your changes since the latest version again.",
+    COMMIT_MESSAGE_REJECTED: "Not saved, the commit message breaks the commit message rules",
+    COMMIT_MESSAGE_WARNINGS: "Saved, but the commit message breaks the commit message rules",
+    BACKUP_DELETED: "Backup deleted.",
   },
 
   // Backup settings
@@ -211,6 +312,22 @@ export const constants: ConstantsConfig = {
     MAX_BACKUPS: 10,
   },
 
+  // Automatic checkpoints of the working tree, kept outside the user's branch (timelad.autosave.*)
+  AUTOSAVE: {
+    REF_PREFIX: 'refs/timelad/autosaves/',
+    RETENTION_DAYS: 7,
+    MAX_AUTOSAVES: 50,
+    SAVE_DELAY: 2000, // Wait for "Save All" to finish before capturing
+  },
+
+  // Commit message composer in the uncommitted section
+  COMMIT_COMPOSER: {
+    MAX_RECENT_MESSAGES: 10,
+    MAX_DIFF_LENGTH: 200 * 1024, // Characters of diff read when generating a message
+    PROVIDER_TIMEOUT_SECONDS: 20, // Default wait for a language model or command to write a message
+    STYLE_SAMPLE_SIZE: 100, // Recent subjects the commit style is learned from
+  },
+
   // Error messages
   ERRORS: {
     GIT_EXTENSION_NOT_FOUND:
@@ -223,8 +340,13 @@ export const constants: ConstantsConfig = {
       "No Git repositories found in the current workspace. Please open a Git repository.",
     FETCH_COMMITS_FAILED: "Failed to fetch commits",
     RESTORE_VERSION_FAILED: "Failed to restore version",
+    UNDO_RESTORE_FAILED: "Failed to undo restore",
+    NOTHING_TO_UNDO:
+      "There is no restore to undo. The last restore may already have been undone, or its branch has changed.",
     BACKUP_CREATION_FAILED: "Failed to create backup",
     BACKUP_RESTORE_FAILED: "Failed to restore from backup",
+    BRING_BACK_FAILED: "Failed to bring back discarded changes",
+    AUTOSAVE_FAILED: "Failed to autosave your files",
     SHOW_COMMIT_DETAILS_FAILED: "Error showing commit details",
     NO_WORKSPACE_FOLDER: "Please open a folder in VS Code first.",
     REPO_CREATION_FAILED: "Could not set up version tracking",
@@ -241,19 +363,27 @@ export const constants: ConstantsConfig = {
 
 // For backward compatibility, export individual properties
 export const CACHE_TIMEOUT = constants.CACHE_TIMEOUT;
+export const AUTO_REFRESH_DELAY = constants.AUTO_REFRESH_DELAY;
+export const GIT_TIMEOUTS = constants.GIT_TIMEOUTS;
 export const MAX_COMMITS_SIDEBAR = constants.MAX_COMMITS_SIDEBAR;
 export const MAX_COMMITS_PANEL = constants.MAX_COMMITS_PANEL;
 export const MAX_COMMITS_QUICKPICK = constants.MAX_COMMITS_QUICKPICK;
+export const QUICKPICK_PAGE_SIZE = constants.QUICKPICK_PAGE_SIZE;
 export const PROGRESSIVE_LOADING = constants.PROGRESSIVE_LOADING;
 export const EXTENSION_NAME = constants.EXTENSION_NAME;
 export const GIT_EXTENSION_ID = constants.GIT_EXTENSION_ID;
 export const SIDEBAR_VIEW_ID = constants.SIDEBAR_VIEW_ID;
 export const COMMIT_DETAILS_VIEW_ID = constants.COMMIT_DETAILS_VIEW_ID;
+export const COMPARISON_VIEW_ID = constants.COMPARISON_VIEW_ID;
+export const BACKUPS_VIEW_ID = constants.BACKUPS_VIEW_ID;
+export const VERSION_URI_SCHEME = constants.VERSION_URI_SCHEME;
 export const GIT_HISTORY_VIEW_ID = constants.GIT_HISTORY_VIEW_ID;
 export const COMMANDS = constants.COMMANDS;
 export const GIT_COMMANDS = constants.GIT_COMMANDS;
 export const MESSAGES = constants.MESSAGES;
 export const BACKUP = constants.BACKUP;
+export const AUTOSAVE = constants.AUTOSAVE;
+export const COMMIT_COMPOSER = constants.COMMIT_COMPOSER;
 export const ERRORS = constants.ERRORS;
 export const TEMP_COMMIT_FILE = constants.TEMP_COMMIT_FILE;
 
@@ -1,6 +1,14 @@
 import * as vscode from 'vscode';
 import { GitHistoryWebviewProvider } from './providers/GitHistoryWebviewProvider';
+import { VersionContentProvider } from './providers/VersionContentProvider';
+import { BlameDecorationProvider, LinePreviousDiffArgs } from './providers/BlameDecorationProvider';
+import { VersionTimelineProvider } from './providers/VersionTimelineProvider';
+import { BaselineQuickDiffProvider } from './providers/BaselineQuickDiffProvider';
+import { StatusBarProvider } from './providers/StatusBarProvider';
 import { GitCommands } from './commands/gitCommands';
+import { AutosaveService } from './services/AutosaveService';
+import { RepositoryWatcher } from './services/RepositoryWatcher';
+import { TimelineItem } from './types';
 import * as constants from './constants';
 
 /**
@@ -19,8 +27,20 @@ export function activate(context: vscode.ExtensionContext): void {
   // Initialize command handler
   const gitCommands = new GitCommands();
 
+  // Compare the editor gutter with a version pinned from the sidebar
+  const baselineProvider = new BaselineQuickDiffProvider(context);
+
+  // Notice commits, branch switches and edits made outside TimeLad
+  const repositoryWatcher = new RepositoryWatcher(gitCommands.getGitService());
+
   // Create the webview provider for TimeLad view
-  const gitHistoryProvider = new GitHistoryWebviewProvider(context);
+  // Share one GitService so the sidebar and commands work on the same selected repository
+  const gitHistoryProvider = new GitHistoryWebviewProvider(
+    context,
+    gitCommands.getGitService(),
+    baselineProvider,
+    repositoryWatcher
+  );
 
   // Register webview provider
   const webviewProviderDisposable = vscode.window.registerWebviewViewProvider(
@@ -28,6 +48,30 @@ export function activate(context: vscode.ExtensionContext): void {
     gitHistoryProvider
   );
 
+  // Serve file contents at any version for the diff editors opened from the sidebar and details panel
+  const versionContentDisposable = vscode.workspace.registerTextDocumentContentProvider(
+    constants.VERSION_URI_SCHEME,
+    new VersionContentProvider(gitCommands.getGitService())
+  );
+
+  // Annotate lines with the version that last changed them (timelad.inlineBlame)
+  const blameProvider = new BlameDecorationProvider(gitCommands.getGitService());
+  const blameHoverDisposable = vscode.languages.registerHoverProvider({ scheme: 'file' }, blameProvider);
+
+  // Feed versions into the Explorer's Timeline view
+  // Timeline is still a proposed API; only register where this VS Code build exposes it
+  const timelineProvider = new VersionTimelineProvider(gitCommands.getGitService(), gitHistoryProvider);
+  const registerTimelineProvider = (vscode.workspace as any).registerTimelineProvider;
+  const timelineDisposable: vscode.Disposable = typeof registerTimelineProvider === 'function'
+    ? registerTimelineProvider('file', timelineProvider)
+    : { dispose: () => undefined };
+
+  // Capture the working tree on save and/or on a timer when timelad.autosave is turned on
+  const autosaveService = new AutosaveService(gitCommands.getGitService());
+
+  // Show the current version and unsaved change count in the status bar
+  const statusBarProvider = new StatusBarProvider(gitCommands.getGitService(), gitHistoryProvider, repositoryWatcher);
+
   // Create a disposable for the provider's internal resources
   const providerDisposable: vscode.Disposable = {
     dispose: () => gitHistoryProvider.dispose(),
@@ -60,13 +104,74 @@ export function activate(context: vscode.ExtensionContext): void {
     vscode.commands.registerCommand(
       constants.COMMANDS.SETUP_VERSION_TRACKING,
       () => gitCommands.setupVersionTracking()
+    ),
+    vscode.commands.registerCommand(
+      constants.COMMANDS.UNDO_RESTORE,
+      () => gitHistoryProvider.undoLastRestore()
+    ),
+    vscode.commands.registerCommand(
+      constants.COMMANDS.SELECT_REPOSITORY,
+      () => gitHistoryProvider.selectRepository()
+    ),
+    vscode.commands.registerCommand(
+      constants.COMMANDS.SHOW_FILE_HISTORY,
+      (fileUri?: vscode.Uri) => gitHistoryProvider.showFileHistory(fileUri)
+    ),
+    vscode.commands.registerCommand(
+      constants.COMMANDS.CLEAR_COMPARISON_BASELINE,
+      () => gitHistoryProvider.clearComparisonBaseline()
+    ),
+    vscode.commands.registerCommand(
+      constants.COMMANDS.SHOW_QUICK_MENU,
+      () => statusBarProvider.showQuickMenu()
+    ),
+    vscode.commands.registerCommand(
+      constants.COMMANDS.SHOW_BACKUPS,
+      () => gitHistoryProvider.showBackups()
+    ),
+
+    // Internal commands used by the inline blame hover
+    vscode.commands.registerCommand(
+      constants.COMMANDS.SHOW_VERSION_DETAILS,
+      (commitHash: string, repoPath?: string) => gitHistoryProvider.showVersionDetails(commitHash, repoPath || null)
+    ),
+    vscode.commands.registerCommand(
+      constants.COMMANDS.OPEN_LINE_PREVIOUS_DIFF,
+      (args: LinePreviousDiffArgs) => blameProvider.openLinePreviousDiff(args)
+    ),
+
+    // Internal commands used by TimeLad entries in the Timeline view
+    vscode.commands.registerCommand(
+      constants.COMMANDS.TIMELINE_OPEN_CHANGES,
+      (item: TimelineItem, uri: vscode.Uri) => timelineProvider.openChanges(item, uri)
+    ),
+    vscode.commands.registerCommand(
+      constants.COMMANDS.TIMELINE_COMPARE_WITH_CURRENT,
+      (item: TimelineItem, uri: vscode.Uri) => timelineProvider.compareWithCurrent(item, uri)
+    ),
+    vscode.commands.registerCommand(
+      constants.COMMANDS.TIMELINE_RESTORE_FILE,
+      (item: TimelineItem, uri: vscode.Uri) => timelineProvider.restoreFile(item, uri)
+    ),
+    vscode.commands.registerCommand(
+      constants.COMMANDS.TIMELINE_OPEN_DETAILS,
+      (item: TimelineItem, uri: vscode.Uri) => timelineProvider.openDetails(item, uri)
     )
   ];
 
   // Add all disposables to context
   context.subscriptions.push(
     webviewProviderDisposable,
+    versionContentDisposable,
+    blameProvider,
+    blameHoverDisposable,
+    timelineProvider,
+    timelineDisposable,
+    baselineProvider,
+    autosaveService,
+    statusBarProvider,
     providerDisposable,
+    repositoryWatcher,
     ...commandDisposables
   );
 
@@ -83,6 +188,8 @@ export function activate(context: vscode.ExtensionContext): void {
         if (repoPath) {
           console.log('Running scheduled backup cleanup...');
           await gitService.cleanupOldBackups(repoPath, constants.BACKUP.RETENTION_DAYS);
+          const { retentionDays, maxAutosaves } = autosaveService.getSettings();
+          await gitService.pruneAutosaves(repoPath, retentionDays, maxAutosaves);
         }
       }
     } catch (error) {
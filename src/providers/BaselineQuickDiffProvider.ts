@@ -0,0 +1,107 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { VersionContentProvider } from './VersionContentProvider';
+
+/** A version pinned as the comparison baseline for the editor gutter */
+export interface ComparisonBaseline {
+  repoPath: string;
+  hash: string;
+  version: number | string;
+}
+
+const BASELINE_KEY = 'timelad.comparisonBaseline';
+
+/**
+ * Shows added, changed and removed line markers in the editor gutter against a pinned version instead of HEAD
+ * VS Code only asks source controls for quick diffs, so a source control without resources is registered
+ * for the baseline's repository while a baseline is set
+ */
+export class BaselineQuickDiffProvider implements vscode.QuickDiffProvider, vscode.Disposable {
+  private sourceControl: vscode.SourceControl | null = null;
+  private readonly changeEmitter = new vscode.EventEmitter<ComparisonBaseline | null>();
+
+  /** Fires when a baseline is set or cleared */
+  readonly onDidChangeBaseline = this.changeEmitter.event;
+
+  constructor(private readonly context: vscode.ExtensionContext) {
+    // Keep the baseline chosen for this workspace last time
+    const baseline = this.getBaseline();
+    if (baseline) {
+      this.registerSourceControl(baseline);
+    }
+  }
+
+  /**
+   * Get the pinned baseline
+   * @returns Baseline, or null when the gutter compares with HEAD as usual
+   */
+  getBaseline(): ComparisonBaseline | null {
+    return this.context.workspaceState.get<ComparisonBaseline>(BASELINE_KEY) || null;
+  }
+
+  /**
+   * Pin a version as the baseline every open editor in its repository is compared with
+   * @param baseline Repository and version to compare with
+   */
+  async setBaseline(baseline: ComparisonBaseline): Promise<void> {
+    await this.context.workspaceState.update(BASELINE_KEY, baseline);
+    this.registerSourceControl(baseline);
+    this.changeEmitter.fire(baseline);
+  }
+
+  /**
+   * Go back to the gutter comparing with HEAD
+   */
+  async clearBaseline(): Promise<void> {
+    await this.context.workspaceState.update(BASELINE_KEY, undefined);
+    this.disposeSourceControl();
+    this.changeEmitter.fire(null);
+  }
+
+  /**
+   * Tell the editor what to compare a file with: the file as it was in the baseline version
+   * Files the baseline did not have yet are compared with an empty document, so every line shows as added
+   * @param uri File open in an editor
+   * @returns URI of the file in the baseline, or undefined for files outside the baseline's repository
+   */
+  provideOriginalResource(uri: vscode.Uri): vscode.Uri | undefined {
+    const baseline = this.getBaseline();
+    if (!baseline || uri.scheme !== 'file') {
+      return undefined;
+    }
+
+    const fileName = path.relative(baseline.repoPath, uri.fsPath).replace(/\\/g, '/');
+    if (!fileName || fileName.startsWith('../') || path.isAbsolute(fileName) || fileName.split('/')[0] === '.git') {
+      return undefined;
+    }
+    return VersionContentProvider.toUri(baseline.repoPath, fileName, baseline.hash);
+  }
+
+  dispose(): void {
+    this.disposeSourceControl();
+    this.changeEmitter.dispose();
+  }
+
+  /**
+   * Replace the source control with one for the baseline's repository
+   * @param baseline Pinned baseline
+   */
+  private registerSourceControl(baseline: ComparisonBaseline): void {
+    this.disposeSourceControl();
+    const sourceControl = vscode.scm.createSourceControl(
+      'timelad',
+      `TimeLad baseline (Version ${baseline.version})`,
+      vscode.Uri.file(baseline.repoPath)
+    );
+    sourceControl.quickDiffProvider = this;
+    sourceControl.inputBox.visible = false;
+    this.sourceControl = sourceControl;
+  }
+
+  private disposeSourceControl(): void {
+    if (this.sourceControl) {
+      this.sourceControl.dispose();
+      this.sourceControl = null;
+    }
+  }
+}
@@ -0,0 +1,304 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { GitService, BlameLine } from '../services/GitService';
+import { NotificationService } from '../services/NotificationService';
+import { VersionContentProvider } from './VersionContentProvider';
+import * as constants from '../constants';
+
+type InlineBlameMode = 'off' | 'currentLine' | 'allLines';
+
+interface FileBlame {
+  repoPath: string;
+  fileName: string;
+  documentVersion: number;
+  timestamp: number;
+  lines: BlameLine[];
+}
+
+export interface LinePreviousDiffArgs {
+  repoPath: string;
+  fileName: string;
+  line: number;
+  version: number | null;
+  previousHash: string | null;
+  previousFileName: string | null;
+}
+
+// Wait for typing and cursor movement to settle before running git blame again
+const UPDATE_DELAY = 300;
+
+const RELATIVE_UNITS: Array<[string, number]> = [
+  ['year', 365 * 24 * 60 * 60],
+  ['month', 30 * 24 * 60 * 60],
+  ['week', 7 * 24 * 60 * 60],
+  ['day', 24 * 60 * 60],
+  ['hour', 60 * 60],
+  ['minute', 60],
+];
+
+/**
+ * Describe a point in time relative to now, e.g. "3 days ago"
+ * @param time Milliseconds since the epoch
+ */
+function formatRelativeDate(time: number): string {
+  const seconds = Math.round((Date.now() - time) / 1000);
+  for (const [unit, size] of RELATIVE_UNITS) {
+    if (seconds >= size) {
+      const count = Math.floor(seconds / size);
+      return `${count} ${unit}${count === 1 ? '' : 's'} ago`;
+    }
+  }
+  return 'just now';
+}
+
+/**
+ * Shows which TimeLad version last changed a line, as an end-of-line annotation and a hover
+ * Controlled by the `timelad.inlineBlame` setting: off, the current line only, or every line
+ */
+export class BlameDecorationProvider implements vscode.HoverProvider, vscode.Disposable {
+  private readonly decorationType: vscode.TextEditorDecorationType;
+  private readonly cache = new Map<string, FileBlame | null>();
+  private readonly disposables: vscode.Disposable[] = [];
+  private updateTimer: NodeJS.Timeout | null = null;
+
+  constructor(
+    private readonly gitService: GitService,
+    private readonly notificationService: NotificationService = new NotificationService()
+  ) {
+    this.decorationType = vscode.window.createTextEditorDecorationType({
+      after: {
+        margin: '0 0 0 3em',
+        color: new vscode.ThemeColor('editorCodeLens.foreground'),
+        fontStyle: 'italic',
+      },
+      rangeBehavior: vscode.DecorationRangeBehavior.ClosedOpen,
+    });
+
+    this.disposables.push(
+      vscode.window.onDidChangeActiveTextEditor(() => this.scheduleUpdate()),
+      vscode.window.onDidChangeTextEditorSelection((event) => {
+        if (this.getMode() === 'currentLine' && event.textEditor === vscode.window.activeTextEditor) {
+          this.scheduleUpdate();
+        }
+      }),
+      vscode.workspace.onDidChangeTextDocument((event) => {
+        if (event.document === vscode.window.activeTextEditor?.document) {
+          this.scheduleUpdate();
+        }
+      }),
+      vscode.workspace.onDidSaveTextDocument((document) => {
+        this.cache.delete(document.uri.toString());
+        this.scheduleUpdate();
+      }),
+      vscode.workspace.onDidCloseTextDocument((document) => this.cache.delete(document.uri.toString())),
+      vscode.workspace.onDidChangeConfiguration((event) => {
+        if (event.affectsConfiguration('timelad.inlineBlame')) {
+          this.scheduleUpdate();
+        }
+      })
+    );
+
+    // Saving, restoring and switching branches all rewrite the index, which makes earlier blame results stale
+    const indexWatcher = vscode.workspace.createFileSystemWatcher('**/.git/index');
+    indexWatcher.onDidChange(() => this.clearCache());
+    indexWatcher.onDidCreate(() => this.clearCache());
+    this.disposables.push(indexWatcher);
+
+    this.scheduleUpdate();
+  }
+
+  /**
+   * Show the version that last changed the hovered line, with links to its details and the line's previous content
+   * @param document Document being hovered
+   * @param position Hovered position
+   * @returns Hover, or null when blame is off or the line is not known to git
+   */
+  async provideHover(document: vscode.TextDocument, position: vscode.Position): Promise<vscode.Hover | null> {
+    if (this.getMode() === 'off' || document.uri.scheme !== 'file') {
+      return null;
+    }
+
+    const blame = await this.getFileBlame(document);
+    const entry = blame?.lines[position.line];
+    if (!blame || !entry) {
+      return null;
+    }
+
+    const markdown = new vscode.MarkdownString('', true);
+    markdown.isTrusted = true;
+    if (entry.version === null) {
+      markdown.appendMarkdown('**Not saved yet** · you changed this line since the last version');
+      return new vscode.Hover(markdown, document.lineAt(position.line).range);
+    }
+
+    const detailsArgs = encodeURIComponent(JSON.stringify([entry.hash, blame.repoPath]));
+    const diffArgs: LinePreviousDiffArgs = {
+      repoPath: blame.repoPath,
+      fileName: blame.fileName,
+      line: entry.line,
+      version: entry.version,
+      previousHash: entry.previousHash,
+      previousFileName: entry.previousFileName,
+    };
+    const diffLink = encodeURIComponent(JSON.stringify([diffArgs]));
+
+    markdown.appendMarkdown(`**Version ${entry.version}** · `);
+    markdown.appendText(`${entry.author} · ${formatRelativeDate(entry.authorTime)}`);
+    markdown.appendMarkdown('\n\n');
+    markdown.appendText(entry.summary);
+    markdown.appendMarkdown('\n\n');
+    markdown.appendMarkdown(
+      `[$(eye) Version details](command:${constants.COMMANDS.SHOW_VERSION_DETAILS}?${detailsArgs} "Open the details of this version")` +
+      ` · [$(diff) Previous content of this line](command:${constants.COMMANDS.OPEN_LINE_PREVIOUS_DIFF}?${diffLink} "Compare with the file before this version to bring the line back")`
+    );
+
+    return new vscode.Hover(markdown, document.lineAt(position.line).range);
+  }
+
+  /**
+   * Open the file as it was before the version that last changed a line, next to the working copy
+   * Reverting the change in the diff editor restores the line's previous content
+   * @param args Line and versions, as put in the hover link
+   */
+  async openLinePreviousDiff(args: LinePreviousDiffArgs): Promise<void> {
+    const line = Math.max(args.line - 1, 0);
+    await this.notificationService.executeCommand(
+      'vscode.diff',
+      VersionContentProvider.toUri(args.repoPath, args.previousFileName || args.fileName, args.previousHash),
+      vscode.Uri.file(path.join(args.repoPath, args.fileName)),
+      `${args.fileName} (Before Version ${args.version} ↔ Current)`,
+      { selection: new vscode.Range(line, 0, line, 0) }
+    );
+  }
+
+  dispose(): void {
+    if (this.updateTimer) {
+      clearTimeout(this.updateTimer);
+    }
+    this.decorationType.dispose();
+    this.disposables.forEach((disposable) => disposable.dispose());
+    this.cache.clear();
+  }
+
+  /**
+   * Read the inline blame setting
+   */
+  private getMode(): InlineBlameMode {
+    return vscode.workspace.getConfiguration('timelad').get<InlineBlameMode>('inlineBlame', 'off');
+  }
+
+  /**
+   * Forget all blame results, e.g. after a new version was saved or restored
+   */
+  private clearCache(): void {
+    this.cache.clear();
+    this.scheduleUpdate();
+  }
+
+  /**
+   * Update the annotations once typing and cursor movement pause
+   */
+  private scheduleUpdate(): void {
+    if (this.updateTimer) {
+      clearTimeout(this.updateTimer);
+    }
+    this.updateTimer = setTimeout(() => {
+      this.updateTimer = null;
+      this.updateDecorations().catch((error) => {
+        console.log(`TimeLad: Could not update inline blame: ${(error as Error).message}`);
+      });
+    }, UPDATE_DELAY);
+  }
+
+  /**
+   * Annotate the active editor according to the inline blame setting
+   */
+  private async updateDecorations(): Promise<void> {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) {
+      return;
+    }
+
+    const mode = this.getMode();
+    const blame = mode === 'off' || editor.document.uri.scheme !== 'file'
+      ? null
+      : await this.getFileBlame(editor.document);
+    if (!blame || editor !== vscode.window.activeTextEditor) {
+      editor.setDecorations(this.decorationType, []);
+      return;
+    }
+
+    // Every line when asked, but only where the version changes so blocks from one version are annotated once
+    const lineNumbers = mode === 'allLines'
+      ? blame.lines
+        .filter((entry, index) => index === 0 || blame.lines[index - 1]!.hash !== entry.hash)
+        .map((entry) => entry.line - 1)
+      : [editor.selection.active.line];
+
+    const decorations: vscode.DecorationOptions[] = [];
+    lineNumbers.forEach((line) => {
+      const entry = blame.lines[line];
+      if (!entry || line >= editor.document.lineCount) {
+        return;
+      }
+      const end = editor.document.lineAt(line).range.end;
+      decorations.push({
+        range: new vscode.Range(end, end),
+        renderOptions: { after: { contentText: this.describe(entry) } },
+      });
+    });
+    editor.setDecorations(this.decorationType, decorations);
+  }
+
+  /**
+   * Short annotation text for a line
+   * @param entry Blame information for the line
+   */
+  private describe(entry: BlameLine): string {
+    if (entry.version === null) {
+      return 'Not saved yet';
+    }
+    return `Version ${entry.version} · ${entry.author} · ${formatRelativeDate(entry.authorTime)}`;
+  }
+
+  /**
+   * Blame a document, reusing the last result while the document has not changed
+   * Unsaved edits are blamed as they are in the editor, so line numbers always match
+   * @param document Document to blame
+   * @returns Blame for every line, or null when the file is not tracked by a repository
+   */
+  private async getFileBlame(document: vscode.TextDocument): Promise<FileBlame | null> {
+    const key = document.uri.toString();
+    const cached = this.cache.get(key);
+    if (cached !== undefined && (cached === null || (
+      cached.documentVersion === document.version &&
+      Date.now() - cached.timestamp < constants.CACHE_TIMEOUT
+    ))) {
+      return cached;
+    }
+
+    const repositories = await this.gitService.findRepositories();
+    const repoPath = this.gitService.getRepositoryForFile(document.uri.fsPath, repositories);
+    if (!repoPath) {
+      this.cache.set(key, null);
+      return null;
+    }
+
+    const fileName = path.relative(repoPath, document.uri.fsPath).replace(/\\/g, '/');
+    try {
+      const lines = await this.gitService.getBlame(
+        fileName,
+        repoPath,
+        document.isDirty ? document.getText() : undefined
+      );
+      const blame: FileBlame = { repoPath, fileName, documentVersion: document.version, timestamp: Date.now(), lines };
+      this.cache.set(key, blame);
+      return blame;
+    } catch (error) {
+      // Untracked and ignored files have no history; try again once the file is saved
+      console.log(`TimeLad: No blame for ${fileName}: ${(error as Error).message}`);
+      this.cache.set(key, null);
+      return null;
+    }
+  }
+}
@@ -1,18 +1,31 @@
 import * as vscode from 'vscode';
-import { GitService } from '../services/GitService';
+import * as path from 'path';
+import { GitService, Backup } from '../services/GitService';
 import { NotificationService } from '../services/NotificationService';
 import { FileOperationsService } from '../services/FileOperationsService';
+import { ChangeArea } from '../services/ScopeInferenceService';
+import { RepositoryChange, RepositoryWatcher } from '../services/RepositoryWatcher';
+import { VersionContentProvider } from './VersionContentProvider';
+import { BaselineQuickDiffProvider, ComparisonBaseline } from './BaselineQuickDiffProvider';
 import {
+  escapeHtml,
   getLoadingTemplate,
+  getSidebarSections,
   getSidebarTemplate,
 } from '../views/templates/webviewTemplates';
 import * as constants from '../constants';
 
+/** What a version is compared with in a diff editor */
+type VersionDiffTarget = 'working' | 'previous';
+
 // Extended message types for all webview communications
 interface WebviewMessage {
   command: string;
   hash?: string;
   url?: string;
+  paths?: string[];
+  fileName?: string;
+  repoPath?: string;
   data?: any;
 }
 
@@ -24,15 +37,79 @@ interface ShowCommitMessage extends WebviewMessage {
 interface RequestRestoreMessage extends WebviewMessage {
   command: 'requestRestore';
   hash: string;
+  paths?: string[];
 }
 
 interface ConfirmRestoreMessage extends WebviewMessage {
   command: 'confirmRestore';
   hash: string;
+  paths?: string[];
+}
+
+interface LoadCommitFilesMessage extends WebviewMessage {
+  command: 'loadCommitFiles';
+  hash: string;
+}
+
+interface OpenRestoreDiffMessage extends WebviewMessage {
+  command: 'openRestoreDiff';
+  hash: string;
+  fileName: string;
+}
+
+interface OpenVersionDiffMessage extends WebviewMessage {
+  command: 'openVersionDiff';
+  hash: string;
+  fileName: string;
+  against: VersionDiffTarget;
+  otherFileName?: string;
+}
+
+interface ShowFileHistoryMessage extends WebviewMessage {
+  command: 'showFileHistory';
+}
+
+interface CloseFileHistoryMessage extends WebviewMessage {
+  command: 'closeFileHistory';
+}
+
+interface CompareWithMessage extends WebviewMessage {
+  command: 'compareWith';
+  hash: string;
+}
+
+interface SetComparisonBaselineMessage extends WebviewMessage {
+  command: 'setComparisonBaseline';
+  hash: string;
+}
+
+interface ClearComparisonBaselineMessage extends WebviewMessage {
+  command: 'clearComparisonBaseline';
+}
+
+interface SuggestCommitMessageMessage extends WebviewMessage {
+  command: 'suggestCommitMessage';
+  /** Files ticked in the uncommitted section */
+  paths: string[];
 }
 
-interface SaveChangesMessage extends WebviewMessage {
-  command: 'saveChanges';
+interface GenerateCommitMessageMessage extends WebviewMessage {
+  command: 'generateCommitMessage';
+  /** Files ticked in the uncommitted section */
+  paths: string[];
+}
+
+/** Messages from the Backups panel */
+interface BackupsPanelMessage extends WebviewMessage {
+  command: 'openBackupDiff' | 'restoreBackup' | 'deleteBackup';
+  /** Backup branch; openBackupDiff sends the backup commit as hash instead */
+  branch?: string;
+}
+
+interface LintCommitMessageMessage extends WebviewMessage {
+  command: 'lintCommitMessage';
+  /** Message written in the composer */
+  message: string;
 }
 
 interface RequestDiscardMessage extends WebviewMessage {
@@ -64,49 +141,80 @@ interface RefreshMessage extends WebviewMessage {
   command: 'refresh';
 }
 
+interface UndoRestoreMessage extends WebviewMessage {
+  command: 'undoRestore';
+}
+
+interface LoadDiscardedFilesMessage extends WebviewMessage {
+  command: 'loadDiscardedFiles';
+  hash: string;
+}
+
+interface OpenDiscardedDiffMessage extends WebviewMessage {
+  command: 'openDiscardedDiff';
+  hash: string;
+  fileName: string;
+}
+
+interface BringBackDiscardedWorkMessage extends WebviewMessage {
+  command: 'bringBackDiscardedWork';
+  hash: string;
+}
+
+interface SelectRepositoryMessage extends WebviewMessage {
+  command: 'selectRepository';
+  repoPath?: string;
+}
+
 type TimeLadWebviewMessage = 
   | ShowCommitMessage
   | RequestRestoreMessage
   | ConfirmRestoreMessage
+  | LoadCommitFilesMessage
+  | OpenRestoreDiffMessage
+  | OpenVersionDiffMessage
+  | CompareWithMessage
+  | ShowFileHistoryMessage
+  | CloseFileHistoryMessage
+  | SetComparisonBaselineMessage
+  | ClearComparisonBaselineMessage
   | SaveChangesMessage
+  | SuggestCommitMessageMessage
+  | GenerateCommitMessageMessage
+  | LintCommitMessageMessage
   | RequestDiscardMessage
   | ConfirmDiscardMessage
   | LoadMoreCommitsMessage
   | CreateRepositoryMessage
   | LoadFromGitHubMessage
   | OpenUrlMessage
-  | RefreshMessage;
+  | RefreshMessage
+  | UndoRestoreMessage
+  | LoadDiscardedFilesMessage
+  | OpenDiscardedDiffMessage
+  | BringBackDiscardedWorkMessage
+  | SelectRepositoryMessage;
 
 // Import the GitCommit type from types
-import { GitCommit } from '../types';
+import { GitCommit, GitRepository, SaveChangesMessage } from '../types';
 
-interface CommitData {
-  hash: string;
-  author: string;
-  date: string;
+interface CommitData extends GitCommit {
   subject: string;
   version: number;
 }
 
-// Helper functions to convert between types
-function commitDataToGitCommit(commit: CommitData): GitCommit {
-  return {
-    hash: commit.hash,
-    message: commit.subject,
-    author: commit.author,
-    date: commit.date,
-    subject: commit.subject
-  };
+interface FileHistoryCommitData extends CommitData {
+  fileName: string;
 }
 
-function gitCommitToCommitData(commit: GitCommit): CommitData {
-  return {
-    hash: commit.hash,
-    author: commit.author,
-    date: commit.date,
-    subject: commit.subject || commit.message,
-    version: 0 // Will be filled by GitService
-  };
+interface AutosaveData extends CommitData {
+  ref: string;
+  baseVersion: number | null;
+}
+
+interface FileHistoryInfo {
+  fileName: string;
+  commits: FileHistoryCommitData[];
 }
 
 
@@ -135,8 +243,60 @@ interface PaginatedCommitsResult {
 
 interface SaveChangesOptions {
   discard?: boolean;
+  paths?: string[] | undefined;
+  /** Message written in the composer; generated when empty */
+  message?: string | undefined;
+}
+
+/** What the commit message composer starts from */
+interface CommitComposerInfo {
+  suggestedMessage: string;
+  recentMessages: string[];
+  head: string;
+  /** Configured language model or command, or null when messages are rule-based */
+  generator: string | null;
+  /** Unrelated areas the changes are in, to suggest saving them separately; empty when there is one */
+  areas: ChangeArea[];
 }
 
+interface LastRestore {
+  repoPath: string;
+  previousCommit: string;
+  newCommit: string;
+  branch?: string;
+  version: number | string;
+  paths?: string[];
+}
+
+interface RepositoryPickerInfo {
+  repositories: GitRepository[];
+  selectedPath: string;
+}
+
+/** Everything the sidebar shows besides the loaded commits, uncommitted changes and autosaves */
+interface SidebarState {
+  paginationInfo: PaginationInfo;
+  lastRestore: LastRestore | null;
+  discardedWork: Backup[];
+  repositoryInfo: RepositoryPickerInfo;
+  fileHistory: FileHistoryInfo | null;
+  baseline: ComparisonBaseline | null;
+  composer: CommitComposerInfo;
+}
+
+interface RepositoryQuickPickItem extends vscode.QuickPickItem {
+  repoPath: string;
+}
+
+interface VersionQuickPickItem extends vscode.QuickPickItem {
+  hash: string;
+  version: number;
+}
+
+const LAST_RESTORE_KEY = 'timelad.lastRestore';
+const SELECTED_REPOSITORY_KEY = 'timelad.selectedRepository';
+const RECENT_COMMIT_MESSAGES_KEY = 'timelad.recentCommitMessages';
+
 interface PaginationInfo {
   hasMore: boolean;
   totalCount: number;
@@ -149,8 +309,12 @@ interface PaginationInfo {
 export class GitHistoryWebviewProvider implements vscode.WebviewViewProvider {
   private view: vscode.WebviewView | null = null;
   private commits: CommitData[] = [];
+  private fileHistoryPath: string | null = null;
+  private fileHistoryCommits: FileHistoryCommitData[] = [];
+  private autosaves: AutosaveData[] = [];
   private uncommittedChanges: UncommittedChanges | null = null;
   private isRestoring: boolean = false;
+  private backupsPanel: vscode.WebviewPanel | null = null;
   private isDisposed: boolean = false;
   
   // Progressive loading state
@@ -166,13 +330,31 @@ export class GitHistoryWebviewProvider implements vscode.WebviewViewProvider {
   private readonly fileService: FileOperationsService;
   private readonly gitService: GitService;
   
-  private repositoryWatcher: vscode.FileSystemWatcher | null = null;
-
-  constructor(private readonly context: vscode.ExtensionContext) {
+  private readonly repositoryWatcher: RepositoryWatcher;
+  // Only dispose the watcher when this provider created it
+  private readonly ownsRepositoryWatcher: boolean;
+  private repositoryChangeListener: vscode.Disposable | null = null;
+  private activeEditorListener: vscode.Disposable | null = null;
+  private baselineListener: vscode.Disposable | null = null;
+
+  constructor(
+    private readonly context: vscode.ExtensionContext,
+    gitService: GitService | null = null,
+    private readonly baselineProvider: BaselineQuickDiffProvider | null = null,
+    repositoryWatcher: RepositoryWatcher | null = null
+  ) {
     // Initialize services with dependency injection
     this.notificationService = new NotificationService();
     this.fileService = new FileOperationsService();
-    this.gitService = new GitService(this.notificationService, this.fileService);
+    this.gitService = gitService || new GitService(this.notificationService, this.fileService);
+    this.repositoryWatcher = repositoryWatcher || new RepositoryWatcher(this.gitService);
+    this.ownsRepositoryWatcher = !repositoryWatcher;
+
+    // Pick up the repository chosen for this workspace last time
+    const selectedRepository = this.context.workspaceState.get<string>(SELECTED_REPOSITORY_KEY);
+    if (selectedRepository) {
+      this.gitService.setSelectedRepository(selectedRepository);
+    }
 
     this.setupWorkspaceListeners();
   }
@@ -190,25 +372,116 @@ export class GitHistoryWebviewProvider implements vscode.WebviewViewProvider {
       }
     });
 
-    const watcher = vscode.workspace.createFileSystemWatcher("**/.git/**");
+    // Commits, branch switches, staging and edits from the terminal or the Source Control view
+    this.repositoryChangeListener = this.repositoryWatcher.onDidChange((change) => {
+      this.autoRefresh(change).catch((error) => {
+        console.error(`${constants.EXTENSION_NAME}: Error auto-refreshing:`, error);
+      });
+    });
 
-    watcher.onDidCreate(() => {
-      if (this.isRestoring) return;
-      this.gitService.clearCache();
-      if (this.view && this.view.visible) {
-        setTimeout(() => this.refresh(), 500);
+    this.activeEditorListener = vscode.window.onDidChangeActiveTextEditor((editor) => {
+      if (editor) {
+        this.followActiveEditor(editor.document.uri);
       }
     });
 
-    watcher.onDidDelete(() => {
-      if (this.isRestoring) return;
-      this.gitService.clearCache();
-      if (this.view && this.view.visible) {
-        this.refresh();
+    // The baseline can also be cleared from the command palette
+    if (this.baselineProvider) {
+      this.baselineListener = this.baselineProvider.onDidChangeBaseline(() => {
+        if (this.view && this.view.visible && !this.isRestoring) {
+          this.refresh();
+        }
+      });
+    }
+  }
+
+  /**
+   * Update the parts of the sidebar that changes made outside TimeLad affect: a full refresh when
+   * repositories appear or go away, the version list after new versions and branch switches,
+   * and only the uncommitted section after edits and staging
+   * Changes in other repositories, changes while the sidebar is hidden and changes made while
+   * TimeLad restores are ignored; showing the sidebar and finishing a restore refresh it anyway
+   * @param change Changes reported by the repository watcher
+   */
+  private async autoRefresh(change: RepositoryChange): Promise<void> {
+    if (this.isRestoring || this.isDisposed || !this.view || !this.view.visible) {
+      return;
+    }
+
+    if (change.scopes.has("repositories")) {
+      await this.refresh();
+      return;
+    }
+
+    const repoPath = await this.gitService.getRepositoryPath().catch(() => null);
+    if (!repoPath || !this.repositoryWatcher.affects(change, repoPath)) {
+      return;
+    }
+
+    if (change.scopes.has("history")) {
+      await this.refreshHistory();
+    } else {
+      await this.refreshUncommittedChanges();
+    }
+  }
+
+  /**
+   * Switch to the repository of the file being edited, when timelad.followActiveEditor is on
+   * @param fileUri URI of the active document
+   */
+  private async followActiveEditor(fileUri: vscode.Uri): Promise<void> {
+    if (this.isRestoring || this.isDisposed || fileUri.scheme !== 'file') {
+      return;
+    }
+    if (!vscode.workspace.getConfiguration('timelad').get<boolean>('followActiveEditor', false)) {
+      return;
+    }
+
+    try {
+      const repositories = await this.gitService.findRepositories();
+      const repoPath = this.gitService.getRepositoryForFile(fileUri.fsPath, repositories);
+      if (repoPath && repoPath !== await this.gitService.getRepositoryPath()) {
+        await this.setSelectedRepository(repoPath);
       }
+    } catch (error) {
+      console.log(`TimeLad: Could not follow active editor: ${(error as Error).message}`);
+    }
+  }
+
+  /**
+   * Let the user pick which repository TimeLad shows
+   */
+  public async selectRepository(): Promise<void> {
+    const repositories = await this.gitService.findRepositories();
+    if (repositories.length === 0) {
+      await this.notificationService.showInfo(constants.ERRORS.NO_REPOSITORIES);
+      return;
+    }
+
+    const currentPath = await this.gitService.getRepositoryPath().catch(() => null);
+    const items: RepositoryQuickPickItem[] = repositories.map(repository => ({
+      label: repository.path === currentPath ? `$(check) ${repository.name}` : repository.name,
+      description: repository.path,
+      repoPath: repository.path
+    }));
+
+    const choice = await vscode.window.showQuickPick(items, {
+      placeHolder: constants.MESSAGES.SELECT_REPOSITORY
     });
 
-    this.repositoryWatcher = watcher;
+    if (choice) {
+      await this.setSelectedRepository(choice.repoPath);
+    }
+  }
+
+  /**
+   * Make a repository the one every operation runs against and remember it for this workspace
+   * @param repoPath Repository path
+   */
+  private async setSelectedRepository(repoPath: string): Promise<void> {
+    this.gitService.setSelectedRepository(repoPath);
+    await this.context.workspaceState.update(SELECTED_REPOSITORY_KEY, repoPath);
+    await this.refresh();
   }
 
   /**
@@ -249,6 +522,9 @@ export class GitHistoryWebviewProvider implements vscode.WebviewViewProvider {
       }
     });
 
+    // The Git extension may have activated after TimeLad
+    this.repositoryWatcher.subscribeToGitExtension();
+
     webviewView.webview.onDidReceiveMessage(async (message: TimeLadWebviewMessage) => {
       try {
         await this.handleWebviewMessage(message);
@@ -285,15 +561,83 @@ export class GitHistoryWebviewProvider implements vscode.WebviewViewProvider {
         break;
 
       case "requestRestore":
-        await this.requestRestore(message.hash);
+        await this.requestRestore(message.hash, message.paths);
         break;
 
       case "confirmRestore":
-        await this.restoreVersion(message.hash, true);
+        await this.restoreVersion(message.hash, true, message.paths);
+        break;
+
+      case "undoRestore":
+        await this.undoLastRestore();
+        break;
+
+      case "selectRepository":
+        if (message.repoPath) {
+          await this.setSelectedRepository(message.repoPath);
+        } else {
+          await this.selectRepository();
+        }
+        break;
+
+      case "loadDiscardedFiles":
+        await this.loadDiscardedFiles(message.hash);
+        break;
+
+      case "openDiscardedDiff":
+        await this.openDiscardedDiff(message.hash, message.fileName);
+        break;
+
+      case "bringBackDiscardedWork":
+        await this.bringBackDiscardedWork(message.hash);
+        break;
+
+      case "loadCommitFiles":
+        await this.loadCommitFiles(message.hash);
+        break;
+
+      case "openRestoreDiff":
+        await this.openRestoreDiff(message.hash, message.fileName);
+        break;
+
+      case "openVersionDiff":
+        await this.openVersionDiff(message.hash, message.fileName, message.against, message.otherFileName);
+        break;
+
+      case "showFileHistory":
+        await this.showFileHistory();
+        break;
+
+      case "closeFileHistory":
+        await this.closeFileHistory();
+        break;
+
+      case "compareWith":
+        await this.compareWith(message.hash);
+        break;
+
+      case "setComparisonBaseline":
+        await this.setComparisonBaseline(message.hash);
+        break;
+
+      case "clearComparisonBaseline":
+        await this.clearComparisonBaseline();
         break;
 
       case "saveChanges":
-        await this.saveChanges();
+        await this.saveChanges({ paths: message.data?.paths, message: message.data?.message });
+        break;
+
+      case "suggestCommitMessage":
+        await this.suggestCommitMessage(message.paths);
+        break;
+
+      case "generateCommitMessage":
+        await this.generateCommitMessage(message.paths);
+        break;
+
+      case "lintCommitMessage":
+        await this.lintCommitMessage(message.message);
         break;
         
       case "requestDiscard":
@@ -321,6 +665,10 @@ export class GitHistoryWebviewProvider implements vscode.WebviewViewProvider {
           await this.notificationService.openExternalUrl(message.url);
         }
         break;
+
+      case "refresh":
+        await this.refresh();
+        break;
         
       default:
         console.warn(`${constants.EXTENSION_NAME}: Unknown webview message command: ${(message as any).command}`);
@@ -328,61 +676,692 @@ export class GitHistoryWebviewProvider implements vscode.WebviewViewProvider {
   }
 
   /**
-   * Show commit details for a specific commit
-   * @param commitHash Commit hash
+   * Find a loaded commit, whether it is listed in the version list, the file history or the autosaves
+   * @param commitHash Commit hash
+   */
+  private findCommit(commitHash: string): CommitData | undefined {
+    return this.commits.find((c) => c.hash === commitHash)
+      || this.fileHistoryCommits.find((c) => c.hash === commitHash)
+      || this.autosaves.find((c) => c.hash === commitHash);
+  }
+
+  /**
+   * Switch the sidebar to the versions that changed one file
+   * @param fileUri File to show; the file in the active editor when omitted
+   */
+  public async showFileHistory(fileUri?: vscode.Uri): Promise<void> {
+    const uri = fileUri || vscode.window.activeTextEditor?.document.uri;
+    if (!uri || uri.scheme !== 'file') {
+      await this.notificationService.showInfo(constants.MESSAGES.OPEN_FILE_FOR_HISTORY);
+      return;
+    }
+
+    const repositories = await this.gitService.findRepositories();
+    const repoPath = this.gitService.getRepositoryForFile(uri.fsPath, repositories);
+    if (!repoPath) {
+      await this.notificationService.showInfo(constants.MESSAGES.FILE_NOT_IN_REPOSITORY);
+      return;
+    }
+
+    this.fileHistoryPath = uri.fsPath;
+    await this.notificationService.executeCommand(`${constants.SIDEBAR_VIEW_ID}.focus`);
+    if (repoPath !== await this.gitService.getRepositoryPath()) {
+      await this.setSelectedRepository(repoPath);
+    } else {
+      await this.refresh();
+    }
+  }
+
+  /**
+   * Go back from a file's history to all versions
+   */
+  public async closeFileHistory(): Promise<void> {
+    this.fileHistoryPath = null;
+    this.fileHistoryCommits = [];
+    await this.refresh();
+  }
+
+  /**
+   * Load the history of the file chosen with showFileHistory
+   * @param repoPath Selected repository
+   * @returns The file's history, or null when no file is chosen or it is outside the repository
+   */
+  private async loadFileHistory(repoPath: string): Promise<FileHistoryInfo | null> {
+    this.fileHistoryCommits = [];
+    if (!this.fileHistoryPath) {
+      return null;
+    }
+
+    const fileName = path.relative(repoPath, this.fileHistoryPath).replace(/\\/g, '/');
+    if (!fileName || fileName.startsWith('../') || path.isAbsolute(fileName)) {
+      // The user picked another repository; the file's history no longer applies
+      this.fileHistoryPath = null;
+      return null;
+    }
+
+    this.fileHistoryCommits = await this.gitService.getFileHistory(fileName, repoPath);
+    return { fileName, commits: this.fileHistoryCommits };
+  }
+
+  /**
+   * Show commit details for a specific commit
+   * @param commitHash Commit hash
+   */
+  private async showCommitDetails(commitHash: string): Promise<void> {
+    await this.showVersionDetails(commitHash);
+  }
+
+  /**
+   * Open the details panel for any version, including ones not loaded in the sidebar
+   * @param commitHash Commit hash
+   * @param repoPath Repository the commit belongs to; the selected repository when omitted
+   */
+  public async showVersionDetails(commitHash: string, repoPath: string | null = null): Promise<void> {
+    const commit = (!repoPath && this.findCommit(commitHash))
+      || await this.gitService.getCommit(commitHash, repoPath);
+    if (!commit) {
+      throw new Error("Commit not found");
+    }
+
+    const [commitDetails, files, signature] = await Promise.all([
+      this.gitService.getCommitDetails(commitHash, repoPath),
+      this.gitService.getCommitFiles(commitHash, repoPath),
+      this.gitService.getCommitSignature(commitHash, repoPath).catch(() => null),
+    ]);
+    await this.createCommitDetailsPanel({ ...commit, ...signature }, commitDetails, files);
+  }
+
+  /**
+   * Check for unsaved changes in the workspace
+   * @returns Promise<boolean> True if there are unsaved changes
+   */
+  private async hasUnsavedChanges(): Promise<boolean> {
+    const unsavedDocuments = vscode.workspace.textDocuments.filter(
+      doc => doc.isDirty && !doc.isUntitled
+    );
+    return unsavedDocuments.length > 0;
+  }
+
+  /**
+   * Send the files changed in a version to the webview so single paths can be restored
+   * @param commitHash Commit hash
+   */
+  private async loadCommitFiles(commitHash: string): Promise<void> {
+    try {
+      const files = await this.gitService.getCommitFiles(commitHash);
+      this.view?.webview.postMessage({
+        command: 'showCommitFiles',
+        hash: commitHash,
+        files: files.map(f => ({
+          fileName: f.fileName,
+          status: f.status
+        }))
+      });
+    } catch (error) {
+      this.view?.webview.postMessage({
+        command: 'showError',
+        error: (error as Error).message
+      });
+    }
+  }
+
+  /**
+   * Open a diff of one file between the current version and the version a restore would bring back
+   * @param commitHash Commit hash being restored
+   * @param fileName Repository-relative file name
+   */
+  private async openRestoreDiff(commitHash: string, fileName: string): Promise<void> {
+    const commit = this.findCommit(commitHash);
+    const repoPath = await this.gitService.getRepositoryPath();
+
+    await this.notificationService.executeCommand(
+      'vscode.diff',
+      VersionContentProvider.toUri(repoPath, fileName, 'HEAD'),
+      VersionContentProvider.toUri(repoPath, fileName, commitHash),
+      `${fileName} (Current ↔ Version ${commit?.version || commitHash})`
+    );
+  }
+
+  /**
+   * Open a native side-by-side diff of one file in a version, against the working copy or the previous version
+   * @param commitHash Commit hash
+   * @param fileName Repository-relative file name
+   * @param against 'working' to compare with the file on disk, 'previous' to compare with the version before
+   * @param otherFileName Name of the file on the other side when it was renamed in between
+   */
+  async openVersionDiff(
+    commitHash: string,
+    fileName: string,
+    against: VersionDiffTarget,
+    otherFileName: string = fileName
+  ): Promise<void> {
+    const commit = this.findCommit(commitHash);
+    const repoPath = await this.gitService.getRepositoryPath();
+    const versionLabel = this.versionLabel(commit || { hash: commitHash });
+    const versionUri = VersionContentProvider.toUri(repoPath, fileName, commitHash);
+
+    if (against === 'previous') {
+      // The first version has no parent, so everything in it is compared with an empty file
+      const parent = commit ? (commit.parents?.[0] ?? null) : `${commitHash}^`;
+      await this.notificationService.executeCommand(
+        'vscode.diff',
+        VersionContentProvider.toUri(repoPath, otherFileName, parent),
+        versionUri,
+        `${fileName} (Previous ↔ ${versionLabel})`
+      );
+      return;
+    }
+
+    const workingUri = await this.workingCopyUri(repoPath, otherFileName);
+    await this.notificationService.executeCommand(
+      'vscode.diff',
+      versionUri,
+      workingUri,
+      `${fileName} (${versionLabel} ↔ Current)`
+    );
+  }
+
+  /**
+   * Make the editor gutter show changes against a version instead of the latest one
+   * @param commitHash Commit hash of the version to compare with
+   */
+  private async setComparisonBaseline(commitHash: string): Promise<void> {
+    if (!this.baselineProvider) {
+      return;
+    }
+
+    const commit = this.findCommit(commitHash) || await this.gitService.getCommit(commitHash);
+    if (!commit) {
+      throw new Error("Commit not found");
+    }
+
+    await this.baselineProvider.setBaseline({
+      repoPath: await this.gitService.getRepositoryPath(),
+      hash: commit.hash,
+      version: commit.version || commit.hash.substring(0, 7)
+    });
+    await this.notificationService.showInfo(
+      `The editor gutter now shows your changes since ${this.versionLabel(commit)}.`
+    );
+  }
+
+  /**
+   * Make the editor gutter show changes against the latest version again
+   */
+  public async clearComparisonBaseline(): Promise<void> {
+    if (!this.baselineProvider || !this.baselineProvider.getBaseline()) {
+      return;
+    }
+
+    await this.baselineProvider.clearBaseline();
+    await this.notificationService.showInfo(constants.MESSAGES.COMPARISON_BASELINE_CLEARED);
+  }
+
+  /**
+   * Let the user pick a second version and open a comparison of the two
+   * @param commitHash Hash of the version the comparison starts from
+   */
+  async compareWith(commitHash: string): Promise<void> {
+    const repoPath = await this.gitService.getRepositoryPath();
+    const choice = await this.pickVersion(repoPath, commitHash);
+
+    if (choice) {
+      await this.openComparison(commitHash, choice);
+    }
+  }
+
+  /**
+   * Let the user pick any version of the repository, or type its number
+   * The list fills from the whole history, a page at a time, while the picker is open
+   * @param repoPath Repository path
+   * @param excludeHash Version left out of the list
+   * @returns Hash of the chosen version, or undefined if the picker was dismissed
+   */
+  private pickVersion(repoPath: string, excludeHash: string): Promise<string | undefined> {
+    const picker = this.notificationService.createQuickPick<VersionQuickPickItem>();
+    picker.placeholder = constants.MESSAGES.SELECT_COMPARE_VERSION;
+    picker.matchOnDescription = true;
+    picker.busy = true;
+
+    let versions: VersionQuickPickItem[] = [];
+    let totalCount = 0;
+    let isOpen = true;
+
+    // A typed number that names a version not listed yet gets an entry of its own
+    const showItems = () => {
+      const typed = picker.value.trim();
+      const version = /^\d+$/.test(typed) ? Number(typed) : 0;
+      const listed = versions.find(item => item.version === version);
+      const typedItem: VersionQuickPickItem | undefined = version >= 1 && version <= totalCount && !listed
+        ? { label: `Version ${version}`, description: constants.MESSAGES.VERSION_NOT_LISTED_YET, alwaysShow: true, hash: '', version }
+        : undefined;
+      const active = picker.activeItems;
+      picker.items = typedItem ? [typedItem, ...versions] : versions;
+      const exact = typedItem || listed;
+      picker.activeItems = exact ? [exact] : active.filter(item => versions.includes(item));
+    };
+
+    const loadVersions = async () => {
+      let offset = 0;
+      let hasMore = true;
+      while (isOpen && hasMore) {
+        const page = await this.gitService.getCommitsPaginated({
+          offset,
+          limit: constants.QUICKPICK_PAGE_SIZE,
+          repoPath,
+        });
+        totalCount = page.totalCount;
+        versions = versions.concat(page.commits
+          .filter(c => c.hash !== excludeHash)
+          .map(c => ({
+            label: `Version ${c.version}`,
+            description: c.subject,
+            detail: `${c.author} · ${c.date}`,
+            hash: c.hash,
+            version: c.version
+          })));
+        showItems();
+        offset = page.nextOffset;
+        hasMore = page.hasMore && page.commits.length > 0;
+      }
+    };
+
+    return new Promise(resolve => {
+      picker.onDidChangeValue(showItems);
+      picker.onDidAccept(async () => {
+        const [item] = picker.selectedItems;
+        if (!item) {
+          return;
+        }
+        const hash = item.hash || (await this.gitService.getCommitByVersion(item.version, repoPath))?.hash;
+        resolve(hash);
+        picker.hide();
+      });
+      picker.onDidHide(() => {
+        isOpen = false;
+        resolve(undefined);
+        picker.dispose();
+      });
+
+      loadVersions()
+        .catch(error => this.notificationService.showError(`Failed to list versions: ${(error as Error).message}`))
+        .finally(() => {
+          picker.busy = false;
+        });
+      picker.show();
+    });
+  }
+
+  /**
+   * Open a panel listing every file that differs between two versions; each file opens a native diff
+   * The older version is always shown on the left
+   * @param firstHash One version
+   * @param secondHash The other version
+   */
+  async openComparison(firstHash: string, secondHash: string): Promise<void> {
+    const { getComparisonTemplate } = require("../views/templates/webviewTemplates");
+
+    const repoPath = await this.gitService.getRepositoryPath();
+    // Versions picked from the whole history may not be loaded in the sidebar yet
+    const [first, second] = await Promise.all([firstHash, secondHash].map(async hash =>
+      this.findCommit(hash) || await this.gitService.getCommit(hash, repoPath).catch(() => null)
+    ));
+    const [from, to] = first && second && first.version > second.version
+      ? [second, first]
+      : [first || { hash: firstHash }, second || { hash: secondHash }];
+
+    const comparison = await this.gitService.compareVersions(from.hash, to.hash, repoPath);
+    const fromLabel = this.versionLabel(from);
+    const toLabel = this.versionLabel(to);
+
+    const panel = vscode.window.createWebviewPanel(
+      constants.COMPARISON_VIEW_ID,
+      `${constants.EXTENSION_NAME}: ${fromLabel} ↔ ${toLabel}`,
+      vscode.ViewColumn.One,
+      {
+        enableScripts: true,
+        retainContextWhenHidden: true,
+      }
+    );
+
+    panel.webview.onDidReceiveMessage(async (message: WebviewMessage) => {
+      if (message.command !== 'openComparisonDiff' || !message.fileName) {
+        return;
+      }
+      try {
+        await this.notificationService.executeCommand(
+          'vscode.diff',
+          VersionContentProvider.toUri(repoPath, message.fileName, from.hash),
+          VersionContentProvider.toUri(repoPath, message.fileName, to.hash),
+          `${message.fileName} (${fromLabel} ↔ ${toLabel})`
+        );
+      } catch (error) {
+        await this.notificationService.showError(`Could not open diff: ${(error as Error).message}`);
+      }
+    });
+
+    panel.webview.html = getComparisonTemplate(
+      { hash: from.hash, label: fromLabel },
+      { hash: to.hash, label: toLabel },
+      comparison
+    );
+  }
+
+  /**
+   * Name a version the way the sidebar does, falling back to its short hash
+   * @param commit Commit with an optional version number
+   */
+  private versionLabel(commit: { hash: string; version?: number }): string {
+    return `Version ${commit.version || commit.hash.substring(0, 7)}`;
+  }
+
+  /**
+   * URI of a file in the working copy, or an empty document when it no longer exists on disk
+   * @param repoPath Repository path
+   * @param fileName Repository-relative file name
+   */
+  private async workingCopyUri(repoPath: string, fileName: string): Promise<vscode.Uri> {
+    const filePath = this.fileService.joinPath(repoPath, fileName);
+    return await this.fileService.exists(filePath)
+      ? vscode.Uri.file(filePath)
+      : VersionContentProvider.toUri(repoPath, fileName, null);
+  }
+
+  /**
+   * Send the files a backup holds uncommitted work for to the webview
+   * @param backupHash Backup commit hash
+   */
+  private async loadDiscardedFiles(backupHash: string): Promise<void> {
+    try {
+      const files = await this.gitService.getCommitFiles(backupHash);
+      this.view?.webview.postMessage({
+        command: 'showDiscardedFiles',
+        hash: backupHash,
+        files: files.map(f => ({
+          fileName: f.fileName,
+          status: f.status
+        }))
+      });
+    } catch (error) {
+      this.view?.webview.postMessage({
+        command: 'showError',
+        error: (error as Error).message
+      });
+    }
+  }
+
+  /**
+   * Open a diff of one file between the discarded work kept in a backup and the working copy
+   * @param backupHash Backup commit hash
+   * @param fileName Repository-relative file name
+   */
+  private async openDiscardedDiff(backupHash: string, fileName: string): Promise<void> {
+    const repoPath = await this.gitService.getRepositoryPath();
+
+    const workingUri = await this.workingCopyUri(repoPath, fileName);
+    await this.notificationService.executeCommand(
+      'vscode.diff',
+      VersionContentProvider.toUri(repoPath, fileName, backupHash),
+      workingUri,
+      `${fileName} (Discarded ↔ Current)`
+    );
+  }
+
+  /**
+   * Bring the discarded work kept in a backup back into the working tree
+   * @param backupHash Backup commit hash
+   */
+  private async bringBackDiscardedWork(backupHash: string): Promise<void> {
+    if (await this.hasUnsavedChanges()) {
+      const unsavedDocuments = vscode.workspace.textDocuments.filter(
+        doc => doc.isDirty && !doc.isUntitled
+      );
+
+      const shouldProceed = await this.notificationService.showUnsavedFilesWarning(unsavedDocuments);
+      if (!shouldProceed) {
+        return;
+      }
+    }
+
+    this.isRestoring = true;
+
+    try {
+      const result = await this.gitService.bringBackDiscardedWork(backupHash);
+
+      if (result.success) {
+        await this.notificationService.showInfo(constants.MESSAGES.DISCARDED_WORK_BROUGHT_BACK);
+      }
+    } catch (error) {
+      await this.notificationService.showError((error as Error).message);
+    } finally {
+      this.isRestoring = false;
+      await this.refresh();
+      await this.renderBackupsPanel();
+    }
+  }
+
+  /**
+   * Open the Backups panel, which lists the backup branches made before restores and discards
+   */
+  public async showBackups(): Promise<void> {
+    if (this.backupsPanel) {
+      this.backupsPanel.reveal();
+      await this.renderBackupsPanel();
+      return;
+    }
+
+    const panel = vscode.window.createWebviewPanel(
+      constants.BACKUPS_VIEW_ID,
+      `${constants.EXTENSION_NAME}: Backups`,
+      vscode.ViewColumn.One,
+      {
+        enableScripts: true,
+        retainContextWhenHidden: true,
+      }
+    );
+    this.backupsPanel = panel;
+    panel.onDidDispose(() => {
+      this.backupsPanel = null;
+    });
+
+    panel.webview.onDidReceiveMessage(async (message: BackupsPanelMessage) => {
+      try {
+        switch (message.command) {
+          case 'openBackupDiff':
+            if (message.hash && message.fileName) {
+              await this.openBackupDiff(message.hash, message.fileName);
+            }
+            break;
+          case 'restoreBackup':
+            if (message.branch) {
+              await this.restoreBackup(message.branch);
+            }
+            break;
+          case 'deleteBackup':
+            if (message.branch) {
+              await this.deleteBackup(message.branch);
+            }
+            break;
+        }
+      } catch (error) {
+        await this.notificationService.showError((error as Error).message);
+      }
+    });
+
+    await this.renderBackupsPanel();
+  }
+
+  /**
+   * Fill the Backups panel with the backups and what changed since each of them
+   */
+  private async renderBackupsPanel(): Promise<void> {
+    if (!this.backupsPanel) {
+      return;
+    }
+    const { getBackupsTemplate } = require("../views/templates/webviewTemplates");
+
+    try {
+      const repoPath = await this.gitService.getRepositoryPath();
+      const backups = await this.gitService.getBackups(repoPath);
+      const changes = await this.gitService.getBackupChanges(backups.map(backup => backup.branch), repoPath)
+        .catch(() => new Map());
+
+      this.backupsPanel.webview.html = getBackupsTemplate(
+        backups.map(backup => ({ ...backup, changes: changes.get(backup.branch) || null })),
+        { maxBackups: constants.BACKUP.MAX_BACKUPS, days: constants.BACKUP.RETENTION_DAYS }
+      );
+    } catch (error) {
+      this.backupsPanel.webview.html = this.getErrorTemplate((error as Error).message);
+    }
+  }
+
+  /**
+   * Open a diff of one file between a backup and the working copy
+   * @param backupHash Backup commit hash
+   * @param fileName Repository-relative file name
    */
-  private async showCommitDetails(commitHash: string): Promise<void> {
-    const commit = this.commits.find((c) => c.hash === commitHash);
-    if (!commit) {
-      throw new Error("Commit not found");
+  private async openBackupDiff(backupHash: string, fileName: string): Promise<void> {
+    const repoPath = await this.gitService.getRepositoryPath();
+
+    await this.notificationService.executeCommand(
+      'vscode.diff',
+      VersionContentProvider.toUri(repoPath, fileName, backupHash),
+      await this.workingCopyUri(repoPath, fileName),
+      `${fileName} (Backup ↔ Current)`
+    );
+  }
+
+  /**
+   * Put every file back the way it was in a backup, after asking
+   * @param branch Backup branch
+   */
+  private async restoreBackup(branch: string): Promise<void> {
+    const backup = (await this.gitService.getBackups()).find(candidate => candidate.branch === branch);
+    if (!backup) {
+      await this.notificationService.showError(`${constants.ERRORS.BACKUP_RESTORE_FAILED}: ${branch} no longer exists`);
+      await this.renderBackupsPanel();
+      return;
+    }
+
+    if (await this.hasUnsavedChanges()) {
+      const unsavedDocuments = vscode.workspace.textDocuments.filter(
+        doc => doc.isDirty && !doc.isUntitled
+      );
+
+      const shouldProceed = await this.notificationService.showUnsavedFilesWarning(unsavedDocuments);
+      if (!shouldProceed) {
+        return;
+      }
+    }
+
+    const confirmed = await this.notificationService.showConfirmation(
+      `Put every file back the way it was on ${new Date(backup.date).toLocaleString()}?\n\n` +
+      'Your files as they are now are backed up first, and the restored files show up as unsaved changes.',
+      'Restore Backup',
+      'Cancel'
+    );
+    if (!confirmed) {
+      return;
     }
 
-    const commitDetails = await this.gitService.getCommitDetails(commitHash);
-    await this.createCommitDetailsPanel(commit, commitDetails);
+    this.isRestoring = true;
+
+    try {
+      await this.gitService.restoreBackup(branch);
+      await this.notificationService.showInfo(constants.MESSAGES.BACKUP_RESTORED);
+    } catch (error) {
+      await this.notificationService.showError((error as Error).message);
+    } finally {
+      this.isRestoring = false;
+      await this.refresh();
+      await this.renderBackupsPanel();
+    }
   }
 
   /**
-   * Check for unsaved changes in the workspace
-   * @returns Promise<boolean> True if there are unsaved changes
+   * Delete a backup branch, after asking
+   * @param branch Backup branch
    */
-  private async hasUnsavedChanges(): Promise<boolean> {
-    const unsavedDocuments = vscode.workspace.textDocuments.filter(
-      doc => doc.isDirty && !doc.isUntitled
+  private async deleteBackup(branch: string): Promise<void> {
+    const confirmed = await this.notificationService.showConfirmation(
+      `Delete the backup ${branch}? It cannot be brought back.`,
+      'Delete Backup',
+      'Cancel'
     );
-    return unsavedDocuments.length > 0;
+    if (!confirmed) {
+      return;
+    }
+
+    await this.gitService.deleteBackup(branch);
+    await this.notificationService.showInfo(constants.MESSAGES.BACKUP_DELETED);
+    await this.renderBackupsPanel();
+    await this.refreshHistory();
   }
 
   /**
-   * Request restore - checks for uncommitted changes and shows modal if needed
+   * Request restore - previews the impact and asks for confirmation in a modal
    * @param commitHash Commit hash
+   * @param paths Optional files or folders to restore instead of the whole version
    */
-  private async requestRestore(commitHash: string): Promise<void> {
-    const commit = this.commits.find((c) => c.hash === commitHash);
+  private async requestRestore(commitHash: string, paths?: string[]): Promise<void> {
+    const commit = this.findCommit(commitHash);
     if (!commit) {
       await this.notificationService.showError("Commit not found");
       return;
     }
 
+    const selectedPaths = paths && paths.length > 0 ? paths : undefined;
+
     try {
       const repoPath = await this.gitService.getRepositoryPath();
-      const { hasChanges, files } = await this.gitService.getUncommittedChanges(repoPath);
-      
-      if (hasChanges || files.length > 0) {
-        // Show custom confirmation modal in webview
-        this.view?.webview.postMessage({
-          command: 'showConfirmation',
-          title: 'Confirm Version Restore',
-          message: `You have ${files.length} uncommitted change(s) that will be permanently lost.`,
-          files: files.map(f => ({
-            fileName: f.fileName,
-            status: f.status
-          })),
-          commitHash: commitHash
-        });
-      } else {
-        // No uncommitted changes, proceed directly
-        await this.restoreVersion(commitHash, true);
+      const [{ files: allFiles }, preview] = await Promise.all([
+        this.gitService.getUncommittedChanges(repoPath),
+        this.gitService.getRestorePreview(commitHash, selectedPaths || null, repoPath),
+      ]);
+      const files = selectedPaths
+        ? allFiles.filter(f => selectedPaths.some(p => f.fileName === p || f.fileName.startsWith(`${p.replace(/\/+$/, '')}/`)))
+        : allFiles;
+
+      if (preview.files.length === 0 && files.length === 0) {
+        await this.notificationService.showInfo(
+          `Your files already match version ${commit.version || commit.hash}. Nothing to restore.`
+        );
+        return;
       }
+
+      const impactParts = [
+        preview.added > 0 ? `${preview.added} added` : '',
+        preview.modified > 0 ? `${preview.modified} modified` : '',
+        preview.deleted > 0 ? `${preview.deleted} deleted` : '',
+      ].filter(Boolean);
+
+      // Show custom confirmation modal in webview with the full impact report
+      this.view?.webview.postMessage({
+        command: 'showConfirmation',
+        title: selectedPaths ? 'Confirm File Restore' : 'Confirm Version Restore',
+        message: files.length > 0
+          ? (selectedPaths
+            ? `You have ${files.length} uncommitted change(s) in the selected files that will be discarded. You can bring them back from "Recently discarded".`
+            : `You have ${files.length} uncommitted change(s) that will be discarded. You can bring them back from "Recently discarded".`)
+          : `Restoring version ${commit.version || commit.hash} will change the files listed below.`,
+        files: files.map(f => ({
+          fileName: f.fileName,
+          status: f.status
+        })),
+        impact: {
+          summary: impactParts.length > 0
+            ? `${impactParts.join(', ')} · +${preview.insertions} −${preview.deletions} lines`
+            : 'No committed files change',
+          files: preview.files.map(f => ({
+            fileName: f.fileName,
+            status: f.status,
+            insertions: f.insertions,
+            deletions: f.deletions
+          }))
+        },
+        commitHash: commitHash,
+        paths: selectedPaths
+      });
     } catch (error) {
       await this.notificationService.showError(`Error checking for changes: ${(error as Error).message}`);
     }
@@ -392,9 +1371,10 @@ export class GitHistoryWebviewProvider implements vscode.WebviewViewProvider {
    * Restore a specific version
    * @param commitHash Commit hash
    * @param skipConfirmation Skip confirmation checks
+   * @param paths Optional files or folders to restore instead of the whole version
    */
-  private async restoreVersion(commitHash: string, skipConfirmation: boolean = false): Promise<void> {
-    const commit = this.commits.find((c) => c.hash === commitHash);
+  private async restoreVersion(commitHash: string, skipConfirmation: boolean = false, paths?: string[]): Promise<void> {
+    const commit = this.findCommit(commitHash) || await this.gitService.getCommit(commitHash);
     if (!commit) {
       throw new Error("Commit not found");
     }
@@ -411,36 +1391,69 @@ export class GitHistoryWebviewProvider implements vscode.WebviewViewProvider {
       }
     }
 
+    const restorePaths = paths && paths.length > 0 ? paths : null;
+
     // Show loading spinner
     if (this.view) {
-      this.view.webview.html = this.getLoadingTemplate(`Restoring version ${commit.version || commit.hash}...`);
+      this.view.webview.html = this.getLoadingTemplate(
+        restorePaths
+          ? `Restoring ${restorePaths.length} item(s) from version ${commit.version || commit.hash}...`
+          : `Restoring version ${commit.version || commit.hash}...`
+      );
     }
 
     this.isRestoring = true;
-    const statusBar = this.notificationService.setStatusBarMessage(constants.MESSAGES.RESTORING_VERSION);
 
     try {
-      const result = await this.gitService.restoreVersion(commit, null, skipConfirmation);
+      // The progress notification's Cancel button stops git and rolls the restore back
+      const result = await this.notificationService.showProgress(
+        constants.MESSAGES.RESTORING_VERSION,
+        (_progress, token) => restorePaths
+          ? this.gitService.restorePaths(commit, restorePaths, null, skipConfirmation, token)
+          : this.gitService.restoreVersion(commit, null, skipConfirmation, token),
+        { cancellable: true }
+      );
+
+      if (result.cancelled) {
+        await this.notificationService.showInfo(result.message || constants.MESSAGES.RESTORE_CANCELLED);
+        await this.refresh();
+        return;
+      }
       
       if (!result.success) {
         await this.notificationService.showError(result.message || 'Restore failed');
         return;
       }
       
+      if (result.newCommit && result.previousCommit && result.newCommit !== result.previousCommit) {
+        const lastRestore: LastRestore = {
+          repoPath: await this.gitService.getRepositoryPath(),
+          previousCommit: result.previousCommit,
+          newCommit: result.newCommit,
+          version: commit.version || commit.hash.substring(0, 7)
+        };
+        if (result.branch) {
+          lastRestore.branch = result.branch;
+        }
+        if (result.paths) {
+          lastRestore.paths = result.paths;
+        }
+        await this.setLastRestore(lastRestore);
+      }
+
       // Show success message
       if (this.view) {
-        this.view.webview.html = this.getSuccessTemplate("Restore complete!");
+        this.view.webview.html = this.getSuccessTemplate(
+          "Restore complete!",
+          "Changed your mind? Use \"Undo restore\" in the sidebar."
+        );
         await new Promise(resolve => setTimeout(resolve, 2000));
       }
       
       // Update commits list
       if (this.view) {
-        const commits = await this.gitService.getCommits();
-        this.commits = commits;
-        this.view.webview.html = getSidebarTemplate(commits, this.uncommittedChanges);
+        await this.refresh();
       }
-      
-      statusBar.dispose();
     } catch (error) {
       if (this.view) {
         await this.refresh();
@@ -451,12 +1464,231 @@ export class GitHistoryWebviewProvider implements vscode.WebviewViewProvider {
     }
   }
 
+  /**
+   * Bring one file back to how it was in a version, asking first; used outside the sidebar, e.g. from the Timeline
+   * @param commitHash Commit hash
+   * @param fileName Repository-relative name of the file in that version
+   * @param repoPath Repository the file belongs to; it becomes the selected repository
+   */
+  public async restoreFileFromVersion(commitHash: string, fileName: string, repoPath: string): Promise<void> {
+    const commit = await this.gitService.getCommit(commitHash, repoPath);
+    const shouldRestore = await this.notificationService.showDestructiveConfirmation(
+      `Restore this file to ${this.versionLabel(commit || { hash: commitHash })}? ` +
+      'Uncommitted changes to it can be brought back from "Recently discarded".',
+      [fileName],
+      'Restore File',
+      'Cancel'
+    );
+    if (!shouldRestore) {
+      return;
+    }
+
+    if (repoPath !== await this.gitService.getRepositoryPath()) {
+      await this.setSelectedRepository(repoPath);
+    }
+    await this.restoreVersion(commitHash, true, [fileName]);
+  }
+
+  /**
+   * Pick one of the recent versions of the selected repository and restore it; used outside the sidebar
+   */
+  public async pickVersionToRestore(): Promise<void> {
+    const { commits } = await this.gitService.getCommitsPaginated({
+      offset: 0,
+      limit: constants.MAX_COMMITS_QUICKPICK
+    });
+    const items: VersionQuickPickItem[] = commits.map(c => ({
+      label: `Version ${c.version}`,
+      description: c.subject,
+      detail: `${c.author} · ${c.date}`,
+      hash: c.hash,
+      version: c.version
+    }));
+
+    const choice = await vscode.window.showQuickPick(items, {
+      placeHolder: constants.MESSAGES.SELECT_RESTORE_VERSION,
+      matchOnDescription: true
+    });
+
+    if (choice) {
+      await this.restoreVersion(choice.hash);
+    }
+  }
+
+  /**
+   * Undo the most recent restore made from the sidebar
+   */
+  public async undoLastRestore(): Promise<void> {
+    const lastRestore = this.getLastRestore();
+    if (!lastRestore) {
+      await this.notificationService.showInfo(constants.ERRORS.NOTHING_TO_UNDO);
+      return;
+    }
+
+    if (await this.hasUnsavedChanges()) {
+      const unsavedDocuments = vscode.workspace.textDocuments.filter(
+        doc => doc.isDirty && !doc.isUntitled
+      );
+
+      const shouldProceed = await this.notificationService.showUnsavedFilesWarning(unsavedDocuments);
+      if (!shouldProceed) {
+        return;
+      }
+    }
+
+    if (this.view) {
+      this.view.webview.html = this.getLoadingTemplate(`Undoing restore of version ${lastRestore.version}...`);
+    }
+
+    this.isRestoring = true;
+    const statusBar = this.notificationService.setStatusBarMessage(constants.MESSAGES.UNDOING_RESTORE);
+
+    try {
+      const result = await this.gitService.undoRestore(lastRestore, lastRestore.repoPath);
+
+      if (!result.success) {
+        await this.notificationService.showInfo(result.message || constants.ERRORS.UNDO_RESTORE_FAILED);
+        return;
+      }
+
+      await this.setLastRestore(null);
+
+      if (this.view) {
+        this.view.webview.html = this.getSuccessTemplate("Restore undone!");
+        await new Promise(resolve => setTimeout(resolve, 2000));
+      } else {
+        await this.notificationService.showInfo(constants.MESSAGES.RESTORE_UNDONE);
+      }
+    } catch (error) {
+      if ((error as Error).message === constants.ERRORS.NOTHING_TO_UNDO) {
+        await this.setLastRestore(null);
+      }
+      await this.notificationService.showError((error as Error).message);
+    } finally {
+      statusBar.dispose();
+      this.isRestoring = false;
+      await this.refresh();
+    }
+  }
+
+  /**
+   * Get the last restore that may still be undone
+   * @returns Last restore information, or null if there is none
+   */
+  private getLastRestore(): LastRestore | null {
+    return this.context.workspaceState.get<LastRestore>(LAST_RESTORE_KEY) || null;
+  }
+
+  /**
+   * Remember or forget the last restore
+   * @param restore Restore information, or null to clear it
+   */
+  private async setLastRestore(restore: LastRestore | null): Promise<void> {
+    await this.context.workspaceState.update(LAST_RESTORE_KEY, restore || undefined);
+  }
+
+  /**
+   * Get the messages of recent saves for the composer to offer again
+   * @returns Messages, newest first
+   */
+  private getRecentCommitMessages(): string[] {
+    return this.context.workspaceState.get<string[]>(RECENT_COMMIT_MESSAGES_KEY) || [];
+  }
+
+  /**
+   * Put a saved message at the top of the recent messages, keeping constants.COMMIT_COMPOSER.MAX_RECENT_MESSAGES
+   * @param message Commit message used for a save
+   */
+  private async rememberCommitMessage(message: string): Promise<void> {
+    const recentMessages = [message, ...this.getRecentCommitMessages().filter((recent) => recent !== message)]
+      .slice(0, constants.COMMIT_COMPOSER.MAX_RECENT_MESSAGES);
+    await this.context.workspaceState.update(RECENT_COMMIT_MESSAGES_KEY, recentMessages);
+  }
+
+  /**
+   * Gather what the commit message composer starts from
+   * @returns Generated message for all changes, recent messages, the latest version and unrelated areas
+   */
+  private async getComposerInfo(): Promise<CommitComposerInfo> {
+    const hasChanges = !!this.uncommittedChanges && this.uncommittedChanges.hasChanges;
+    const [suggestedMessage, areas] = await Promise.all([
+      hasChanges ? this.gitService.suggestCommitMessage().catch(() => '') : '',
+      hasChanges ? this.gitService.suggestSplit().catch(() => []) : [],
+    ]);
+    return {
+      suggestedMessage,
+      areas,
+      recentMessages: this.getRecentCommitMessages(),
+      head: this.commits[0]?.hash || '',
+      generator: this.gitService.getCommitMessageGenerator(),
+    };
+  }
+
+  /**
+   * Send the composer a message generated from only the ticked files
+   * @param paths Files ticked in the uncommitted section
+   */
+  private async suggestCommitMessage(paths: string[]): Promise<void> {
+    if (!this.view) {
+      return;
+    }
+
+    try {
+      const message = await this.gitService.suggestCommitMessage(null, paths);
+      await this.view.webview.postMessage({ command: "setSuggestedMessage", message });
+    } catch (error) {
+      console.log(`${constants.EXTENSION_NAME}: Could not suggest a commit message: ${(error as Error).message}`);
+    }
+  }
+
+  /**
+   * Send the composer a message written by the configured provider for the ticked files
+   * The provider falls back to a rule-based message when it fails
+   * @param paths Files ticked in the uncommitted section
+   */
+  private async generateCommitMessage(paths: string[]): Promise<void> {
+    if (!this.view) {
+      return;
+    }
+
+    let message = '';
+    try {
+      message = await this.gitService.suggestCommitMessage(null, paths, true);
+    } catch (error) {
+      await this.notificationService.showError((error as Error).message);
+    } finally {
+      await this.view.webview.postMessage({ command: "setGeneratedMessage", message });
+    }
+  }
+
+  /**
+   * Send the composer what the message written there breaks of the commit message rules
+   * @param message Message written in the composer
+   */
+  private async lintCommitMessage(message: string): Promise<void> {
+    if (!this.view) {
+      return;
+    }
+
+    try {
+      const result = await this.gitService.lintCommitMessage(message);
+      await this.view.webview.postMessage({ command: "setCommitLint", message, result });
+    } catch (error) {
+      console.log(`${constants.EXTENSION_NAME}: Could not check the commit message: ${(error as Error).message}`);
+    }
+  }
+
   /**
    * Create a panel to show commit details
    * @param commit Commit object
    * @param commitDetails Detailed commit information
+   * @param files Files changed in the commit, each with buttons to open a diff
    */
-  private async createCommitDetailsPanel(commit: CommitData, commitDetails: string): Promise<void> {
+  private async createCommitDetailsPanel(
+    commit: CommitData,
+    commitDetails: string,
+    files: { fileName: string; status?: string }[]
+  ): Promise<void> {
     const { getCommitDetailsTemplate } = require("../views/templates/webviewTemplates");
 
     const panel = vscode.window.createWebviewPanel(
@@ -464,12 +1696,23 @@ export class GitHistoryWebviewProvider implements vscode.WebviewViewProvider {
       `${constants.EXTENSION_NAME}: Version ${commit.version || commit.hash}`,
       vscode.ViewColumn.One,
       {
-        enableScripts: false,
+        enableScripts: true,
         retainContextWhenHidden: true,
       }
     );
 
-    panel.webview.html = getCommitDetailsTemplate(commitDataToGitCommit(commit), commitDetails);
+    panel.webview.onDidReceiveMessage(async (message: WebviewMessage) => {
+      if (message.command !== 'openVersionDiff' || !message.hash || !message.fileName) {
+        return;
+      }
+      try {
+        await this.openVersionDiff(message.hash, message.fileName, (message as OpenVersionDiffMessage).against);
+      } catch (error) {
+        await this.notificationService.showError(`Could not open diff: ${(error as Error).message}`);
+      }
+    });
+
+    panel.webview.html = getCommitDetailsTemplate(commit, commitDetails, null, files);
   }
 
   /**
@@ -489,7 +1732,7 @@ export class GitHistoryWebviewProvider implements vscode.WebviewViewProvider {
       this.view?.webview.postMessage({
         command: 'showDiscardConfirmation',
         title: 'Confirm Discard Changes',
-        message: `You are about to permanently discard ${files.length} uncommitted change(s).`,
+        message: `You are about to discard ${files.length} uncommitted change(s). You can bring them back from "🗂️ Recently discarded" in the TimeLad sidebar.`,
         files: files.map(f => ({
           fileName: f.fileName,
           status: f.status
@@ -549,19 +1792,24 @@ export class GitHistoryWebviewProvider implements vscode.WebviewViewProvider {
   /**
    * Save uncommitted changes
    */
-  private async saveChanges(options: SaveChangesOptions = {}): Promise<void> {
+  public async saveChanges(options: SaveChangesOptions = {}): Promise<void> {
     if (options.discard) {
       await this.discardChanges();
       return;
     }
 
+    const paths = options.paths && options.paths.length > 0 ? options.paths : null;
+
     // Show loading spinner
     if (this.view) {
-      this.view.webview.html = this.getLoadingTemplate("Saving changes...");
+      this.view.webview.html = this.getLoadingTemplate(
+        paths ? `Saving ${paths.length} selected file(s)...` : "Saving changes..."
+      );
     }
 
     try {
-      const commitMessage = await this.gitService.saveChanges();
+      const commitMessage = await this.gitService.saveChanges(null, paths, options.message || null);
+      await this.rememberCommitMessage(commitMessage);
 
       // Show success message
       if (this.view) {
@@ -584,10 +1832,11 @@ export class GitHistoryWebviewProvider implements vscode.WebviewViewProvider {
         await this.refresh();
       }
       
-      if ((error as Error).message === constants.MESSAGES.NO_UNCOMMITTED_CHANGES) {
-        await this.notificationService.showInfo((error as Error).message);
+      const message = (error as Error).message;
+      if (message === constants.MESSAGES.NO_UNCOMMITTED_CHANGES || message === constants.MESSAGES.NO_FILES_SELECTED) {
+        await this.notificationService.showInfo(message);
       } else {
-        await this.notificationService.showError(`Failed to save changes: ${(error as Error).message}`);
+        await this.notificationService.showError(`Failed to save changes: ${message}`);
       }
     }
   }
@@ -713,35 +1962,18 @@ export class GitHistoryWebviewProvider implements vscode.WebviewViewProvider {
         return;
       }
 
-      // Reset pagination state on refresh
-      this.resetPaginationState();
-
-      const [paginatedResult, uncommittedChanges] = await Promise.all([
-        this.gitService.getCommitsPaginated({
-          offset: 0,
-          limit: constants.PROGRESSIVE_LOADING.INITIAL_LOAD_SIZE
-        }),
-        this.gitService.getUncommittedChanges(),
-      ]);
-
-      this.commits = paginatedResult.commits;
-      this.uncommittedChanges = uncommittedChanges;
-      
-      // Update pagination state
-      this.paginationState.currentOffset = paginatedResult.nextOffset;
-      this.paginationState.hasMore = paginatedResult.hasMore;
-      this.paginationState.totalCount = paginatedResult.totalCount;
-
-      const paginationInfo: PaginationInfo = {
-        hasMore: this.paginationState.hasMore,
-        totalCount: this.paginationState.totalCount,
-        showingCount: this.commits.length
-      };
-
+      const state = await this.loadSidebarState();
       this.view.webview.html = getSidebarTemplate(
         this.commits, 
         this.uncommittedChanges, 
-        paginationInfo
+        state.paginationInfo,
+        state.lastRestore,
+        state.discardedWork,
+        state.repositoryInfo,
+        state.fileHistory,
+        state.baseline,
+        this.autosaves,
+        state.composer
       );
     } catch (error) {
       console.error(`${constants.EXTENSION_NAME}: Error refreshing commits:`, error);
@@ -750,6 +1982,106 @@ export class GitHistoryWebviewProvider implements vscode.WebviewViewProvider {
     }
   }
 
+  /**
+   * Load the first page of versions and everything else the sidebar shows for the selected repository
+   * @returns Sidebar state; commits, uncommitted changes and autosaves are stored on the provider
+   */
+  private async loadSidebarState(): Promise<SidebarState> {
+    // Reset pagination state on refresh
+    this.resetPaginationState();
+
+    const [paginatedResult, uncommittedChanges, discardedWork, autosaves, repositories, selectedPath] = await Promise.all([
+      this.gitService.getCommitsPaginated({
+        offset: 0,
+        limit: constants.PROGRESSIVE_LOADING.INITIAL_LOAD_SIZE
+      }),
+      this.gitService.getUncommittedChanges(),
+      this.gitService.getDiscardedWork().catch(() => []),
+      this.gitService.getAutosaves().catch(() => []),
+      this.gitService.findRepositories().catch(() => []),
+      this.gitService.getRepositoryPath(),
+    ]);
+    const fileHistory = await this.loadFileHistory(selectedPath);
+
+    this.commits = paginatedResult.commits;
+    this.uncommittedChanges = uncommittedChanges;
+    this.autosaves = autosaves;
+    
+    // Update pagination state
+    this.paginationState.currentOffset = paginatedResult.nextOffset;
+    this.paginationState.hasMore = paginatedResult.hasMore;
+    this.paginationState.totalCount = paginatedResult.totalCount;
+
+    const paginationInfo: PaginationInfo = {
+      hasMore: this.paginationState.hasMore,
+      totalCount: this.paginationState.totalCount,
+      showingCount: this.commits.length
+    };
+
+    // Forget the last restore once it can no longer be undone (e.g. after switching branches)
+    let lastRestore = this.getLastRestore();
+    if (lastRestore && !(await this.gitService.canUndoRestore(lastRestore, lastRestore.repoPath))) {
+      await this.setLastRestore(null);
+      lastRestore = null;
+    }
+
+    const baseline = this.baselineProvider?.getBaseline() || null;
+
+    return {
+      paginationInfo,
+      lastRestore: lastRestore && lastRestore.repoPath === selectedPath ? lastRestore : null,
+      discardedWork,
+      repositoryInfo: { repositories, selectedPath },
+      fileHistory,
+      baseline: baseline && baseline.repoPath === selectedPath ? baseline : null,
+      composer: await this.getComposerInfo(),
+    };
+  }
+
+  /**
+   * Reload the version list, the lanes above it and the uncommitted section in place,
+   * keeping the filter, the repository picker and any open dialog as they are
+   */
+  private async refreshHistory(): Promise<void> {
+    if (!this.view) {
+      return;
+    }
+
+    this.gitService.clearCache();
+    const state = await this.loadSidebarState();
+    await this.view.webview.postMessage({
+      command: "updateSections",
+      sections: getSidebarSections(
+        this.commits,
+        this.uncommittedChanges,
+        state.paginationInfo,
+        state.lastRestore,
+        state.discardedWork,
+        state.fileHistory,
+        state.baseline,
+        this.autosaves,
+        state.composer
+      ),
+    });
+  }
+
+  /**
+   * Reload only the uncommitted section after files were edited or staged
+   */
+  private async refreshUncommittedChanges(): Promise<void> {
+    if (!this.view) {
+      return;
+    }
+
+    this.uncommittedChanges = await this.gitService.getUncommittedChanges();
+    const composer = await this.getComposerInfo();
+    const { uncommittedRegion } = getSidebarSections([], this.uncommittedChanges, undefined, null, [], null, null, [], composer);
+    await this.view.webview.postMessage({
+      command: "updateSections",
+      sections: { uncommittedRegion },
+    });
+  }
+
   /**
    * Get loading template
    * @param message Loading message
@@ -882,8 +2214,8 @@ export class GitHistoryWebviewProvider implements vscode.WebviewViewProvider {
           <circle class="checkmark__circle" cx="26" cy="26" r="25" fill="none"/>
           <path class="checkmark__check" fill="none" d="M14.1 27.2l7.1 7.2 16.7-16.8"/>
         </svg>
-        <div class="message success">${title}</div>
-        ${subtitle ? `<div class="subtitle">${subtitle}</div>` : ''}
+        <div class="message success">${escapeHtml(title)}</div>
+        ${subtitle ? `<div class="subtitle">${escapeHtml(subtitle)}</div>` : ''}
       </body>
       </html>
     `;
@@ -929,7 +2261,7 @@ export class GitHistoryWebviewProvider implements vscode.WebviewViewProvider {
       </head>
       <body>
         <h2>⚠️ Error Loading History</h2>
-        <div class="error">${errorMessage}</div>
+        <div class="error">${escapeHtml(errorMessage)}</div>
         <button class="retry-btn" onclick="refreshHistory()">🔄 Try Again</button>
         <script>
           const vscode = acquireVsCodeApi();
@@ -1231,9 +2563,20 @@ export class GitHistoryWebviewProvider implements vscode.WebviewViewProvider {
    */
   dispose(): void {
     this.isDisposed = true;
-    if (this.repositoryWatcher) {
+    if (this.repositoryChangeListener) {
+      this.repositoryChangeListener.dispose();
+      this.repositoryChangeListener = null;
+    }
+    if (this.ownsRepositoryWatcher) {
       this.repositoryWatcher.dispose();
-      this.repositoryWatcher = null;
+    }
+    if (this.activeEditorListener) {
+      this.activeEditorListener.dispose();
+      this.activeEditorListener = null;
+    }
+    if (this.baselineListener) {
+      this.baselineListener.dispose();
+      this.baselineListener = null;
     }
     console.log(`${constants.EXTENSION_NAME}: GitHistoryWebviewProvider disposed`);
   }
@@ -0,0 +1,132 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { GitService } from '../services/GitService';
+import { NotificationService } from '../services/NotificationService';
+import { RepositoryWatcher } from '../services/RepositoryWatcher';
+import { GitHistoryWebviewProvider } from './GitHistoryWebviewProvider';
+import * as constants from '../constants';
+
+interface QuickMenuItem extends vscode.QuickPickItem {
+  run: () => Promise<unknown>;
+}
+
+/**
+ * Keeps the branch, version number and unsaved change count of the selected repository in the status bar
+ * Clicking the item opens a menu of quick actions
+ */
+export class StatusBarProvider implements vscode.Disposable {
+  private readonly item: vscode.StatusBarItem;
+  private readonly disposables: vscode.Disposable[] = [];
+  private unsavedCount = 0;
+  // Updates can overlap; only the latest one may change the item
+  private updateGeneration = 0;
+
+  constructor(
+    private readonly gitService: GitService,
+    private readonly historyProvider: GitHistoryWebviewProvider,
+    repositoryWatcher: RepositoryWatcher,
+    private readonly notificationService: NotificationService = new NotificationService()
+  ) {
+    this.item = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 100);
+    this.item.name = constants.EXTENSION_NAME;
+    this.item.command = constants.COMMANDS.SHOW_QUICK_MENU;
+
+    this.disposables.push(
+      this.item,
+      repositoryWatcher.onDidChange(() => this.update()),
+      gitService.onDidChangeSelectedRepository(() => this.update())
+    );
+    this.update();
+  }
+
+  /**
+   * Show the current state of the selected repository, or hide the item when there is no repository
+   */
+  async update(): Promise<void> {
+    const generation = ++this.updateGeneration;
+
+    let repoPath: string;
+    try {
+      repoPath = await this.gitService.getRepositoryPath();
+    } catch (error) {
+      if (generation === this.updateGeneration) {
+        this.item.hide();
+      }
+      return;
+    }
+
+    try {
+      const [{ branch, version }, changes] = await Promise.all([
+        this.gitService.getCurrentBranchInfo(repoPath),
+        this.gitService.getUncommittedChanges(repoPath),
+      ]);
+      if (generation !== this.updateGeneration) {
+        return;
+      }
+
+      this.unsavedCount = changes.files.length;
+      const unsaved = `${this.unsavedCount} unsaved change${this.unsavedCount === 1 ? '' : 's'}`;
+      const position = version === null
+        ? 'No versions yet'
+        : `${branch || 'Detached'} · Version ${version}`;
+
+      this.item.text = `$(history) ${position}${this.unsavedCount > 0 ? `  $(pencil) ${this.unsavedCount}` : ''}`;
+      this.item.tooltip = [
+        `${constants.EXTENSION_NAME}: ${path.basename(repoPath)}`,
+        version === null ? 'No versions yet' : `Version ${version}${branch ? ` on ${branch}` : ' (detached)'}`,
+        unsaved,
+        'Click for quick actions',
+      ].join('\n');
+      this.item.show();
+    } catch (error) {
+      console.log(`${constants.EXTENSION_NAME}: Could not update the status bar: ${(error as Error).message}`);
+    }
+  }
+
+  /**
+   * Offer saving, restoring and opening the sidebar
+   */
+  async showQuickMenu(): Promise<void> {
+    const items: QuickMenuItem[] = [
+      {
+        label: '$(save) Save',
+        description: this.unsavedCount > 0
+          ? `Save ${this.unsavedCount} unsaved change${this.unsavedCount === 1 ? '' : 's'} as a new version`
+          : 'Nothing to save',
+        run: () => this.historyProvider.saveChanges(),
+      },
+      {
+        label: '$(discard) Restore…',
+        description: 'Go back to an earlier version',
+        run: () => this.historyProvider.pickVersionToRestore(),
+      },
+      {
+        label: '$(archive) Backups',
+        description: 'Files as they were before a restore or discard',
+        run: () => this.historyProvider.showBackups(),
+      },
+      {
+        label: '$(history) Show history',
+        description: 'Open the TimeLad sidebar',
+        run: () => this.notificationService.executeCommand(`${constants.SIDEBAR_VIEW_ID}.focus`),
+      },
+    ];
+
+    const choice = await vscode.window.showQuickPick(items, { placeHolder: constants.EXTENSION_NAME });
+    if (!choice) {
+      return;
+    }
+
+    try {
+      await choice.run();
+    } catch (error) {
+      await this.notificationService.showError((error as Error).message);
+    } finally {
+      await this.update();
+    }
+  }
+
+  dispose(): void {
+    this.disposables.forEach((disposable) => disposable.dispose());
+  }
+}
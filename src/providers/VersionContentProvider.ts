@@ -0,0 +1,47 @@
+import * as vscode from 'vscode';
+import { GitService } from '../services/GitService';
+import * as constants from '../constants';
+
+interface VersionUriQuery {
+  repoPath: string;
+  fileName: string;
+  ref: string | null;
+}
+
+/**
+ * Serves file contents at any version under the `timelad:` scheme so they can be opened in native diff editors
+ * Unlike the Git extension's `git:` URIs this works before the Git extension is ready and for any repository TimeLad shows
+ */
+export class VersionContentProvider implements vscode.TextDocumentContentProvider {
+  constructor(private readonly gitService: GitService) {}
+
+  /**
+   * Build a URI for a file as it was in a version
+   * @param repoPath Repository path
+   * @param fileName Repository-relative file name
+   * @param ref Commit hash or ref, or null for an empty document (the missing side of an added or deleted file)
+   * @returns URI that this provider resolves
+   */
+  static toUri(repoPath: string, fileName: string, ref: string | null): vscode.Uri {
+    const query: VersionUriQuery = { repoPath, fileName, ref };
+    return vscode.Uri.from({
+      scheme: constants.VERSION_URI_SCHEME,
+      // Keep the real path so the editor picks the right language and shows the file name
+      path: `${repoPath.replace(/\\/g, '/')}/${fileName}`.replace(/^\/*/, '/'),
+      query: JSON.stringify(query),
+    });
+  }
+
+  /**
+   * Read the file contents for a `timelad:` URI
+   * @param uri URI built by toUri
+   * @returns File contents at that version
+   */
+  async provideTextDocumentContent(uri: vscode.Uri): Promise<string> {
+    const { repoPath, fileName, ref } = JSON.parse(uri.query) as VersionUriQuery;
+    if (!ref) {
+      return '';
+    }
+    return this.gitService.getFileContent(ref, fileName, repoPath);
+  }
+}
@@ -0,0 +1,189 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { GitService, FileHistoryCommit } from '../services/GitService';
+import { NotificationService } from '../services/NotificationService';
+import { GitHistoryWebviewProvider } from './GitHistoryWebviewProvider';
+import { VersionContentProvider } from './VersionContentProvider';
+import {
+  Timeline,
+  TimelineChangeEvent,
+  TimelineItem,
+  TimelineOptions,
+  TimelineProvider,
+} from '../types';
+import * as constants from '../constants';
+
+interface TimelineEntry {
+  repoPath: string;
+  hash: string;
+  version: number;
+  /** Name of the file in this version */
+  fileName: string;
+  /** Name of the file today */
+  currentFileName: string;
+  /** Previous version of the file and its name there, or null for the version that added it */
+  previousHash: string | null;
+  previousFileName: string | null;
+}
+
+const TIMELINE_ITEM_CONTEXT = 'timelad:version';
+
+/**
+ * Feeds the TimeLad versions of a file into the Explorer's Timeline view
+ * Items reuse the version numbers, diffs, restore and details panel of the sidebar
+ */
+export class VersionTimelineProvider implements TimelineProvider, vscode.Disposable {
+  readonly id = 'timelad';
+  readonly label = 'TimeLad';
+
+  private readonly changeEmitter = new vscode.EventEmitter<TimelineChangeEvent | undefined>();
+  readonly onDidChange = this.changeEmitter.event;
+
+  // Timeline commands receive the item and the file's URI; look the rest up here
+  private readonly entries = new Map<string, TimelineEntry>();
+  private readonly disposables: vscode.Disposable[] = [];
+
+  constructor(
+    private readonly gitService: GitService,
+    private readonly historyProvider: GitHistoryWebviewProvider,
+    private readonly notificationService: NotificationService = new NotificationService()
+  ) {
+    // New versions, restores and branch switches all rewrite the index
+    const indexWatcher = vscode.workspace.createFileSystemWatcher('**/.git/index');
+    indexWatcher.onDidChange(() => this.changeEmitter.fire(undefined));
+    indexWatcher.onDidCreate(() => this.changeEmitter.fire(undefined));
+    this.disposables.push(indexWatcher, this.changeEmitter);
+  }
+
+  /**
+   * List the versions that changed a file, newest first
+   * @param uri File shown in the Timeline view
+   * @param options Paging requested by the Timeline view
+   * @returns Timeline items, or no items for files outside a repository
+   */
+  async provideTimeline(uri: vscode.Uri, options: TimelineOptions): Promise<Timeline> {
+    const repositories = await this.gitService.findRepositories();
+    const repoPath = this.gitService.getRepositoryForFile(uri.fsPath, repositories);
+    if (!repoPath) {
+      return { items: [] };
+    }
+
+    const currentFileName = path.relative(repoPath, uri.fsPath).replace(/\\/g, '/');
+    let history: FileHistoryCommit[];
+    try {
+      history = await this.gitService.getFileHistory(currentFileName, repoPath);
+    } catch (error) {
+      // Files in a repository without any versions yet have no history
+      console.log(`TimeLad: No timeline for ${currentFileName}: ${(error as Error).message}`);
+      return { items: [] };
+    }
+
+    const start = options.cursor ? parseInt(options.cursor, 10) || 0 : 0;
+    const end = typeof options.limit === 'number' ? start + options.limit : history.length;
+    const items = history.slice(start, end).map((commit, index) => {
+      const previous = history[start + index + 1];
+      const entry: TimelineEntry = {
+        repoPath,
+        hash: commit.hash,
+        version: commit.version,
+        fileName: commit.fileName,
+        currentFileName,
+        previousHash: previous ? previous.hash : null,
+        previousFileName: previous ? previous.fileName : null,
+      };
+      this.entries.set(this.entryKey(uri, commit.hash), entry);
+
+      const item: TimelineItem = {
+        id: commit.hash,
+        timestamp: Date.parse(commit.author_date || commit.date) || 0,
+        label: commit.subject,
+        description: `Version ${commit.version} · ${commit.author}`,
+        tooltip: `Version ${commit.version}\n${commit.author} · ${commit.date}\n\n${commit.message}`,
+        iconPath: new vscode.ThemeIcon('history'),
+        contextValue: TIMELINE_ITEM_CONTEXT,
+      };
+      item.command = {
+        title: 'Open Changes',
+        command: constants.COMMANDS.TIMELINE_OPEN_CHANGES,
+        arguments: [item, uri],
+      };
+      return item;
+    });
+
+    return {
+      items,
+      paging: { cursor: end < history.length ? String(end) : undefined },
+    };
+  }
+
+  /**
+   * Show what a version changed in the file, against the version of the file before it
+   * @param item Timeline item
+   * @param uri File shown in the Timeline view
+   */
+  async openChanges(item: TimelineItem, uri: vscode.Uri): Promise<void> {
+    const entry = this.getEntry(item, uri);
+    await this.notificationService.executeCommand(
+      'vscode.diff',
+      VersionContentProvider.toUri(entry.repoPath, entry.previousFileName || entry.fileName, entry.previousHash),
+      VersionContentProvider.toUri(entry.repoPath, entry.fileName, entry.hash),
+      `${entry.fileName} (Previous ↔ Version ${entry.version})`
+    );
+  }
+
+  /**
+   * Compare the file in a version with the file on disk
+   * @param item Timeline item
+   * @param uri File shown in the Timeline view
+   */
+  async compareWithCurrent(item: TimelineItem, uri: vscode.Uri): Promise<void> {
+    const entry = this.getEntry(item, uri);
+    await this.notificationService.executeCommand(
+      'vscode.diff',
+      VersionContentProvider.toUri(entry.repoPath, entry.fileName, entry.hash),
+      uri,
+      `${entry.currentFileName} (Version ${entry.version} ↔ Current)`
+    );
+  }
+
+  /**
+   * Bring the file back to how it was in a version
+   * @param item Timeline item
+   * @param uri File shown in the Timeline view
+   */
+  async restoreFile(item: TimelineItem, uri: vscode.Uri): Promise<void> {
+    const entry = this.getEntry(item, uri);
+    await this.historyProvider.restoreFileFromVersion(entry.hash, entry.fileName, entry.repoPath);
+  }
+
+  /**
+   * Open the details panel of a version
+   * @param item Timeline item
+   * @param uri File shown in the Timeline view
+   */
+  async openDetails(item: TimelineItem, uri: vscode.Uri): Promise<void> {
+    const entry = this.getEntry(item, uri);
+    await this.historyProvider.showVersionDetails(entry.hash, entry.repoPath);
+  }
+
+  dispose(): void {
+    this.disposables.forEach((disposable) => disposable.dispose());
+    this.entries.clear();
+  }
+
+  private entryKey(uri: vscode.Uri, hash: string): string {
+    return `${uri.toString()}\0${hash}`;
+  }
+
+  /**
+   * Find what the Timeline item stands for
+   * @throws Error when the Timeline has not listed the item (e.g. after a reload)
+   */
+  private getEntry(item: TimelineItem, uri: vscode.Uri): TimelineEntry {
+    const entry = item.id ? this.entries.get(this.entryKey(uri, item.id)) : undefined;
+    if (!entry) {
+      throw new Error('Version not found. Refresh the Timeline view and try again.');
+    }
+    return entry;
+  }
+}
@@ -0,0 +1,155 @@
+import * as vscode from 'vscode';
+import { GitService } from './GitService';
+import { NotificationService } from './NotificationService';
+import * as constants from '../constants';
+
+interface AutosaveSettings {
+    onSave: boolean;
+    intervalMinutes: number;
+    retentionDays: number;
+    maxAutosaves: number;
+}
+
+/**
+ * Service for opt-in automatic checkpoints of the working tree
+ * Captures files on save and/or on a timer into TimeLad autosave refs, never onto the user's branch or index
+ */
+export class AutosaveService implements vscode.Disposable {
+    private readonly disposables: vscode.Disposable[] = [];
+    private readonly pendingRepositories = new Set<string>();
+    private readonly runningRepositories = new Set<string>();
+    private saveTimer: NodeJS.Timeout | null = null;
+    private intervalTimer: NodeJS.Timeout | null = null;
+
+    constructor(
+        private readonly gitService: GitService,
+        private readonly notificationService: NotificationService = new NotificationService()
+    ) {
+        this.disposables.push(
+            vscode.workspace.onDidSaveTextDocument((document) => this.onDocumentSaved(document)),
+            vscode.workspace.onDidChangeConfiguration((event) => {
+                if (event.affectsConfiguration('timelad.autosave')) {
+                    this.scheduleInterval();
+                }
+            })
+        );
+        this.scheduleInterval();
+    }
+
+    /**
+     * Read the autosave settings
+     */
+    getSettings(): AutosaveSettings {
+        const config = vscode.workspace.getConfiguration('timelad');
+        return {
+            onSave: config.get<boolean>('autosave.onSave', false),
+            intervalMinutes: config.get<number>('autosave.intervalMinutes', 0),
+            retentionDays: config.get<number>('autosave.retentionDays', constants.AUTOSAVE.RETENTION_DAYS),
+            maxAutosaves: config.get<number>('autosave.maxAutosaves', constants.AUTOSAVE.MAX_AUTOSAVES),
+        };
+    }
+
+    /**
+     * Capture an autosave of a repository and drop autosaves past the retention settings
+     * Runs at most once at a time per repository; a request while one is running is skipped
+     * @param repoPath Repository path
+     * @param reason Short description of what triggered the autosave
+     * @returns True if an autosave was taken, false if nothing changed or one was already running
+     */
+    async autosave(repoPath: string, reason: string): Promise<boolean> {
+        if (this.runningRepositories.has(repoPath)) {
+            return false;
+        }
+
+        this.runningRepositories.add(repoPath);
+        try {
+            const autosave = await this.gitService.createAutosave(repoPath, reason);
+            const { retentionDays, maxAutosaves } = this.getSettings();
+            await this.gitService.pruneAutosaves(repoPath, retentionDays, maxAutosaves);
+
+            if (autosave) {
+                this.notificationService.setStatusBarMessage('$(check) TimeLad: Autosaved', 3000);
+            }
+            return autosave !== null;
+        } finally {
+            this.runningRepositories.delete(repoPath);
+        }
+    }
+
+    dispose(): void {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        if (this.intervalTimer) {
+            clearInterval(this.intervalTimer);
+            this.intervalTimer = null;
+        }
+        this.disposables.forEach((disposable) => disposable.dispose());
+    }
+
+    /**
+     * Queue an autosave of the saved file's repository; "Save All" results in one autosave per repository
+     * @param document Saved document
+     */
+    private async onDocumentSaved(document: vscode.TextDocument): Promise<void> {
+        if (!this.getSettings().onSave || document.uri.scheme !== 'file') {
+            return;
+        }
+
+        try {
+            const repositories = await this.gitService.findRepositories();
+            const repoPath = this.gitService.getRepositoryForFile(document.uri.fsPath, repositories);
+            if (!repoPath) {
+                return;
+            }
+            this.pendingRepositories.add(repoPath);
+        } catch (error) {
+            console.log(`TimeLad: Could not find the repository of a saved file: ${(error as Error).message}`);
+            return;
+        }
+
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+        }
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            const repoPaths = [...this.pendingRepositories];
+            this.pendingRepositories.clear();
+            repoPaths.forEach((repoPath) => this.runInBackground(repoPath, 'Autosave on save'));
+        }, constants.AUTOSAVE.SAVE_DELAY);
+    }
+
+    /**
+     * Start, restart or stop the timer according to timelad.autosave.intervalMinutes
+     */
+    private scheduleInterval(): void {
+        if (this.intervalTimer) {
+            clearInterval(this.intervalTimer);
+            this.intervalTimer = null;
+        }
+
+        const { intervalMinutes } = this.getSettings();
+        if (!intervalMinutes || intervalMinutes <= 0) {
+            return;
+        }
+
+        this.intervalTimer = setInterval(async () => {
+            const repoPath = await this.gitService.getRepositoryPath().catch(() => null);
+            if (repoPath) {
+                this.runInBackground(repoPath, `Autosave every ${intervalMinutes} minute${intervalMinutes === 1 ? '' : 's'}`);
+            }
+        }, intervalMinutes * 60 * 1000);
+    }
+
+    /**
+     * Autosave without interrupting the user; failures are only logged
+     * @param repoPath Repository path
+     * @param reason Short description of what triggered the autosave
+     */
+    private runInBackground(repoPath: string, reason: string): void {
+        this.autosave(repoPath, reason).catch((error) => {
+            console.error(`${constants.EXTENSION_NAME}: ${(error as Error).message}`);
+        });
+    }
+}
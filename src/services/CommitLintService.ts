@@ -0,0 +1,452 @@
+import * as fs from 'fs';
+import * as path from 'path';
+
+/** What happens to a message that breaks the rules: nothing, a warning, or no save */
+export type CommitLintMode = 'off' | 'warn' | 'block';
+
+/** commitlint levels 1 and 2; only errors block a save */
+export type CommitLintSeverity = 'warning' | 'error';
+
+export interface CommitLintRule<T> {
+    severity: CommitLintSeverity;
+    value: T;
+}
+
+/** Rules a commit message is checked against; null turns a rule off */
+export interface CommitLintRules {
+    /** Allowed conventional commit types (type-enum) */
+    types: CommitLintRule<string[]> | null;
+    /** The summary starts with a type (type-empty: never) */
+    typeRequired: CommitLintRule<true> | null;
+    /** Longest summary line (header-max-length) */
+    headerMaxLength: CommitLintRule<number> | null;
+    /** Longest line of the details (body-max-line-length) */
+    bodyMaxLineLength: CommitLintRule<number> | null;
+    /** The message mentions a ticket (references-empty: never) */
+    ticketRequired: CommitLintRule<true> | null;
+    forbiddenWords: CommitLintRule<string[]> | null;
+    /** Regular expression a ticket reference matches */
+    ticketPattern: string;
+}
+
+/** Rules set by a commitlint configuration in the repository */
+export interface CommitLintConfig {
+    /** Configuration file, relative to the repository */
+    source: string;
+    rules: Partial<CommitLintRules>;
+}
+
+/** A change that makes a message keep a rule */
+export interface CommitLintFix {
+    label: string;
+    /** Whole message with the fix applied */
+    message: string;
+}
+
+export interface CommitLintViolation {
+    /** commitlint name of the broken rule, or forbidden-words */
+    rule: string;
+    severity: CommitLintSeverity;
+    message: string;
+    fix: CommitLintFix | null;
+}
+
+export interface CommitLintResult {
+    mode: CommitLintMode;
+    violations: CommitLintViolation[];
+    /** True when saving the message is refused */
+    blocked: boolean;
+    /** commitlint configuration the rules come from, or null when they come from the settings */
+    source: string | null;
+}
+
+export const DEFAULT_TICKET_PATTERN = '[A-Z][A-Z0-9]+-\\d+|#\\d+';
+
+export const DEFAULT_COMMIT_LINT_RULES: CommitLintRules = {
+    types: null,
+    typeRequired: null,
+    headerMaxLength: { severity: 'error', value: 72 },
+    bodyMaxLineLength: { severity: 'error', value: 100 },
+    ticketRequired: null,
+    forbiddenWords: { severity: 'error', value: ['WIP'] },
+    ticketPattern: DEFAULT_TICKET_PATTERN,
+};
+
+// Same order as commitlint looks for them
+const CONFIG_FILES = [
+    'package.json',
+    '.commitlintrc', '.commitlintrc.json', '.commitlintrc.yaml', '.commitlintrc.yml',
+    '.commitlintrc.js', '.commitlintrc.cjs', '.commitlintrc.mjs', '.commitlintrc.ts', '.commitlintrc.cts',
+    'commitlint.config.js', 'commitlint.config.cjs', 'commitlint.config.mjs', 'commitlint.config.ts', 'commitlint.config.cts',
+];
+
+const KNOWN_RULES = ['type-enum', 'type-empty', 'header-max-length', 'body-max-line-length', 'references-empty'];
+
+// What @commitlint/config-conventional checks, as far as these rules go
+const CONVENTIONAL_RULES: Partial<CommitLintRules> = {
+    types: {
+        severity: 'error',
+        value: ['build', 'chore', 'ci', 'docs', 'feat', 'fix', 'perf', 'refactor', 'revert', 'style', 'test'],
+    },
+    typeRequired: { severity: 'error', value: true },
+    headerMaxLength: { severity: 'error', value: 100 },
+    bodyMaxLineLength: { severity: 'error', value: 100 },
+};
+
+// Types people write, or the generator uses, for the conventional ones
+const TYPE_ALIASES: Record<string, string> = {
+    feature: 'feat', bugfix: 'fix', hotfix: 'fix', bug: 'fix', doc: 'docs', tests: 'test', styles: 'style',
+    refactoring: 'refactor', performance: 'perf', config: 'chore', deps: 'build', release: 'chore',
+};
+
+const HEADER_PATTERN = /^(\w+)(?:\(([^)]*)\))?(!)?:\s*/;
+
+/**
+ * Checks commit messages against rules from the settings or the repository's commitlint configuration,
+ * and works out quick fixes for what breaks them
+ */
+export class CommitLintService {
+    /**
+     * Read the repository's commitlint configuration
+     * JavaScript and TypeScript configurations are read as text rather than run, so only rules written out
+     * as literals are picked up
+     * @param repoPath Repository path
+     * @returns Rules the first configuration found sets, or null when there is none
+     */
+    async readConfig(repoPath: string): Promise<CommitLintConfig | null> {
+        for (const fileName of CONFIG_FILES) {
+            let text: string;
+            try {
+                text = await fs.promises.readFile(path.join(repoPath, fileName), 'utf8');
+            } catch (error) {
+                continue;
+            }
+
+            let config: any;
+            try {
+                config = JSON.parse(text);
+            } catch (error) {
+                config = fileName === 'package.json' ? null : this.scanConfig(text);
+            }
+            if (fileName === 'package.json') {
+                config = config?.commitlint;
+            }
+
+            if (config && typeof config === 'object') {
+                return { source: fileName, rules: this.toRules(config) };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check a commit message
+     * @param message Commit message
+     * @param rules Rules to check against
+     * @param ticket Ticket the current branch is for, offered as a fix when the message needs one
+     * @returns Broken rules, each with a fix when there is an obvious one
+     */
+    lint(message: string, rules: CommitLintRules, ticket: string | null = null): CommitLintViolation[] {
+        const { header, body } = this.split(message);
+        const violations: CommitLintViolation[] = [];
+        const match = HEADER_PATTERN.exec(header);
+
+        if (rules.typeRequired && !match) {
+            const type = rules.types?.value.includes('chore') || !rules.types ? 'chore' : rules.types.value[0] || 'chore';
+            violations.push({
+                rule: 'type-empty',
+                severity: rules.typeRequired.severity,
+                message: 'Start the summary with a type, like "feat: " or "fix: "',
+                fix: { label: `Start with "${type}: "`, message: this.join(`${type}: ${header}`, body) },
+            });
+        }
+
+        if (rules.types && match && !rules.types.value.includes(match[1]!)) {
+            const type = this.closestType(match[1]!, rules.types.value);
+            violations.push({
+                rule: 'type-enum',
+                severity: rules.types.severity,
+                message: `"${match[1]}" is not an allowed type; use one of ${rules.types.value.join(', ')}`,
+                fix: type ? { label: `Use "${type}"`, message: this.join(type + header.slice(match[1]!.length), body) } : null,
+            });
+        }
+
+        if (rules.headerMaxLength && header.length > rules.headerMaxLength.value) {
+            violations.push({
+                rule: 'header-max-length',
+                severity: rules.headerMaxLength.severity,
+                message: `The summary is ${header.length} characters long; keep it within ${rules.headerMaxLength.value}`,
+                fix: this.shortenHeader(header, body, rules.headerMaxLength.value, match),
+            });
+        }
+
+        if (rules.bodyMaxLineLength) {
+            const maxLength = rules.bodyMaxLineLength.value;
+            const longLines = body.split('\n').filter((line) => line.length > maxLength).length;
+            const wrapped = this.wrap(body, maxLength);
+            if (longLines > 0) {
+                violations.push({
+                    rule: 'body-max-line-length',
+                    severity: rules.bodyMaxLineLength.severity,
+                    message: `${longLines} line(s) of the details are longer than ${maxLength} characters`,
+                    fix: wrapped !== body ? { label: 'Rewrap the details', message: this.join(header, wrapped) } : null,
+                });
+            }
+        }
+
+        if (rules.ticketRequired && !this.ticketRegExp(rules.ticketPattern).test(message)) {
+            violations.push({
+                rule: 'references-empty',
+                severity: rules.ticketRequired.severity,
+                message: 'Mention the ticket these changes are for',
+                fix: ticket ? { label: `Add ${ticket}`, message: this.join(header, body ? `${body}\n\nRefs: ${ticket}` : `Refs: ${ticket}`) } : null,
+            });
+        }
+
+        for (const word of rules.forbiddenWords?.value || []) {
+            if (word && this.wordRegExp(word).test(message)) {
+                const cleaned = message
+                    .replace(this.wordRegExp(word, '[:\\s-]*'), '')
+                    .split('\n')
+                    .map((line) => line.replace(/ {2,}/g, ' ').trimEnd())
+                    .join('\n')
+                    .trim();
+                violations.push({
+                    rule: 'forbidden-words',
+                    severity: rules.forbiddenWords!.severity,
+                    message: `Leave out "${word}"`,
+                    fix: cleaned ? { label: `Remove "${word}"`, message: cleaned } : null,
+                });
+            }
+        }
+
+        return violations;
+    }
+
+    /**
+     * Apply quick fixes until the message keeps the rules or nothing more can be fixed
+     * Used for generated messages, which are fixed rather than refused
+     * @param message Commit message
+     * @param rules Rules to check against
+     * @param ticket Ticket the current branch is for
+     * @returns Fixed message
+     */
+    applyFixes(message: string, rules: CommitLintRules, ticket: string | null = null): string {
+        let fixed = message;
+        // Every fix clears its own violation, so this ends after one round per rule
+        for (let round = 0; round < KNOWN_RULES.length + (rules.forbiddenWords?.value.length || 0); round++) {
+            const fix = this.lint(fixed, rules, ticket).find((violation) => violation.fix)?.fix;
+            if (!fix || fix.message === fixed) {
+                break;
+            }
+            fixed = fix.message;
+        }
+        return fixed;
+    }
+
+    /**
+     * Find the ticket a branch is for, e.g. "feature/PAY-123-refunds" or "fix/42-login"
+     * @param branch Branch name
+     * @param ticketPattern Regular expression a ticket reference matches
+     * @returns Ticket reference the pattern accepts, or null
+     */
+    ticketFromBranch(branch: string | null, ticketPattern: string): string | null {
+        if (!branch) {
+            return null;
+        }
+        const pattern = this.ticketRegExp(ticketPattern);
+
+        const key = /(?:^|[^a-z0-9])([a-z][a-z0-9]+-\d+)/i.exec(branch)?.[1]?.toUpperCase();
+        if (key && pattern.test(key)) {
+            return key;
+        }
+        const issue = /(?:^|[/_-])(\d+)(?=$|[/_-])/.exec(branch)?.[1];
+        return issue && pattern.test(`#${issue}`) ? `#${issue}` : null;
+    }
+
+    /**
+     * Put commitlint rules into the shape used here
+     * @param config Parsed configuration, with extends and rules as commitlint has them
+     * @returns Rules the configuration sets; level 0 turns a rule off
+     */
+    private toRules(config: any): Partial<CommitLintRules> {
+        const extendsList: unknown[] = Array.isArray(config.extends) ? config.extends : [config.extends];
+        const rules: Partial<CommitLintRules> = extendsList.some((name) => typeof name === 'string' && name.includes('config-conventional'))
+            ? { ...CONVENTIONAL_RULES }
+            : {};
+
+        for (const name of KNOWN_RULES) {
+            const entry: unknown = config.rules?.[name];
+            if (!Array.isArray(entry)) {
+                continue;
+            }
+            const [level, when = 'always', value] = entry;
+            const severity: CommitLintSeverity | null = Number(level) === 2 ? 'error' : Number(level) === 1 ? 'warning' : null;
+
+            switch (name) {
+                case 'type-enum':
+                    rules.types = severity && when === 'always' && Array.isArray(value) ? { severity, value: value.map(String) } : null;
+                    break;
+                case 'type-empty':
+                    rules.typeRequired = severity && when === 'never' ? { severity, value: true } : null;
+                    break;
+                case 'header-max-length':
+                    rules.headerMaxLength = severity && Number(value) > 0 ? { severity, value: Number(value) } : null;
+                    break;
+                case 'body-max-line-length':
+                    rules.bodyMaxLineLength = severity && Number(value) > 0 ? { severity, value: Number(value) } : null;
+                    break;
+                case 'references-empty':
+                    rules.ticketRequired = severity && when === 'never' ? { severity, value: true } : null;
+                    break;
+            }
+        }
+        return rules;
+    }
+
+    /**
+     * Pick extends and rules out of a YAML or JavaScript configuration without running it
+     * @param text Configuration file contents
+     * @returns Configuration with the rules written out as literals
+     */
+    private scanConfig(text: string): { extends: string[]; rules: Record<string, unknown[]> } | null {
+        const extendsMatch = /\bextends['"]?\s*:\s*(\[[^\]]*\]|['"][^'"\n]+['"]|\n(?:[ \t]*-[^\n]*\n?)+)/.exec(text);
+        const rules: Record<string, unknown[]> = {};
+
+        for (const name of KNOWN_RULES) {
+            const match = new RegExp(`['"]?${name}['"]?\\s*:\\s*\\[((?:[^\\[\\]]|\\[[^\\]]*\\])*)\\]`).exec(text);
+            if (!match) {
+                continue;
+            }
+            const [level, when, ...rest] = this.listItems(match[1]!.replace(/\[[^\]]*\]/, ''));
+            const list = /\[([^\]]*)\]/.exec(match[1]!);
+            rules[name] = [
+                /error/i.test(level || '') ? 2 : /warn/i.test(level || '') ? 1 : /disabled/i.test(level || '') ? 0 : Number(level),
+                when,
+                list ? this.listItems(list[1]!) : rest[0],
+            ];
+        }
+
+        if (!extendsMatch && Object.keys(rules).length === 0) {
+            return null;
+        }
+        return { extends: extendsMatch ? this.listItems(extendsMatch[1]!) : [], rules };
+    }
+
+    /**
+     * Split a flow or block list into its items
+     * @param text e.g. `2, 'always', 72` or YAML lines starting with "- "
+     * @returns Items without quotes
+     */
+    private listItems(text: string): string[] {
+        return text
+            .replace(/^\s*\[|\]\s*$/g, '')
+            .split(/,|\n/)
+            .map((item) => item.trim().replace(/^-\s*/, '').replace(/^['"`]|['"`]$/g, ''))
+            .filter(Boolean);
+    }
+
+    /**
+     * Fit the summary within the limit: drop the scope when that is enough, otherwise move the end of it
+     * into the details
+     * @returns Fix, or null when there is no space to break the summary at
+     */
+    private shortenHeader(header: string, body: string, maxLength: number, match: RegExpExecArray | null): CommitLintFix | null {
+        if (match && match[2] !== undefined) {
+            const withoutScope = `${match[1]}${match[3] || ''}: ${header.slice(match[0].length)}`;
+            if (withoutScope.length <= maxLength) {
+                return { label: 'Drop the scope', message: this.join(withoutScope, body) };
+            }
+        }
+
+        const cut = header.lastIndexOf(' ', maxLength);
+        if (cut <= (match ? match[0].length : 0)) {
+            return null;
+        }
+        const rest = header.slice(cut + 1);
+        return {
+            label: 'Move the rest to the details',
+            message: this.join(header.slice(0, cut).replace(/[\s,;:-]+$/, ''), body ? `${rest}\n\n${body}` : rest),
+        };
+    }
+
+    /**
+     * Wrap long lines of the details at spaces; list items keep their indentation
+     * @returns Wrapped details; words longer than a line, like URLs, stay whole
+     */
+    private wrap(body: string, maxLength: number): string {
+        return body
+            .split('\n')
+            .map((line) => {
+                if (line.length <= maxLength) {
+                    return line;
+                }
+                const indent = ' '.repeat((/^\s*(?:[-*]\s+|\d+\.\s+)?/.exec(line)?.[0] || '').length);
+                const lines: string[] = [];
+                let current = '';
+                for (const word of line.split(' ')) {
+                    if (current.trim() && (current + ' ' + word).length > maxLength) {
+                        lines.push(current);
+                        current = indent + word;
+                    } else {
+                        current = current ? `${current} ${word}` : word;
+                    }
+                }
+                return [...lines, current].join('\n');
+            })
+            .join('\n');
+    }
+
+    /**
+     * Guess which allowed type was meant
+     * @returns Allowed type the one written is an alias or a typo of, or null
+     */
+    private closestType(type: string, allowed: string[]): string | null {
+        const lower = type.toLowerCase();
+        const candidates = [lower, TYPE_ALIASES[lower]].filter((candidate): candidate is string => !!candidate);
+        const alias = candidates.find((candidate) => allowed.includes(candidate));
+        if (alias) {
+            return alias;
+        }
+
+        const [closest] = allowed
+            .map((candidate) => ({ candidate, distance: this.distance(lower, candidate) }))
+            .sort((a, b) => a.distance - b.distance);
+        return closest && closest.distance <= 2 ? closest.candidate : null;
+    }
+
+    // Levenshtein distance
+    private distance(a: string, b: string): number {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(previous[j]! + 1, current[j - 1]! + 1, previous[j - 1]! + (a[i - 1] === b[j - 1] ? 0 : 1));
+            }
+            previous = current;
+        }
+        return previous[b.length]!;
+    }
+
+    private split(message: string): { header: string; body: string } {
+        const [header = '', ...rest] = message.split('\n');
+        return { header: header.trim(), body: rest.join('\n').trim() };
+    }
+
+    private join(header: string, body: string): string {
+        return body ? `${header}\n\n${body}` : header;
+    }
+
+    private ticketRegExp(ticketPattern: string): RegExp {
+        try {
+            return new RegExp(ticketPattern || DEFAULT_TICKET_PATTERN);
+        } catch (error) {
+            return new RegExp(DEFAULT_TICKET_PATTERN);
+        }
+    }
+
+    // Words are matched whole and regardless of case; "fixup!" works too
+    private wordRegExp(word: string, suffix = ''): RegExp {
+        return new RegExp(`(?<![\\w])${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\w])${suffix}`, 'gi');
+    }
+}
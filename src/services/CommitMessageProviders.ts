@@ -0,0 +1,343 @@
+import * as http from 'http';
+import * as https from 'https';
+import * as path from 'path';
+import { spawn } from 'child_process';
+import * as constants from '../constants';
+import { CommitStyle, CommitStyleService } from './CommitStyleService';
+import { ScopeContext } from './ScopeInferenceService';
+
+/** Everything a provider gets to write a commit message from */
+export interface CommitMessageRequest {
+    files: Array<{ fileName: string; type: string }>;
+    /** Diff stat of the changes */
+    summary: string;
+    /** Unified diff of the changes; secrets are already redacted for providers outside the extension */
+    diff: string;
+    /** Repository the changes are in, or null when unknown */
+    repoPath: string | null;
+    /** How the repository writes commit messages, or null for conventional commits */
+    style: CommitStyle | null;
+    /** Ticket ID the message starts with when the style has one */
+    ticket: string | null;
+    /** Path to scope map and monorepo packages the scope is taken from */
+    scopeContext: ScopeContext | null;
+}
+
+/**
+ * Something that writes commit messages
+ * Implementations throw when they cannot produce a message; the caller falls back to the rule-based provider
+ */
+export interface CommitMessageProvider {
+    readonly id: CommitMessageProviderId;
+    /** Name shown to the user, e.g. in the composer's Generate button */
+    readonly label: string;
+    /**
+     * Write a commit message
+     * @param request Changes to describe
+     * @param timeoutMs Give up after this many milliseconds
+     * @returns Commit message
+     */
+    generate(request: CommitMessageRequest, timeoutMs: number): Promise<string>;
+}
+
+export type CommitMessageProviderId = 'rules' | 'http' | 'command';
+
+/** timelad.commitMessage.* settings */
+export interface CommitMessageSettings {
+    provider: CommitMessageProviderId;
+    /** OpenAI- or Ollama-compatible chat endpoint, e.g. http://localhost:11434/v1/chat/completions */
+    httpUrl: string;
+    httpModel: string;
+    httpApiKey: string;
+    /** Shell command that reads the diff on stdin and prints a message */
+    command: string;
+    timeoutMs: number;
+}
+
+export const DEFAULT_COMMIT_MESSAGE_SETTINGS: CommitMessageSettings = {
+    provider: 'rules',
+    httpUrl: '',
+    httpModel: '',
+    httpApiKey: '',
+    command: '',
+    timeoutMs: constants.COMMIT_COMPOSER.PROVIDER_TIMEOUT_SECONDS * 1000,
+};
+
+// Responses larger than this are not commit messages
+const MAX_RESPONSE_LENGTH = 1024 * 1024;
+
+const REDACTED = '[REDACTED]';
+
+// Values that are secrets wherever they appear
+const SECRET_PATTERNS: RegExp[] = [
+    /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+    /\b(AKIA|ASIA)[0-9A-Z]{16}\b/g,
+    /\bgh[pousr]_[A-Za-z0-9]{30,}\b/g,
+    /\bgithub_pat_[A-Za-z0-9_]{20,}\b/g,
+    /\bsk-[A-Za-z0-9_-]{20,}/g,
+    /\bxox[abposr]-[A-Za-z0-9-]{10,}/g,
+    /\bAIza[0-9A-Za-z_-]{35}\b/g,
+    /\b[rs]k_(live|test)_[0-9A-Za-z]{16,}\b/g,
+    /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g,
+];
+
+// Keys whose values are secrets, as in API_KEY=... or "password": "..."
+const SECRET_ASSIGNMENT = /((?:api[_-]?key|secret|password|passwd|pwd|token|credentials?|private[_-]?key|access[_-]?key|client[_-]?secret)[\w-]*["']?\s*[:=]\s*)(["']?)([^\s"',;]{4,})\2/gi;
+
+// Files whose whole content is secret
+const SECRET_FILE_PATTERN = /(^|\/)(\.env(\.[\w-]+)?|[^/]+\.(pem|key|p12|pfx)|id_(rsa|dsa|ecdsa|ed25519)|\.npmrc|\.netrc|credentials(\.json)?)$/;
+
+/**
+ * Remove secrets from a diff before it leaves the extension: keys and tokens in well-known formats,
+ * values assigned to keys named like secrets, passwords in URLs, and every changed line of .env, key and
+ * credential files
+ * @param diff Unified diff
+ * @returns Diff with secrets replaced by [REDACTED]
+ */
+export function redactSecrets(diff: string): string {
+    let inSecretFile = false;
+    const lines = diff.split('\n').map((line) => {
+        if (line.startsWith('diff --git ')) {
+            const names = line.slice('diff --git '.length).replace(/"/g, '').split(/\s(?=b\/)/);
+            inSecretFile = names.some((name) => SECRET_FILE_PATTERN.test(name.replace(/^[ab]\//, '')));
+            return line;
+        }
+        if (inSecretFile && /^[+-]/.test(line) && !line.startsWith('+++ ') && !line.startsWith('--- ')) {
+            return `${line[0]}${REDACTED}`;
+        }
+        return line;
+    });
+
+    let redacted = lines.join('\n');
+    for (const pattern of SECRET_PATTERNS) {
+        redacted = redacted.replace(pattern, REDACTED);
+    }
+    return redacted
+        .replace(SECRET_ASSIGNMENT, `$1$2${REDACTED}$2`)
+        .replace(/(\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]+:)[^\s@/]+@/gi, `$1${REDACTED}@`)
+        .replace(/(\bBearer\s+)[A-Za-z0-9._~+/-]+=*/g, `$1${REDACTED}`);
+}
+
+/**
+ * Tidy up what a model or command printed: code fences, quotes around the message and trailing spaces
+ * @param output Raw output
+ * @returns Commit message, or an empty string when there is none
+ */
+export function cleanGeneratedMessage(output: string): string {
+    let message = output.replace(/\r\n/g, '\n').trim();
+
+    const fenced = /^```[\w-]*\n([\s\S]*?)\n?```$/.exec(message);
+    if (fenced) {
+        message = fenced[1]!.trim();
+    }
+    if (/^(["'`]).*\1$/s.test(message)) {
+        message = message.slice(1, -1).trim();
+    }
+
+    return message
+        .split('\n')
+        .map((line) => line.trimEnd())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n');
+}
+
+/**
+ * Asks an OpenAI-compatible chat completions endpoint for a message; Ollama, LM Studio, llama.cpp and
+ * most hosted services accept the same request
+ */
+export class HttpCommitMessageProvider implements CommitMessageProvider {
+    readonly id = 'http';
+    readonly label: string;
+
+    constructor(
+        private readonly url: string,
+        private readonly model: string,
+        private readonly apiKey: string = ''
+    ) {
+        this.label = model || 'the language model';
+    }
+
+    async generate(request: CommitMessageRequest, timeoutMs: number): Promise<string> {
+        if (!this.url) {
+            throw new Error('timelad.commitMessage.http.url is not set');
+        }
+
+        const endpoint = new URL(this.url);
+        const body = JSON.stringify({
+            ...(this.model ? { model: this.model } : {}),
+            messages: [
+                { role: 'system', content: SYSTEM_PROMPT },
+                { role: 'user', content: buildPrompt(request) },
+            ],
+            temperature: 0.2,
+            stream: false,
+        });
+
+        const response = await this.post(endpoint, body, timeoutMs);
+        const content = response?.choices?.[0]?.message?.content // OpenAI
+            ?? response?.choices?.[0]?.text
+            ?? response?.message?.content // Ollama /api/chat
+            ?? response?.response; // Ollama /api/generate
+        if (typeof content !== 'string') {
+            throw new Error('the response did not contain a message');
+        }
+        return content;
+    }
+
+    /**
+     * Send a JSON request
+     * @param endpoint Endpoint URL
+     * @param body JSON body
+     * @param timeoutMs Give up after this many milliseconds
+     * @returns Parsed JSON response
+     */
+    private post(endpoint: URL, body: string, timeoutMs: number): Promise<any> {
+        const client = endpoint.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const req = client.request(endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(body).toString(),
+                    'User-Agent': 'TimeLad-VSCode-Extension',
+                    ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+                },
+            }, (res) => {
+                let responseData = '';
+                res.setEncoding('utf8');
+                res.on('data', (chunk: string) => {
+                    responseData += chunk;
+                    if (responseData.length > MAX_RESPONSE_LENGTH) {
+                        req.destroy(new Error('the response is too large'));
+                    }
+                });
+                res.on('end', () => {
+                    let parsed: any;
+                    try {
+                        parsed = JSON.parse(responseData);
+                    } catch (error) {
+                        reject(new Error(`the response is not JSON (HTTP ${res.statusCode})`));
+                        return;
+                    }
+
+                    if (res.statusCode && res.statusCode >= 200 && res.statusCode < 300) {
+                        resolve(parsed);
+                    } else {
+                        const message = parsed?.error?.message ?? parsed?.error ?? 'Unknown error';
+                        reject(new Error(`HTTP ${res.statusCode}: ${message}`));
+                    }
+                });
+            });
+
+            req.setTimeout(timeoutMs, () => {
+                req.destroy(new Error(`no answer within ${timeoutMs / 1000} seconds`));
+            });
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+}
+
+/**
+ * Runs a shell command in the repository with the diff on stdin and uses what it prints as the message
+ */
+export class CommandCommitMessageProvider implements CommitMessageProvider {
+    readonly id = 'command';
+    readonly label: string;
+
+    constructor(private readonly command: string) {
+        this.label = command.trim().split(/\s+/)[0] ? path.basename(command.trim().split(/\s+/)[0]!) : 'the command';
+    }
+
+    generate(request: CommitMessageRequest, timeoutMs: number): Promise<string> {
+        if (!this.command.trim()) {
+            return Promise.reject(new Error('timelad.commitMessage.command is not set'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const child = spawn(this.command, {
+                cwd: request.repoPath || undefined,
+                env: { ...process.env, TIMELAD_COMMIT_STYLE: describeStyle(request) },
+                shell: true,
+                windowsHide: true,
+            });
+
+            let stdout = '';
+            let stderr = '';
+            let settled = false;
+            const finish = (error: Error | null) => {
+                if (settled) {
+                    return;
+                }
+                settled = true;
+                clearTimeout(timer);
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(stdout);
+                }
+            };
+
+            const timer = setTimeout(() => {
+                child.kill();
+                finish(new Error(`no answer within ${timeoutMs / 1000} seconds`));
+            }, timeoutMs);
+
+            child.stdout.setEncoding('utf8');
+            child.stdout.on('data', (chunk: string) => {
+                stdout += chunk;
+                if (stdout.length > MAX_RESPONSE_LENGTH) {
+                    child.kill();
+                    finish(new Error('the output is too large'));
+                }
+            });
+            child.stderr.setEncoding('utf8');
+            child.stderr.on('data', (chunk: string) => {
+                stderr += chunk;
+            });
+            child.on('error', (error) => finish(error));
+            child.on('close', (code) => {
+                finish(code === 0 ? null : new Error(`exited with code ${code}${stderr.trim() ? `: ${stderr.trim()}` : ''}`));
+            });
+
+            // Commands that do not read the diff close stdin early
+            child.stdin.on('error', () => undefined);
+            child.stdin.end(request.diff);
+        });
+    }
+}
+
+const SYSTEM_PROMPT = [
+    'You write git commit messages.',
+    'Reply with the commit message only, without quotes or explanations.',
+    'Start with a subject line of at most 72 characters in the imperative mood, using a conventional commit type',
+    '(feat, fix, docs, style, refactor, perf, test, build, ci, chore) and a scope when one is obvious,',
+    'unless you are told the repository writes them differently.',
+    'Add a blank line and a short body only when the subject cannot say why the change was made.',
+].join(' ');
+
+/**
+ * Describe the changes for a language model
+ * @param request Changes to describe
+ * @returns Prompt with the changed files, their diff stat and the diff
+ */
+function buildPrompt(request: CommitMessageRequest): string {
+    const files = request.files.map((file) => `${file.type}: ${file.fileName}`).join('\n');
+    return [
+        'Changed files:',
+        files,
+        request.summary ? `\nSummary:\n${request.summary.trim()}` : '',
+        request.style ? `\nThis repository writes commit messages differently. ${describeStyle(request)}` : '',
+        request.diff ? `\nDiff:\n${request.diff}` : '',
+    ].join('\n');
+}
+
+/**
+ * Describe the commit style of the repository
+ * @param request Changes to describe
+ * @returns Instructions for the subject line, or an empty string for conventional commits
+ */
+function describeStyle(request: CommitMessageRequest): string {
+    return request.style ? new CommitStyleService().describe(request.style, request.ticket) : '';
+}
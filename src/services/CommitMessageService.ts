@@ -1,4 +1,19 @@
-import { CommitMessageServiceInterface } from '../types';
+import * as crypto from 'crypto';
+import * as path from 'path';
+import { CommitMessageOptions, CommitMessageServiceInterface } from '../types';
+import * as constants from '../constants';
+import { CodeSymbol, DependencyChange, DiffAnalysis, DiffAnalysisService } from './DiffAnalysisService';
+import { CommitStyleService } from './CommitStyleService';
+import { ScopeContext, ScopeInferenceService } from './ScopeInferenceService';
+import {
+    cleanGeneratedMessage,
+    CommandCommitMessageProvider,
+    CommitMessageProvider,
+    CommitMessageSettings,
+    DEFAULT_COMMIT_MESSAGE_SETTINGS,
+    HttpCommitMessageProvider,
+    redactSecrets,
+} from './CommitMessageProviders';
 
 interface CacheEntry {
     message: string;
@@ -15,29 +30,142 @@ interface CacheStats {
     timeout: number;
 }
 
+// Subjects are kept within the length git tools show without cutting off
+const MAX_SUBJECT_LENGTH = 72;
+
+const DOCS_PATH = /(^|\/)(docs?|documentation)\/|(^|\/)(README|CHANGELOG|CONTRIBUTING|AUTHORS|LICENSE)(\.[^/]*)?$/i;
+const CONFIG_PATH = /(^|\/)(config|\.github|\.vscode|\.husky|\.circleci)\/|(^|\/)\.[^/]+$|\.config\.[cm]?[jt]s$|(^|\/)(tsconfig[^/]*\.json|Dockerfile|docker-compose[^/]*\.ya?ml)$/;
+
 export class CommitMessageService implements CommitMessageServiceInterface {
     private messageCache: Map<string, CacheEntry>;
     private cacheTimeout: number;
+    private readonly diffAnalysisService = new DiffAnalysisService();
+    private readonly commitStyleService = new CommitStyleService();
+    private readonly scopeInferenceService = new ScopeInferenceService();
+    private readonly ruleBasedProvider: CommitMessageProvider = {
+        id: 'rules',
+        label: 'Rule-based',
+        generate: async (request) => {
+            const message = this.generateRuleBasedCommitMessage(request.files, request.summary, request.diff, request.scopeContext);
+            return request.style ? this.commitStyleService.apply(message, request.style, request.ticket) : message;
+        },
+    };
 
-    constructor() {
+    /**
+     * @param getSettings Reads the timelad.commitMessage.* settings; they are read again for every message
+     * @param onFallback Told why a rule-based message was used instead of the configured provider's
+     */
+    constructor(
+        private readonly getSettings: () => CommitMessageSettings = () => DEFAULT_COMMIT_MESSAGE_SETTINGS,
+        private readonly onFallback: (reason: string) => void = () => undefined
+    ) {
         this.messageCache = new Map();
         this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
     }
 
-    async generateCommitMessage(files: FileChange[], summary: string): Promise<string> {
-        const cacheKey = this.createCacheKey(files, summary);
+    /**
+     * Generate a commit message for changes with the configured provider
+     * Providers other than the rule-based one only see the diff with secrets redacted; when they fail or
+     * time out the message is rule-based. Rule-based messages are rewritten in the style given in the options
+     * @param files Changed files
+     * @param summary Diff stat of the changes
+     * @param diff Unified diff of the changes; without it the message is based on file names alone
+     * @param options Repository the changes are in, its commit style and scopes, and whether to skip the configured provider
+     * @returns Commit message, with a body when the diff explains more than the subject can
+     */
+    async generateCommitMessage(
+        files: FileChange[],
+        summary: string,
+        diff: string = '',
+        options: CommitMessageOptions = {}
+    ): Promise<string> {
+        const settings = this.getSettings();
+        const provider = options.rulesOnly ? this.ruleBasedProvider : this.getProvider(settings);
+        const style = options.style ?? null;
+        const ticket = options.ticket ?? null;
+        const cacheKey = [
+            `${provider.id}:${provider.label}`,
+            this.createCacheKey(files, summary, diff),
+            JSON.stringify({ style, ticket, scopeContext: options.scopeContext ?? null }),
+        ].join('::');
         
         const cached = this.messageCache.get(cacheKey);
         if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
             return cached.message;
         }
 
-        const message = this.generateRuleBasedCommitMessage(files, summary);
-        this.cacheMessage(cacheKey, message);
-        return message;
+        const request = {
+            files,
+            summary: summary || '',
+            diff,
+            repoPath: options.repoPath ?? null,
+            style,
+            ticket,
+            scopeContext: options.scopeContext ?? null,
+        };
+        if (provider === this.ruleBasedProvider) {
+            const message = await provider.generate(request, settings.timeoutMs);
+            this.cacheMessage(cacheKey, message);
+            return message;
+        }
+
+        try {
+            const message = cleanGeneratedMessage(
+                await provider.generate({ ...request, diff: redactSecrets(diff) }, settings.timeoutMs)
+            );
+            if (!message) {
+                throw new Error('no message was returned');
+            }
+            this.cacheMessage(cacheKey, message);
+            return message;
+        } catch (error) {
+            // Not cached, so the next save asks the provider again
+            const reason = `${provider.label} could not write the commit message: ${(error as Error).message}`;
+            console.log(`${constants.EXTENSION_NAME}: ${reason}`);
+            this.onFallback(reason);
+            return this.ruleBasedProvider.generate(request, settings.timeoutMs);
+        }
+    }
+
+    /**
+     * Describe the configured provider
+     * @returns Name of the provider, or null when messages are rule-based
+     */
+    getProviderLabel(): string | null {
+        const provider = this.getProvider(this.getSettings());
+        return provider === this.ruleBasedProvider ? null : provider.label;
+    }
+
+    private getProvider(settings: CommitMessageSettings): CommitMessageProvider {
+        switch (settings.provider) {
+            case 'http':
+                return new HttpCommitMessageProvider(settings.httpUrl, settings.httpModel, settings.httpApiKey);
+            case 'command':
+                return new CommandCommitMessageProvider(settings.command);
+            default:
+                return this.ruleBasedProvider;
+        }
+    }
+
+    private generateRuleBasedCommitMessage(
+        files: FileChange[],
+        summary: string,
+        diff: string = '',
+        scopeContext: ScopeContext | null = null
+    ): string {
+        const analysis = diff ? this.diffAnalysisService.analyze(diff) : null;
+        const fromDiff = analysis ? this.generateFromDiff(analysis, scopeContext) : null;
+        if (fromDiff) {
+            return fromDiff;
+        }
+
+        // Dependency changes and renames still explain a message based on file names
+        const message = this.generateFromFileNames(files, scopeContext);
+        const details = analysis ? this.describeDetails(analysis) : [];
+        return details.length > 0 ? `${message}\n\n${details.join('\n')}` : message;
     }
 
-    private generateRuleBasedCommitMessage(files: FileChange[], summary: string): string {
+    private generateFromFileNames(files: FileChange[], scopeContext: ScopeContext | null = null): string {
         const safeFiles = Array.isArray(files) 
             ? files.filter(f => f && typeof f === 'object' && f.fileName && f.type) 
             : [];
@@ -46,30 +174,49 @@ export class CommitMessageService implements CommitMessageServiceInterface {
             return "chore: update files";
         }
 
-        const fileTypes = new Set<string>();
         const changeTypes = new Set<string>();
 
         safeFiles.forEach((file) => {
-            const fileName = file.fileName || '';
-            const ext = fileName.includes('.') 
-                ? fileName.split(".").pop()?.toLowerCase() || 'unknown'
-                : 'unknown';
-            fileTypes.add(ext);
-
             const fileType = file.type || '';
-            if (fileType.includes("added")) changeTypes.add("add");
-            if (fileType.includes("modified")) changeTypes.add("update");
-            if (fileType.includes("deleted")) changeTypes.add("remove");
-            if (fileType.includes("renamed")) changeTypes.add("rename");
+            if (fileType.includes("added")) {
+                changeTypes.add("add");
+            }
+            if (fileType.includes("modified")) {
+                changeTypes.add("update");
+            }
+            if (fileType.includes("deleted")) {
+                changeTypes.add("remove");
+            }
+            if (fileType.includes("renamed")) {
+                changeTypes.add("rename");
+            }
         });
 
-        const commitType = this.determineCommitType(fileTypes);
+        const fileNames = safeFiles.map((file) => file.fileName);
+        const commitType = this.determineCommitType(fileNames);
+        const scope = this.scopeInferenceService.scopeOf(fileNames, scopeContext);
         const subject = this.generateSubject(safeFiles, changeTypes);
 
-        return `${commitType}: ${subject}`;
+        return this.composeMessage(commitType, scope, subject, []);
     }
 
-    private determineCommitType(fileTypes: Set<string>): string {
+    /**
+     * Pick the commit type from what the changed files are
+     * Where a file is says more than its extension: files under test/ or named like *.spec.ts are tests,
+     * files under docs/ are documentation, and dotfiles, config/ and *.config.js files are configuration
+     * @param fileNames Paths relative to the repository
+     * @returns Commit type; code outweighs styles, docs, configuration and tests, in that order
+     */
+    private determineCommitType(fileNames: string[]): string {
+        const tests = fileNames.filter((fileName) => this.diffAnalysisService.isTestFile(fileName));
+        const docs = fileNames.filter((fileName) => !tests.includes(fileName) && DOCS_PATH.test(fileName));
+        const configs = fileNames.filter((fileName) =>
+            !tests.includes(fileName) && !docs.includes(fileName) && CONFIG_PATH.test(fileName)
+        );
+        const fileTypes = new Set(fileNames
+            .filter((fileName) => !tests.includes(fileName) && !docs.includes(fileName) && !configs.includes(fileName))
+            .map((fileName) => this.extensionOf(fileName)));
+
         if (
             fileTypes.has("js") ||
             fileTypes.has("ts") ||
@@ -94,6 +241,7 @@ export class CommitMessageService implements CommitMessageServiceInterface {
         }
         
         if (
+            docs.length > 0 ||
             fileTypes.has("md") || 
             fileTypes.has("txt") || 
             fileTypes.has("rst") ||
@@ -104,6 +252,7 @@ export class CommitMessageService implements CommitMessageServiceInterface {
         }
         
         if (
+            configs.length > 0 ||
             fileTypes.has("json") ||
             fileTypes.has("yml") ||
             fileTypes.has("yaml") ||
@@ -114,11 +263,7 @@ export class CommitMessageService implements CommitMessageServiceInterface {
             return "config";
         }
 
-        if (
-            fileTypes.has("test") ||
-            fileTypes.has("spec") ||
-            Array.from(fileTypes).some(ext => ext.includes("test"))
-        ) {
+        if (tests.length > 0) {
             return "test";
         }
 
@@ -146,14 +291,208 @@ export class CommitMessageService implements CommitMessageServiceInterface {
     }
 
     private getMainChangeType(changeTypes: Set<string>): string {
-        if (changeTypes.has("add")) return "add";
-        if (changeTypes.has("update")) return "update";
-        if (changeTypes.has("remove")) return "remove";
-        if (changeTypes.has("rename")) return "rename";
+        if (changeTypes.has("add")) {
+            return "add";
+        }
+        if (changeTypes.has("update")) {
+            return "update";
+        }
+        if (changeTypes.has("remove")) {
+            return "remove";
+        }
+        if (changeTypes.has("rename")) {
+            return "rename";
+        }
         return "modify";
     }
 
-    private createCacheKey(files: FileChange[], summary: string): string {
+    /**
+     * Describe what the diff changes in a subject and body, when it says more than the file names do
+     * @param analysis Analysed diff
+     * @returns Commit message, or null to fall back to a message based on file names
+     */
+    private generateFromDiff(analysis: DiffAnalysis, scopeContext: ScopeContext | null = null): string | null {
+        const { files } = analysis;
+        if (files.length === 0) {
+            return null;
+        }
+
+        if (analysis.formattingOnly) {
+            return this.composeMessage(
+                'style',
+                this.scopeInferenceService.scopeOf(files.map((file) => file.fileName), scopeContext, true),
+                `format ${this.describeFiles(files.map((file) => file.fileName))}`,
+                ['Only whitespace and line breaks changed.']
+            );
+        }
+
+        if (analysis.renames.length === files.length) {
+            return this.composeMessage('refactor', null, this.describeRenames(analysis.renames), this.describeDetails(analysis));
+        }
+
+        if (analysis.dependenciesOnly && analysis.dependencyChanges.length > 0) {
+            return this.composeMessage(
+                'build',
+                'deps',
+                this.describeDependencyChanges(analysis.dependencyChanges),
+                this.describeDetails(analysis)
+            );
+        }
+
+        if (analysis.testOnly) {
+            const fileNames = files.map((file) => file.fileName);
+            const subject = files.every((file) => file.status === 'added')
+                ? `add tests for ${this.describeTestSubjects(fileNames)}`
+                : `update tests for ${this.describeTestSubjects(fileNames)}`;
+            return this.composeMessage('test', null, subject, this.describeDetails(analysis));
+        }
+
+        const [verb, symbols] = analysis.addedSymbols.length > 0
+            ? ['add', analysis.addedSymbols]
+            : analysis.removedSymbols.length > 0
+                ? ['remove', analysis.removedSymbols]
+                : ['update', analysis.changedSymbols];
+        if (symbols.length === 0) {
+            return null;
+        }
+
+        // New public declarations are features; removing code or changing signatures reshapes what exists
+        const type = verb === 'add'
+            ? 'feat'
+            : verb === 'remove'
+                ? 'refactor'
+                : this.determineCommitType(files.map((file) => file.fileName));
+        const scope = this.scopeInferenceService.scopeOf(symbols.map((symbol) => symbol.fileName), scopeContext, true);
+        const subject = this.fitSubject(type, scope, verb, this.uniqueNames(symbols));
+
+        return this.composeMessage(type, scope, subject, this.describeDetails(analysis));
+    }
+
+    /**
+     * Put a conventional commit together
+     * @param type Commit type
+     * @param scope Scope, or null for none
+     * @param subject Description after the type
+     * @param details Body lines
+     * @returns Commit message; without a body when there are no details
+     */
+    private composeMessage(type: string, scope: string | null, subject: string, details: string[]): string {
+        const header = `${type}${scope ? `(${scope})` : ''}: ${subject}`;
+        return details.length > 0 ? `${header}\n\n${details.join('\n')}` : header;
+    }
+
+    /**
+     * List names in a subject, leaving out names that would not fit
+     * @param type Commit type
+     * @param scope Scope, or null
+     * @param verb What happened to the names
+     * @param names Names, most important first
+     * @returns Subject without the type, e.g. "add parseTrailers and formatTrailer"
+     */
+    private fitSubject(type: string, scope: string | null, verb: string, names: string[]): string {
+        const prefixLength = `${type}${scope ? `(${scope})` : ''}: ${verb} `.length;
+        for (let shown = names.length; shown > 1; shown--) {
+            const listed = this.joinNames(names.slice(0, shown), names.length - shown);
+            if (prefixLength + listed.length <= MAX_SUBJECT_LENGTH) {
+                return `${verb} ${listed}`;
+            }
+        }
+        return `${verb} ${this.joinNames(names.slice(0, 1), names.length - 1)}`;
+    }
+
+    /**
+     * Join names into a phrase
+     * @param names Names to show
+     * @param hidden How many more names there are
+     * @returns e.g. "a, b and c", or "a, b and 2 more"
+     */
+    private joinNames(names: string[], hidden: number): string {
+        const parts = hidden > 0 ? [...names, `${hidden} more`] : names;
+        return parts.length === 1
+            ? parts[0]!
+            : `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+    }
+
+    private uniqueNames(symbols: CodeSymbol[]): string[] {
+        // Exported declarations say most about what changed
+        const sorted = [...symbols].sort((a, b) => Number(b.exported) - Number(a.exported));
+        return [...new Set(sorted.map((symbol) => symbol.name))];
+    }
+
+    private describeFiles(fileNames: string[]): string {
+        return fileNames.length === 1
+            ? path.posix.basename(fileNames[0]!)
+            : `${fileNames.length} files`;
+    }
+
+    private describeTestSubjects(fileNames: string[]): string {
+        const subjects = [...new Set(fileNames.map((fileName) =>
+            path.posix.basename(fileName).replace(/\.[^.]*$/, '').replace(/([._-](test|spec)|^test_)/g, '')
+        ))];
+        return subjects.length <= 2 ? this.joinNames(subjects, 0) : `${subjects.length} files`;
+    }
+
+    private describeRenames(renames: Array<{ from: string; to: string }>): string {
+        if (renames.length > 1) {
+            return `move ${renames.length} files`;
+        }
+
+        const { from, to } = renames[0]!;
+        return path.posix.basename(from) === path.posix.basename(to)
+            ? `move ${path.posix.basename(from)} to ${path.posix.dirname(to) === '.' ? 'the top folder' : path.posix.dirname(to)}`
+            : `rename ${path.posix.basename(from)} to ${path.posix.basename(to)}`;
+    }
+
+    private describeDependencyChanges(changes: DependencyChange[]): string {
+        if (changes.length === 1) {
+            const [change] = changes;
+            if (change!.change === 'updated') {
+                return change!.from && change!.to
+                    ? `bump ${change!.name} from ${change!.from} to ${change!.to}`
+                    : `update ${change!.name}`;
+            }
+            return `${change!.change === 'added' ? 'add' : 'remove'} ${change!.name}`;
+        }
+
+        const kinds = new Set(changes.map((change) => change.change));
+        if (kinds.size === 1 && changes.length <= 2) {
+            const verb = kinds.has('added') ? 'add' : kinds.has('removed') ? 'remove' : 'update';
+            return `${verb} ${this.joinNames(changes.map((change) => change.name), 0)}`;
+        }
+        return `update ${changes.length} dependencies`;
+    }
+
+    /**
+     * Explain each change the diff shows, one line per declaration, dependency or rename
+     * @param analysis Analysed diff
+     * @returns Body lines
+     */
+    private describeDetails(analysis: DiffAnalysis): string[] {
+        const describeSymbol = (verb: string, symbol: CodeSymbol) =>
+            `- ${verb} ${symbol.exported ? 'exported ' : ''}${symbol.kind} ${symbol.name} in ${symbol.fileName}`;
+
+        return [
+            ...analysis.addedSymbols.map((symbol) => describeSymbol('Add', symbol)),
+            ...analysis.removedSymbols.map((symbol) => describeSymbol('Remove', symbol)),
+            ...analysis.changedSymbols.map((symbol) => describeSymbol('Change', symbol)),
+            ...analysis.dependencyChanges.map((change) =>
+                change.change === 'added'
+                    ? `- Add dependency ${change.name}${change.to ? ` ${change.to}` : ''} to ${change.manifest}`
+                    : change.change === 'removed'
+                        ? `- Remove dependency ${change.name} from ${change.manifest}`
+                        : `- Update ${change.name}${change.from ? ` from ${change.from}` : ''}${change.to ? ` to ${change.to}` : ''} in ${change.manifest}`
+            ),
+            ...analysis.renames.map((rename) => `- Rename ${rename.from} to ${rename.to}`),
+        ];
+    }
+
+    private extensionOf(fileName: string): string {
+        return fileName.includes('.')
+            ? fileName.split('.').pop()?.toLowerCase() || 'unknown'
+            : 'unknown';
+    }
+
+    private createCacheKey(files: FileChange[], summary: string, diff: string = ''): string {
         const safeFiles = Array.isArray(files) ? files : [];
         const safeSummary = summary || '';
         
@@ -162,7 +501,8 @@ export class CommitMessageService implements CommitMessageServiceInterface {
             .map(f => `${f.fileName}:${f.type}`)
             .sort()
             .join("|");
-        return `${fileSignature}::${safeSummary}`;
+        const diffSignature = diff ? crypto.createHash('sha1').update(diff).digest('hex') : '';
+        return `${fileSignature}::${safeSummary}::${diffSignature}`;
     }
 
     private cacheMessage(key: string, message: string): void {
@@ -0,0 +1,339 @@
+/** How the commit subjects of a repository are written */
+export interface CommitStyle {
+    /** Subjects start with a conventional commit type, e.g. "fix(parser): ..." */
+    conventional: boolean;
+    /** Subjects start with a gitmoji, written as the emoji or as its :shortcode: */
+    gitmoji: 'emoji' | 'shortcode' | null;
+    /** The description starts with a capital letter */
+    capitalized: boolean;
+    tense: CommitTense;
+    /** Where the ticket ID goes, with {ticket} standing for it, e.g. "[{ticket}] "; null when subjects have none */
+    ticketFormat: string | null;
+    /** Tickets are issue keys like ABC-123, or issue numbers like #123 */
+    ticketKind: 'key' | 'issue' | null;
+    endsWithPeriod: boolean;
+    /** Subjects longer than this are shortened */
+    maxSubjectLength: number;
+}
+
+/** Mood of the first word of a description: "Add", "Added" or "Adds" */
+export type CommitTense = 'imperative' | 'past' | 'present';
+
+/** Styles that can be chosen instead of learning one from the history */
+export type CommitStylePreset = 'conventional' | 'plain' | 'gitmoji';
+
+// Fewer subjects than this say nothing about a style
+const MIN_SAMPLES = 5;
+
+const MIN_SUBJECT_LENGTH = 30;
+const MAX_SUBJECT_LENGTH = 72;
+
+const CONVENTIONAL_HEADER = /^(feat|fix|docs|style|refactor|perf|tests?|build|ci|chore|revert|config|deps|release)(\([^)]*\))?(!)?:\s+/i;
+const GITMOJI_PREFIX = /^(?:(:[a-z0-9_+-]+:)|(\p{Extended_Pictographic}️?))\s*/u;
+const TICKET_PREFIX = /^(\[)?([A-Z][A-Z0-9]+-\d+|#\d+)(\])?(:)?\s+/;
+
+// Gitmojis for the commit types the rule-based messages use, as emoji and shortcode
+const GITMOJIS = new Map<string, [string, string]>([
+    ['feat', ['✨', ':sparkles:']],
+    ['fix', ['🐛', ':bug:']],
+    ['docs', ['📝', ':memo:']],
+    ['style', ['🎨', ':art:']],
+    ['refactor', ['♻️', ':recycle:']],
+    ['perf', ['⚡️', ':zap:']],
+    ['test', ['✅', ':white_check_mark:']],
+    ['build', ['📦️', ':package:']],
+    ['deps', ['⬆️', ':arrow_up:']],
+    ['ci', ['👷', ':construction_worker:']],
+    ['chore', ['🔧', ':wrench:']],
+    ['config', ['🔧', ':wrench:']],
+    ['revert', ['⏪️', ':rewind:']],
+]);
+
+// Verbs commit subjects start with, used to tell and change their tense
+const VERBS = [
+    'add', 'adjust', 'allow', 'avoid', 'bump', 'change', 'clean', 'create', 'delete', 'deprecate', 'disable',
+    'document', 'drop', 'enable', 'ensure', 'expose', 'extract', 'fix', 'format', 'handle', 'implement', 'improve',
+    'include', 'initialize', 'introduce', 'make', 'merge', 'migrate', 'move', 'optimize', 'prepare', 'prevent',
+    'refactor', 'release', 'remove', 'rename', 'reorganize', 'replace', 'restore', 'revert', 'rewrite', 'set',
+    'show', 'simplify', 'split', 'support', 'switch', 'tidy', 'update', 'upgrade', 'use', 'validate', 'write',
+];
+
+const IRREGULAR_PAST = new Map([
+    ['drop', 'dropped'],
+    ['format', 'formatted'],
+    ['make', 'made'],
+    ['rewrite', 'rewrote'],
+    ['set', 'set'],
+    ['split', 'split'],
+    ['write', 'wrote'],
+]);
+
+const PRESETS: Record<Exclude<CommitStylePreset, 'conventional'>, CommitStyle> = {
+    plain: {
+        conventional: false,
+        gitmoji: null,
+        capitalized: true,
+        tense: 'imperative',
+        ticketFormat: null,
+        ticketKind: null,
+        endsWithPeriod: false,
+        maxSubjectLength: MAX_SUBJECT_LENGTH,
+    },
+    gitmoji: {
+        conventional: false,
+        gitmoji: 'emoji',
+        capitalized: true,
+        tense: 'imperative',
+        ticketFormat: null,
+        ticketKind: null,
+        endsWithPeriod: false,
+        maxSubjectLength: MAX_SUBJECT_LENGTH,
+    },
+};
+
+interface ParsedSubject {
+    gitmoji: 'emoji' | 'shortcode' | null;
+    ticketFormat: string | null;
+    ticketKind: 'key' | 'issue' | null;
+    conventional: boolean;
+    description: string;
+}
+
+/**
+ * Learns how a repository writes commit subjects from its history, and rewrites rule-based messages to match
+ */
+export class CommitStyleService {
+    private readonly pastTenses = new Map(VERBS.map((verb) => [this.inflect(verb, 'past'), verb]));
+    private readonly presentTenses = new Map(VERBS.map((verb) => [this.inflect(verb, 'present'), verb]));
+
+    /**
+     * Work out the style of recent commit subjects
+     * @param subjects Subjects, newest first; merges and reverts are left out
+     * @returns What most subjects have in common, or null when there are too few to tell
+     */
+    detect(subjects: string[]): CommitStyle | null {
+        const samples = subjects
+            .map((subject) => subject.trim())
+            .filter((subject) => subject && !/^(Merge |Revert "|(fixup|squash|amend)! )/.test(subject));
+        if (samples.length < MIN_SAMPLES) {
+            return null;
+        }
+
+        const parsed = samples.map((subject) => this.parseSubject(subject));
+        const share = (count: number) => count / samples.length;
+        const mostCommon = <T>(values: T[]): T | null => {
+            const counts = new Map<T, number>();
+            values.forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+            return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+        };
+
+        const withGitmoji = parsed.filter((subject) => subject.gitmoji);
+        const withTicket = parsed.filter((subject) => subject.ticketFormat);
+        const usesTickets = share(withTicket.length) >= 0.5;
+
+        const firstLetters = parsed
+            .map((subject) => subject.description.charAt(0))
+            .filter((letter) => /[a-z]/i.test(letter));
+        const tenses = parsed
+            .map((subject) => this.tenseOf(subject.description.split(/\s/)[0] || ''))
+            .filter((tense): tense is CommitTense => tense !== null);
+
+        const lengths = samples.map((subject) => subject.length).sort((a, b) => a - b);
+        const typicalLength = lengths[Math.min(lengths.length - 1, Math.floor(lengths.length * 0.9))]!;
+
+        return {
+            conventional: share(parsed.filter((subject) => subject.conventional).length) >= 0.5,
+            gitmoji: share(withGitmoji.length) >= 0.3 ? mostCommon(withGitmoji.map((subject) => subject.gitmoji)) : null,
+            capitalized: firstLetters.filter((letter) => letter === letter.toUpperCase()).length > firstLetters.length / 2,
+            tense: mostCommon(tenses) ?? 'imperative',
+            ticketFormat: usesTickets ? mostCommon(withTicket.map((subject) => subject.ticketFormat)) : null,
+            ticketKind: usesTickets ? mostCommon(withTicket.map((subject) => subject.ticketKind)) : null,
+            endsWithPeriod: share(samples.filter((subject) => subject.endsWith('.')).length) >= 0.5,
+            maxSubjectLength: Math.max(MIN_SUBJECT_LENGTH, Math.min(MAX_SUBJECT_LENGTH, typicalLength)),
+        };
+    }
+
+    /**
+     * Get a style chosen in the settings
+     * @param preset Style name
+     * @returns Style, or null for conventional commits, which rule-based messages already are
+     */
+    preset(preset: CommitStylePreset): CommitStyle | null {
+        return preset === 'conventional' ? null : { ...PRESETS[preset] };
+    }
+
+    /**
+     * Find the ticket a branch is for, e.g. ABC-123 in feature/abc-123-login
+     * @param branch Branch name
+     * @param style Style of the repository
+     * @returns Ticket ID, or null when the style has no tickets or the branch names none
+     */
+    ticketFromBranch(branch: string | null, style: CommitStyle | null): string | null {
+        if (!branch || !style || !style.ticketFormat) {
+            return null;
+        }
+
+        if (style.ticketKind === 'issue') {
+            const issue = /(?:^|[/_-])#?(\d+)(?=$|[/_-])/.exec(branch);
+            return issue ? `#${issue[1]}` : null;
+        }
+        const key = /(?:^|[^a-z])([a-z][a-z0-9]+-\d+)/i.exec(branch);
+        return key ? key[1]!.toUpperCase() : null;
+    }
+
+    /**
+     * Rewrite a conventional commit message in a repository's style
+     * @param message Rule-based message
+     * @param style Style to write in
+     * @param ticket Ticket ID to put in front, or null
+     * @returns Message in that style; body lines change tense along with the subject
+     */
+    apply(message: string, style: CommitStyle, ticket: string | null = null): string {
+        const [header = '', ...body] = message.split('\n');
+        const match = CONVENTIONAL_HEADER.exec(header);
+        const type = match ? match[1]!.toLowerCase() : null;
+        const scope = match?.[2] ?? '';
+        const breaking = match?.[3] ?? '';
+
+        let description = this.changeTense(match ? header.slice(match[0].length) : header, style.tense);
+        description = style.capitalized
+            ? description.charAt(0).toUpperCase() + description.slice(1)
+            : /^[A-Z][a-z]/.test(description) ? description.charAt(0).toLowerCase() + description.slice(1) : description;
+        if (style.endsWithPeriod && !/[.!?]$/.test(description)) {
+            description += '.';
+        }
+
+        const gitmoji = style.gitmoji && type
+            ? GITMOJIS.get(scope === '(deps)' ? 'deps' : type) ?? GITMOJIS.get('chore')!
+            : null;
+        const prefix = [
+            ticket && style.ticketFormat ? style.ticketFormat.replace('{ticket}', ticket) : '',
+            gitmoji ? `${gitmoji[style.gitmoji === 'shortcode' ? 1 : 0]} ` : '',
+        ].join('');
+        const compose = (withScope: boolean) =>
+            `${prefix}${style.conventional && type ? `${type}${withScope ? scope : ''}${breaking}: ` : ''}${description}`;
+
+        let subject = compose(true);
+        if (subject.length > style.maxSubjectLength) {
+            subject = compose(false);
+        }
+        if (subject.length > style.maxSubjectLength) {
+            const cut = subject.lastIndexOf(' ', style.maxSubjectLength - 1);
+            subject = `${subject.slice(0, cut > prefix.length ? cut : style.maxSubjectLength - 1)}…`;
+        }
+
+        const styledBody = body.map((line) => {
+            const item = /^- (\S+)(.*)$/.exec(line);
+            return item ? `- ${this.changeTense(item[1]!, style.tense)}${item[2]}` : line;
+        });
+        return [subject, ...styledBody].join('\n');
+    }
+
+    /**
+     * Describe a style for a language model
+     * @param style Style to describe
+     * @param ticket Ticket ID to put in front, or null
+     * @returns One sentence, e.g. "Write the subject with no commit type prefix, a capital first letter, ..."
+     */
+    describe(style: CommitStyle, ticket: string | null = null): string {
+        const tenses: Record<CommitTense, string> = {
+            imperative: 'the imperative mood ("Add")',
+            past: 'the past tense ("Added")',
+            present: 'the present tense ("Adds")',
+        };
+        const parts = [
+            style.conventional ? 'a conventional commit type and scope' : 'no conventional commit type prefix',
+            style.gitmoji ? `a gitmoji first, written as ${style.gitmoji === 'shortcode' ? 'a shortcode like :sparkles:' : 'the emoji like ✨'}` : null,
+            style.capitalized ? 'a capital first letter' : 'a lower-case first letter',
+            tenses[style.tense],
+            ticket && style.ticketFormat ? `the ticket ID first, as in "${style.ticketFormat.replace('{ticket}', ticket)}"` : null,
+            style.endsWithPeriod ? 'a full stop at the end' : null,
+            `at most ${style.maxSubjectLength} characters`,
+        ].filter((part): part is string => part !== null);
+
+        return `Write the subject with ${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}.`;
+    }
+
+    /**
+     * Take the gitmoji, ticket ID and commit type off a subject
+     * @param subject Commit subject
+     * @returns What the subject starts with, and the description after it
+     */
+    private parseSubject(subject: string): ParsedSubject {
+        let rest = subject;
+        let ticketFormat: string | null = null;
+        let ticketKind: 'key' | 'issue' | null = null;
+        let gitmoji: 'emoji' | 'shortcode' | null = null;
+
+        const readTicket = () => {
+            const ticket = TICKET_PREFIX.exec(rest);
+            if (ticket && !ticketFormat) {
+                ticketFormat = ticket[1] && ticket[3] ? '[{ticket}] ' : ticket[4] ? '{ticket}: ' : '{ticket} ';
+                ticketKind = ticket[2]!.startsWith('#') ? 'issue' : 'key';
+                rest = rest.slice(ticket[0].length);
+            }
+        };
+
+        // The ticket goes before or after the gitmoji
+        readTicket();
+        const emoji = GITMOJI_PREFIX.exec(rest);
+        if (emoji) {
+            gitmoji = emoji[1] ? 'shortcode' : 'emoji';
+            rest = rest.slice(emoji[0].length);
+        }
+        readTicket();
+
+        const conventional = CONVENTIONAL_HEADER.exec(rest);
+        return {
+            gitmoji,
+            ticketFormat,
+            ticketKind,
+            conventional: conventional !== null,
+            description: conventional ? rest.slice(conventional[0].length) : rest,
+        };
+    }
+
+    private tenseOf(word: string): CommitTense | null {
+        const lower = word.toLowerCase();
+        if (VERBS.includes(lower)) {
+            return 'imperative';
+        }
+        if (this.pastTenses.has(lower)) {
+            return 'past';
+        }
+        return this.presentTenses.has(lower) ? 'present' : null;
+    }
+
+    /**
+     * Put the first word of a description in another tense, when it is a known verb
+     * @param description Description starting with a verb in the imperative, e.g. "add parser"
+     * @param tense Tense to use
+     * @returns Description, e.g. "added parser"
+     */
+    private changeTense(description: string, tense: CommitTense): string {
+        const [word = ''] = description.split(/\s/, 1);
+        const lower = word.toLowerCase();
+        if (tense === 'imperative' || !VERBS.includes(lower)) {
+            return description;
+        }
+
+        const inflected = this.inflect(lower, tense);
+        const cased = word.charAt(0) === word.charAt(0).toUpperCase()
+            ? inflected.charAt(0).toUpperCase() + inflected.slice(1)
+            : inflected;
+        return cased + description.slice(word.length);
+    }
+
+    private inflect(verb: string, tense: CommitTense): string {
+        if (tense === 'past') {
+            return IRREGULAR_PAST.get(verb)
+                ?? (verb.endsWith('e') ? `${verb}d` : /[^aeiou]y$/.test(verb) ? `${verb.slice(0, -1)}ied` : `${verb}ed`);
+        }
+        if (tense === 'present') {
+            return /(s|x|z|ch|sh)$/.test(verb)
+                ? `${verb}es`
+                : /[^aeiou]y$/.test(verb) ? `${verb.slice(0, -1)}ies` : `${verb}s`;
+        }
+        return verb;
+    }
+}
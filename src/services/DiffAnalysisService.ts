@@ -0,0 +1,478 @@
+import * as path from 'path';
+
+/** One file of a unified diff */
+export interface FileDiff {
+    fileName: string;
+    /** Name before a rename, or null */
+    originalFileName: string | null;
+    status: 'added' | 'deleted' | 'modified' | 'renamed';
+    binary: boolean;
+    addedLines: string[];
+    removedLines: string[];
+}
+
+export type CodeSymbolKind = 'function' | 'method' | 'class' | 'interface' | 'type' | 'enum' | 'constant';
+
+/** A function, class or other declaration found in added or removed lines */
+export interface CodeSymbol {
+    name: string;
+    kind: CodeSymbolKind;
+    fileName: string;
+    exported: boolean;
+}
+
+/** A dependency added, removed or moved to another version in a package manifest */
+export interface DependencyChange {
+    name: string;
+    change: 'added' | 'removed' | 'updated';
+    from: string | null;
+    to: string | null;
+    manifest: string;
+}
+
+/** What a diff changes, beyond which files it touches */
+export interface DiffAnalysis {
+    files: FileDiff[];
+    addedSymbols: CodeSymbol[];
+    removedSymbols: CodeSymbol[];
+    /** Declarations whose line changed, e.g. a new parameter */
+    changedSymbols: CodeSymbol[];
+    dependencyChanges: DependencyChange[];
+    /** Files that were only renamed or moved, without content changes */
+    renames: Array<{ from: string; to: string }>;
+    /** Every changed file is a test */
+    testOnly: boolean;
+    /** Only whitespace and line breaks changed */
+    formattingOnly: boolean;
+    /** Every changed file is a package manifest or lock file */
+    dependenciesOnly: boolean;
+}
+
+interface SymbolPattern {
+    pattern: RegExp;
+    kind: CodeSymbolKind;
+    /** Capture group holding the name */
+    group: number;
+    /** Decide from the match whether the declaration is visible outside its file */
+    exported?: (match: RegExpMatchArray) => boolean;
+}
+
+const JS_PATTERNS: SymbolPattern[] = [
+    { pattern: /^\s*(export\s+)?(default\s+)?(async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)/, kind: 'function', group: 4, exported: (m) => !!m[1] },
+    { pattern: /^\s*(export\s+)?(default\s+)?(abstract\s+)?class\s+([A-Za-z_$][\w$]*)/, kind: 'class', group: 4, exported: (m) => !!m[1] },
+    { pattern: /^\s*(export\s+)?(declare\s+)?interface\s+([A-Za-z_$][\w$]*)/, kind: 'interface', group: 3, exported: (m) => !!m[1] },
+    { pattern: /^\s*(export\s+)?(declare\s+)?type\s+([A-Za-z_$][\w$]*)\s*(<[^=]*>)?\s*=/, kind: 'type', group: 3, exported: (m) => !!m[1] },
+    { pattern: /^\s*(export\s+)?(declare\s+)?(const\s+)?enum\s+([A-Za-z_$][\w$]*)/, kind: 'enum', group: 4, exported: (m) => !!m[1] },
+    {
+        pattern: /^\s*(export\s+)?(const|let|var)\s+([A-Za-z_$][\w$]*)\s*(:[^=]+)?=\s*(async\s+)?(function\b|(\([^)]*\)|[A-Za-z_$][\w$]*)\s*(:[^=]+)?=>)/,
+        kind: 'function',
+        group: 3,
+        exported: (m) => !!m[1],
+    },
+    { pattern: /^\s*export\s+(const|let|var)\s+([A-Za-z_$][\w$]*)/, kind: 'constant', group: 2, exported: () => true },
+    {
+        pattern: /^\s+((public|private|protected|static|readonly|override|async|get|set)\s+)*([A-Za-z_$][\w$]*)\s*(<[^>]*>)?\s*\([^)]*\)\s*(:\s*[^{=;]+)?\{\s*$/,
+        kind: 'method',
+        group: 3,
+    },
+];
+
+const SYMBOL_PATTERNS: Record<string, SymbolPattern[]> = {
+    js: JS_PATTERNS,
+    jsx: JS_PATTERNS,
+    mjs: JS_PATTERNS,
+    cjs: JS_PATTERNS,
+    ts: JS_PATTERNS,
+    tsx: JS_PATTERNS,
+    mts: JS_PATTERNS,
+    cts: JS_PATTERNS,
+    vue: JS_PATTERNS,
+    svelte: JS_PATTERNS,
+    py: [
+        { pattern: /^(\s*)(async\s+)?def\s+([A-Za-z_]\w*)/, kind: 'function', group: 3, exported: (m) => !m[3]!.startsWith('_') },
+        { pattern: /^\s*class\s+([A-Za-z_]\w*)/, kind: 'class', group: 1, exported: (m) => !m[1]!.startsWith('_') },
+    ],
+    go: [
+        { pattern: /^func\s+\([^)]*\)\s*([A-Za-z_]\w*)/, kind: 'method', group: 1, exported: (m) => /^[A-Z]/.test(m[1]!) },
+        { pattern: /^func\s+([A-Za-z_]\w*)/, kind: 'function', group: 1, exported: (m) => /^[A-Z]/.test(m[1]!) },
+        { pattern: /^type\s+([A-Za-z_]\w*)\s+(struct|interface)\b/, kind: 'type', group: 1, exported: (m) => /^[A-Z]/.test(m[1]!) },
+    ],
+    rs: [
+        { pattern: /^\s*(pub(\([^)]*\))?\s+)?(const\s+)?(async\s+)?(unsafe\s+)?fn\s+([A-Za-z_]\w*)/, kind: 'function', group: 6, exported: (m) => !!m[1] },
+        { pattern: /^\s*(pub(\([^)]*\))?\s+)?(struct|trait)\s+([A-Za-z_]\w*)/, kind: 'type', group: 4, exported: (m) => !!m[1] },
+        { pattern: /^\s*(pub(\([^)]*\))?\s+)?enum\s+([A-Za-z_]\w*)/, kind: 'enum', group: 3, exported: (m) => !!m[1] },
+    ],
+    rb: [
+        { pattern: /^\s*def\s+(self\.)?([A-Za-z_]\w*[?!]?)/, kind: 'method', group: 2 },
+        { pattern: /^\s*(class|module)\s+([A-Z]\w*)/, kind: 'class', group: 2 },
+    ],
+    php: [
+        { pattern: /^\s*((public|private|protected|static|final|abstract)\s+)*function\s+([A-Za-z_]\w*)/, kind: 'function', group: 3 },
+        { pattern: /^\s*((final|abstract)\s+)?(class|interface|trait|enum)\s+([A-Za-z_]\w*)/, kind: 'class', group: 4 },
+    ],
+    kt: [
+        { pattern: /^\s*((public|private|protected|internal|override|suspend|inline|open)\s+)*fun\s+(<[^>]*>\s*)?([A-Za-z_]\w*)/, kind: 'function', group: 4 },
+        { pattern: /^\s*((public|private|protected|internal|data|sealed|open|abstract|enum)\s+)*(class|interface|object)\s+([A-Za-z_]\w*)/, kind: 'class', group: 4 },
+    ],
+    java: [
+        { pattern: /^\s*((public|private|protected|static|final|abstract|sealed)\s+)*(class|interface|enum|record)\s+([A-Za-z_]\w*)/, kind: 'class', group: 4, exported: (m) => /\bpublic\b/.test(m[0]) },
+    ],
+    cs: [
+        { pattern: /^\s*((public|private|protected|internal|static|sealed|abstract|partial)\s+)*(class|interface|enum|record|struct)\s+([A-Za-z_]\w*)/, kind: 'class', group: 4, exported: (m) => /\bpublic\b/.test(m[0]) },
+    ],
+};
+
+// Words that look like a method declaration in the generic pattern but are statements
+const NOT_SYMBOLS = new Set([
+    'if', 'for', 'while', 'switch', 'catch', 'function', 'return', 'with', 'else', 'do', 'try', 'constructor',
+]);
+
+const LOCK_FILES = new Set([
+    'package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lockb',
+    'Cargo.lock', 'go.sum', 'poetry.lock', 'Pipfile.lock', 'Gemfile.lock', 'composer.lock',
+]);
+
+// Fields of a manifest whose values look like versions but are not dependencies
+const MANIFEST_FIELDS = new Set(['version', 'node', 'npm', 'vscode', 'yarn', 'pnpm', 'edition', 'rust-version']);
+
+const VERSION_PATTERN = /^(workspace:|npm:|file:|link:|git\+|github:|https?:|latest$|next$|\*$|[\^~<>=]*\s*v?\d)/;
+
+// Escapes git uses when it quotes a file name
+const QUOTED_ESCAPES = new Map([
+    ['n', '\n'], ['t', '\t'], ['"', '"'], ['\\', '\\'], ['a', '\x07'], ['b', '\b'], ['f', '\f'], ['r', '\r'], ['v', '\v'],
+]);
+
+const TEST_FILE_PATTERN = /(^|\/)(tests?|__tests__|__mocks__|spec|specs)\/|\.(test|spec)\.[^/]+$|_test\.(go|py|rb)$|(^|\/)test_[^/]+\.py$/;
+
+/**
+ * Service that reads a unified diff and works out what it changes: declarations added or removed,
+ * dependencies added or bumped, files renamed, and whether only tests or only formatting changed
+ */
+export class DiffAnalysisService {
+    /**
+     * Analyse the output of `git diff`
+     * @param diff Unified diff, preferably with renames detected (-M)
+     * @returns What the diff changes
+     */
+    analyze(diff: string): DiffAnalysis {
+        const files = this.parseDiff(diff || '');
+
+        const before: CodeSymbol[] = [];
+        const after: CodeSymbol[] = [];
+        files.forEach((file) => {
+            before.push(...this.findSymbols(file.fileName, file.removedLines));
+            after.push(...this.findSymbols(file.fileName, file.addedLines));
+        });
+
+        const key = (symbol: CodeSymbol) => `${symbol.fileName}\0${symbol.kind}\0${symbol.name}`;
+        const beforeKeys = new Set(before.map(key));
+        const afterKeys = new Set(after.map(key));
+        const unique = (symbols: CodeSymbol[]) => symbols.filter((symbol, index) =>
+            symbols.findIndex((other) => key(other) === key(symbol)) === index
+        );
+
+        return {
+            files,
+            addedSymbols: unique(after.filter((symbol) => !beforeKeys.has(key(symbol)))),
+            removedSymbols: unique(before.filter((symbol) => !afterKeys.has(key(symbol)))),
+            changedSymbols: unique(after.filter((symbol) => beforeKeys.has(key(symbol)))),
+            dependencyChanges: files.flatMap((file) => this.findDependencyChanges(file)),
+            renames: files
+                .filter((file) => file.status === 'renamed' && file.addedLines.length === 0 && file.removedLines.length === 0)
+                .map((file) => ({ from: file.originalFileName!, to: file.fileName })),
+            testOnly: files.length > 0 && files.every((file) => this.isTestFile(file.fileName)),
+            formattingOnly: files.length > 0 && files.every((file) => this.isFormattingOnly(file)),
+            dependenciesOnly: files.length > 0 && files.every((file) => this.isDependencyFile(file.fileName)),
+        };
+    }
+
+    /**
+     * Check whether a path belongs to the tests
+     * @param fileName Path relative to the repository
+     * @returns True for files in test directories and *.test.* / *.spec.* files
+     */
+    isTestFile(fileName: string): boolean {
+        return TEST_FILE_PATTERN.test(fileName);
+    }
+
+    /**
+     * Check whether a path is a package manifest or lock file
+     * @param fileName Path relative to the repository
+     * @returns True for package.json, requirements*.txt, Cargo.toml, go.mod and their lock files
+     */
+    isDependencyFile(fileName: string): boolean {
+        return LOCK_FILES.has(path.posix.basename(fileName)) || this.getManifestKind(fileName) !== null;
+    }
+
+    /**
+     * Split a unified diff into files with their added and removed lines
+     * @param diff Unified diff
+     * @returns Changed files in diff order
+     */
+    private parseDiff(diff: string): FileDiff[] {
+        const files: FileDiff[] = [];
+        let current: FileDiff | null = null;
+        let inHunk = false;
+
+        for (const line of diff.split('\n')) {
+            if (line.startsWith('diff --git ')) {
+                current = {
+                    fileName: this.nameFromHeader(line.slice('diff --git '.length)),
+                    originalFileName: null,
+                    status: 'modified',
+                    binary: false,
+                    addedLines: [],
+                    removedLines: [],
+                };
+                files.push(current);
+                inHunk = false;
+                continue;
+            }
+            if (!current) {
+                continue;
+            }
+
+            if (inHunk) {
+                if (line.startsWith('+')) {
+                    current.addedLines.push(line.slice(1));
+                    continue;
+                }
+                if (line.startsWith('-')) {
+                    current.removedLines.push(line.slice(1));
+                    continue;
+                }
+                if (line.startsWith(' ') || line.startsWith('\\')) {
+                    continue;
+                }
+            }
+
+            if (line.startsWith('@@')) {
+                inHunk = true;
+            } else if (line.startsWith('new file mode')) {
+                current.status = 'added';
+            } else if (line.startsWith('deleted file mode')) {
+                current.status = 'deleted';
+            } else if (line.startsWith('rename from ')) {
+                current.status = 'renamed';
+                current.originalFileName = this.unquote(line.slice('rename from '.length));
+            } else if (line.startsWith('rename to ')) {
+                current.fileName = this.unquote(line.slice('rename to '.length));
+            } else if (line.startsWith('Binary files ')) {
+                current.binary = true;
+            } else if (line.startsWith('+++ ') && line !== '+++ /dev/null') {
+                current.fileName = this.nameFromMarker(line).replace(/^b\//, '');
+            } else if (line.startsWith('--- ') && line !== '--- /dev/null' && current.status === 'deleted') {
+                current.fileName = this.nameFromMarker(line).replace(/^a\//, '');
+            }
+        }
+
+        return files;
+    }
+
+    /**
+     * Take the file name from "a/<name> b/<name>", which is only unambiguous when both names are the same;
+     * renames and files with content are named again further down
+     * @param header Header after "diff --git "
+     * @returns File name
+     */
+    private nameFromHeader(header: string): string {
+        if (header.startsWith('"')) {
+            const end = header.indexOf('" ');
+            return this.unquote(header.slice(0, end + 1)).replace(/^a\//, '');
+        }
+        const nameLength = (header.length - 5) / 2;
+        return Number.isInteger(nameLength) && nameLength > 0
+            ? header.slice(2, 2 + nameLength)
+            : header.replace(/^a\//, '').split(' b/')[0] || header;
+    }
+
+    /**
+     * Take the file name from a "--- a/<name>" or "+++ b/<name>" line
+     * @param line Marker line
+     * @returns Name with its a/ or b/ prefix; git ends names containing spaces with a tab
+     */
+    private nameFromMarker(line: string): string {
+        return this.unquote(line.slice(4).replace(/\t$/, ''));
+    }
+
+    /**
+     * Undo git's C-style quoting of unusual file names
+     * @param name Name as printed by git
+     * @returns Plain file name
+     */
+    private unquote(name: string): string {
+        if (!name.startsWith('"') || !name.endsWith('"')) {
+            return name;
+        }
+
+        const bytes: number[] = [];
+        const inner = name.slice(1, -1);
+        for (let i = 0; i < inner.length; i++) {
+            const char = inner[i]!;
+            if (char !== '\\') {
+                bytes.push(...Buffer.from(char, 'utf8'));
+            } else if (/[0-7]{3}/.test(inner.slice(i + 1, i + 4))) {
+                bytes.push(parseInt(inner.slice(i + 1, i + 4), 8));
+                i += 3;
+            } else {
+                bytes.push(...Buffer.from(QUOTED_ESCAPES.get(inner[i + 1]!) ?? inner[i + 1] ?? '', 'utf8'));
+                i += 1;
+            }
+        }
+        return Buffer.from(bytes).toString('utf8');
+    }
+
+    /**
+     * Find declarations in lines of a file
+     * @param fileName File the lines belong to; its extension picks the language
+     * @param lines Added or removed lines
+     * @returns Declarations in line order
+     */
+    private findSymbols(fileName: string, lines: string[]): CodeSymbol[] {
+        const extension = path.posix.extname(fileName).slice(1).toLowerCase();
+        const patterns = SYMBOL_PATTERNS[extension];
+        if (!patterns) {
+            return [];
+        }
+
+        const symbols: CodeSymbol[] = [];
+        for (const line of lines) {
+            // Names listed in export { a, b as c }
+            const exportList = /^\s*export\s*\{([^}]*)\}/.exec(line);
+            if (exportList && SYMBOL_PATTERNS[extension] === JS_PATTERNS) {
+                exportList[1]!.split(',')
+                    .map((entry) => entry.trim().split(/\s+as\s+/).pop()!.trim())
+                    .filter((name) => /^[A-Za-z_$][\w$]*$/.test(name))
+                    .forEach((name) => symbols.push({ name, kind: 'constant', fileName, exported: true }));
+                continue;
+            }
+
+            for (const { pattern, kind, group, exported } of patterns) {
+                const match = line.match(pattern);
+                const name = match ? match[group] : undefined;
+                if (match && name && !NOT_SYMBOLS.has(name)) {
+                    symbols.push({
+                        name,
+                        // An indented Python def is a method
+                        kind: extension === 'py' && kind === 'function' && match[1] ? 'method' : kind,
+                        fileName,
+                        exported: exported ? exported(match) : false,
+                    });
+                    break;
+                }
+            }
+        }
+        return symbols;
+    }
+
+    /**
+     * Work out which kind of package manifest a file is
+     * @param fileName Path relative to the repository
+     * @returns Manifest kind, or null for other files
+     */
+    private getManifestKind(fileName: string): 'npm' | 'pip' | 'cargo' | 'go' | null {
+        const baseName = path.posix.basename(fileName);
+        if (baseName === 'package.json') {
+            return 'npm';
+        }
+        if (/^requirements([-_.][\w.-]*)?\.txt$/.test(baseName)) {
+            return 'pip';
+        }
+        if (baseName === 'Cargo.toml') {
+            return 'cargo';
+        }
+        if (baseName === 'go.mod') {
+            return 'go';
+        }
+        return null;
+    }
+
+    /**
+     * Compare the dependency lines a manifest lost and gained
+     * @param file Changed file
+     * @returns Dependencies added, removed or moved to another version
+     */
+    private findDependencyChanges(file: FileDiff): DependencyChange[] {
+        const kind = this.getManifestKind(file.fileName);
+        if (!kind) {
+            return [];
+        }
+
+        const removed = this.parseDependencies(kind, file.removedLines);
+        const added = this.parseDependencies(kind, file.addedLines);
+        const changes: DependencyChange[] = [];
+
+        added.forEach((to, name) => {
+            const from = removed.get(name);
+            if (from === undefined) {
+                changes.push({ name, change: 'added', from: null, to: to || null, manifest: file.fileName });
+            } else if (from !== to) {
+                changes.push({ name, change: 'updated', from: from || null, to: to || null, manifest: file.fileName });
+            }
+        });
+        removed.forEach((from, name) => {
+            if (!added.has(name)) {
+                changes.push({ name, change: 'removed', from: from || null, to: null, manifest: file.fileName });
+            }
+        });
+        return changes;
+    }
+
+    /**
+     * Read dependency names and versions from manifest lines
+     * @param kind Manifest kind
+     * @param lines Added or removed lines
+     * @returns Version by dependency name; an empty string when no version is given
+     */
+    private parseDependencies(kind: 'npm' | 'pip' | 'cargo' | 'go', lines: string[]): Map<string, string> {
+        const dependencies = new Map<string, string>();
+        for (const line of lines) {
+            let match: RegExpMatchArray | null = null;
+            let name: string | undefined;
+            let version: string | undefined;
+
+            switch (kind) {
+                case 'npm':
+                    match = line.match(/^\s*"(@?[^"\s]+)"\s*:\s*"([^"]*)"\s*,?\s*$/);
+                    [, name, version] = match || [];
+                    break;
+                case 'pip':
+                    match = line.match(/^\s*([A-Za-z0-9][\w.-]*)(\[[^\]]*\])?\s*(?:(==|>=|<=|~=|!=|>|<)\s*([^\s;#,]+))?\s*([;#].*)?$/);
+                    name = match ? match[1] : undefined;
+                    version = match ? match[4] || '' : undefined;
+                    break;
+                case 'cargo':
+                    match = line.match(/^\s*([A-Za-z0-9_-]+)\s*=\s*(?:"([^"]+)"|\{.*\bversion\s*=\s*"([^"]+)")/);
+                    name = match ? match[1] : undefined;
+                    version = match ? match[2] || match[3] : undefined;
+                    break;
+                case 'go':
+                    match = line.match(/^\s*(?:require\s+)?([\w.-]+\.[\w.\-/]+)\s+(v[\w.\-+]+)/);
+                    [, name, version] = match || [];
+                    break;
+            }
+
+            if (!name || version === undefined || MANIFEST_FIELDS.has(name)) {
+                continue;
+            }
+            if ((kind === 'npm' || kind === 'cargo') && !VERSION_PATTERN.test(version)) {
+                continue;
+            }
+            dependencies.set(name, version);
+        }
+        return dependencies;
+    }
+
+    /**
+     * Check whether a file only changed whitespace and line breaks
+     * @param file Changed file
+     * @returns True when the removed and added text match once whitespace is ignored
+     */
+    private isFormattingOnly(file: FileDiff): boolean {
+        if (file.status !== 'modified' || file.binary || (file.addedLines.length === 0 && file.removedLines.length === 0)) {
+            return false;
+        }
+        const squash = (lines: string[]) => lines.join('').replace(/\s+/g, '');
+        return squash(file.addedLines) === squash(file.removedLines);
+    }
+}
@@ -96,6 +96,13 @@ export class FileOperationsService implements FileOperationsServiceInterface {
         fs.writeFileSync(filePath, content, encoding);
     }
 
+    /**
+     * Copy a file synchronously, replacing the destination if it exists
+     */
+    copyFileSync(sourcePath: string, destinationPath: string): void {
+        fs.copyFileSync(sourcePath, destinationPath);
+    }
+
     /**
      * Delete a file
      */
@@ -0,0 +1,174 @@
+import { spawn } from 'child_process';
+import { StringDecoder } from 'string_decoder';
+import type { CancellationToken } from 'vscode';
+
+export interface GitCommandResult {
+    stdout: string;
+    stderr: string;
+}
+
+export interface GitRunOptions {
+    cwd?: string;
+    env?: Record<string, string>;
+    input?: string;
+    /** Kill git after this many milliseconds; 0 or undefined waits forever */
+    timeout?: number;
+    /** Kill git when cancellation is requested, e.g. from the Cancel button of a progress notification */
+    token?: CancellationToken | undefined;
+    /** Receive stdout one record at a time instead of buffering it; stdout is then returned empty */
+    onRecord?: (record: string) => void;
+    /** Separator between records passed to onRecord, '\n' by default */
+    recordSeparator?: string;
+}
+
+/**
+ * Thrown when a git process is stopped because its cancellation token fired
+ */
+export class GitCommandCancelledError extends Error {
+    constructor(command: string) {
+        super(`Cancelled: git ${command}`);
+        this.name = 'GitCommandCancelledError';
+    }
+}
+
+/**
+ * Runs git with an argument vector instead of a shell string
+ * Nothing passes through a shell, so file names, branch names, URLs and messages are never interpreted;
+ * text such as commit messages is fed through stdin
+ * Output is streamed rather than collected by `exec`, so there is no output size limit
+ */
+export class GitCommandRunner {
+    private readonly gitPath: string;
+
+    constructor(gitPath: string = 'git') {
+        this.gitPath = gitPath;
+    }
+
+    /**
+     * Run a git command
+     * @param args Arguments passed to git, e.g. ['commit', '-F', '-']
+     * @param options Working directory, environment, stdin input, timeout, cancellation and streaming callback
+     * @returns Raw stdout and stderr
+     * @throws GitCommandCancelledError when cancelled, otherwise Error with git's stderr when git cannot be
+     * started, times out or exits with a non-zero code
+     */
+    run(args: string[], options: GitRunOptions = {}): Promise<GitCommandResult> {
+        const description = this.describe(args);
+
+        if (options.token?.isCancellationRequested) {
+            return Promise.reject(new GitCommandCancelledError(description));
+        }
+
+        return new Promise((resolve, reject) => {
+            const child = spawn(this.gitPath, args, {
+                cwd: options.cwd,
+                env: { ...process.env, ...options.env },
+                shell: false,
+                windowsHide: true
+            });
+
+            const stdout: Buffer[] = [];
+            const stderr: Buffer[] = [];
+            const decoder = new StringDecoder('utf8');
+            const separator = options.recordSeparator || '\n';
+            let pending: string | null = null;
+            let abortError: Error | null = null;
+
+            const abort = (error: Error) => {
+                if (!abortError) {
+                    abortError = error;
+                    child.kill();
+                }
+            };
+
+            const timer = options.timeout
+                ? setTimeout(
+                    () => abort(new Error(`Timed out after ${Math.round(options.timeout! / 1000)}s: git ${description}`)),
+                    options.timeout
+                )
+                : null;
+            const cancellation = options.token?.onCancellationRequested(
+                () => abort(new GitCommandCancelledError(description))
+            );
+
+            const emitRecords = (text: string, final: boolean) => {
+                const records = ((pending ?? '') + text).split(separator);
+                pending = final ? null : records.pop()!;
+                for (const record of records) {
+                    options.onRecord!(record);
+                }
+            };
+
+            child.stdout.on('data', (chunk: Buffer) => {
+                if (options.onRecord) {
+                    try {
+                        emitRecords(decoder.write(chunk), false);
+                    } catch (error) {
+                        abort(error as Error);
+                    }
+                } else {
+                    stdout.push(chunk);
+                }
+            });
+            child.stderr.on('data', (chunk: Buffer) => stderr.push(chunk));
+
+            const finish = () => {
+                if (timer) {
+                    clearTimeout(timer);
+                }
+                cancellation?.dispose();
+            };
+
+            child.on('error', (error) => {
+                finish();
+                reject(new Error(`Failed to run git ${description}: ${error.message}`));
+            });
+
+            child.on('close', (code) => {
+                finish();
+
+                if (abortError) {
+                    reject(abortError);
+                    return;
+                }
+
+                const result = {
+                    stdout: Buffer.concat(stdout).toString('utf8'),
+                    stderr: Buffer.concat(stderr).toString('utf8')
+                };
+
+                if (code !== 0) {
+                    reject(new Error(`Command failed: git ${description}\n${result.stderr.trim()}`));
+                    return;
+                }
+
+                // The last record has no trailing separator; flush it once any output was seen
+                if (options.onRecord && pending !== null) {
+                    try {
+                        emitRecords(decoder.end(), true);
+                    } catch (error) {
+                        reject(error);
+                        return;
+                    }
+                }
+                resolve(result);
+            });
+
+            // Git may exit before reading everything (e.g. on bad arguments); that is reported through 'close'
+            child.stdin.on('error', () => undefined);
+            if (options.input !== undefined) {
+                child.stdin.write(options.input);
+            }
+            child.stdin.end();
+        });
+    }
+
+    /**
+     * Describe a command for error messages, quoting arguments that contain whitespace
+     * @param args Git arguments
+     * @returns Printable command line
+     */
+    describe(args: string[]): string {
+        return args.map(arg => (/[\s"]/.test(arg) ? JSON.stringify(arg) : arg)).join(' ');
+    }
+}
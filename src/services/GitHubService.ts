@@ -1,10 +1,10 @@
 import * as vscode from 'vscode';
 import * as https from 'https';
-import { exec } from 'child_process';
-import { promisify } from 'util';
+import * as fs from 'fs';
 import { GitHubServiceInterface } from '../types';
+import { GitCommandRunner, GitCommandCancelledError } from './GitCommandRunner';
 
-const execPromise = promisify(exec);
+const constants = require('../constants');
 
 interface GitHubRequestOptions {
     hostname: string;
@@ -46,9 +46,11 @@ interface GitHubApiError {
 
 export class GitHubService implements GitHubServiceInterface {
     private baseURL: string;
+    private gitRunner: GitCommandRunner;
 
-    constructor() {
+    constructor(gitRunner: GitCommandRunner | null = null) {
         this.baseURL = "https://api.github.com";
+        this.gitRunner = gitRunner || new GitCommandRunner();
     }
 
     async getGitHubToken(): Promise<string> {
@@ -190,24 +192,38 @@ export class GitHubService implements GitHubServiceInterface {
         return await this.makeGitHubRequest("/user/repos", "POST", data);
     }
 
-    async addRemoteAndPush(repoPath: string, remoteUrl: string): Promise<void> {
+    /**
+     * Point origin at the GitHub repository and push main (or master) to it
+     * @param repoPath Repository path
+     * @param remoteUrl Clone URL of the GitHub repository
+     * @param token Stops the push when cancelled
+     * @throws GitCommandCancelledError when the push was cancelled
+     */
+    async addRemoteAndPush(repoPath: string, remoteUrl: string, token?: vscode.CancellationToken): Promise<void> {
+        if (remoteUrl.startsWith("-")) {
+            throw new Error(`Invalid remote URL: ${remoteUrl}`);
+        }
+        const pushOptions = { cwd: repoPath, token, timeout: constants.GIT_TIMEOUTS.NETWORK };
+
         try {
             try {
-                await execPromise("git remote get-url origin", { cwd: repoPath });
-                await execPromise(`git remote set-url origin ${remoteUrl}`, {
-                    cwd: repoPath,
-                });
+                await this.gitRunner.run(["remote", "get-url", "origin"], { cwd: repoPath });
+                await this.gitRunner.run(["remote", "set-url", "origin", remoteUrl], { cwd: repoPath });
             } catch (error) {
-                await execPromise(`git remote add origin ${remoteUrl}`, {
-                    cwd: repoPath,
-                });
+                await this.gitRunner.run(["remote", "add", "origin", remoteUrl], { cwd: repoPath });
             }
 
-            await execPromise("git push -u origin main", { cwd: repoPath });
+            await this.gitRunner.run(["push", "-u", "origin", "main"], pushOptions);
         } catch (error) {
+            if (error instanceof GitCommandCancelledError) {
+                throw error;
+            }
             try {
-                await execPromise("git push -u origin master", { cwd: repoPath });
+                await this.gitRunner.run(["push", "-u", "origin", "master"], pushOptions);
             } catch (masterError) {
+                if (masterError instanceof GitCommandCancelledError) {
+                    throw masterError;
+                }
                 throw new Error(`Failed to push to GitHub: ${(error as Error).message}`);
             }
         }
@@ -229,10 +245,27 @@ export class GitHubService implements GitHubServiceInterface {
         }));
     }
 
-    async cloneRepository(cloneUrl: string, targetPath: string): Promise<void> {
+    /**
+     * Clone a repository; a failed or cancelled clone leaves no partial folder behind
+     * @param cloneUrl Clone URL
+     * @param targetPath Folder to clone into
+     * @param token Stops the clone when cancelled
+     * @throws GitCommandCancelledError when the clone was cancelled
+     */
+    async cloneRepository(cloneUrl: string, targetPath: string, token?: vscode.CancellationToken): Promise<void> {
+        const targetExisted = fs.existsSync(targetPath);
         try {
-            await execPromise(`git clone "${cloneUrl}" "${targetPath}"`);
+            await this.gitRunner.run(["clone", "--", cloneUrl, targetPath], {
+                token,
+                timeout: constants.GIT_TIMEOUTS.NETWORK
+            });
         } catch (error) {
+            if (!targetExisted) {
+                await fs.promises.rm(targetPath, { recursive: true, force: true });
+            }
+            if (error instanceof GitCommandCancelledError) {
+                throw error;
+            }
             throw new Error(`Failed to clone repository: ${(error as Error).message}`);
         }
     }
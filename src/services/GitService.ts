@@ -1,5 +1,3 @@
-import { exec } from 'child_process';
-import { promisify } from 'util';
 import * as vscode from 'vscode';
 import { 
   GitCommit, 
@@ -15,12 +13,37 @@ const constants = require('../constants');
 
 // Import services
 import { CommitMessageService } from './CommitMessageService';
+import { CommitMessageSettings } from './CommitMessageProviders';
+import { CommitStyle, CommitStylePreset, CommitStyleService } from './CommitStyleService';
+import {
+  CommitLintConfig,
+  CommitLintMode,
+  CommitLintResult,
+  CommitLintRules,
+  CommitLintService,
+  DEFAULT_COMMIT_LINT_RULES,
+} from './CommitLintService';
+import { ChangeArea, ScopeContext, ScopeInferenceService } from './ScopeInferenceService';
+import { GitCommandRunner, GitCommandResult, GitCommandCancelledError, GitRunOptions } from './GitCommandRunner';
 const NotificationService = require('./NotificationService');
 const FileOperationsService = require('./FileOperationsService');
 
-const execPromise = promisify(exec);
 const delay = (ms: number): Promise<void> => new Promise(resolve => setTimeout(resolve, ms));
 
+/**
+ * Placeholders requested from `git log`, in output order
+ * Fields are NUL-separated and `-z` separates commits with NUL too, so every commit is exactly this many fields
+ * no matter what its subject or body contains
+ * Signatures are left out: checking them runs gpg or ssh-keygen for every commit, so getCommitSignature
+ * reads them for one commit at a time
+ */
+const LOG_FIELDS = [
+  '%H', '%h', '%t', '%P', '%p', '%D', '%e', '%s', '%f', '%b', '%N',
+  '%an', '%ae', '%ad', '%aI', '%cn', '%ce', '%cI',
+  '%(trailers:only,unfold)',
+];
+const LOG_PRETTY_FORMAT = `--format=format:${LOG_FIELDS.join('%x00')}`;
+
 // Feature flag for simplified restore - EASY TOGGLE FOR TESTING
 
 // Extended interfaces for internal GitService use
@@ -30,18 +53,40 @@ interface CacheEntry<T> {
   error?: string | null;
 }
 
-interface CommitData {
-  hash: string;
-  author: string;
-  date: string;
+interface CommitData extends GitCommit {
   subject: string;
   version: number;
 }
 
+interface FileHistoryCommit extends CommitData {
+  /** Repository-relative name of the file in this version, which differs from today's name before a rename */
+  fileName: string;
+}
+
+interface BlameLine {
+  /** 1-based line number in the file as it is now */
+  line: number;
+  hash: string;
+  /** TimeLad version number, or null for lines that are not saved yet */
+  version: number | null;
+  author: string;
+  authorEmail: string;
+  /** Author time in milliseconds since the epoch */
+  authorTime: number;
+  summary: string;
+  /** Name of the file in the version that last changed the line */
+  fileName: string;
+  /** Version before the change and the file's name in it, or null when the change added the file */
+  previousHash: string | null;
+  previousFileName: string | null;
+}
+
 interface FileChange {
   status: string;
   fileName: string;
   type: string;
+  /** Name before a rename or copy */
+  originalFileName?: string;
 }
 
 interface UncommittedChanges {
@@ -52,12 +97,67 @@ interface UncommittedChanges {
 
 interface RestoreResult {
   success: boolean;
+  cancelled?: boolean;
   message?: string;
   newCommit?: string;
   previousCommit?: string;
   branch?: string;
+  paths?: string[];
+}
+
+interface UndoableRestore {
+  previousCommit: string;
+  newCommit: string;
+  branch?: string;
+  version?: number | string;
+}
+
+interface Snapshot {
+  ref: string;
+  hash: string;
+  date: string;
+  reason: string;
+}
+
+interface Autosave extends CommitData {
+  /** Hidden ref that keeps the autosave */
+  ref: string;
+  /** Version the files were based on when the autosave was taken, or null when that version is no longer in the history */
+  baseVersion: number | null;
+}
+
+interface Backup {
+  /** Branch that keeps the backup, e.g. timelad/backup/pre-discard-2026-10-19T09-30-00-000Z */
+  branch: string;
+  hash: string;
+  /** ISO 8601 date the backup was made */
+  date: string;
+  /** Operation the backup was made before: restore, restore-files, undo-restore, discard, restore-backup or bring-back */
+  operation: string;
+  /** What the backup was made before, e.g. "Before restoring version 3" */
+  description: string;
+}
+
+interface DiffSummaryFile {
+  status: string;
+  fileName: string;
+  type: string;
+  insertions: number | null;
+  deletions: number | null;
+}
+
+interface DiffSummary {
+  files: DiffSummaryFile[];
+  added: number;
+  modified: number;
+  deleted: number;
+  insertions: number;
+  deletions: number;
 }
 
+/** What a restore would change: the difference between HEAD and the restored version */
+type RestorePreview = DiffSummary;
+
 interface PaginatedCommits {
   commits: CommitData[];
   hasMore: boolean;
@@ -71,9 +171,9 @@ interface BranchInfo {
   version: number | null;
 }
 
-interface GitCommandResult {
-  stdout: string;
-  stderr: string;
+interface GitCommandOptions extends Omit<GitRunOptions, 'cwd'> {
+  maxRetries?: number;
+  retryDelay?: number;
 }
 
 interface DirectoryEntry {
@@ -92,16 +192,30 @@ class GitService implements GitServiceInterface {
   private cache: Map<string, CacheEntry<any>>;
   private repositoryScanCache: Map<string, CacheEntry<any>>;
   private lastHealthCheck: Map<string, number>;
+  private selectedRepositoryPath: string | null = null;
+  private gitRunner: GitCommandRunner;
+  private readonly commitStyleService = new CommitStyleService();
+  private readonly scopeInferenceService = new ScopeInferenceService();
+  private readonly commitLintService = new CommitLintService();
+  private readonly selectionEmitter = new vscode.EventEmitter<string | null>();
+
+  /** Fires with the new repository path (or null) when a repository is selected */
+  readonly onDidChangeSelectedRepository = this.selectionEmitter.event;
 
   constructor(
     notificationService: NotificationServiceInterface | null = null,
     fileService: FileOperationsServiceInterface | null = null,
-    commitMessageService: CommitMessageServiceInterface | null = null
+    commitMessageService: CommitMessageServiceInterface | null = null,
+    gitRunner: GitCommandRunner | null = null
   ) {
     // Dependency injection for services
     this.notificationService = notificationService || new NotificationService();
     this.fileService = fileService || new FileOperationsService();
-    this.commitMessageService = commitMessageService || new CommitMessageService();
+    this.commitMessageService = commitMessageService || new CommitMessageService(
+      () => this.getCommitMessageSettings(),
+      (reason) => this.notificationService.setStatusBarMessage?.(`$(warning) ${reason}`, 10000)
+    );
+    this.gitRunner = gitRunner || new GitCommandRunner();
     
     // Core Git service state
     this.cache = new Map();
@@ -124,7 +238,7 @@ class GitService implements GitServiceInterface {
    */
   async isGitInstalled(): Promise<boolean> {
     try {
-      await this.executeGitCommand("git --version", ".");
+      await this.executeGitCommand(["--version"], ".");
       return true;
     } catch (error) {
       return false;
@@ -164,7 +278,7 @@ class GitService implements GitServiceInterface {
    */
   async isGitRepository(dirPath: string): Promise<boolean> {
     try {
-      await this.executeGitCommand("git rev-parse --git-dir", dirPath);
+      await this.executeGitCommand(["rev-parse", "--git-dir"], dirPath);
       return true;
     } catch (error) {
       return false;
@@ -196,11 +310,11 @@ class GitService implements GitServiceInterface {
       console.log(`TimeLad: Error scanning for repositories: ${(error as Error).message}`);
     }
 
-    return repositories;
+    return Array.from(new Set(repositories));
   }
 
   /**
-   * Recursively scan a folder for git repositories
+   * Recursively scan a folder for git repositories, including repositories nested inside other repositories
    * @param folderPath Path to scan
    * @param maxDepth Maximum depth to scan
    * @param currentDepth Current depth in recursion
@@ -214,9 +328,13 @@ class GitService implements GitServiceInterface {
     const repositories: string[] = [];
 
     try {
-      if (await this.isGitRepository(folderPath)) {
+      // A workspace folder may sit anywhere inside a repository, but below it only real repository roots count
+      const isRepository = currentDepth === 0
+        ? await this.isGitRepository(folderPath)
+        : await this.fileService.fileExists(this.fileService.joinPath!(folderPath, '.git'));
+
+      if (isRepository) {
         repositories.push(folderPath);
-        return repositories;
       }
 
       if (currentDepth < maxDepth) {
@@ -272,6 +390,17 @@ class GitService implements GitServiceInterface {
     let repositoryPath: string | null = null;
     let lastError: Error | null = null;
 
+    // Method 0: Use the repository the user selected, as long as it still exists
+    if (this.selectedRepositoryPath && await this.isGitRepository(this.selectedRepositoryPath)) {
+      repositoryPath = this.selectedRepositoryPath;
+      this.repositoryScanCache.set(cacheKey, {
+        data: repositoryPath,
+        timestamp: Date.now(),
+        error: null,
+      });
+      return repositoryPath;
+    }
+
     try {
       // Method 1: Scan file system directly
       const repositories = await this.scanForRepositories(2);
@@ -320,7 +449,7 @@ class GitService implements GitServiceInterface {
       const workspaceFolders = vscode.workspace.workspaceFolders;
       if (workspaceFolders?.[0]) {
         const workspacePath = workspaceFolders[0]!.uri.fsPath;
-        await this.executeGitCommand("git rev-parse --git-dir", workspacePath);
+        await this.executeGitCommand(["rev-parse", "--git-dir"], workspacePath);
 
         repositoryPath = workspacePath;
         this.repositoryScanCache.set(cacheKey, {
@@ -372,40 +501,82 @@ class GitService implements GitServiceInterface {
     return this.getRepositoryPathRobust();
   }
 
+  /**
+   * Choose the repository every operation without an explicit path runs against
+   * @param repoPath Repository path, or null to go back to automatic detection
+   */
+  setSelectedRepository(repoPath: string | null): void {
+    const changed = repoPath !== this.selectedRepositoryPath;
+    this.selectedRepositoryPath = repoPath;
+    this.clearCache();
+    if (changed) {
+      this.selectionEmitter.fire(repoPath);
+    }
+  }
+
+  /**
+   * Get the repository chosen with setSelectedRepository
+   * @returns Selected repository path, or null when it is detected automatically
+   */
+  getSelectedRepository(): string | null {
+    return this.selectedRepositoryPath;
+  }
+
+  /**
+   * Find the innermost repository that contains a file
+   * @param filePath Absolute file path
+   * @param repositories Repositories to choose from
+   * @returns Repository path, or null if the file is outside all of them
+   */
+  getRepositoryForFile(filePath: string, repositories: GitRepository[]): string | null {
+    const normalizedFile = filePath.replace(/\\/g, '/');
+    const matches = repositories
+      .map(repository => repository.path)
+      .filter(repoPath => {
+        const normalizedRepo = repoPath.replace(/\\/g, '/').replace(/\/$/, '');
+        return normalizedFile === normalizedRepo || normalizedFile.startsWith(normalizedRepo + '/');
+      })
+      .sort((a, b) => b.length - a.length);
+
+    return matches[0] ?? null;
+  }
+
   /**
    * Execute a Git command with retry logic
-   * @param command Git command to execute
+   * Arguments are passed to git directly, never through a shell
+   * @param args Git arguments, e.g. ['rev-parse', 'HEAD']
    * @param repoPath Repository path
-   * @param maxRetries Maximum number of retry attempts
-   * @param retryDelay Delay between retries in ms
-   * @param envVars Additional environment variables
+   * @param options Retry settings, additional environment variables and stdin input
    * @returns Command result
    */
   async executeGitCommand(
-    command: string,
+    args: string[],
     repoPath: string,
-    maxRetries: number = 2,
-    retryDelay: number = 100,
-    envVars: Record<string, string> = {}
+    options: GitCommandOptions = {}
   ): Promise<GitCommandResult> {
-    const options = { 
-      cwd: repoPath,
-      env: { ...process.env, ...envVars }
-    };
+    const { maxRetries = 2, retryDelay = 100, timeout = constants.GIT_TIMEOUTS.DEFAULT, ...streamOptions } = options;
+    const runOptions: GitRunOptions = { ...streamOptions, cwd: repoPath, timeout };
+    const command = `git ${this.gitRunner.describe(args)}`;
     let lastError: Error;
 
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
       try {
-        const { stdout, stderr } = await execPromise(command, options);
+        const { stdout, stderr } = await this.gitRunner.run(args, runOptions);
         if (stderr && !stderr.includes('warning: ')) {
           console.warn(`Git stderr: ${stderr}`);
         }
+        // Leading whitespace is significant in porcelain output (e.g. " M file"), so only trim the end
         return { 
-          stdout: stdout ? stdout.trim() : '', 
+          stdout: stdout ? stdout.trimEnd() : '', 
           stderr: stderr ? stderr.trim() : '' 
         };
       } catch (error) {
         lastError = error as Error;
+
+        // The user asked to stop; retrying or rewording the error would get in the way of rolling back
+        if (lastError instanceof GitCommandCancelledError) {
+          throw lastError;
+        }
         
         if (lastError.message?.includes('index.lock') && attempt < maxRetries) {
           console.warn(`Git lock conflict (attempt ${attempt + 1}/${maxRetries}), retrying...`);
@@ -448,7 +619,7 @@ class GitService implements GitServiceInterface {
     limit?: number;
     repoPath?: string | null;
     useCache?: boolean;
-    logFormat?: string;
+    logFormat?: string[];
   } = {}): Promise<CommitData[]> {
     const {
       limit = constants.MAX_COMMITS_SIDEBAR,
@@ -459,7 +630,7 @@ class GitService implements GitServiceInterface {
 
     const repoPath = inputRepoPath || await this.getRepositoryPath();
 
-    const cacheKey = `commits-${repoPath}-${limit}-${logFormat.includes('LOG_FORMAT') ? 'detail' : 'simple'}`;
+    const cacheKey = `commits-${repoPath}-${limit}-${logFormat === constants.GIT_COMMANDS.LOG_FORMAT ? 'detail' : 'simple'}`;
     if (useCache) {
       const cached = this.cache.get(cacheKey);
       if (cached && Date.now() - cached.timestamp < constants.CACHE_TIMEOUT) {
@@ -468,24 +639,7 @@ class GitService implements GitServiceInterface {
     }
 
     const totalCommits = await this.getCommitCount(repoPath);
-    const command = logFormat.replace("%d", limit.toString());
-    const { stdout } = await this.executeGitCommand(command, repoPath);
-
-    const commits = stdout
-      .split("\n")
-      .map((line, index) => {
-        if (!line.trim()) return null;
-        const [hash, author, date, subject] = line.split("|");
-        const versionNumber = totalCommits - index;
-        return {
-          hash: hash || "",
-          author: author || "Unknown",
-          date: date || "",
-          subject: subject || "No subject",
-          version: versionNumber,
-        };
-      })
-      .filter((commit): commit is CommitData => commit !== null);
+    const commits = await this.readLog([...logFormat, "-n", String(limit)], repoPath, totalCommits);
 
     if (useCache) {
       this.cache.set(cacheKey, {
@@ -559,24 +713,11 @@ class GitService implements GitServiceInterface {
     }
 
     const totalCommits = await this.getCommitCount(repoPath);
-    const command = `git log --skip=${offset} -n ${limit} --pretty=format:"%h|%an|%ad|%s" --date=format:"%Y-%m-%d %H:%M:%S"`;
-    const { stdout } = await this.executeGitCommand(command, repoPath);
-
-    const commits = stdout
-      .split("\n")
-      .map((line, index) => {
-        if (!line.trim()) return null;
-        const [hash, author, date, subject] = line.split("|");
-        const versionNumber = totalCommits - offset - index;
-        return {
-          hash: hash || "",
-          author: author || "Unknown",
-          date: date || "",
-          subject: subject || "No subject",
-          version: versionNumber,
-        };
-      })
-      .filter((commit): commit is CommitData => commit !== null);
+    const commits = await this.readLog(
+      [...constants.GIT_COMMANDS.LOG_FORMAT, `--skip=${offset}`, "-n", String(limit)],
+      repoPath,
+      totalCommits - offset
+    );
 
     const hasMore = offset + commits.length < totalCommits;
     
@@ -598,25 +739,308 @@ class GitService implements GitServiceInterface {
     return result;
   }
 
+  /**
+   * Get the versions that touched one file, following it across renames
+   * @param fileName Repository-relative file name as it is today
+   * @param repoPath Repository path
+   * @returns Newest first, numbered like getCommitsPaginated, each with the file's name in that version
+   */
+  async getFileHistory(fileName: string, repoPath: string | null = null): Promise<FileHistoryCommit[]> {
+    const repo = repoPath || await this.getRepositoryPath();
+    const pathArgs = ['--', ...this.literalPaths([fileName])];
+
+    const [versions, commits, { stdout: names }] = await Promise.all([
+      this.getVersionNumbers(repo),
+      this.readLog([...constants.GIT_COMMANDS.LOG_FORMAT, '--follow'], repo, 0, pathArgs),
+      this.executeGitCommand(['log', '--follow', '-z', '--name-only', '--format=%H', ...pathArgs], repo),
+    ]);
+
+    // Each commit hash is followed by the file's name in that commit, prefixed with a newline
+    const namesByHash = new Map<string, string>();
+    let currentHash = '';
+    this.splitNul(names).forEach(field => {
+      if (field.startsWith('\n')) {
+        namesByHash.set(currentHash, field.slice(1));
+      } else {
+        currentHash = field;
+      }
+    });
+
+    return commits.map(commit => ({
+      ...commit,
+      version: versions.get(commit.hash) || 0,
+      fileName: namesByHash.get(commit.hash) || fileName,
+    }));
+  }
+
+  /**
+   * Get a single commit, numbered like getCommitsPaginated
+   * @param commitHash Commit hash or ref
+   * @param repoPath Repository path
+   * @returns The commit, or null when it is not on the current branch
+   */
+  async getCommit(commitHash: string, repoPath: string | null = null): Promise<CommitData | null> {
+    const repo = repoPath || await this.getRepositoryPath();
+
+    const [versions, [commit]] = await Promise.all([
+      this.getVersionNumbers(repo),
+      this.readLog([...constants.GIT_COMMANDS.LOG_FORMAT, '-n', '1', this.revision(commitHash)], repo, 0),
+    ]);
+    if (!commit || !versions.has(commit.hash)) {
+      return null;
+    }
+    return { ...commit, version: versions.get(commit.hash)! };
+  }
+
+  /**
+   * Get a version by its number, numbered like getCommitsPaginated
+   * @param version Version number
+   * @param repoPath Repository path
+   * @returns The version, or null if there is no version with that number
+   */
+  async getCommitByVersion(version: number, repoPath: string | null = null): Promise<CommitData | null> {
+    const repo = repoPath || await this.getRepositoryPath();
+    const totalCommits = await this.getCommitCount(repo);
+    if (!Number.isInteger(version) || version < 1 || version > totalCommits) {
+      return null;
+    }
+
+    const [commit] = await this.readLog(
+      [...constants.GIT_COMMANDS.LOG_FORMAT, `--skip=${totalCommits - version}`, '-n', '1'],
+      repo,
+      version
+    );
+    return commit || null;
+  }
+
+  /**
+   * Check the signature of a single commit, which can be slow: git runs gpg or ssh-keygen to verify it
+   * @param commitHash Commit hash or ref
+   * @param repoPath Repository path
+   * @returns Verification flag (G, B, U, X, Y, R, E or N), signer and key, as git log's %G?, %GS and %GK
+   */
+  async getCommitSignature(
+    commitHash: string,
+    repoPath: string | null = null
+  ): Promise<Required<Pick<GitCommit, 'verification_flag' | 'signer' | 'signer_key'>>> {
+    const repo = repoPath || await this.getRepositoryPath();
+
+    const { stdout } = await this.executeGitCommand(
+      ['log', '-n', '1', '--format=format:%G?%x00%GS%x00%GK', this.revision(commitHash), '--'],
+      repo
+    );
+    const [verificationFlag = '', signer = '', signerKey = ''] = stdout.split('\0');
+    return { verification_flag: verificationFlag.trim(), signer, signer_key: signerKey.trim() };
+  }
+
+  /**
+   * Find out which version last changed each line of a file
+   * @param fileName Repository-relative file name
+   * @param repoPath Repository path
+   * @param contents Unsaved editor contents to blame instead of the file on disk
+   * @returns One entry per line, in order
+   */
+  async getBlame(fileName: string, repoPath: string | null = null, contents?: string): Promise<BlameLine[]> {
+    const repo = repoPath || await this.getRepositoryPath();
+    const contentArgs = contents === undefined ? [] : ['--contents', '-'];
+
+    const [versions, { stdout }] = await Promise.all([
+      this.getVersionNumbers(repo),
+      this.executeGitCommand(
+        ['blame', '--porcelain', ...contentArgs, '--', fileName],
+        repo,
+        contents === undefined ? {} : { input: contents }
+      ),
+    ]);
+
+    // Porcelain output describes each commit fully only the first time it appears
+    const commits = new Map<string, Omit<BlameLine, 'line' | 'hash' | 'version'>>();
+    const lines: BlameLine[] = [];
+    let current: { hash: string; line: number } | null = null;
+
+    stdout.split('\n').forEach(row => {
+      if (!current) {
+        const header = /^([0-9a-f]{40,64}) \d+ (\d+)/.exec(row);
+        if (header) {
+          current = { hash: header[1]!, line: parseInt(header[2]!, 10) };
+          if (!commits.has(current.hash)) {
+            commits.set(current.hash, {
+              author: '', authorEmail: '', authorTime: 0, summary: '',
+              fileName, previousHash: null, previousFileName: null,
+            });
+          }
+        }
+        return;
+      }
+
+      const info = commits.get(current.hash)!;
+      if (row.startsWith('\t')) {
+        const uncommitted = /^0+$/.test(current.hash);
+        lines.push({
+          ...info,
+          line: current.line,
+          hash: current.hash,
+          version: uncommitted ? null : (versions.get(current.hash) ?? null),
+        });
+        current = null;
+        return;
+      }
+
+      const space = row.indexOf(' ');
+      const key = space === -1 ? row : row.slice(0, space);
+      const value = space === -1 ? '' : row.slice(space + 1);
+      switch (key) {
+        case 'author': info.author = value; break;
+        case 'author-mail': info.authorEmail = value.replace(/^<|>$/g, ''); break;
+        case 'author-time': info.authorTime = parseInt(value, 10) * 1000; break;
+        case 'summary': info.summary = value; break;
+        case 'filename': info.fileName = this.unquotePath(value); break;
+        case 'previous': {
+          const separator = value.indexOf(' ');
+          info.previousHash = value.slice(0, separator);
+          info.previousFileName = this.unquotePath(value.slice(separator + 1));
+          break;
+        }
+      }
+    });
+
+    return lines.sort((a, b) => a.line - b.line);
+  }
+
+  /**
+   * Undo git's C-style quoting of unusual file names, e.g. "tab\there" or octal-escaped UTF-8
+   * @param value File name as printed by git
+   * @returns The real file name
+   */
+  private unquotePath(value: string): string {
+    if (!value.startsWith('"') || !value.endsWith('"')) {
+      return value;
+    }
+
+    const escapes: Record<string, number> = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13, '"': 34, '\\': 92 };
+    const bytes: number[] = [];
+    // Iterate by code point so characters outside the BMP stay intact when core.quotePath is off
+    const chars = Array.from(value.slice(1, -1));
+    for (let i = 0; i < chars.length; i++) {
+      const char = chars[i]!;
+      if (char !== '\\') {
+        bytes.push(...Buffer.from(char, 'utf8'));
+        continue;
+      }
+      const octal = /^[0-7]{3}/.exec(chars.slice(i + 1, i + 4).join(''));
+      if (octal) {
+        bytes.push(parseInt(octal[0], 8));
+        i += 3;
+      } else {
+        const escaped = chars[i + 1] ?? '';
+        bytes.push(escapes[escaped] ?? escaped.charCodeAt(0));
+        i += 1;
+      }
+    }
+    return Buffer.from(bytes).toString('utf8');
+  }
+
+  /**
+   * Number every commit on the current branch the way getCommitsPaginated does, oldest being version 1
+   * @param repoPath Repository path
+   * @returns Version number by full commit hash
+   */
+  private async getVersionNumbers(repoPath: string): Promise<Map<string, number>> {
+    const { stdout } = await this.executeGitCommand(['rev-list', 'HEAD'], repoPath);
+    const hashes = stdout.split('\n').filter(Boolean);
+    return new Map(hashes.map((hash, index) => [hash, hashes.length - index]));
+  }
+
+  /**
+   * Run `git log` with LOG_PRETTY_FORMAT and parse commits as their fields stream in
+   * @param logArgs Log arguments such as GIT_COMMANDS.LOG_FORMAT plus limits
+   * @param repoPath Repository path
+   * @param firstVersion Version number of the first (newest) commit in the output
+   * @param pathArgs Pathspec arguments, which must come after the format
+   * @returns Commits with every GitCommit field filled
+   */
+  private async readLog(
+    logArgs: string[],
+    repoPath: string,
+    firstVersion: number,
+    pathArgs: string[] = []
+  ): Promise<CommitData[]> {
+    const commits: CommitData[] = [];
+    let fields: string[] = [];
+
+    await this.executeGitCommand([...logArgs, LOG_PRETTY_FORMAT, ...pathArgs], repoPath, {
+      recordSeparator: '\0',
+      onRecord: (field) => {
+        fields.push(field);
+        if (fields.length === LOG_FIELDS.length) {
+          commits.push(this.parseLogRecord(fields, firstVersion - commits.length));
+          fields = [];
+        }
+      },
+    });
+
+    return commits;
+  }
+
+  /**
+   * Turn the fields of one `git log` record into a commit
+   * @param fields Field values in LOG_FIELDS order
+   * @param version Version number of the commit
+   * @returns Commit with every GitCommit field filled
+   */
+  private parseLogRecord(fields: string[], version: number): CommitData {
+    const [
+      hash = '', abbreviatedCommit = '', abbreviatedTree = '', parents = '', abbreviatedParent = '',
+      refs = '', encoding = '', subject = '', sanitizedSubject = '', body = '', notes = '',
+      authorName = '', authorEmail = '', date = '', authorDate = '', committerName = '', committerEmail = '', committerDate = '',
+      trailers = '',
+    ] = fields;
+    const trimmedBody = body.trim();
+
+    return {
+      hash,
+      message: trimmedBody ? `${subject}\n\n${trimmedBody}` : subject,
+      author: authorName || 'Unknown',
+      date,
+      subject: subject || 'No subject',
+      version,
+      abbreviated_commit: abbreviatedCommit,
+      abbreviated_tree: abbreviatedTree,
+      abbreviated_parent: abbreviatedParent,
+      parents: parents ? parents.split(' ') : [],
+      refs,
+      encoding,
+      sanitized_subject_line: sanitizedSubject,
+      body: trimmedBody,
+      trailers: trailers.split('\n').filter(line => line.trim()),
+      commit_notes: notes.trim(),
+      author_name: authorName,
+      author_email: authorEmail,
+      author_date: authorDate,
+      committer_name: committerName,
+      committer_email: committerEmail,
+      committer_date: committerDate,
+    };
+  }
+
   /**
    * Get current branch information
-   * @returns Current branch and version
+   * @param repoPath Repository path (defaults to the selected repository)
+   * @returns Current branch and version; the branch is null when HEAD is detached,
+   *          and both are null before the first version is saved
    */
-  async getCurrentBranchInfo(): Promise<BranchInfo> {
-    const repoPath = await this.getRepositoryPath();
-    const gitExtension = this.getGitExtension();
-    const api = gitExtension.getAPI(1);
-    const repo = api.repositories[0];
-    const head = repo.state.HEAD;
+  async getCurrentBranchInfo(repoPath: string | null = null): Promise<BranchInfo> {
+    const repo = repoPath || await this.getRepositoryPath();
 
-    if (!head) {
+    let version: number;
+    try {
+      version = await this.getCommitCount(repo);
+    } catch (error) {
       return { branch: null, version: null };
     }
 
-    const branch = head.name;
-    const version = await this.getCommitCount(repoPath);
-
-    return { branch, version };
+    const branch = await this.getCurrentBranchName(repo);
+    return { branch: branch === "HEAD" ? null : branch, version };
   }
 
   /**
@@ -628,8 +1052,10 @@ class GitService implements GitServiceInterface {
   async getCommitDetails(commitHash: string, repoPath: string | null = null): Promise<string> {
     const repo = repoPath || await this.getRepositoryPath();
 
-    const command = constants.GIT_COMMANDS.SHOW_COMMIT.replace("%s", commitHash);
-    const { stdout } = await this.executeGitCommand(command, repo);
+    const { stdout } = await this.executeGitCommand(
+      [...constants.GIT_COMMANDS.SHOW_COMMIT, this.revision(commitHash)],
+      repo
+    );
     return stdout;
   }
 
@@ -660,23 +1086,35 @@ class GitService implements GitServiceInterface {
    * @returns Current branch name
    */
   async getCurrentBranchName(repoPath: string): Promise<string> {
-    const { stdout } = await this.executeGitCommand('git rev-parse --abbrev-ref HEAD', repoPath);
+    const { stdout } = await this.executeGitCommand(['rev-parse', '--abbrev-ref', 'HEAD'], repoPath);
     return stdout.trim();
   }
 
   /**
-   * Create a backup branch before destructive operations
+   * Back up the files as they are, uncommitted changes and untracked files included, to a
+   * timelad/backup/* branch before a destructive operation
+   * Neither the index nor the working tree is touched; backups beyond the retention limits are deleted
    * @param repoPath Path to repository
+   * @param operation Operation about to run, e.g. "discard"; part of the branch name
+   * @param description What the backup is made before, kept as its commit message
    * @returns Name of the backup branch
    */
-  async createBackupBranch(repoPath: string): Promise<string> {
+  async createBackupBranch(
+    repoPath: string,
+    operation: string = 'restore',
+    description: string = 'Before restoring a version'
+  ): Promise<string> {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const branchName = `timelad/backup/pre-restore-${timestamp}`;
-    const currentBranch = await this.getCurrentBranchName(repoPath);
-    
-    await this.executeGitCommand(`git checkout -b ${branchName}`, repoPath);
-    await this.executeGitCommand(`git checkout ${currentBranch}`, repoPath);
-    
+    const branchName = `${constants.BACKUP.BRANCH_PREFIX}pre-${operation}-${timestamp}`;
+
+    try {
+      const { tree, headCommit } = await this.writeWorkingTree(repoPath);
+      await this.commitTreeToRef(tree, headCommit, description, `refs/heads/${branchName}`, repoPath);
+    } catch (error) {
+      throw new Error(`${constants.ERRORS.BACKUP_CREATION_FAILED}: ${(error as Error).message}`);
+    }
+
+    await this.cleanupOldBackups(repoPath);
     return branchName;
   }
 
@@ -684,31 +1122,23 @@ class GitService implements GitServiceInterface {
    * Clean up old backup branches
    * @param repoPath Path to repository
    * @param daysToKeep Number of days to keep backups
+   * @param maxBackups Number of backups to keep at most; the oldest are deleted first
    */
-  async cleanupOldBackups(repoPath: string, daysToKeep: number = 7): Promise<void> {
+  async cleanupOldBackups(
+    repoPath: string,
+    daysToKeep: number = constants.BACKUP.RETENTION_DAYS,
+    maxBackups: number = constants.BACKUP.MAX_BACKUPS
+  ): Promise<void> {
     try {
-      const { stdout } = await this.executeGitCommand(
-        'git for-each-ref --format="%(refname:short) %(creatordate:iso)" refs/heads/timelad/backup/',
-        repoPath
-      );
-
-      const now = new Date();
-      const cutoff = new Date(now);
-      cutoff.setDate(cutoff.getDate() - daysToKeep);
-
-      for (const line of stdout.trim().split('\n')) {
-        if (!line) continue;
-        
-        const [branch, ...dateParts] = line.split(' ');
-        const dateStr = dateParts.join(' ');
-        const branchDate = new Date(dateStr);
+      const cutoff = Date.now() - daysToKeep * 24 * 60 * 60 * 1000;
+      const expired = (await this.getBackups(repoPath))
+        .filter((backup, index) => index >= maxBackups || new Date(backup.date).getTime() < cutoff);
 
-        if (branchDate < cutoff) {
-          try {
-            await this.executeGitCommand(`git branch -D ${branch}`, repoPath);
-          } catch (error) {
-            console.warn(`Failed to delete old backup branch ${branch}:`, error);
-          }
+      for (const backup of expired) {
+        try {
+          await this.executeGitCommand(['branch', '-D', '--', backup.branch], repoPath);
+        } catch (error) {
+          console.warn(`Failed to delete old backup branch ${backup.branch}:`, error);
         }
       }
     } catch (error) {
@@ -716,13 +1146,128 @@ class GitService implements GitServiceInterface {
     }
   }
 
+  /**
+   * List backup branches, newest first
+   * @param repoPath Repository path
+   * @returns Backups with the operation they were made before
+   */
+  async getBackups(repoPath: string | null = null): Promise<Backup[]> {
+    const repo = repoPath || await this.getRepositoryPath();
+    const { stdout } = await this.executeGitCommand(
+      [
+        'for-each-ref',
+        '--format=%(refname:strip=2)%09%(objectname)%09%(creatordate:iso-strict)%09%(contents:subject)',
+        `refs/heads/${constants.BACKUP.BRANCH_PREFIX}`
+      ],
+      repo
+    );
+
+    return stdout
+      .split("\n")
+      .filter(line => line.trim())
+      .map(line => {
+        const [branch = '', hash = '', creatorDate = '', ...subject] = line.split("\t");
+        const name = branch.slice(constants.BACKUP.BRANCH_PREFIX.length);
+        // The branch name has the time to the millisecond; the commit date only to the second
+        const match = /^pre-(.+)-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/.exec(name);
+        const date = match ? `${match[2]}T${match[3]}:${match[4]}:${match[5]}.${match[6]}Z` : creatorDate;
+        return {
+          branch,
+          hash,
+          date: isNaN(new Date(date).getTime()) ? creatorDate : date,
+          operation: match ? match[1]! : name,
+          description: subject.join("\t"),
+        };
+      })
+      .sort((a, b) => new Date(b.date).getTime() - new Date(a.date).getTime());
+  }
+
+  /**
+   * Compare backups with the files as they are now, uncommitted changes and untracked files included
+   * @param branches Backup branches
+   * @param repoPath Repository path
+   * @returns Files changed since each backup, by branch; restoring a backup undoes exactly these changes
+   */
+  async getBackupChanges(branches: string[], repoPath: string | null = null): Promise<Map<string, DiffSummary>> {
+    const repo = repoPath || await this.getRepositoryPath();
+    const { tree } = await this.writeWorkingTree(repo);
+
+    const changes = new Map<string, DiffSummary>();
+    for (const branch of branches) {
+      changes.set(branch, await this.getDiffSummary(this.backupRef(branch), tree, [], repo));
+    }
+    return changes;
+  }
+
+  /**
+   * Put every file back the way it was when a backup was made, as unsaved changes
+   * The files as they are now are backed up first, so this can be undone the same way
+   * @param branch Backup branch
+   * @param repoPath Repository path
+   * @returns Result of the operation, with the files that changed
+   */
+  async restoreBackup(branch: string, repoPath: string | null = null): Promise<RestoreResult> {
+    const repo = repoPath || await this.getRepositoryPath();
+
+    await this.fileService.removeGitLockFile!(repo);
+
+    try {
+      // Taking the new backup may delete this one when it is the oldest, so hold on to its commit
+      const hash = (await this.executeGitCommand(['rev-parse', '--verify', this.backupRef(branch)], repo)).stdout.trim();
+      await this.createBackupBranch(repo, 'restore-backup', `Before restoring ${branch}`);
+
+      const { tree } = await this.writeWorkingTree(repo);
+      const { files } = await this.getDiffSummary(hash, tree, [], repo);
+      await this.checkoutAsUnsavedChanges(
+        hash,
+        files.filter(file => file.status !== 'A').map(file => file.fileName),
+        files.filter(file => file.status === 'A').map(file => file.fileName),
+        repo
+      );
+
+      return { success: true, paths: files.map(file => file.fileName) };
+    } catch (error) {
+      throw new Error(`${constants.ERRORS.BACKUP_RESTORE_FAILED}: ${(error as Error).message}`);
+    } finally {
+      this.clearCache();
+    }
+  }
+
+  /**
+   * Delete a backup branch
+   * @param branch Backup branch
+   * @param repoPath Repository path
+   */
+  async deleteBackup(branch: string, repoPath: string | null = null): Promise<void> {
+    const repo = repoPath || await this.getRepositoryPath();
+    this.backupRef(branch);
+    await this.executeGitCommand(['branch', '-D', '--', branch], repo);
+  }
+
+  /**
+   * Turn a backup branch name into its full ref, refusing anything outside timelad/backup/
+   * @param branch Backup branch
+   * @returns Full ref name
+   */
+  private backupRef(branch: string): string {
+    if (!branch.startsWith(constants.BACKUP.BRANCH_PREFIX) || branch.includes('..')) {
+      throw new Error(`Not a TimeLad backup: ${branch}`);
+    }
+    return `refs/heads/${branch}`;
+  }
+
   /**
    * Create a new commit that restores the working directory to a specific commit (SIMPLIFIED VERSION)
    * @param commitHash Commit hash to restore
    * @param repoPath Repository path
+   * @param token Stops the running git process and rolls back when cancelled
    * @returns The new commit hash
    */
-  async createRestoreCommitSimple(commitHash: string, repoPath: string): Promise<string> {
+  async createRestoreCommitSimple(
+    commitHash: string,
+    repoPath: string,
+    token?: vscode.CancellationToken
+  ): Promise<string> {
     if (!commitHash) {
       throw new Error('No commit hash provided for restore');
     }
@@ -731,15 +1276,15 @@ class GitService implements GitServiceInterface {
     console.log('⚡ TimeLad: Starting simplified restore method');
 
     // Get metadata for commit message
-    const originalCommit = (await this.executeGitCommand('git rev-parse HEAD', repoPath)).stdout.trim();
-    const { stdout: version } = await this.executeGitCommand(`git rev-list --count ${commitHash}`, repoPath);
+    const originalCommit = (await this.executeGitCommand(['rev-parse', 'HEAD'], repoPath)).stdout.trim();
+    const source = await this.describeRestoreSource(commitHash, repoPath);
     
     try {
       // Simple restore using porcelain commands
       console.log(`🔍 TimeLad: Checking differences between current and target commit`);
       
       // First, check if the commits are actually different
-      const { stdout: diffOutput } = await this.executeGitCommand(`git diff --name-only HEAD ${commitHash}`, repoPath);
+      const { stdout: diffOutput } = await this.executeGitCommand(['diff', '--name-only', 'HEAD', this.revision(commitHash), '--'], repoPath);
       console.log(`🔍 TimeLad: Files different between commits: ${diffOutput.trim() || 'none'}`);
       
       if (!diffOutput.trim()) {
@@ -752,16 +1297,16 @@ class GitService implements GitServiceInterface {
       console.log(`🔄 TimeLad: Restoring files from ${commitHash}`);
       
       // Use read-tree to load the target commit's tree into the index
-      await this.executeGitCommand(`git read-tree ${commitHash}`, repoPath);
+      await this.executeGitCommand(['read-tree', this.revision(commitHash)], repoPath, { token });
       
       // Update working directory to match the index
-      await this.executeGitCommand(`git checkout-index -a -f`, repoPath);
+      await this.executeGitCommand(['checkout-index', '-a', '-f'], repoPath, { token });
       
       // Clean up any files that shouldn't exist (were deleted in target commit)
-      await this.executeGitCommand(`git clean -fd`, repoPath);
+      await this.executeGitCommand(['clean', '-fd'], repoPath, { token });
       
       // Verify something was staged
-      const { stdout: stagedFiles } = await this.executeGitCommand('git diff --cached --name-only', repoPath);
+      const { stdout: stagedFiles } = await this.executeGitCommand(constants.GIT_COMMANDS.DIFF_CACHED, repoPath);
       console.log(`📋 TimeLad: Staged files: ${stagedFiles.trim() || 'none'}`);
       
       if (!stagedFiles.trim()) {
@@ -771,25 +1316,19 @@ class GitService implements GitServiceInterface {
       }
       
       // Create commit message (same format as current)
-      const commitMessage = `Restored version ${version.trim()}\n\n` +
+      const commitMessage = `Restored ${source}\n\n` +
                             `This commit restores the repository to a previous state.\n` +
                             `Original commit: ${originalCommit}\n` +
                             `Restore time: ${new Date().toISOString()}`;
       
-      // Use temporary file for multiline commit message (like original but simpler)
-      const tempMsgFile = await this.fileService.createTempCommitFile!(repoPath, commitMessage);
-      
-      try {
-        await this.executeGitCommand(`git commit -F "${tempMsgFile}"`, repoPath);
-      } finally {
-        await this.fileService.deleteFile(tempMsgFile);
-      }
+      // The multiline commit message is fed through stdin
+      await this.executeGitCommand(constants.GIT_COMMANDS.COMMIT_MESSAGE, repoPath, { input: commitMessage, token });
       
       // Clean up: reset index to match the new commit (removes "uncommitted changes" appearance)
-      await this.executeGitCommand('git reset --hard', repoPath);
+      await this.executeGitCommand(constants.GIT_COMMANDS.RESET_HARD, repoPath);
       
       // Return new commit hash
-      const { stdout: newCommit } = await this.executeGitCommand('git rev-parse HEAD', repoPath);
+      const { stdout: newCommit } = await this.executeGitCommand(constants.GIT_COMMANDS.REV_PARSE_HEAD, repoPath);
       const duration = Date.now() - startTime;
       console.log(`✅ TimeLad: Simplified restore completed successfully in ${duration}ms`);
       return newCommit.trim();
@@ -798,49 +1337,225 @@ class GitService implements GitServiceInterface {
       // Same error recovery as current implementation
       const duration = Date.now() - startTime;
       console.error(`❌ TimeLad: Simplified restore failed after ${duration}ms:`, error);
-      await this.executeGitCommand(`git reset --hard ${originalCommit}`, repoPath);
+      await this.executeGitCommand([...constants.GIT_COMMANDS.RESET_HARD, originalCommit], repoPath);
       throw error;
     }
   }
 
   /**
-   * Create a new commit that restores the working directory to a specific commit (COMPLEX/ORIGINAL VERSION - FALLBACK)
-   * @param commitHash Commit hash to restore
+   * Describe what a restore brings back, for its commit message
+   * @param commitHash Commit being restored
    * @param repoPath Repository path
-   * @returns The new commit hash
+   * @returns e.g. "version 3", or "the autosave from 2024-05-01 14:03:00" for autosaves, which have no version number
    */
+  private async describeRestoreSource(commitHash: string, repoPath: string): Promise<string> {
+    const { stdout: autosaveDate } = await this.executeGitCommand(
+      [
+        'for-each-ref',
+        '--count=1',
+        `--points-at=${this.revision(commitHash)}`,
+        '--format=%(committerdate:format:%Y-%m-%d %H:%M:%S)',
+        constants.AUTOSAVE.REF_PREFIX
+      ],
+      repoPath
+    );
+    if (autosaveDate.trim()) {
+      return `the autosave from ${autosaveDate.trim()}`;
+    }
+
+    const { stdout: version } = await this.executeGitCommand(['rev-list', '--count', this.revision(commitHash)], repoPath);
+    return `version ${version.trim()}`;
+  }
 
   /**
-   * Get uncommitted changes status
+   * Create a new commit that restores only the given files or folders to their state in a specific commit
+   * @param commitHash Commit hash to restore from
+   * @param paths Repository-relative file or folder paths to restore
    * @param repoPath Repository path
-   * @returns Changes information
+   * @param token Stops the running git process and rolls back when cancelled
+   * @returns The new commit hash
    */
-  async getUncommittedChanges(repoPath: string | null = null): Promise<UncommittedChanges> {
-    const repo = repoPath || await this.getRepositoryPath();
-
-    const { stdout } = await this.executeGitCommand(
-      constants.GIT_COMMANDS.STATUS_PORCELAIN,
-      repo
+  async createPathRestoreCommit(
+    commitHash: string,
+    paths: string[],
+    repoPath: string,
+    token?: vscode.CancellationToken
+  ): Promise<string> {
+    if (!commitHash) {
+      throw new Error('No commit hash provided for restore');
+    }
+    if (paths.length === 0) {
+      throw new Error('No paths provided for restore');
+    }
+
+    const originalCommit = (await this.executeGitCommand(['rev-parse', 'HEAD'], repoPath)).stdout.trim();
+    const source = await this.describeRestoreSource(commitHash, repoPath);
+    const pathArgs = this.literalPaths(paths);
+
+    const { stdout: diffOutput } = await this.executeGitCommand(
+      ['diff', '--name-only', 'HEAD', commitHash, '--', ...pathArgs],
+      repoPath
     );
+    if (!diffOutput.trim()) {
+      console.log('📝 TimeLad: Selected paths are identical to current HEAD - no restore needed');
+      return originalCommit;
+    }
 
-    const hasChanges = !!stdout.trim();
+    const targetFiles = await this.listTreeFiles(commitHash, paths, repoPath);
+    const headFiles = await this.listTreeFiles(originalCommit, paths, repoPath);
+    const pathsInTarget = paths.filter(p => this.containsPath(targetFiles, p));
+    const pathsInHead = paths.filter(p => this.containsPath(headFiles, p));
+    const pathsToCommit = paths.filter(p => pathsInTarget.includes(p) || pathsInHead.includes(p));
 
-    if (!hasChanges) {
-      return { hasChanges: false, files: [], summary: "" };
+    try {
+      console.log(`🔄 TimeLad: Restoring ${paths.length} path(s) from ${commitHash}`);
+
+      // Remove the current content first so files that did not exist in the target version disappear
+      await this.executeGitCommand(['rm', '-r', '-q', '-f', '--ignore-unmatch', '--', ...pathArgs], repoPath, { token });
+      await this.executeGitCommand(['clean', '-fd', '--', ...pathArgs], repoPath, { token });
+
+      if (pathsInTarget.length > 0) {
+        await this.executeGitCommand(
+          ['checkout', commitHash, '--', ...this.literalPaths(pathsInTarget)],
+          repoPath,
+          { token }
+        );
+      }
+
+      const commitMessage = `Restored ${paths.length === 1 ? paths[0] : `${paths.length} paths`} from ${source}\n\n` +
+                            `This commit restores the following paths to their state in ${source}:\n` +
+                            paths.map(p => `- ${p}`).join('\n') + `\n\n` +
+                            `Original commit: ${originalCommit}\n` +
+                            `Restore time: ${new Date().toISOString()}`;
+
+      // Committing with a pathspec leaves any other staged or unstaged work untouched
+      await this.executeGitCommand(
+        [...constants.GIT_COMMANDS.COMMIT_MESSAGE, '--', ...this.literalPaths(pathsToCommit)],
+        repoPath,
+        { input: commitMessage, token }
+      );
+
+      const { stdout: newCommit } = await this.executeGitCommand(constants.GIT_COMMANDS.REV_PARSE_HEAD, repoPath);
+      console.log('✅ TimeLad: Path restore completed successfully');
+      return newCommit.trim();
+
+    } catch (error) {
+      console.error('❌ TimeLad: Path restore failed:', error);
+      try {
+        await this.executeGitCommand(['reset', '-q', originalCommit, '--', ...pathArgs], repoPath);
+        if (pathsInHead.length > 0) {
+          await this.executeGitCommand(
+            ['checkout', originalCommit, '--', ...this.literalPaths(pathsInHead)],
+            repoPath
+          );
+        }
+        await this.executeGitCommand(['clean', '-fd', '--', ...pathArgs], repoPath);
+      } catch (recoveryError) {
+        console.error('Failed to recover restored paths:', recoveryError);
+      }
+      throw error;
     }
+  }
 
-    const files = stdout
-      .trim()
-      .split("\n")
-      .map((line) => {
-        const status = line.substring(0, 2);
-        const fileName = line.substring(3);
-        return {
+  /**
+   * List the files a commit's tree holds under the given paths
+   * @param commitHash Commit hash
+   * @param paths Repository-relative paths to limit the listing to
+   * @param repoPath Repository path
+   * @returns Repository-relative file names
+   */
+  private async listTreeFiles(commitHash: string, paths: string[], repoPath: string): Promise<string[]> {
+    const { stdout } = await this.executeGitCommand(
+      ['ls-tree', '-r', '-z', '--name-only', this.revision(commitHash), '--', ...this.literalPaths(paths)],
+      repoPath
+    );
+    return this.splitNul(stdout);
+  }
+
+  /**
+   * Check whether a file name is the given path or lives inside it
+   */
+  private isWithinPath(fileName: string, targetPath: string): boolean {
+    const normalized = targetPath.replace(/\/+$/, '');
+    return fileName === normalized || fileName.startsWith(`${normalized}/`);
+  }
+
+  /**
+   * Check whether any of the file names is the given path or lives inside it
+   */
+  private containsPath(fileNames: string[], targetPath: string): boolean {
+    return fileNames.some(fileName => this.isWithinPath(fileName, targetPath));
+  }
+
+  /**
+   * Mark paths as literal pathspecs so characters like `*` or a leading `:` are not treated as magic
+   */
+  private literalPaths(paths: string[]): string[] {
+    return paths.map(p => `:(literal)${p}`);
+  }
+
+  /**
+   * Reject revisions that git would read as an option, such as `--output=file`
+   * @param revision Commit hash, branch or ref supplied by the caller
+   * @returns The revision, unchanged
+   */
+  private revision(revision: string): string {
+    if (!revision || revision.startsWith('-')) {
+      throw new Error(`Invalid revision: ${revision}`);
+    }
+    return revision;
+  }
+
+  /**
+   * Split NUL-terminated (`-z`) git output into its fields
+   */
+  private splitNul(output: string): string[] {
+    return output.split('\0').filter(field => field.length > 0);
+  }
+
+  /**
+   * Create a new commit that restores the working directory to a specific commit (COMPLEX/ORIGINAL VERSION - FALLBACK)
+   * @param commitHash Commit hash to restore
+   * @param repoPath Repository path
+   * @returns The new commit hash
+   */
+
+  /**
+   * Get uncommitted changes status
+   * @param repoPath Repository path
+   * @returns Changes information
+   */
+  async getUncommittedChanges(repoPath: string | null = null): Promise<UncommittedChanges> {
+    const repo = repoPath || await this.getRepositoryPath();
+
+    const files: FileChange[] = [];
+    let skipOriginalName = false;
+
+    await this.executeGitCommand([...constants.GIT_COMMANDS.STATUS_PORCELAIN, '-z'], repo, {
+      recordSeparator: '\0',
+      onRecord: (entry) => {
+        const renamed = files[files.length - 1];
+        if (skipOriginalName && entry && renamed) {
+          renamed.originalFileName = entry;
+        }
+        if (skipOriginalName || !entry) {
+          skipOriginalName = false;
+          return;
+        }
+        const status = entry.substring(0, 2);
+        files.push({
           status,
-          fileName,
+          fileName: entry.substring(3),
           type: this.parseFileStatus(status),
-        };
-      });
+        });
+        // Renames and copies are followed by the original name
+        skipOriginalName = status[0] === 'R' || status[0] === 'C';
+      },
+    });
+
+    if (files.length === 0) {
+      return { hasChanges: false, files: [], summary: "" };
+    }
 
     try {
       const { stdout: diffStat } = await this.executeGitCommand(
@@ -854,6 +1569,151 @@ class GitService implements GitServiceInterface {
     }
   }
 
+  /**
+   * Preview what restoring a version would change, without touching the repository
+   * @param commitHash Commit hash that would be restored
+   * @param paths Optional files or folders to limit the preview to
+   * @param repoPath Repository path
+   * @returns Files that would be added, modified or deleted, with line counts
+   */
+  async getRestorePreview(
+    commitHash: string,
+    paths: string[] | null = null,
+    repoPath: string | null = null
+  ): Promise<RestorePreview> {
+    const repo = repoPath || await this.getRepositoryPath();
+    return this.getDiffSummary('HEAD', commitHash, paths || [], repo);
+  }
+
+  /**
+   * Compare any two versions
+   * @param fromHash Older version, shown on the left of each diff
+   * @param toHash Newer version, shown on the right of each diff
+   * @param repoPath Repository path
+   * @returns Files added, modified or deleted between the two versions, with line counts
+   */
+  async compareVersions(fromHash: string, toHash: string, repoPath: string | null = null): Promise<DiffSummary> {
+    const repo = repoPath || await this.getRepositoryPath();
+    return this.getDiffSummary(fromHash, toHash, [], repo);
+  }
+
+  /**
+   * Summarise the difference between two revisions file by file
+   * @param fromRevision Revision the changes are measured from
+   * @param toRevision Revision the changes lead to
+   * @param paths Files or folders to limit the summary to; empty for everything
+   * @param repoPath Repository path
+   * @returns Changed files with their status and line counts, plus totals
+   */
+  private async getDiffSummary(
+    fromRevision: string,
+    toRevision: string,
+    paths: string[],
+    repoPath: string
+  ): Promise<DiffSummary> {
+    const range = [this.revision(fromRevision), this.revision(toRevision), '--', ...this.literalPaths(paths)];
+
+    // Renames are reported as a delete plus an add, which is what a restore actually does to the tree
+    const [{ stdout: nameStatus }, { stdout: numstat }] = await Promise.all([
+      this.executeGitCommand(['diff', '--no-renames', '-z', '--name-status', ...range], repoPath),
+      this.executeGitCommand(['diff', '--no-renames', '-z', '--numstat', ...range], repoPath),
+    ]);
+
+    const lineCounts = new Map<string, { insertions: number | null; deletions: number | null }>();
+    this.splitNul(numstat).forEach(entry => {
+      const [insertions = '-', deletions = '-', ...nameParts] = entry.split('\t');
+      lineCounts.set(nameParts.join('\t'), {
+        // Binary files report "-" instead of line counts
+        insertions: insertions === '-' ? null : parseInt(insertions, 10),
+        deletions: deletions === '-' ? null : parseInt(deletions, 10),
+      });
+    });
+
+    // Entries alternate between a status and a file name
+    const fields = this.splitNul(nameStatus);
+    const files: DiffSummaryFile[] = [];
+    for (let i = 0; i + 1 < fields.length; i += 2) {
+      const status = fields[i]!.charAt(0);
+      const fileName = fields[i + 1]!;
+      const counts = lineCounts.get(fileName);
+      files.push({
+        status,
+        fileName,
+        type: this.parseFileStatus(`${status} `),
+        insertions: counts ? counts.insertions : null,
+        deletions: counts ? counts.deletions : null,
+      });
+    }
+
+    return {
+      files,
+      added: files.filter(f => f.status === 'A').length,
+      modified: files.filter(f => f.status !== 'A' && f.status !== 'D').length,
+      deleted: files.filter(f => f.status === 'D').length,
+      insertions: files.reduce((total, f) => total + (f.insertions || 0), 0),
+      deletions: files.reduce((total, f) => total + (f.deletions || 0), 0),
+    };
+  }
+
+  /**
+   * Get the files changed in a specific commit
+   * @param commitHash Commit hash
+   * @param repoPath Repository path
+   * @returns Changed files with their status
+   */
+  async getCommitFiles(commitHash: string, repoPath: string | null = null): Promise<FileChange[]> {
+    const repo = repoPath || await this.getRepositoryPath();
+
+    const { stdout } = await this.executeGitCommand(
+      ['diff-tree', '--no-commit-id', '--name-status', '-r', '-z', '--root', this.revision(commitHash)],
+      repo
+    );
+
+    const fields = this.splitNul(stdout);
+    const files: FileChange[] = [];
+    for (let i = 0; i < fields.length; i++) {
+      const code = fields[i]!.charAt(0);
+      // Renames and copies list the old and new name; the new one is what exists in this version
+      if (code === "R" || code === "C") {
+        i += 2;
+      } else {
+        i += 1;
+      }
+      files.push({
+        status: code,
+        fileName: fields[i] || "",
+        type: this.parseFileStatus(`${code} `),
+      });
+    }
+    return files;
+  }
+
+  /**
+   * Get the contents of a file as it was in a specific version
+   * Read straight from git rather than through executeGitCommand so trailing newlines survive
+   * @param revision Commit hash or ref
+   * @param fileName Repository-relative file name
+   * @param repoPath Repository path
+   * @returns File contents, or an empty string when the file does not exist in that version
+   */
+  async getFileContent(revision: string, fileName: string, repoPath: string | null = null): Promise<string> {
+    const repo = repoPath || await this.getRepositoryPath();
+
+    try {
+      const { stdout } = await this.gitRunner.run(
+        ['show', `${this.revision(revision)}:${fileName}`],
+        { cwd: repo, timeout: constants.GIT_TIMEOUTS.DEFAULT }
+      );
+      return stdout;
+    } catch (error) {
+      // Added or deleted files only exist on one side of a diff
+      if (/does not exist in|exists on disk, but not in/.test((error as Error).message)) {
+        return '';
+      }
+      throw error;
+    }
+  }
+
   /**
    * Parse git status codes
    * @param status Git status code
@@ -875,106 +1735,621 @@ class GitService implements GitServiceInterface {
       default: result.push("unknown");
     }
 
-    switch (secondChar) {
-      case "M": result.push("modified"); break;
-      case "D": result.push("deleted"); break;
-      case "?": if (firstChar !== "?") result.push("untracked"); break;
-      case " ": break;
+    switch (secondChar) {
+      case "M": result.push("modified"); break;
+      case "D": result.push("deleted"); break;
+      case "?":
+        if (firstChar !== "?") {
+          result.push("untracked");
+        }
+        break;
+      case " ": break;
+    }
+
+    return result.length > 0 ? result.join(", ") : "unchanged";
+  }
+
+  /**
+   * Restore a specific version by creating a new commit (SIMPLIFIED VERSION)
+   * @param commit Commit object to restore
+   * @param repoPath Repository path
+   * @param skipConfirmation Skip uncommitted changes confirmation
+   * @param token Cancels the restore; the repository and any uncommitted work are put back as they were
+   * @returns Result of the operation
+   */
+  async restoreVersionSimple(
+    commit: CommitData,
+    repoPath: string | null = null,
+    skipConfirmation: boolean = false,
+    token?: vscode.CancellationToken
+  ): Promise<RestoreResult> {
+    // Log that we're using the simplified method
+    console.log('🚀 TimeLad: Using SIMPLIFIED restore method');
+    
+    const repo = repoPath || await this.getRepositoryPath();
+    
+    // Remove any git lock files
+    await this.fileService.removeGitLockFile!(repo);
+
+    const currentBranch = await this.getCurrentBranchName(repo);
+    const currentCommit = (await this.executeGitCommand(constants.GIT_COMMANDS.REV_PARSE_HEAD, repo)).stdout.trim();
+
+    // Handle uncommitted changes (same as current)
+    const { hasChanges, files } = await this.getUncommittedChanges(repo);
+
+    if ((hasChanges || files.length > 0) && !skipConfirmation) {
+      const shouldProceed = await this.notificationService.showUncommittedChangesWarning!(files);
+      if (!shouldProceed) {
+        return { success: false, message: "Restore cancelled by user." };
+      }
+    }
+
+    // The backup keeps the uncommitted work recoverable
+    const backupBranch = await this.createBackupBranch(repo, 'restore', `Before restoring version ${commit.version || commit.hash}`);
+    const hadChanges = hasChanges || files.length > 0;
+    
+    try {
+      if (hadChanges) {
+        await this.executeGitCommand(constants.GIT_COMMANDS.RESET_HARD, repo);
+        await this.executeGitCommand(['clean', '-fd'], repo);
+      }
+
+      // Create restore commit using simplified method
+      const newCommitHash = await this.createRestoreCommitSimple(commit.hash, repo, token);
+      
+      console.log('✅ TimeLad: Simplified restore completed successfully');
+      
+      return { 
+        success: true, 
+        newCommit: newCommitHash,
+        previousCommit: currentCommit,
+        branch: currentBranch
+      };
+      
+    } catch (error) {
+      // Go back to where we started; ignored files are never in the backup, so they are left alone
+      try {
+        await this.executeGitCommand(['checkout', currentBranch, '--'], repo);
+        await this.executeGitCommand([...constants.GIT_COMMANDS.RESET_HARD, currentCommit], repo);
+        await this.executeGitCommand(['clean', '-fd'], repo);
+        if (hadChanges) {
+          await this.bringBackAfterFailedRestore(backupBranch, repo);
+        }
+      } catch (recoveryError) {
+        console.error('Failed to recover original state:', recoveryError);
+      }
+
+      if (token?.isCancellationRequested) {
+        return { success: false, cancelled: true, message: constants.MESSAGES.RESTORE_CANCELLED };
+      }
+      
+      throw new Error(`${constants.ERRORS.RESTORE_VERSION_FAILED}: ${(error as Error).message}`);
+    } finally {
+      this.clearCache();
+    }
+  }
+
+  /**
+   * Restore a specific version by creating a new commit (ORIGINAL VERSION)
+   * @param commit Commit object to restore
+   * @param repoPath Repository path
+   * @param skipConfirmation Skip uncommitted changes confirmation
+   * @param token Cancels the restore; the repository and any uncommitted work are put back as they were
+   * @returns Result of the operation
+   */
+  async restoreVersion(
+    commit: CommitData,
+    repoPath: string | null = null,
+    skipConfirmation: boolean = false,
+    token?: vscode.CancellationToken
+  ): Promise<RestoreResult> {
+    console.log('🚀 TimeLad: Using simplified restore method');
+    return await this.restoreVersionSimple(commit, repoPath, skipConfirmation, token);
+  }
+
+  /**
+   * Restore only the selected files or folders from a specific version by creating a new commit
+   * @param commit Commit object to restore from
+   * @param paths Repository-relative file or folder paths to restore
+   * @param repoPath Repository path
+   * @param skipConfirmation Skip uncommitted changes confirmation
+   * @param token Cancels the restore; the selected paths and any uncommitted work in them are put back as they were
+   * @returns Result of the operation
+   */
+  async restorePaths(
+    commit: CommitData,
+    paths: string[],
+    repoPath: string | null = null,
+    skipConfirmation: boolean = false,
+    token?: vscode.CancellationToken
+  ): Promise<RestoreResult> {
+    const repo = repoPath || await this.getRepositoryPath();
+
+    await this.fileService.removeGitLockFile!(repo);
+
+    const currentBranch = await this.getCurrentBranchName(repo);
+    const currentCommit = (await this.executeGitCommand(constants.GIT_COMMANDS.REV_PARSE_HEAD, repo)).stdout.trim();
+
+    // Only uncommitted work inside the selected paths is at risk
+    const { files } = await this.getUncommittedChanges(repo);
+    const affectedFiles = files.filter(file => paths.some(p => this.isWithinPath(file.fileName, p)));
+
+    if (affectedFiles.length > 0 && !skipConfirmation) {
+      const shouldProceed = await this.notificationService.showUncommittedChangesWarning!(affectedFiles);
+      if (!shouldProceed) {
+        return { success: false, message: "Restore cancelled by user." };
+      }
+    }
+
+    const backupBranch = await this.createBackupBranch(
+      repo, 'restore-files', `Before restoring files from version ${commit.version || commit.hash}`
+    );
+
+    try {
+      const newCommitHash = await this.createPathRestoreCommit(commit.hash, paths, repo, token);
+
+      return {
+        success: true,
+        newCommit: newCommitHash,
+        previousCommit: currentCommit,
+        branch: currentBranch,
+        paths
+      };
+    } catch (error) {
+      try {
+        if (affectedFiles.length > 0) {
+          await this.bringBackAfterFailedRestore(backupBranch, repo);
+        }
+      } catch (recoveryError) {
+        console.error('Failed to bring back uncommitted work:', recoveryError);
+      }
+
+      if (token?.isCancellationRequested) {
+        return { success: false, cancelled: true, message: constants.MESSAGES.RESTORE_CANCELLED };
+      }
+
+      throw new Error(`${constants.ERRORS.RESTORE_VERSION_FAILED}: ${(error as Error).message}`);
+    } finally {
+      this.clearCache();
+    }
+  }
+
+  /**
+   * Put uncommitted work back from the backup taken before a restore, once the restore has been rolled back
+   * @param backupBranch Backup branch made before the restore
+   * @param repoPath Repository path
+   */
+  private async bringBackAfterFailedRestore(backupBranch: string, repoPath: string): Promise<void> {
+    await this.bringBackDiscardedWork(this.backupRef(backupBranch), repoPath, true);
+  }
+
+  /**
+   * Check whether a restore can still be undone
+   * @param restore Restore to check, as returned by restoreVersion or restorePaths
+   * @param repoPath Repository path
+   * @returns True if the restore commit is still part of the current branch
+   */
+  async canUndoRestore(restore: UndoableRestore, repoPath: string | null = null): Promise<boolean> {
+    if (!restore.previousCommit || !restore.newCommit || restore.previousCommit === restore.newCommit) {
+      return false;
+    }
+
+    try {
+      const repo = repoPath || await this.getRepositoryPath();
+      if (restore.branch && (await this.getCurrentBranchName(repo)) !== restore.branch) {
+        return false;
+      }
+      await this.executeGitCommand(
+        ['merge-base', '--is-ancestor', this.revision(restore.newCommit), 'HEAD'],
+        repo,
+        { maxRetries: 0 }
+      );
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Undo a restore, returning the files to their pre-restore state
+   * Moves the branch back when nothing happened since the restore, otherwise reverts it with a new commit
+   * @param restore Restore to undo, as returned by restoreVersion or restorePaths
+   * @param repoPath Repository path
+   * @param skipConfirmation Skip uncommitted changes confirmation
+   * @returns Result of the operation
+   */
+  async undoRestore(
+    restore: UndoableRestore,
+    repoPath: string | null = null,
+    skipConfirmation: boolean = false
+  ): Promise<RestoreResult> {
+    const repo = repoPath || await this.getRepositoryPath();
+
+    await this.fileService.removeGitLockFile!(repo);
+
+    if (!(await this.canUndoRestore(restore, repo))) {
+      throw new Error(constants.ERRORS.NOTHING_TO_UNDO);
+    }
+
+    const currentBranch = await this.getCurrentBranchName(repo);
+    const currentCommit = (await this.executeGitCommand(constants.GIT_COMMANDS.REV_PARSE_HEAD, repo)).stdout.trim();
+
+    const { hasChanges, files } = await this.getUncommittedChanges(repo);
+
+    if (hasChanges && !skipConfirmation) {
+      const shouldProceed = await this.notificationService.showUncommittedChangesWarning!(files);
+      if (!shouldProceed) {
+        return { success: false, message: "Undo cancelled by user." };
+      }
+    }
+
+    const backupBranch = await this.createBackupBranch(repo, 'undo-restore', 'Before undoing a restore');
+
+    try {
+      if (hasChanges) {
+        await this.executeGitCommand(constants.GIT_COMMANDS.RESET_HARD, repo);
+        await this.executeGitCommand(['clean', '-fd'], repo);
+      }
+
+      if (currentCommit === restore.newCommit) {
+        // Nothing was committed after the restore, so simply step back over it
+        await this.executeGitCommand([...constants.GIT_COMMANDS.RESET_HARD, this.revision(restore.previousCommit)], repo);
+      } else {
+        // Later work exists on top of the restore; keep it and reverse only the restore's changes
+        try {
+          await this.executeGitCommand(['revert', '--no-commit', this.revision(restore.newCommit)], repo, { maxRetries: 0 });
+        } catch (revertError) {
+          throw new Error('Changes made after the restore touch the same files, so it cannot be undone automatically.');
+        }
+
+        const restoredVersion = restore.version ? `version ${restore.version}` : restore.newCommit.substring(0, 7);
+        const commitMessage = `Undid restore of ${restoredVersion}\n\n` +
+                              `This commit reverses the changes made by a TimeLad restore.\n` +
+                              `Restore commit: ${restore.newCommit}\n` +
+                              `Undo time: ${new Date().toISOString()}`;
+
+        await this.executeGitCommand(constants.GIT_COMMANDS.COMMIT_MESSAGE, repo, { input: commitMessage });
+      }
+
+      const { stdout: newCommit } = await this.executeGitCommand(constants.GIT_COMMANDS.REV_PARSE_HEAD, repo);
+
+      return {
+        success: true,
+        newCommit: newCommit.trim(),
+        previousCommit: currentCommit,
+        branch: currentBranch
+      };
+    } catch (error) {
+      // Go back to where we started, then put the uncommitted work back on top
+      try {
+        await this.executeGitCommand([...constants.GIT_COMMANDS.RESET_HARD, currentCommit], repo);
+        if (hasChanges) {
+          await this.bringBackAfterFailedRestore(backupBranch, repo);
+        }
+      } catch (recoveryError) {
+        console.error('Failed to recover original state:', recoveryError);
+      }
+
+      throw new Error(`${constants.ERRORS.UNDO_RESTORE_FAILED}: ${(error as Error).message}`);
+    } finally {
+      this.clearCache();
+    }
+  }
+
+  /**
+   * Put files back the way they are in a commit, as unsaved changes rather than staged ones
+   * @param revision Commit to take the files from
+   * @param restoredPaths Files to check out of the commit
+   * @param deletedPaths Files the commit does not have, deleted from the working tree
+   * @param repoPath Repository path
+   */
+  private async checkoutAsUnsavedChanges(
+    revision: string,
+    restoredPaths: string[],
+    deletedPaths: string[],
+    repoPath: string
+  ): Promise<void> {
+    if (restoredPaths.length > 0) {
+      // Check out through a throwaway index so the real index is left alone
+      const tempIndex = await this.createTempIndexPath(repoPath);
+      try {
+        await this.executeGitCommand(
+          ['checkout', this.revision(revision), '--', ...this.literalPaths(restoredPaths)],
+          repoPath,
+          { env: { GIT_INDEX_FILE: tempIndex } }
+        );
+      } finally {
+        await this.fileService.deleteFile(tempIndex);
+      }
+    }
+
+    for (const fileName of deletedPaths) {
+      await this.fileService.deleteFile(this.fileService.joinPath!(repoPath, fileName));
+    }
+  }
+
+  /**
+   * Pick a path for a throwaway index in the repository's git folder
+   * In linked worktrees and submodules .git is a file pointing elsewhere, so git is asked where the folder is
+   * @param repoPath Repository path
+   * @returns Path of a file that does not exist yet
+   */
+  private async createTempIndexPath(repoPath: string): Promise<string> {
+    return this.fileService.createTempFilePath!(await this.getGitDir(repoPath), 'index_timelad', '');
+  }
+
+  /**
+   * Find the repository's git folder, which is not always <repo>/.git
+   * @param repoPath Repository path
+   * @returns Absolute path of the git folder
+   */
+  private async getGitDir(repoPath: string): Promise<string> {
+    return (await this.executeGitCommand(['rev-parse', '--absolute-git-dir'], repoPath)).stdout.trim();
+  }
+
+  /**
+   * Write the working tree, untracked files included, as a tree object through a temporary index
+   * The temporary index starts as a copy of the real one, so git only hashes files whose stat data changed
+   * The real index and the working tree are left alone
+   * @param repoPath Repository path
+   * @param paths Only take changes inside these paths; everything else comes from HEAD
+   * @returns The tree, plus the HEAD commit and its tree (null before the first version)
+   */
+  private async writeWorkingTree(
+    repoPath: string,
+    paths: string[] = []
+  ): Promise<{ tree: string; headCommit: string | null; headTree: string | null }> {
+    const gitDir = await this.getGitDir(repoPath);
+    const tempIndex = this.fileService.createTempFilePath!(gitDir, 'index_timelad', '');
+    const indexEnv = { GIT_INDEX_FILE: tempIndex };
+    const pathspec = paths.length > 0 ? ['--', ...this.literalPaths(paths)] : [];
+
+    try {
+      let headCommit: string | null = null;
+      try {
+        headCommit = (await this.executeGitCommand(
+          ['rev-parse', '--verify', '-q', 'HEAD'], repoPath, { maxRetries: 0 }
+        )).stdout.trim();
+      } catch (error) {
+        headCommit = null;
+      }
+
+      if (headCommit) {
+        const realIndex = this.fileService.joinPath!(gitDir, 'index');
+        if (this.fileService.existsSync!(realIndex)) {
+          this.fileService.copyFileSync!(realIndex, tempIndex);
+        }
+        // Reset the entries to HEAD; -m keeps the stat data of entries that already match
+        // and refuses an index with conflicts, which is then read from scratch
+        try {
+          await this.executeGitCommand(['read-tree', '-m', headCommit], repoPath, { env: indexEnv, maxRetries: 0 });
+        } catch (error) {
+          await this.executeGitCommand(['read-tree', headCommit], repoPath, { env: indexEnv });
+        }
+      }
+
+      await this.executeGitCommand(['add', '-A', ...pathspec], repoPath, { env: indexEnv });
+      const tree = (await this.executeGitCommand(['write-tree'], repoPath, { env: indexEnv })).stdout.trim();
+      const headTree = headCommit
+        ? (await this.executeGitCommand(['rev-parse', `${headCommit}^{tree}`], repoPath)).stdout.trim()
+        : null;
+
+      return { tree, headCommit, headTree };
+    } finally {
+      await this.fileService.deleteFile(tempIndex);
+    }
+  }
+
+  /**
+   * Commit a tree outside any branch and keep it under a TimeLad ref
+   * @param tree Tree to commit
+   * @param parent Commit the tree is based on, or null for none
+   * @param message Commit message
+   * @param ref Ref that keeps the commit
+   * @param repoPath Repository path
+   * @returns The new commit hash
+   */
+  private async commitTreeToRef(
+    tree: string,
+    parent: string | null,
+    message: string,
+    ref: string,
+    repoPath: string
+  ): Promise<string> {
+    const parentArgs = parent ? ['-p', parent] : [];
+    const hash = (await this.executeGitCommand(
+      ['commit-tree', tree, ...parentArgs, '-F', '-'], repoPath, { input: message }
+    )).stdout.trim();
+    await this.executeGitCommand(['update-ref', ref, hash], repoPath);
+    return hash;
+  }
+
+  /**
+   * List the backups that hold uncommitted work, newest first
+   * That is what a discard, or a restore over unsaved changes, took out of the files
+   * @param repoPath Repository path
+   * @returns Backups whose files differ from the version they were based on
+   */
+  async getDiscardedWork(repoPath: string | null = null): Promise<Backup[]> {
+    const repo = repoPath || await this.getRepositoryPath();
+    const backups = await this.getBackups(repo);
+    if (backups.length === 0) {
+      return [];
     }
 
-    return result.length > 0 ? result.join(", ") : "unchanged";
+    // diff-tree prints the hash of each commit that changes something, so equal trees drop out
+    const { stdout } = await this.executeGitCommand(
+      ['diff-tree', '--stdin', '--root', '-s'],
+      repo,
+      { input: backups.map(backup => backup.hash).join("\n") + "\n" }
+    );
+    const withChanges = new Set(stdout.split("\n").map(line => line.trim()));
+    return backups.filter(backup => withChanges.has(backup.hash));
   }
 
   /**
-   * Restore a specific version by creating a new commit (SIMPLIFIED VERSION)
-   * @param commit Commit object to restore
+   * Bring the uncommitted work kept in a backup back into the working tree as unsaved changes
+   * Only the files the backup changed are touched; anything they would overwrite is backed up first
+   * @param backup Backup commit hash or ref
    * @param repoPath Repository path
    * @param skipConfirmation Skip uncommitted changes confirmation
    * @returns Result of the operation
    */
-  async restoreVersionSimple(
-    commit: CommitData,
+  async bringBackDiscardedWork(
+    backup: string,
     repoPath: string | null = null,
     skipConfirmation: boolean = false
   ): Promise<RestoreResult> {
-    // Log that we're using the simplified method
-    console.log('🚀 TimeLad: Using SIMPLIFIED restore method');
-    
     const repo = repoPath || await this.getRepositoryPath();
-    
-    // Remove any git lock files
+
     await this.fileService.removeGitLockFile!(repo);
 
-    const currentBranch = await this.getCurrentBranchName(repo);
-    const currentCommit = (await this.executeGitCommand('git rev-parse HEAD', repo)).stdout.trim();
-    
     try {
-      // Handle uncommitted changes (same as current)
-      const { hasChanges, files } = await this.getUncommittedChanges(repo);
-      
-      if (hasChanges || files.length > 0) {
+      // Taking a new backup may delete this one when it is the oldest, so hold on to its commit
+      const hash = (await this.executeGitCommand(
+        ['rev-parse', '--verify', `${this.revision(backup)}^{commit}`], repo
+      )).stdout.trim();
+      const backupFiles = await this.getCommitFiles(hash, repo);
+      const paths = backupFiles.map(file => file.fileName);
+
+      if (paths.length === 0) {
+        return { success: true, paths };
+      }
+
+      const { files } = await this.getUncommittedChanges(repo);
+      const affectedFiles = files.filter(file => paths.some(p => this.isWithinPath(file.fileName, p)));
+
+      if (affectedFiles.length > 0) {
         if (!skipConfirmation) {
-          const shouldProceed = await this.notificationService.showUncommittedChangesWarning!(files);
+          const shouldProceed = await this.notificationService.showUncommittedChangesWarning!(affectedFiles);
           if (!shouldProceed) {
-            return { success: false, message: "Restore cancelled by user." };
+            return { success: false, message: "Bring back cancelled by user." };
           }
         }
-        
-        // Clean uncommitted changes
-        await this.executeGitCommand('git reset --hard', repo);
-        await this.executeGitCommand('git clean -fd', repo);
+        await this.createBackupBranch(repo, 'bring-back', 'Before bringing back discarded changes');
       }
 
-      // Create restore commit using simplified method
-      const newCommitHash = await this.createRestoreCommitSimple(commit.hash, repo);
-      
-      console.log('✅ TimeLad: Simplified restore completed successfully');
-      
-      return { 
-        success: true, 
-        newCommit: newCommitHash,
-        previousCommit: currentCommit,
-        branch: currentBranch
-      };
-      
+      await this.checkoutAsUnsavedChanges(
+        hash,
+        backupFiles.filter(file => file.status !== 'D').map(file => file.fileName),
+        backupFiles.filter(file => file.status === 'D').map(file => file.fileName),
+        repo
+      );
+
+      return { success: true, paths };
     } catch (error) {
-      // Same error recovery as current
-      try {
-        await this.executeGitCommand(`git checkout ${currentBranch}`, repo);
-        await this.executeGitCommand(`git reset --hard ${currentCommit}`, repo);
-        await this.executeGitCommand('git clean -fdx', repo);
-      } catch (recoveryError) {
-        console.error('Failed to recover original state:', recoveryError);
-      }
-      
-      throw new Error(`${constants.ERRORS.RESTORE_VERSION_FAILED}: ${(error as Error).message}`);
+      throw new Error(`${constants.ERRORS.BRING_BACK_FAILED}: ${(error as Error).message}`);
     } finally {
       this.clearCache();
     }
   }
 
   /**
-   * Restore a specific version by creating a new commit (ORIGINAL VERSION)
-   * @param commit Commit object to restore
+   * Capture the working tree, untracked files included, as an autosave under a TimeLad ref
+   * Nothing is added to the current branch and neither the index nor the working tree is touched
    * @param repoPath Repository path
-   * @param skipConfirmation Skip uncommitted changes confirmation
-   * @returns Result of the operation
+   * @param reason Short description of what triggered the autosave
+   * @returns The new autosave, or null when nothing changed since the last autosave or version
    */
-  async restoreVersion(
-    commit: CommitData,
-    repoPath: string | null = null,
-    skipConfirmation: boolean = false
-  ): Promise<RestoreResult> {
-    console.log('🚀 TimeLad: Using simplified restore method');
-    return await this.restoreVersionSimple(commit, repoPath, skipConfirmation);
+  async createAutosave(repoPath: string, reason: string): Promise<Snapshot | null> {
+    try {
+      const { tree, headCommit, headTree } = await this.writeWorkingTree(repoPath);
+      if (tree === headTree) {
+        return null;
+      }
+
+      const { stdout: latest } = await this.executeGitCommand(
+        ['for-each-ref', '--sort=-refname', '--count=1', '--format=%(objectname)', constants.AUTOSAVE.REF_PREFIX],
+        repoPath
+      );
+      if (latest.trim()) {
+        const latestTree = (await this.executeGitCommand(['rev-parse', `${latest.trim()}^{tree}`], repoPath)).stdout.trim();
+        if (tree === latestTree) {
+          return null;
+        }
+      }
+
+      const ref = `${constants.AUTOSAVE.REF_PREFIX}${Date.now()}`;
+      const hash = await this.commitTreeToRef(tree, headCommit, reason, ref, repoPath);
+      return { ref, hash, date: new Date().toISOString(), reason };
+    } catch (error) {
+      throw new Error(`${constants.ERRORS.AUTOSAVE_FAILED}: ${(error as Error).message}`);
+    }
+  }
+
+  /**
+   * List autosaves, newest first
+   * @param repoPath Repository path
+   * @returns Autosaves with the version each was based on
+   */
+  async getAutosaves(repoPath: string | null = null): Promise<Autosave[]> {
+    const repo = repoPath || await this.getRepositoryPath();
+    const { stdout } = await this.executeGitCommand(
+      ['for-each-ref', '--sort=-refname', '--format=%(refname)%09%(objectname)', constants.AUTOSAVE.REF_PREFIX],
+      repo
+    );
+    const refs = stdout.split('\n').filter(Boolean).map(line => line.split('\t') as [string, string]);
+    if (refs.length === 0) {
+      return [];
+    }
+
+    const [versions, commits] = await Promise.all([
+      this.getVersionNumbers(repo).catch(() => new Map<string, number>()),
+      this.readLog([...constants.GIT_COMMANDS.LOG_FORMAT, '--no-walk=unsorted', ...refs.map(([, hash]) => hash)], repo, 0),
+    ]);
+    const byHash = new Map(commits.map(commit => [commit.hash, commit]));
+
+    return refs
+      .filter(([, hash]) => byHash.has(hash))
+      .map(([ref, hash]) => {
+        const commit = byHash.get(hash)!;
+        const base = commit.parents?.[0];
+        return { ...commit, version: 0, ref, baseVersion: base ? versions.get(base) ?? null : null };
+      });
+  }
+
+  /**
+   * Delete autosaves older than the retention period and beyond the maximum count
+   * @param repoPath Repository path
+   * @param retentionDays Days to keep autosaves for
+   * @param maxAutosaves Number of autosaves to keep at most
+   */
+  async pruneAutosaves(
+    repoPath: string,
+    retentionDays: number = constants.AUTOSAVE.RETENTION_DAYS,
+    maxAutosaves: number = constants.AUTOSAVE.MAX_AUTOSAVES
+  ): Promise<void> {
+    const { stdout } = await this.executeGitCommand(
+      ['for-each-ref', '--sort=-refname', '--format=%(refname)%09%(committerdate:unix)', constants.AUTOSAVE.REF_PREFIX],
+      repoPath
+    );
+    const cutoff = Date.now() / 1000 - retentionDays * 24 * 60 * 60;
+
+    const expired = stdout
+      .split('\n')
+      .filter(Boolean)
+      .map(line => line.split('\t'))
+      .filter(([, time], index) => index >= maxAutosaves || Number(time) < cutoff)
+      .map(([ref]) => ref!);
+
+    for (const ref of expired) {
+      await this.executeGitCommand(['update-ref', '-d', ref], repoPath);
+    }
   }
 
   /**
-   * Save uncommitted changes with auto-generated commit message
+   * Save uncommitted changes as a new version
    * @param repoPath Repository path
+   * @param paths Changed files to save, or null to save every change; the other changes stay
+   *              uncommitted, and staged ones stay staged
+   * @param message Commit message to use, or null to generate one from the saved changes
    * @returns Commit message used
    */
-  async saveChanges(repoPath: string | null = null): Promise<string> {
+  async saveChanges(
+    repoPath: string | null = null,
+    paths: string[] | null = null,
+    message: string | null = null
+  ): Promise<string> {
     const repo = repoPath || await this.getRepositoryPath();
 
     const changesInfo = await this.getUncommittedChanges(repo);
@@ -983,19 +2358,404 @@ class GitService implements GitServiceInterface {
       throw new Error(constants.MESSAGES.NO_UNCOMMITTED_CHANGES);
     }
 
+    const customMessage = message && message.trim() ? message.trim() : null;
+
+    if (paths) {
+      return this.saveSelectedChanges(changesInfo.files.filter((file) => paths.includes(file.fileName)), repo, customMessage);
+    }
+
+    // Check the message before staging, so a refused message leaves the index as it was
+    const commitMessage = await this.checkCommitMessage(
+      customMessage || await this.generateCommitMessage(changesInfo.files, changesInfo.summary, repo),
+      repo,
+      !customMessage
+    );
+
     await this.executeGitCommand(constants.GIT_COMMANDS.ADD_ALL, repo);
+    await this.executeGitCommand(constants.GIT_COMMANDS.COMMIT_MESSAGE, repo, { input: commitMessage });
+
+    return commitMessage;
+  }
+
+  /**
+   * Generate the commit message Save would use, for the user to edit before saving
+   * @param repoPath Repository path
+   * @param paths Changed files to describe, or null for every change
+   * @param useProvider Ask the configured provider; by default the message is rule-based, which is instant
+   * @returns Suggested commit message, or an empty string when there is nothing to save
+   */
+  async suggestCommitMessage(
+    repoPath: string | null = null,
+    paths: string[] | null = null,
+    useProvider = false
+  ): Promise<string> {
+    const repo = repoPath || await this.getRepositoryPath();
+    const changesInfo = await this.getUncommittedChanges(repo);
+
+    const files = paths
+      ? changesInfo.files.filter((file) => paths.includes(file.fileName))
+      : changesInfo.files;
+    if (files.length === 0) {
+      return "";
+    }
+
+    const summary = paths ? await this.getSelectionSummary(files, repo) : changesInfo.summary;
+    return this.generateCommitMessage(files, summary, repo, !useProvider);
+  }
+
+  /**
+   * Commit only some of the changed files
+   * @param files Changed files to save
+   * @param repo Repository path
+   * @param message Commit message to use, or null to generate one from those files alone
+   * @returns Commit message used
+   */
+  private async saveSelectedChanges(files: FileChange[], repo: string, message: string | null = null): Promise<string> {
+    if (files.length === 0) {
+      throw new Error(constants.MESSAGES.NO_FILES_SELECTED);
+    }
+
+    // Committing paths needs git to know them; everything else is taken from the working tree as is
+    const untracked = files.filter((file) => file.status === "??").map((file) => file.fileName);
+    if (untracked.length > 0) {
+      await this.executeGitCommand(["add", "--", ...this.literalPaths(untracked)], repo);
+    }
+
+    try {
+      const commitMessage = await this.checkCommitMessage(
+        message || await this.generateCommitMessage(files, await this.getSelectionSummary(files, repo), repo),
+        repo,
+        !message
+      );
+
+      // Committing with paths leaves whatever else is staged in the index
+      await this.executeGitCommand(
+        [...constants.GIT_COMMANDS.COMMIT_MESSAGE, "--", ...this.selectionPaths(files)],
+        repo,
+        { input: commitMessage }
+      );
+
+      return commitMessage;
+    } catch (error) {
+      // Nothing was saved, so the new files go back to being untracked
+      if (untracked.length > 0) {
+        await this.executeGitCommand(["reset", "-q", "--", ...this.literalPaths(untracked)], repo).catch(() => undefined);
+      }
+      throw error;
+    }
+  }
 
-    const commitMessage = await this.commitMessageService.generateCommitMessage(
-      changesInfo.files,
-      changesInfo.summary
+  /**
+   * Generate a commit message from the changed files and what changed inside them
+   * @param files Changed files
+   * @param summary Diff stat of the files
+   * @param repo Repository path
+   * @param rulesOnly Skip the configured provider
+   * @returns Commit message
+   */
+  private async generateCommitMessage(
+    files: FileChange[],
+    summary: string,
+    repo: string,
+    rulesOnly = false
+  ): Promise<string> {
+    const style = await this.getCommitStyle(repo);
+    const ticket = style?.ticketFormat
+      ? this.commitStyleService.ticketFromBranch(await this.getCurrentBranchName(repo).catch(() => null), style)
+      : null;
+
+    return this.commitMessageService.generateCommitMessage(
+      files,
+      summary,
+      await this.getChangesDiff(files, repo),
+      { repoPath: repo, rulesOnly, style, ticket, scopeContext: await this.getScopeContext(repo) }
     );
+  }
+
+  /**
+   * Check a commit message against the commit message rules before saving
+   * @param message Commit message
+   * @param repo Repository path
+   * @param generated Whether the message was generated; generated messages are fixed rather than refused
+   * @returns Message to save
+   */
+  private async checkCommitMessage(message: string, repo: string, generated: boolean): Promise<string> {
+    const { mode, rules } = await this.getCommitLintRules(repo);
+    if (mode === "off") {
+      return message;
+    }
 
-    const escapedMessage = commitMessage.replace(/"/g, '\\"');
-    const commitCommand = constants.GIT_COMMANDS.COMMIT_MESSAGE.replace("%s", escapedMessage);
+    const ticket = await this.getTicketForCommitLint(repo, rules);
+    const checked = generated ? this.commitLintService.applyFixes(message, rules, ticket) : message;
+    const violations = this.commitLintService.lint(checked, rules, ticket);
+    const errors = violations.filter((violation) => violation.severity === "error");
 
-    await this.executeGitCommand(commitCommand, repo);
+    if (mode === "block" && errors.length > 0) {
+      throw new Error(`${constants.MESSAGES.COMMIT_MESSAGE_REJECTED}: ${errors.map((error) => error.message).join("; ")}`);
+    }
+    if (violations.length > 0) {
+      // Not awaited: the warning stays until dismissed
+      void this.notificationService.showWarning?.(
+        `${constants.MESSAGES.COMMIT_MESSAGE_WARNINGS}: ${violations.map((violation) => violation.message).join("; ")}`
+      );
+    }
+    return checked;
+  }
 
-    return commitMessage;
+  /**
+   * Check a commit message against the commit message rules, e.g. while it is written in the composer
+   * @param message Commit message
+   * @param repoPath Repository path
+   * @returns Broken rules with their quick fixes, and whether saving is refused
+   */
+  async lintCommitMessage(message: string, repoPath: string | null = null): Promise<CommitLintResult> {
+    const repo = repoPath || await this.getRepositoryPath();
+    const { mode, rules, source } = await this.getCommitLintRules(repo);
+    if (mode === "off") {
+      return { mode, violations: [], blocked: false, source };
+    }
+
+    const violations = this.commitLintService.lint(message, rules, await this.getTicketForCommitLint(repo, rules));
+    return {
+      mode,
+      violations,
+      blocked: mode === "block" && violations.some((violation) => violation.severity === "error"),
+      source,
+    };
+  }
+
+  /**
+   * Read the commit message rules: the timelad.commitMessage.lint.* settings, overridden by the
+   * repository's commitlint configuration for the rules it sets
+   * @param repo Repository path
+   * @returns What happens to messages that break the rules, the rules, and the commitlint file they come from
+   */
+  async getCommitLintRules(repo: string): Promise<{ mode: CommitLintMode; rules: CommitLintRules; source: string | null }> {
+    const config = vscode.workspace.getConfiguration("timelad");
+    const mode = config.get<string>("commitMessage.lint.mode", "warn");
+    const types = config.get<string[]>("commitMessage.lint.types", []);
+    const maxSubjectLength = config.get<number>("commitMessage.lint.maxSubjectLength", 72);
+    const maxBodyLineLength = config.get<number>("commitMessage.lint.maxBodyLineLength", 100);
+    const forbiddenWords = config.get<string[]>("commitMessage.lint.forbiddenWords", ["WIP"]);
+
+    const settingsRules: CommitLintRules = {
+      ...DEFAULT_COMMIT_LINT_RULES,
+      types: Array.isArray(types) && types.length > 0 ? { severity: "error", value: types } : null,
+      ticketRequired: config.get<boolean>("commitMessage.lint.requireTicket", false) ? { severity: "error", value: true } : null,
+      ticketPattern: config.get<string>("commitMessage.lint.ticketPattern", "") || DEFAULT_COMMIT_LINT_RULES.ticketPattern,
+    };
+    if (typeof maxSubjectLength === "number") {
+      settingsRules.headerMaxLength = maxSubjectLength > 0 ? { severity: "error", value: maxSubjectLength } : null;
+    }
+    if (typeof maxBodyLineLength === "number") {
+      settingsRules.bodyMaxLineLength = maxBodyLineLength > 0 ? { severity: "error", value: maxBodyLineLength } : null;
+    }
+    if (Array.isArray(forbiddenWords)) {
+      settingsRules.forbiddenWords = forbiddenWords.length > 0 ? { severity: "error", value: forbiddenWords } : null;
+    }
+
+    const cacheKey = `commitlint-${repo}`;
+    const cached = this.cache.get(cacheKey);
+    let commitlint: CommitLintConfig | null;
+    if (cached && Date.now() - cached.timestamp < constants.CACHE_TIMEOUT) {
+      commitlint = cached.data;
+    } else {
+      commitlint = await this.commitLintService.readConfig(repo);
+      this.cache.set(cacheKey, { data: commitlint, timestamp: Date.now() });
+    }
+
+    return {
+      mode: mode === "off" || mode === "block" ? mode : "warn",
+      rules: { ...settingsRules, ...commitlint?.rules },
+      source: commitlint?.source ?? null,
+    };
+  }
+
+  /**
+   * Find the ticket to offer when a message has to mention one
+   * @param repo Repository path
+   * @param rules Commit message rules
+   * @returns Ticket from the current branch name, or null when none is needed or found
+   */
+  private async getTicketForCommitLint(repo: string, rules: CommitLintRules): Promise<string | null> {
+    if (!rules.ticketRequired) {
+      return null;
+    }
+    return this.commitLintService.ticketFromBranch(await this.getCurrentBranchName(repo).catch(() => null), rules.ticketPattern);
+  }
+
+  /**
+   * Read what commit scopes are taken from besides folders
+   * @param repo Repository path
+   * @returns Path to scope map from timelad.commitMessage.scopes, and the packages of a monorepo
+   */
+  async getScopeContext(repo: string): Promise<ScopeContext> {
+    const configured = vscode.workspace.getConfiguration("timelad").get<Record<string, string>>("commitMessage.scopes", {});
+    const scopeMap = configured && typeof configured === "object" ? configured : {};
+
+    const cacheKey = `workspaces-${repo}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < constants.CACHE_TIMEOUT) {
+      return { scopeMap, workspaces: cached.data };
+    }
+
+    const workspaces = await this.scopeInferenceService.readWorkspaces(repo);
+    this.cache.set(cacheKey, { data: workspaces, timestamp: Date.now() });
+    return { scopeMap, workspaces };
+  }
+
+  /**
+   * Group the uncommitted changes by area, when they are in several unrelated ones
+   * Areas are the packages of a monorepo and the paths in timelad.commitMessage.scopes
+   * @param repoPath Repository path
+   * @returns Areas with their changed files, or none when the changes are in one area or outside every area
+   */
+  async suggestSplit(repoPath: string | null = null): Promise<ChangeArea[]> {
+    const repo = repoPath || await this.getRepositoryPath();
+    const { files } = await this.getUncommittedChanges(repo);
+    const areas = this.scopeInferenceService.groupByArea(
+      files.map((file) => file.fileName),
+      await this.getScopeContext(repo)
+    );
+    return areas.length > 1 ? areas : [];
+  }
+
+  /**
+   * Work out how commit messages are written in a repository, unless timelad.commitMessage.style picks a style
+   * @param repo Repository path
+   * @returns Style learned from recent subjects or chosen in the settings, or null for conventional commits
+   */
+  async getCommitStyle(repo: string): Promise<CommitStyle | null> {
+    const setting = vscode.workspace.getConfiguration("timelad").get<string>("commitMessage.style", "auto") || "auto";
+    if (setting !== "auto") {
+      return this.commitStyleService.preset(setting as CommitStylePreset);
+    }
+
+    const cacheKey = `commit-style-${repo}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < constants.CACHE_TIMEOUT) {
+      return cached.data;
+    }
+
+    let style: CommitStyle | null = null;
+    try {
+      const { stdout } = await this.executeGitCommand(
+        ["log", "-n", String(constants.COMMIT_COMPOSER.STYLE_SAMPLE_SIZE), "--no-merges", "--format=%s"],
+        repo
+      );
+      style = this.commitStyleService.detect(stdout.split("\n"));
+    } catch (error) {
+      // No versions yet
+    }
+
+    this.cache.set(cacheKey, { data: style, timestamp: Date.now() });
+    return style;
+  }
+
+  /**
+   * Read the timelad.commitMessage.* settings
+   * The provider, endpoint, API key and command come from user settings only: a cloned repository's
+   * .vscode/settings.json must not be able to run a command or send the diff to a server of its choosing
+   * @param config The timelad configuration
+   * @returns Which provider writes commit messages, and how to reach it
+   */
+  getCommitMessageSettings(
+    config: vscode.WorkspaceConfiguration = vscode.workspace.getConfiguration("timelad")
+  ): CommitMessageSettings {
+    const userSetting = (key: string): string => {
+      const value = config.inspect<string>(key)?.globalValue;
+      return typeof value === "string" ? value : "";
+    };
+    const provider = userSetting("commitMessage.provider");
+    return {
+      provider: provider === "http" || provider === "command" ? provider : "rules",
+      httpUrl: userSetting("commitMessage.http.url"),
+      httpModel: config.get<string>("commitMessage.http.model", "") || "",
+      httpApiKey: userSetting("commitMessage.http.apiKey"),
+      command: userSetting("commitMessage.command"),
+      timeoutMs: (config.get<number>("commitMessage.timeoutSeconds", constants.COMMIT_COMPOSER.PROVIDER_TIMEOUT_SECONDS)
+        || constants.COMMIT_COMPOSER.PROVIDER_TIMEOUT_SECONDS) * 1000,
+    };
+  }
+
+  /**
+   * Name the provider that writes commit messages
+   * @returns Name of the language model or command, or null when messages are rule-based
+   */
+  getCommitMessageGenerator(): string | null {
+    return this.commitMessageService.getProviderLabel?.() ?? null;
+  }
+
+  /**
+   * Diff changed files against the latest version as they are on disk, untracked files included
+   * The diff is read through a temporary index, so neither the index nor the working tree is touched
+   * @param files Changed files
+   * @param repo Repository path
+   * @returns Unified diff cut off after constants.COMMIT_COMPOSER.MAX_DIFF_LENGTH characters,
+   *          or an empty string when it cannot be read
+   */
+  private async getChangesDiff(files: FileChange[], repo: string): Promise<string> {
+    if (files.length === 0) {
+      return "";
+    }
+
+    try {
+      const { tree, headTree } = await this.writeWorkingTree(
+        repo,
+        files.flatMap((file) => file.originalFileName ? [file.fileName, file.originalFileName] : [file.fileName])
+      );
+      const baseTree = headTree
+        || (await this.executeGitCommand(["hash-object", "-t", "tree", "--stdin"], repo, { input: "" })).stdout.trim();
+
+      const lines: string[] = [];
+      let length = 0;
+      await this.executeGitCommand(
+        ["-c", "core.quotePath=false", "diff", "-M", "-U0", "--no-color", "--no-ext-diff", baseTree, tree],
+        repo,
+        {
+          onRecord: (line) => {
+            if (length < constants.COMMIT_COMPOSER.MAX_DIFF_LENGTH) {
+              lines.push(line);
+              length += line.length + 1;
+            }
+          },
+        }
+      );
+      return lines.join("\n");
+    } catch (error) {
+      console.log(`${constants.EXTENSION_NAME}: Could not read the diff for a commit message: ${(error as Error).message}`);
+      return "";
+    }
+  }
+
+  /**
+   * Summarize the changes to some of the changed files
+   * @param files Changed files
+   * @param repo Repository path
+   * @returns Diff stat of the files, or a file count before the first version
+   */
+  private async getSelectionSummary(files: FileChange[], repo: string): Promise<string> {
+    try {
+      const { stdout } = await this.executeGitCommand(
+        [...constants.GIT_COMMANDS.DIFF_STAT, "HEAD", "--", ...this.selectionPaths(files)],
+        repo
+      );
+      return stdout;
+    } catch (error) {
+      // No versions yet
+      return `${files.length} file(s) changed`;
+    }
+  }
+
+  /**
+   * Turn changed files into pathspecs; a rename is saved together with the removal of the original file
+   * @param files Changed files
+   * @returns Literal pathspecs
+   */
+  private selectionPaths(files: FileChange[]): string[] {
+    return this.literalPaths(
+      files.flatMap((file) => file.originalFileName ? [file.fileName, file.originalFileName] : [file.fileName])
+    );
   }
 
   /**
@@ -1007,8 +2767,9 @@ class GitService implements GitServiceInterface {
     try {
       const repo = repoPath || (await this.getRepositoryPath());
       
-      await this.executeGitCommand('git reset --hard HEAD', repo);
-      await this.executeGitCommand('git clean -fd', repo);
+      await this.createBackupBranch(repo, 'discard', 'Before discarding changes');
+      await this.executeGitCommand([...constants.GIT_COMMANDS.RESET_HARD, 'HEAD'], repo);
+      await this.executeGitCommand(['clean', '-fd'], repo);
       
       this.clearCache();
       
@@ -1054,11 +2815,11 @@ class GitService implements GitServiceInterface {
 
           try {
             await this.executeGitCommand(
-              constants.GIT_COMMANDS.CONFIG_USER_NAME.replace("%s", "VS Code User"),
+              [...constants.GIT_COMMANDS.CONFIG_USER_NAME, "VS Code User"],
               workspacePath
             );
             await this.executeGitCommand(
-              constants.GIT_COMMANDS.CONFIG_USER_EMAIL.replace("%s", "vscode@example.com"),
+              [...constants.GIT_COMMANDS.CONFIG_USER_EMAIL, "vscode@example.com"],
               workspacePath
             );
           } catch (configError) {
@@ -1069,13 +2830,9 @@ class GitService implements GitServiceInterface {
 
           try {
             await this.executeGitCommand(constants.GIT_COMMANDS.ADD_ALL, workspacePath);
-            await this.executeGitCommand(
-              constants.GIT_COMMANDS.COMMIT_MESSAGE.replace(
-                "%s",
-                "🎉 First save! Welcome to TimeLad version tracking"
-              ),
-              workspacePath
-            );
+            await this.executeGitCommand(constants.GIT_COMMANDS.COMMIT_MESSAGE, workspacePath, {
+              input: constants.MESSAGES.FIRST_SAVE_COMMIT
+            });
           } catch (commitError) {
             const readmePath = this.fileService.joinPath!(workspacePath, "README.md");
 
@@ -1084,14 +2841,10 @@ class GitService implements GitServiceInterface {
                 readmePath,
                 "# My Project\n\nWelcome to your version-tracked project! 🚀\n"
               );
-              await this.executeGitCommand("git add README.md", workspacePath);
-              await this.executeGitCommand(
-                constants.GIT_COMMANDS.COMMIT_MESSAGE.replace(
-                  "%s",
-                  "🎉 First save! Welcome to TimeLad version tracking"
-                ),
-                workspacePath
-              );
+              await this.executeGitCommand(["add", "README.md"], workspacePath);
+              await this.executeGitCommand(constants.GIT_COMMANDS.COMMIT_MESSAGE, workspacePath, {
+                input: constants.MESSAGES.FIRST_SAVE_COMMIT
+              });
             }
           }
 
@@ -1131,6 +2884,21 @@ class GitService implements GitServiceInterface {
    */
   async findRepositories(): Promise<GitRepository[]> {
     const repositoryPaths = await this.scanForRepositories();
+
+    // The Git extension also knows about repositories deeper than the scan goes
+    try {
+      const gitExtension = this.getGitExtension();
+      const api = gitExtension ? gitExtension.getAPI(1) : null;
+      (api?.repositories || []).forEach((repository: any) => {
+        const rootPath = repository?.rootUri?.fsPath;
+        if (rootPath && !repositoryPaths.includes(rootPath)) {
+          repositoryPaths.push(rootPath);
+        }
+      });
+    } catch (error) {
+      // The scan results are enough on their own
+    }
+
     return repositoryPaths.map(path => ({
       path,
       name: path.split(/[\\/]/).pop() || 'Unknown',
@@ -1145,14 +2913,7 @@ class GitService implements GitServiceInterface {
    * @returns Array of GitCommit objects
    */
   async getCommitHistory(repoPath?: string, limit?: number): Promise<GitCommit[]> {
-    const commits = await this.getCommits(limit, repoPath || null);
-    return commits.map(commit => ({
-      hash: commit.hash,
-      message: commit.subject,
-      author: commit.author,
-      date: commit.date,
-      subject: commit.subject
-    }));
+    return this.getCommits(limit, repoPath || null);
   }
 
   /**
@@ -1163,7 +2924,7 @@ class GitService implements GitServiceInterface {
    */
   async restoreToCommit(commitHash: string, message?: string): Promise<boolean> {
     try {
-      const commit = { hash: commitHash, author: '', date: '', subject: message || '', version: 0 };
+      const commit = { hash: commitHash, message: message || '', author: '', date: '', subject: message || '', version: 0 };
       const result = await this.restoreVersion(commit);
       return result.success;
     } catch (error) {
@@ -1178,7 +2939,7 @@ class GitService implements GitServiceInterface {
    */
   async saveChangesWithMessage(message: string): Promise<boolean> {
     try {
-      await this.saveChanges();
+      await this.saveChanges(null, null, message);
       return true;
     } catch (error) {
       return false;
@@ -1217,4 +2978,5 @@ class GitService implements GitServiceInterface {
   }
 }
 
-export { GitService };
\ No newline at end of file
+export { GitService };
+export type { BlameLine, FileHistoryCommit, Autosave, Snapshot, Backup, BranchInfo, DiffSummary };
\ No newline at end of file
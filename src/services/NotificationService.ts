@@ -113,6 +113,15 @@ export class NotificationService implements NotificationServiceInterface {
         });
     }
 
+    /**
+     * Create a quick pick whose items can change while it is open
+     */
+    createQuickPick<T extends vscode.QuickPickItem>(): vscode.QuickPick<T> {
+        const picker = vscode.window.createQuickPick<T>();
+        picker.ignoreFocusOut = true;
+        return picker;
+    }
+
     /**
      * Show file/folder selection dialog
      */
@@ -166,7 +175,7 @@ export class NotificationService implements NotificationServiceInterface {
         const moreFiles = files.length > 5 ? `\n...and ${files.length - 5} more files` : '';
         
         const choice = await this.showWarning(
-            `You have ${files.length} uncommitted change(s) that will be permanently lost.\n\n${fileList}${moreFiles}\n\nDo you want to discard all changes and restore to the selected version?`,
+            `You have ${files.length} uncommitted change(s) that will be discarded. A backup is kept under "Recently discarded" in the TimeLad sidebar.\n\n${fileList}${moreFiles}\n\nDo you want to discard all changes and restore to the selected version?`,
             { modal: true },
             'Discard All Changes and Restore',
             'Cancel'
@@ -0,0 +1,254 @@
+import * as vscode from 'vscode';
+import * as fs from 'fs';
+import * as path from 'path';
+import { GitService } from './GitService';
+import { GitCommandRunner } from './GitCommandRunner';
+import * as constants from '../constants';
+
+/**
+ * What a change made outside TimeLad affects: repositories appearing or going away,
+ * new versions and branch switches (history), or edits and staging (changes)
+ */
+export type RepositoryChangeScope = 'repositories' | 'history' | 'changes';
+
+/** Changes that came in together, reported once they stop coming in for a moment */
+export interface RepositoryChange {
+    scopes: Set<RepositoryChangeScope>;
+    /** Files and repositories the changes happened in */
+    paths: string[];
+}
+
+/**
+ * Service that notices commits, branch switches, staging and edits, whether made by TimeLad,
+ * in the terminal or in the Source Control view
+ * Watches .git directories and the working tree, and follows the built-in Git extension's repository state
+ */
+export class RepositoryWatcher implements vscode.Disposable {
+    private readonly changeEmitter = new vscode.EventEmitter<RepositoryChange>();
+    private readonly disposables: vscode.Disposable[] = [];
+    private gitApiListeners: vscode.Disposable[] = [];
+    // Branch and commit HEAD pointed to in each repository the Git extension knows, to tell commits from edits
+    private readonly repositoryHeads = new Map<string, string>();
+    // Runs check-ignore directly: its exit code 1 means nothing is ignored, which is not worth logging as an error
+    private readonly gitRunner = new GitCommandRunner();
+
+    // Changes waiting for the delay to pass
+    private readonly pendingScopes = new Set<RepositoryChangeScope>();
+    private readonly pendingPaths = new Set<string>();
+    // Edited files, reported as changes once the ones git ignores are left out
+    private readonly pendingFiles = new Set<string>();
+    private timer: NodeJS.Timeout | null = null;
+
+    /** Fires after changes stop coming in for constants.AUTO_REFRESH_DELAY */
+    readonly onDidChange = this.changeEmitter.event;
+
+    constructor(private readonly gitService: GitService) {
+        const gitDirectoryWatcher = vscode.workspace.createFileSystemWatcher('**/.git/**');
+        gitDirectoryWatcher.onDidCreate((uri) => this.onGitDirectoryChange(uri, true));
+        gitDirectoryWatcher.onDidChange((uri) => this.onGitDirectoryChange(uri, false));
+        gitDirectoryWatcher.onDidDelete((uri) => this.onGitDirectoryChange(uri, true));
+
+        // Edits to files, whether in an editor or by another program; build output and
+        // node_modules churn a lot, so files git ignores are dropped before anything refreshes
+        const workingTreeWatcher = vscode.workspace.createFileSystemWatcher('**/*');
+        const onWorkingTreeChange = (uri: vscode.Uri) => {
+            if (!uri.fsPath.split(/[\\/]/).includes('.git')) {
+                this.pendingFiles.add(uri.fsPath);
+                this.schedule();
+            }
+        };
+        workingTreeWatcher.onDidCreate(onWorkingTreeChange);
+        workingTreeWatcher.onDidChange(onWorkingTreeChange);
+        workingTreeWatcher.onDidDelete(onWorkingTreeChange);
+
+        this.disposables.push(gitDirectoryWatcher, workingTreeWatcher, this.changeEmitter);
+        this.subscribeToGitExtension();
+    }
+
+    /**
+     * Follow repository state reported by the built-in Git extension, which also notices changes the
+     * file watchers miss (e.g. files excluded by files.watcherExclude)
+     * Does nothing until the Git extension is active, so callers try again later (e.g. when the sidebar opens)
+     */
+    subscribeToGitExtension(): void {
+        if (this.gitApiListeners.length > 0) {
+            return;
+        }
+
+        let api: any = null;
+        try {
+            const gitExtension = this.gitService.getGitExtension();
+            api = gitExtension ? gitExtension.getAPI(1) : null;
+        } catch (error) {
+            console.log(`${constants.EXTENSION_NAME}: Git extension not available for watching repositories: ${(error as Error).message}`);
+        }
+        if (!api || !Array.isArray(api.repositories)) {
+            return;
+        }
+
+        const watchRepository = (repository: any) => {
+            const repoPath: string = repository.rootUri.fsPath;
+            const headOf = () => `${repository.state.HEAD?.name ?? ''}@${repository.state.HEAD?.commit ?? ''}`;
+            this.repositoryHeads.set(repoPath, headOf());
+
+            this.gitApiListeners.push(
+                repository.state.onDidChange(() => {
+                    const head = headOf();
+                    const headChanged = this.repositoryHeads.get(repoPath) !== head;
+                    this.repositoryHeads.set(repoPath, head);
+                    this.queue(headChanged ? 'history' : 'changes', repoPath);
+                })
+            );
+        };
+
+        api.repositories.forEach(watchRepository);
+        this.gitApiListeners.push(api.onDidOpenRepository(watchRepository));
+    }
+
+    /**
+     * Check whether any of the changes happened in a repository
+     * @param change Reported changes
+     * @param repoPath Repository path
+     * @returns True if a changed file or repository is inside the repository
+     */
+    affects(change: RepositoryChange, repoPath: string): boolean {
+        return change.paths.some((changedPath) => {
+            const relative = path.relative(repoPath, changedPath);
+            return !relative.startsWith('..') && !path.isAbsolute(relative);
+        });
+    }
+
+    dispose(): void {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.gitApiListeners.forEach((listener) => listener.dispose());
+        this.gitApiListeners = [];
+        this.disposables.forEach((disposable) => disposable.dispose());
+    }
+
+    /**
+     * Sort a change inside a .git directory into what it affects
+     * @param uri Changed file inside .git
+     * @param createdOrDeleted True when the file appeared or went away rather than changed
+     */
+    private onGitDirectoryChange(uri: vscode.Uri, createdOrDeleted: boolean): void {
+        const fsPath = uri.fsPath.replace(/\\/g, '/');
+        const gitDirIndex = fsPath.lastIndexOf('/.git/');
+        if (gitDirIndex === -1) {
+            return;
+        }
+
+        const repoPath = uri.fsPath.slice(0, gitDirIndex);
+        const gitPath = fsPath.slice(gitDirIndex + '/.git/'.length);
+
+        if (gitPath === 'HEAD' && createdOrDeleted) {
+            // A repository was created or removed
+            this.queue('repositories', repoPath);
+        } else if (gitPath === 'HEAD' || gitPath === 'packed-refs' || gitPath.startsWith('refs/')) {
+            this.queue('history', repoPath);
+        } else if (gitPath === 'index') {
+            this.queue('changes', repoPath);
+        }
+    }
+
+    /**
+     * Report a change once changes stop coming in for a moment
+     * @param scope What the change affects
+     * @param fsPath File or repository the change happened in
+     */
+    private queue(scope: RepositoryChangeScope, fsPath: string): void {
+        this.pendingScopes.add(scope);
+        this.pendingPaths.add(fsPath);
+        this.schedule();
+    }
+
+    // (Re)start the delay after which waiting changes are reported
+    private schedule(): void {
+        if (this.timer) {
+            clearTimeout(this.timer);
+        }
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            void this.flush();
+        }, constants.AUTO_REFRESH_DELAY);
+    }
+
+    /**
+     * Report the waiting changes, leaving out edited files git ignores
+     */
+    private async flush(): Promise<void> {
+        const files = [...this.pendingFiles];
+        this.pendingFiles.clear();
+
+        const changedFiles = await this.withoutIgnoredFiles(files);
+        if (changedFiles.length > 0) {
+            this.pendingScopes.add('changes');
+            changedFiles.forEach((file) => this.pendingPaths.add(file));
+        }
+        if (this.pendingScopes.size === 0) {
+            return;
+        }
+
+        const change: RepositoryChange = { scopes: new Set(this.pendingScopes), paths: [...this.pendingPaths] };
+        this.pendingScopes.clear();
+        this.pendingPaths.clear();
+        this.changeEmitter.fire(change);
+    }
+
+    /**
+     * Leave out files git ignores, asking each repository once with `git check-ignore`
+     * @param files Absolute paths of edited files
+     * @returns Files that are not ignored, including any outside a repository or that could not be checked
+     */
+    private async withoutIgnoredFiles(files: string[]): Promise<string[]> {
+        const filesByRepository = new Map<string | null, string[]>();
+        const repositoryOfFolder = new Map<string, string | null>();
+        for (const file of files) {
+            const repoPath = this.findRepositoryRoot(path.dirname(file), repositoryOfFolder);
+            filesByRepository.set(repoPath, [...(filesByRepository.get(repoPath) || []), file]);
+        }
+
+        const kept: string[] = [];
+        for (const [repoPath, repoFiles] of filesByRepository) {
+            if (!repoPath) {
+                kept.push(...repoFiles);
+                continue;
+            }
+            try {
+                const { stdout } = await this.gitRunner.run(['check-ignore', '-z', '--stdin'], {
+                    cwd: repoPath,
+                    input: `${repoFiles.join('\0')}\0`,
+                    timeout: constants.GIT_TIMEOUTS.DEFAULT,
+                });
+                const ignored = new Set(stdout.split('\0'));
+                kept.push(...repoFiles.filter((file) => !ignored.has(file)));
+            } catch (error) {
+                // check-ignore exits with 1 when none of the files is ignored
+                kept.push(...repoFiles);
+            }
+        }
+        return kept;
+    }
+
+    /**
+     * Find the repository a folder is in by looking for .git in it and the folders above it
+     * @param folder Absolute folder path
+     * @param cache Repository of folders looked up before
+     * @returns Repository path, or null when the folder is not in a repository
+     */
+    private findRepositoryRoot(folder: string, cache: Map<string, string | null>): string | null {
+        const cached = cache.get(folder);
+        if (cached !== undefined) {
+            return cached;
+        }
+
+        const parent = path.dirname(folder);
+        const repoPath = fs.existsSync(path.join(folder, '.git'))
+            ? folder
+            : parent === folder ? null : this.findRepositoryRoot(parent, cache);
+        cache.set(folder, repoPath);
+        return repoPath;
+    }
+}
@@ -0,0 +1,243 @@
+import * as fs from 'fs';
+import * as path from 'path';
+
+/** A package of a monorepo, from the workspaces field of the root package.json */
+export interface WorkspacePackage {
+    /** Folder relative to the repository, with forward slashes */
+    path: string;
+    name: string;
+}
+
+/** What decides the scope of a change besides the folders it is in */
+export interface ScopeContext {
+    /** Paths or globs mapped to scopes, from timelad.commitMessage.scopes */
+    scopeMap: Record<string, string>;
+    workspaces: WorkspacePackage[];
+}
+
+/** Changed files that belong to the same area of the repository */
+export interface ChangeArea {
+    scope: string;
+    files: string[];
+}
+
+// Folders too general to name a scope after; test and docs folders already show in the commit type
+const GENERIC_FOLDERS = new Set([
+    'src', 'lib', 'app', 'apps', 'source', 'sources', 'packages', 'pkg', 'internal', 'include', 'public', 'main', 'java',
+    'test', 'tests', '__tests__', 'spec', 'specs', 'doc', 'docs',
+]);
+
+// Workspace globs are expanded this deep at most, so ** cannot walk the whole repository
+const MAX_WORKSPACE_DEPTH = 4;
+
+/**
+ * Works out the conventional commit scope of changed files: from a configured path to scope map, the
+ * monorepo package they are in, or the folder they share
+ */
+export class ScopeInferenceService {
+    /**
+     * Read the packages of a monorepo
+     * @param repoPath Repository path
+     * @returns Packages matched by the workspaces field of the root package.json, or none
+     */
+    async readWorkspaces(repoPath: string): Promise<WorkspacePackage[]> {
+        let manifest: any;
+        try {
+            manifest = JSON.parse(await fs.promises.readFile(path.join(repoPath, 'package.json'), 'utf8'));
+        } catch (error) {
+            return [];
+        }
+
+        const patterns: unknown = Array.isArray(manifest?.workspaces) ? manifest.workspaces : manifest?.workspaces?.packages;
+        if (!Array.isArray(patterns)) {
+            return [];
+        }
+
+        const included = patterns.filter((pattern): pattern is string => typeof pattern === 'string' && !pattern.startsWith('!'));
+        const excluded = patterns
+            .filter((pattern): pattern is string => typeof pattern === 'string' && pattern.startsWith('!'))
+            .map((pattern) => this.globToRegExp(pattern.slice(1)));
+
+        const folders = new Set<string>();
+        for (const pattern of included) {
+            const segments = pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/').filter(Boolean);
+            for (const folder of await this.expandGlob(repoPath, '', segments, 0)) {
+                if (!excluded.some((regExp) => regExp.test(folder))) {
+                    folders.add(folder);
+                }
+            }
+        }
+
+        const packages: WorkspacePackage[] = [];
+        for (const folder of [...folders].sort()) {
+            try {
+                const { name } = JSON.parse(await fs.promises.readFile(path.join(repoPath, folder, 'package.json'), 'utf8'));
+                if (typeof name === 'string' && name) {
+                    packages.push({ path: folder, name });
+                }
+            } catch (error) {
+                // Not a package
+            }
+        }
+        return packages;
+    }
+
+    /**
+     * Find the area a file belongs to
+     * @param fileName Path relative to the repository
+     * @param context Scope map and monorepo packages
+     * @returns Scope of the longest matching path in the scope map, else of the package the file is in,
+     *          or null when neither applies
+     */
+    areaOf(fileName: string, context: ScopeContext | null): string | null {
+        if (!context) {
+            return null;
+        }
+
+        const mapped = Object.entries(context.scopeMap)
+            .filter(([pattern, scope]) => scope && this.globToRegExp(pattern).test(fileName))
+            .sort((a, b) => b[0].length - a[0].length)[0];
+        if (mapped) {
+            return mapped[1];
+        }
+
+        const workspace = context.workspaces
+            .filter((pkg) => fileName.startsWith(`${pkg.path}/`))
+            .sort((a, b) => b.path.length - a.path.length)[0];
+        // @acme/web-app is scoped as web-app
+        return workspace ? workspace.name.replace(/^@[^/]+\//, '') : null;
+    }
+
+    /**
+     * Pick one scope for a change
+     * @param fileNames Paths relative to the repository
+     * @param context Scope map and monorepo packages
+     * @param useFileName Name a change to a single file after the file
+     * @returns Scope of the one area the files are in, else the file's name or the deepest folder they share;
+     *          null when they are in several areas or share nothing specific
+     */
+    scopeOf(fileNames: string[], context: ScopeContext | null, useFileName = false): string | null {
+        const unique = [...new Set(fileNames)];
+        if (unique.length === 0) {
+            return null;
+        }
+
+        // Files outside every area, like the root lock file, go along with the area
+        const areas = new Set(unique.map((fileName) => this.areaOf(fileName, context)).filter((area) => area !== null));
+        if (areas.size > 0) {
+            return areas.size === 1 ? this.toScope([...areas][0]!) : null;
+        }
+
+        if (useFileName && unique.length === 1) {
+            const baseName = path.posix.basename(unique[0]!).replace(/\.[^.]*$/, '').replace(/\.(test|spec)$/, '');
+            if (baseName && baseName !== 'index' && baseName !== 'main' && baseName !== 'mod') {
+                return this.toScope(baseName);
+            }
+        }
+
+        const folders = unique.map((fileName) => path.posix.dirname(fileName).split('/'));
+        const shared: string[] = [];
+        for (let i = 0; folders.every((folder) => folder[i] !== undefined && folder[i] === folders[0]![i]); i++) {
+            shared.push(folders[0]![i]!);
+        }
+        const folder = shared[shared.length - 1];
+        return folder && folder !== '.' && !GENERIC_FOLDERS.has(folder.toLowerCase()) ? this.toScope(folder) : null;
+    }
+
+    /**
+     * Group changed files by area, to suggest saving unrelated changes separately
+     * @param fileNames Paths relative to the repository
+     * @param context Scope map and monorepo packages
+     * @returns Areas with their files, largest first; files outside every area are left out
+     */
+    groupByArea(fileNames: string[], context: ScopeContext | null): ChangeArea[] {
+        const groups = new Map<string, string[]>();
+        for (const fileName of fileNames) {
+            const area = this.areaOf(fileName, context);
+            if (area !== null) {
+                groups.set(area, [...(groups.get(area) || []), fileName]);
+            }
+        }
+
+        return [...groups.entries()]
+            .map(([scope, files]) => ({ scope, files }))
+            .sort((a, b) => b.files.length - a.files.length || a.scope.localeCompare(b.scope));
+    }
+
+    // Scopes are single words
+    private toScope(name: string): string {
+        return name.replace(/[^\w.-]+/g, '-');
+    }
+
+    /**
+     * Turn a path or glob into a pattern matching it and everything under it
+     * @param glob e.g. "packages/*", "src/api" or "docs/**"
+     * @returns Regular expression for paths relative to the repository
+     */
+    private globToRegExp(glob: string): RegExp {
+        const source = glob
+            .replace(/^\.\//, '')
+            .replace(/(\/\*\*)?\/*$/, '')
+            .split(/(\*\*\/?|\*)/)
+            .map((part) => {
+                if (part === '**/') {
+                    return '(.*/)?';
+                }
+                if (part === '**') {
+                    return '.*';
+                }
+                if (part === '*') {
+                    return '[^/]*';
+                }
+                return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+            })
+            .join('');
+        return new RegExp(`^${source}(/|$)`);
+    }
+
+    /**
+     * List the folders a workspace glob matches
+     * @param repoPath Repository path
+     * @param folder Folder matched so far, relative to the repository
+     * @param segments Glob segments still to match
+     * @param depth How deep ** has gone
+     * @returns Matching folders relative to the repository
+     */
+    private async expandGlob(repoPath: string, folder: string, segments: string[], depth: number): Promise<string[]> {
+        const [segment, ...rest] = segments;
+        if (segment === undefined) {
+            return folder ? [folder] : [];
+        }
+
+        if (!segment.includes('*')) {
+            return this.expandGlob(repoPath, folder ? `${folder}/${segment}` : segment, rest, depth);
+        }
+
+        let entries: fs.Dirent[];
+        try {
+            entries = await fs.promises.readdir(path.join(repoPath, folder), { withFileTypes: true });
+        } catch (error) {
+            return [];
+        }
+        const subfolders = entries
+            .filter((entry) => entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.'))
+            .map((entry) => folder ? `${folder}/${entry.name}` : entry.name);
+
+        if (segment === '**') {
+            const matches = await this.expandGlob(repoPath, folder, rest, depth);
+            if (depth < MAX_WORKSPACE_DEPTH) {
+                for (const subfolder of subfolders) {
+                    matches.push(...await this.expandGlob(repoPath, subfolder, segments, depth + 1));
+                }
+            }
+            return matches;
+        }
+
+        const segmentPattern = new RegExp(`^${segment.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+        const matches: string[] = [];
+        for (const subfolder of subfolders.filter((subfolder) => segmentPattern.test(path.posix.basename(subfolder)))) {
+            matches.push(...await this.expandGlob(repoPath, subfolder, rest, depth));
+        }
+        return matches;
+    }
+}
@@ -1,4 +1,6 @@
 import * as vscode from 'vscode';
+import { CommitStyle } from '../services/CommitStyleService';
+import { ScopeContext } from '../services/ScopeInferenceService';
 
 export interface GitCommit {
     hash: string;
@@ -8,11 +10,13 @@ export interface GitCommit {
     abbreviated_commit?: string;
     abbreviated_tree?: string;
     abbreviated_parent?: string;
+    parents?: string[];
     refs?: string;
     encoding?: string;
     subject?: string;
     sanitized_subject_line?: string;
     body?: string;
+    trailers?: string[];
     commit_notes?: string;
     verification_flag?: string;
     signer?: string;
@@ -49,6 +53,8 @@ export interface SaveChangesMessage extends WebviewMessage {
     data: {
         message: string;
         useAI?: boolean;
+        /** Files ticked in the uncommitted section; all changes are saved when omitted */
+        paths?: string[];
     };
 }
 
@@ -78,6 +84,7 @@ export interface NotificationServiceInterface {
     showRepositoryCreationOptions?(): Promise<string | null>;
     executeCommand?(command: string, ...args: any[]): Promise<any>;
     showProgress?<T>(title: string, task: any, options?: any): Promise<T>;
+    setStatusBarMessage?(message: string, timeout?: number): vscode.Disposable;
 }
 
 export interface FileOperationsServiceInterface {
@@ -92,8 +99,10 @@ export interface FileOperationsServiceInterface {
     joinPath?(...segments: string[]): string;
     removeGitLockFile?(repoPath: string): Promise<boolean>;
     createTempCommitFile?(repoPath: string, message: string): Promise<string>;
+    createTempFilePath?(directory: string, prefix?: string, extension?: string): string;
     existsSync?(filePath: string): boolean;
     writeFileSync?(filePath: string, content: string): void;
+    copyFileSync?(sourcePath: string, destinationPath: string): void;
 }
 
 export interface GitServiceInterface {
@@ -134,8 +143,23 @@ export interface GitHubUser {
     [key: string]: any;
 }
 
+export interface CommitMessageOptions {
+    /** Repository the changes are in; commands that write messages run there */
+    repoPath?: string;
+    /** Write a rule-based message whatever provider is configured */
+    rulesOnly?: boolean;
+    /** How the repository writes commit messages; conventional commits when null */
+    style?: CommitStyle | null;
+    /** Ticket ID to start the message with, when the style has one */
+    ticket?: string | null;
+    /** Path to scope map and monorepo packages to take the scope from */
+    scopeContext?: ScopeContext | null;
+}
+
 export interface CommitMessageServiceInterface {
-    generateCommitMessage(files: FileChange[], summary: string): Promise<string>;
+    generateCommitMessage(files: FileChange[], summary: string, diff?: string, options?: CommitMessageOptions): Promise<string>;
+    /** Name of the configured provider, or null when messages are rule-based */
+    getProviderLabel?(): string | null;
     clearCache(): void;
     getCacheStats(): CacheStats;
 }
@@ -145,10 +169,54 @@ export interface GitHubServiceInterface {
     getUser(): Promise<GitHubUser>;
     repositoryExists(owner: string, repo: string): Promise<boolean>;
     createRepository(name: string, description?: string, isPrivate?: boolean): Promise<any>;
-    addRemoteAndPush(repoPath: string, remoteUrl: string): Promise<void>;
+    addRemoteAndPush(repoPath: string, remoteUrl: string, token?: vscode.CancellationToken): Promise<void>;
     getUserRepositories(limit?: number): Promise<GitHubRepository[]>;
-    cloneRepository(cloneUrl: string, targetPath: string): Promise<void>;
+    cloneRepository(cloneUrl: string, targetPath: string, token?: vscode.CancellationToken): Promise<void>;
     saveToGitHub(content: string, filename: string): Promise<boolean>;
     loadFromGitHub(filename: string): Promise<string>;
     isAuthenticated(): boolean;
-}
\ No newline at end of file
+}
+/*
+ * Timeline API
+ * VS Code still ships this as a proposed API (vscode.proposed.timeline.d.ts), so it is not part of @types/vscode.
+ * These mirror the proposal; the provider is only registered when vscode.workspace.registerTimelineProvider exists.
+ */
+
+export interface TimelineItem {
+    timestamp: number;
+    label: string;
+    id?: string;
+    iconPath?: vscode.ThemeIcon;
+    description?: string;
+    tooltip?: string;
+    command?: vscode.Command;
+    contextValue?: string;
+}
+
+export interface TimelineChangeEvent {
+    uri: vscode.Uri;
+    reset?: boolean;
+}
+
+export interface Timeline {
+    readonly paging?: {
+        readonly cursor: string | undefined;
+    };
+    readonly items: readonly TimelineItem[];
+}
+
+export interface TimelineOptions {
+    cursor?: string;
+    limit?: number | { timestamp: number; id?: string };
+}
+
+export interface TimelineProvider {
+    onDidChange?: vscode.Event<TimelineChangeEvent | undefined>;
+    readonly id: string;
+    readonly label: string;
+    provideTimeline(
+        uri: vscode.Uri,
+        options: TimelineOptions,
+        token: vscode.CancellationToken
+    ): vscode.ProviderResult<Timeline>;
+}
@@ -7,6 +7,21 @@ export interface GitCommit {
   date: string;
   subject?: string;
   version?: number;
+  abbreviated_commit?: string;
+  parents?: string[];
+  refs?: string;
+  body?: string;
+  trailers?: string[];
+  commit_notes?: string;
+  verification_flag?: string;
+  signer?: string;
+  signer_key?: string;
+  author_name?: string;
+  author_email?: string;
+  author_date?: string;
+  committer_name?: string;
+  committer_email?: string;
+  committer_date?: string;
 }
 
 export interface UncommittedChanges {
@@ -25,22 +40,92 @@ export interface PaginationInfo {
   showingCount: number;
 }
 
-export interface CommitData {
-  hash: string;
-  author: string;
-  date: string;
+export interface CommitData extends GitCommit {
   subject: string;
   version: number;
 }
 
+export interface LastRestoreInfo {
+  previousCommit: string;
+  newCommit: string;
+  branch?: string;
+  version: number | string;
+  paths?: string[];
+}
+
+/** Backup that holds uncommitted work, shown under "Recently discarded" */
+export type DiscardedWorkInfo = Omit<BackupInfo, 'changes'>;
+
+export interface RepositoryPickerInfo {
+  repositories: Array<{
+    path: string;
+    name: string;
+  }>;
+  selectedPath: string;
+}
+
 export function getLoadingTemplate(message?: string): string;
 
+export interface FileHistoryInfo {
+  fileName: string;
+  commits: Array<CommitData & { fileName: string }>;
+}
+
+export interface ComparisonBaselineInfo {
+  hash: string;
+  version: number | string;
+}
+
+export interface AutosaveInfo extends CommitData {
+  ref: string;
+  baseVersion: number | null;
+}
+
+export interface CommitComposerInfo {
+  /** Generated message the composer starts from */
+  suggestedMessage: string;
+  /** Messages of recent saves, newest first */
+  recentMessages: string[];
+  /** Version the draft was written against; drafts are dropped once it changes */
+  head: string;
+  /** Language model or command behind the Generate button; no button when messages are rule-based */
+  generator?: string | null;
+  /** Unrelated areas the changes are in, each with its files; a split is suggested when there are several */
+  areas?: Array<{ scope: string; files: string[] }>;
+}
+
 export function getSidebarTemplate(
   commits: CommitData[], 
   uncommittedChanges: UncommittedChanges | null, 
-  paginationInfo?: PaginationInfo
+  paginationInfo?: PaginationInfo,
+  lastRestore?: LastRestoreInfo | null,
+  discardedWork?: DiscardedWorkInfo[],
+  repositoryInfo?: RepositoryPickerInfo | null,
+  fileHistory?: FileHistoryInfo | null,
+  baseline?: ComparisonBaselineInfo | null,
+  autosaves?: AutosaveInfo[],
+  composer?: CommitComposerInfo | null
 ): string;
 
+export interface SidebarSections {
+  commitCount: string;
+  undoRestoreRegion: string;
+  uncommittedRegion: string;
+  historyRegion: string;
+}
+
+export function getSidebarSections(
+  commits: CommitData[],
+  uncommittedChanges: UncommittedChanges | null,
+  paginationInfo?: PaginationInfo,
+  lastRestore?: LastRestoreInfo | null,
+  discardedWork?: DiscardedWorkInfo[],
+  fileHistory?: FileHistoryInfo | null,
+  baseline?: ComparisonBaselineInfo | null,
+  autosaves?: AutosaveInfo[],
+  composer?: CommitComposerInfo | null
+): SidebarSections;
+
 export function getCommitHistoryTemplate(
   commits: GitCommit[], 
   uncommittedChanges?: UncommittedChanges
@@ -48,5 +133,37 @@ export function getCommitHistoryTemplate(
 
 export function getCommitDetailsTemplate(
   commit: GitCommit, 
-  commitDetails: string
-): string;
\ No newline at end of file
+  commitDetails: string,
+  version?: number | string | null,
+  files?: Array<{ fileName: string; status?: string }>
+): string;
+
+export interface BackupInfo {
+  branch: string;
+  hash: string;
+  date: string;
+  /** Operation the backup was made before, e.g. discard */
+  operation: string;
+  description: string;
+  /** Files changed since the backup, or null when they could not be read */
+  changes: {
+    files: Array<{ fileName: string; status: string; insertions: number | null; deletions: number | null }>;
+  } | null;
+}
+
+export function getBackupsTemplate(backups: BackupInfo[], retention: { maxBackups: number; days: number }): string;
+
+export function getComparisonTemplate(
+  from: { hash: string; label: string },
+  to: { hash: string; label: string },
+  comparison: {
+    files: Array<{ fileName: string; status: string; insertions: number | null; deletions: number | null }>;
+    added: number;
+    modified: number;
+    deleted: number;
+    insertions: number;
+    deletions: number;
+  }
+): string;
+
+export function escapeHtml(text: string): string;
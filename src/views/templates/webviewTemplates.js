@@ -37,6 +37,21 @@ const baseStyles = `
     text-shadow: 1px 1px 2px rgba(0,0,0,0.3);
   }
   
+  .file-diff-btn {
+    background: none;
+    border: 1px solid var(--vscode-panel-border);
+    color: var(--vscode-textLink-foreground);
+    border-radius: 3px;
+    padding: 0 4px;
+    font-size: 0.85em;
+    cursor: pointer;
+    white-space: nowrap;
+  }
+  
+  .file-diff-btn:hover {
+    background: var(--vscode-list-hoverBackground);
+  }
+  
   .loading {
     text-align: center;
     color: var(--vscode-descriptionForeground);
@@ -137,6 +152,17 @@ const baseStyles = `
     color: var(--vscode-foreground);
   }
   
+  .change-label {
+    display: flex;
+    align-items: center;
+    min-width: 0;
+    cursor: pointer;
+  }
+  
+  .change-select {
+    margin: 0 6px 0 0;
+  }
+  
   .change-status {
     display: inline-block;
     width: 12px;
@@ -350,6 +376,32 @@ const baseStyles = `
   .modal-file-status.deleted { color: var(--vscode-terminal-ansiRed); }
   .modal-file-status.untracked { color: var(--vscode-terminal-ansiBlue); }
   
+  .modal-impact-summary {
+    font-weight: 600;
+    margin: 12px 0 4px 0;
+  }
+  
+  .modal-impact-item {
+    cursor: pointer;
+  }
+  
+  .modal-impact-item:hover {
+    background-color: var(--vscode-list-hoverBackground);
+  }
+  
+  .modal-impact-name {
+    flex: 1;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+  
+  .modal-impact-lines {
+    margin-left: 8px;
+    white-space: nowrap;
+    color: var(--vscode-descriptionForeground);
+  }
+  
   .modal-actions {
     display: flex;
     gap: 12px;
@@ -404,6 +456,73 @@ const baseStyles = `
  * Commit list specific styles
  */
 const commitListStyles = `
+  .sidebar-banner {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    gap: 8px;
+    margin-bottom: 16px;
+    padding: 10px 12px;
+    border-radius: 6px;
+    background-color: var(--vscode-editor-inactiveSelectionBackground);
+    border: 1px solid var(--vscode-panel-border);
+    font-size: 0.9em;
+  }
+  
+  .sidebar-banner-btn {
+    background: var(--vscode-button-secondaryBackground);
+    color: var(--vscode-button-secondaryForeground);
+    border: none;
+    border-radius: 4px;
+    padding: 6px 12px;
+    cursor: pointer;
+    font-family: var(--vscode-font-family);
+    font-size: 0.9em;
+    white-space: nowrap;
+    transition: background-color 0.2s;
+  }
+  
+  .sidebar-banner-btn:hover {
+    background: var(--vscode-button-secondaryHoverBackground);
+  }
+  
+  .sidebar-lane {
+    margin-bottom: 20px;
+    padding: 12px 16px;
+    border-radius: 8px;
+    background-color: var(--vscode-editor-inactiveSelectionBackground);
+    border: 1px solid var(--vscode-panel-border);
+  }
+  
+  .sidebar-lane-title {
+    font-weight: 600;
+    cursor: pointer;
+  }
+  
+  .lane-list {
+    list-style: none;
+    padding: 0;
+    margin: 8px 0 0 0;
+  }
+  
+  .lane-item {
+    padding: 8px 0;
+    border-top: 1px solid var(--vscode-panel-border);
+  }
+  
+  .lane-item-header {
+    display: flex;
+    justify-content: space-between;
+    gap: 8px;
+    font-size: 0.9em;
+    margin-bottom: 6px;
+  }
+  
+  .lane-item-date {
+    color: var(--vscode-descriptionForeground);
+    white-space: nowrap;
+  }
+  
   .commit-list {
     list-style-type: none;
     padding: 0;
@@ -486,6 +605,34 @@ const commitListStyles = `
     font-size: 0.9em;
   }
   
+  .commit-hash {
+    font-family: var(--vscode-editor-font-family, monospace);
+    color: var(--vscode-descriptionForeground);
+    font-size: 0.8em;
+    margin-left: 8px;
+  }
+  
+  .commit-ref {
+    display: inline-block;
+    margin-left: 6px;
+    padding: 1px 6px;
+    border-radius: 10px;
+    font-size: 0.75em;
+    background: var(--vscode-badge-background);
+    color: var(--vscode-badge-foreground);
+    vertical-align: middle;
+  }
+  
+  .commit-body {
+    margin-top: 4px;
+    color: var(--vscode-descriptionForeground);
+    font-size: 0.85em;
+    line-height: 1.4;
+    white-space: pre-wrap;
+    max-height: 4.2em;
+    overflow: hidden;
+  }
+  
   .commit-actions {
     margin-top: 8px;
     display: flex;
@@ -534,6 +681,94 @@ const commitListStyles = `
     transform: translateY(-1px);
   }
   
+  .files-btn {
+    background: transparent;
+    color: var(--vscode-descriptionForeground);
+    border: 1px solid var(--vscode-descriptionForeground);
+    border-radius: 4px;
+    padding: 4px 8px;
+    cursor: pointer;
+    font-size: 10px;
+    display: flex;
+    align-items: center;
+    gap: 4px;
+    transition: all 0.2s ease;
+    opacity: 0.7;
+  }
+  
+  .files-btn:hover {
+    background: var(--vscode-list-hoverBackground);
+    opacity: 1;
+    transform: translateY(-1px);
+  }
+  
+  .commit-files {
+    margin-top: 8px;
+    padding: 8px;
+    border-radius: 4px;
+    background-color: var(--vscode-editor-background);
+    border: 1px solid var(--vscode-panel-border);
+    font-size: 0.85em;
+  }
+  
+  .commit-file-item {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    padding: 2px 0;
+    font-family: var(--vscode-editor-font-family, monospace);
+    cursor: pointer;
+  }
+  
+  .commit-file-status {
+    display: inline-block;
+    width: 12px;
+    font-weight: bold;
+    text-align: center;
+  }
+  
+  .commit-file-status.modified { color: var(--vscode-terminal-ansiYellow); }
+  .commit-file-status.added { color: var(--vscode-terminal-ansiGreen); }
+  .commit-file-status.deleted { color: var(--vscode-terminal-ansiRed); }
+  
+  .commit-files-actions {
+    display: flex;
+    justify-content: flex-end;
+    margin-top: 8px;
+  }
+  
+  .file-history-header {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    gap: 8px;
+    margin-bottom: 12px;
+  }
+  
+  .file-history-title {
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+  
+  .file-history-name {
+    font-family: var(--vscode-editor-font-family, monospace);
+    font-size: 0.85em;
+    color: var(--vscode-descriptionForeground);
+  }
+  
+  .commit-files-empty {
+    color: var(--vscode-descriptionForeground);
+    font-style: italic;
+  }
+  
+  .commit-file-name {
+    flex: 1;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+  
   .search-box {
     width: 100%;
     padding: 8px;
@@ -663,6 +898,42 @@ const commitDetailsStyles = `
   }
   
   
+  .detail-file {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 4px 0;
+    font-family: var(--vscode-editor-font-family, monospace);
+  }
+  
+  .detail-file-status {
+    width: 12px;
+    font-weight: bold;
+    text-align: center;
+  }
+  
+  .detail-file-status.modified { color: var(--vscode-terminal-ansiYellow); }
+  .detail-file-status.added { color: var(--vscode-terminal-ansiGreen); }
+  .detail-file-status.deleted { color: var(--vscode-terminal-ansiRed); }
+  
+  .detail-file-name {
+    flex: 1;
+    word-break: break-all;
+  }
+  
+  .detail-file.compare-file {
+    cursor: pointer;
+  }
+  
+  .detail-file.compare-file:hover {
+    background-color: var(--vscode-list-hoverBackground);
+  }
+  
+  .detail-file-lines {
+    white-space: nowrap;
+    color: var(--vscode-descriptionForeground);
+  }
+  
   pre {
     background-color: var(--vscode-editor-inactiveSelectionBackground);
     padding: 15px;
@@ -705,77 +976,388 @@ const commonJavaScript = `
     vscode.postMessage({ command: 'showCommit', hash: hash, version: version });
   }
   
-  function restoreCommit(hash) {
-    vscode.postMessage({ command: 'requestRestore', hash: hash });
+  function openVersionDiff(hash, fileName, against, otherFileName) {
+    vscode.postMessage({
+      command: 'openVersionDiff',
+      hash: hash,
+      fileName: fileName,
+      against: against,
+      otherFileName: otherFileName || undefined
+    });
   }
   
-  function showConfirmationModal(title, message, files, commitHash) {
-    const overlay = document.getElementById('confirmationModal');
-    const modalTitle = document.getElementById('modalTitle');
-    const modalMessage = document.getElementById('modalMessage');
-    const filesList = document.getElementById('modalFilesList');
-    const confirmBtn = document.getElementById('confirmRestoreBtn');
-    
-    modalTitle.textContent = title;
-    modalMessage.textContent = message;
-    
-    // Clear and populate files list
-    filesList.innerHTML = '';
-    if (files && files.length > 0) {
-      files.forEach(file => {
-        const fileItem = document.createElement('div');
-        fileItem.className = 'modal-file-item';
-        
-        const statusClass = file.status === 'M' ? 'modified' :
-                           file.status === 'A' ? 'added' :
-                           file.status === 'D' ? 'deleted' :
-                           file.status === '?' ? 'untracked' : 'modified';
-        
-        const statusSymbol = file.status === 'M' ? 'M' :
-                            file.status === 'A' ? 'A' :
-                            file.status === 'D' ? 'D' :
-                            file.status === '?' ? '?' : 'M';
-        
-        fileItem.innerHTML = \`
-          <span class="modal-file-status \${statusClass}">\${statusSymbol}</span>
-          <span>\${file.fileName}</span>
-        \`;
-        filesList.appendChild(fileItem);
-      });
-    }
+  function createDiffButton(hash, fileName, against, label) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'file-diff-btn';
+    button.textContent = label;
+    button.title = against === 'working' ? 'Compare this version with your current file' : 'Compare with the version before';
+    button.setAttribute('data-diff-hash', hash);
+    button.setAttribute('data-diff-file', fileName);
+    button.setAttribute('data-diff-against', against);
+    return button;
+  }
+  
+  document.addEventListener('click', event => {
+    const button = event.target.closest && event.target.closest('[data-diff-against]');
+    if (!button) return;
     
-    // Store commit hash for confirmation
-    confirmBtn.setAttribute('data-commit-hash', commitHash);
+    // Buttons sit inside file rows; don't toggle the row's checkbox as well
+    event.preventDefault();
+    event.stopPropagation();
+    openVersionDiff(
+      button.getAttribute('data-diff-hash'),
+      button.getAttribute('data-diff-file'),
+      button.getAttribute('data-diff-against'),
+      button.getAttribute('data-diff-other')
+    );
+  });
+  
+  document.addEventListener('click', event => {
+    const button = event.target.closest && event.target.closest('[data-restore-path]');
+    if (!button) return;
     
-    overlay.classList.add('show');
+    vscode.postMessage({
+      command: 'requestRestore',
+      hash: button.getAttribute('data-restore-hash'),
+      paths: [button.getAttribute('data-restore-path')]
+    });
+  });
+  
+  function showFileHistory() {
+    vscode.postMessage({ command: 'showFileHistory' });
   }
   
-  function hideConfirmationModal() {
-    const overlay = document.getElementById('confirmationModal');
-    overlay.classList.remove('show');
+  function closeFileHistory() {
+    vscode.postMessage({ command: 'closeFileHistory' });
   }
   
-  function confirmRestore() {
-    const confirmBtn = document.getElementById('confirmRestoreBtn');
-    const commitHash = confirmBtn.getAttribute('data-commit-hash');
-    
-    hideConfirmationModal();
-    vscode.postMessage({ command: 'confirmRestore', hash: commitHash });
+  function compareWith(hash) {
+    vscode.postMessage({ command: 'compareWith', hash: hash });
   }
   
-  function cancelRestore() {
-    hideConfirmationModal();
+  function setComparisonBaseline(hash) {
+    vscode.postMessage({ command: 'setComparisonBaseline', hash: hash });
   }
   
-  function showDiscardModal(title, message, files) {
-    const overlay = document.getElementById('discardModal');
-    const modalMessage = document.getElementById('discardMessage');
-    const filesList = document.getElementById('discardFilesList');
-    
-    modalMessage.textContent = message;
-    
-    // Clear and populate files list
-    filesList.innerHTML = '';
+  function clearComparisonBaseline() {
+    vscode.postMessage({ command: 'clearComparisonBaseline' });
+  }
+  
+  function restoreCommit(hash) {
+    vscode.postMessage({ command: 'requestRestore', hash: hash });
+  }
+  
+  function toggleCommitFiles(hash) {
+    const container = document.getElementById('files-' + hash);
+    if (!container) return;
+    
+    if (container.style.display === 'none') {
+      container.style.display = 'block';
+      if (!container.hasAttribute('data-loaded')) {
+        container.textContent = 'Loading files...';
+        vscode.postMessage({ command: 'loadCommitFiles', hash: hash });
+      }
+    } else {
+      container.style.display = 'none';
+    }
+  }
+  
+  function toggleDiscardedFiles(hash) {
+    const container = document.getElementById('discarded-files-' + hash);
+    if (!container) return;
+    
+    if (container.style.display === 'none') {
+      container.style.display = 'block';
+      if (!container.hasAttribute('data-loaded')) {
+        container.textContent = 'Loading files...';
+        vscode.postMessage({ command: 'loadDiscardedFiles', hash: hash });
+      }
+    } else {
+      container.style.display = 'none';
+    }
+  }
+  
+  function renderDiscardedFiles(hash, files) {
+    const container = document.getElementById('discarded-files-' + hash);
+    if (!container) return;
+    
+    container.setAttribute('data-loaded', 'true');
+    container.innerHTML = '';
+    
+    if (!files || files.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'commit-files-empty';
+      empty.textContent = 'No discarded files in this backup.';
+      container.appendChild(empty);
+      return;
+    }
+    
+    files.forEach(file => {
+      const row = document.createElement('div');
+      row.className = 'commit-file-item';
+      row.title = 'Compare with your current file';
+      
+      const statusClass = file.status === 'A' ? 'added' :
+                         file.status === 'D' ? 'deleted' : 'modified';
+      const status = document.createElement('span');
+      status.className = 'commit-file-status ' + statusClass;
+      status.textContent = file.status;
+      row.appendChild(status);
+      
+      const name = document.createElement('span');
+      name.textContent = file.fileName;
+      row.appendChild(name);
+      
+      row.addEventListener('click', () => {
+        vscode.postMessage({ command: 'openDiscardedDiff', hash: hash, fileName: file.fileName });
+      });
+      container.appendChild(row);
+    });
+  }
+  
+  function bringBackDiscardedWork(hash) {
+    vscode.postMessage({ command: 'bringBackDiscardedWork', hash: hash });
+  }
+  
+  function compareFilePaths(a, b) {
+    const partsA = a.split('/');
+    const partsB = b.split('/');
+    for (let i = 0; i < Math.min(partsA.length, partsB.length); i++) {
+      if (partsA[i] !== partsB[i]) {
+        return partsA[i] < partsB[i] ? -1 : 1;
+      }
+    }
+    return partsA.length - partsB.length;
+  }
+  
+  function renderCommitFiles(hash, files) {
+    const container = document.getElementById('files-' + hash);
+    if (!container) return;
+    
+    container.setAttribute('data-loaded', 'true');
+    container.innerHTML = '';
+    
+    if (!files || files.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'commit-files-empty';
+      empty.textContent = 'No files changed in this version.';
+      container.appendChild(empty);
+      return;
+    }
+    
+    // Every parent folder of a changed file gets its own row so whole folders can be restored
+    const entries = [];
+    const folders = new Set();
+    files.forEach(file => {
+      const parts = file.fileName.split('/');
+      for (let i = 1; i < parts.length; i++) {
+        folders.add(parts.slice(0, i).join('/'));
+      }
+      entries.push({ path: file.fileName, status: file.status, isFolder: false });
+    });
+    folders.forEach(folder => entries.push({ path: folder, isFolder: true }));
+    entries.sort((a, b) => compareFilePaths(a.path, b.path));
+    
+    entries.forEach(entry => {
+      const depth = entry.path.split('/').length - 1;
+      const row = document.createElement('label');
+      row.className = 'commit-file-item';
+      row.style.paddingLeft = (depth * 12) + 'px';
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.setAttribute('data-path', entry.path);
+      checkbox.addEventListener('change', () => updateNestedSelection(hash, entry.path, checkbox.checked));
+      row.appendChild(checkbox);
+      
+      const status = document.createElement('span');
+      if (entry.isFolder) {
+        status.textContent = '📁';
+      } else {
+        const statusClass = entry.status === 'A' ? 'added' :
+                           entry.status === 'D' ? 'deleted' : 'modified';
+        status.className = 'commit-file-status ' + statusClass;
+        status.textContent = entry.status || 'M';
+      }
+      row.appendChild(status);
+      
+      const name = document.createElement('span');
+      name.className = 'commit-file-name';
+      name.textContent = entry.path.split('/').pop();
+      name.title = entry.path;
+      row.appendChild(name);
+      
+      if (!entry.isFolder) {
+        row.appendChild(createDiffButton(hash, entry.path, 'working', '↔ Current'));
+        row.appendChild(createDiffButton(hash, entry.path, 'previous', '↔ Previous'));
+      }
+      
+      container.appendChild(row);
+    });
+    
+    const actions = document.createElement('div');
+    actions.className = 'commit-files-actions';
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'restore-btn';
+    restoreBtn.textContent = '⏮️ Restore selected';
+    restoreBtn.addEventListener('click', () => restoreSelectedPaths(hash));
+    actions.appendChild(restoreBtn);
+    container.appendChild(actions);
+  }
+  
+  function updateNestedSelection(hash, folderPath, checked) {
+    const container = document.getElementById('files-' + hash);
+    if (!container) return;
+    
+    // A selected folder already covers everything inside it
+    container.querySelectorAll('input[data-path]').forEach(box => {
+      if (box.getAttribute('data-path').startsWith(folderPath + '/')) {
+        box.checked = checked;
+        box.disabled = checked;
+      }
+    });
+  }
+  
+  function restoreSelectedPaths(hash) {
+    const container = document.getElementById('files-' + hash);
+    if (!container) return;
+    
+    const paths = Array.from(container.querySelectorAll('input[data-path]'))
+      .filter(box => box.checked && !box.disabled)
+      .map(box => box.getAttribute('data-path'));
+    
+    if (paths.length === 0) return;
+    vscode.postMessage({ command: 'requestRestore', hash: hash, paths: paths });
+  }
+  
+  function showConfirmationModal(title, message, files, commitHash, paths, impact) {
+    const overlay = document.getElementById('confirmationModal');
+    const modalTitle = document.getElementById('modalTitle');
+    const modalMessage = document.getElementById('modalMessage');
+    const modalWarning = document.getElementById('modalWarning');
+    const filesList = document.getElementById('modalFilesList');
+    const confirmBtn = document.getElementById('confirmRestoreBtn');
+    const hasUncommittedChanges = files && files.length > 0;
+    
+    modalTitle.textContent = title;
+    modalMessage.textContent = message;
+    modalWarning.style.display = hasUncommittedChanges ? 'block' : 'none';
+    filesList.style.display = hasUncommittedChanges ? 'block' : 'none';
+    confirmBtn.textContent = hasUncommittedChanges ? 'Discard Changes & Restore' : 'Restore';
+    
+    renderRestoreImpact(impact, commitHash);
+    
+    // Clear and populate files list
+    filesList.innerHTML = '';
+    if (files && files.length > 0) {
+      files.forEach(file => {
+        const fileItem = document.createElement('div');
+        fileItem.className = 'modal-file-item';
+        
+        const statusClass = file.status === 'M' ? 'modified' :
+                           file.status === 'A' ? 'added' :
+                           file.status === 'D' ? 'deleted' :
+                           file.status === '?' ? 'untracked' : 'modified';
+        
+        const statusSymbol = file.status === 'M' ? 'M' :
+                            file.status === 'A' ? 'A' :
+                            file.status === 'D' ? 'D' :
+                            file.status === '?' ? '?' : 'M';
+        
+        fileItem.innerHTML = \`
+          <span class="modal-file-status \${statusClass}">\${statusSymbol}</span>
+          <span>\${file.fileName}</span>
+        \`;
+        filesList.appendChild(fileItem);
+      });
+    }
+    
+    // Store commit hash and selected paths for confirmation
+    confirmBtn.setAttribute('data-commit-hash', commitHash);
+    if (paths && paths.length > 0) {
+      confirmBtn.setAttribute('data-paths', JSON.stringify(paths));
+    } else {
+      confirmBtn.removeAttribute('data-paths');
+    }
+    
+    overlay.classList.add('show');
+  }
+  
+  function renderRestoreImpact(impact, commitHash) {
+    const impactSection = document.getElementById('modalImpact');
+    const impactSummary = document.getElementById('modalImpactSummary');
+    const impactList = document.getElementById('modalImpactList');
+    
+    impactList.innerHTML = '';
+    if (!impact) {
+      impactSection.style.display = 'none';
+      return;
+    }
+    
+    impactSection.style.display = 'block';
+    impactSummary.textContent = 'What this restore will do: ' + impact.summary;
+    
+    impact.files.forEach(file => {
+      const fileItem = document.createElement('div');
+      fileItem.className = 'modal-file-item modal-impact-item';
+      fileItem.title = 'Open diff';
+      
+      const statusClass = file.status === 'A' ? 'added' :
+                         file.status === 'D' ? 'deleted' : 'modified';
+      const status = document.createElement('span');
+      status.className = 'modal-file-status ' + statusClass;
+      status.textContent = file.status;
+      fileItem.appendChild(status);
+      
+      const name = document.createElement('span');
+      name.className = 'modal-impact-name';
+      name.textContent = file.fileName;
+      fileItem.appendChild(name);
+      
+      const lines = document.createElement('span');
+      lines.className = 'modal-impact-lines';
+      lines.textContent = file.insertions === null ? 'binary' : '+' + file.insertions + ' −' + file.deletions;
+      fileItem.appendChild(lines);
+      
+      fileItem.addEventListener('click', () => {
+        vscode.postMessage({ command: 'openRestoreDiff', hash: commitHash, fileName: file.fileName });
+      });
+      impactList.appendChild(fileItem);
+    });
+  }
+  
+  function hideConfirmationModal() {
+    const overlay = document.getElementById('confirmationModal');
+    overlay.classList.remove('show');
+  }
+  
+  function confirmRestore() {
+    const confirmBtn = document.getElementById('confirmRestoreBtn');
+    const commitHash = confirmBtn.getAttribute('data-commit-hash');
+    const pathsData = confirmBtn.getAttribute('data-paths');
+    
+    hideConfirmationModal();
+    if (pathsData) {
+      vscode.postMessage({ command: 'confirmRestore', hash: commitHash, paths: JSON.parse(pathsData) });
+    } else {
+      vscode.postMessage({ command: 'confirmRestore', hash: commitHash });
+    }
+  }
+  
+  function cancelRestore() {
+    hideConfirmationModal();
+  }
+  
+  function showDiscardModal(title, message, files) {
+    const overlay = document.getElementById('discardModal');
+    const modalMessage = document.getElementById('discardMessage');
+    const filesList = document.getElementById('discardFilesList');
+    
+    modalMessage.textContent = message;
+    
+    // Clear and populate files list
+    filesList.innerHTML = '';
     if (files && files.length > 0) {
       files.forEach(file => {
         const fileItem = document.createElement('div');
@@ -835,26 +1417,60 @@ const commonJavaScript = `
     });
   }
   
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+  
+  function commitBadgesHTML(commit) {
+    const refs = commit.refs ? commit.refs.split(', ') : [];
+    let html = refs.map(ref => '<span class="commit-ref">' + escapeHtml(ref) + '</span>').join('');
+    if (commit.parents && commit.parents.length > 1) {
+      html += '<span class="commit-ref">🔀 Merge</span>';
+    }
+    const commitList = document.getElementById('commitList');
+    if (commitList && commitList.dataset.baselineHash === commit.hash) {
+      html += '<span class="commit-ref">📌 Baseline</span>';
+    }
+    return html;
+  }
+  
   function generateCommitItemHTML(commit, index) {
     return \`
       <div class="commit-header">
-          <span class="commit-version-large">Version \${commit.version}</span>
+          <span class="commit-version-large">Version \${commit.version}</span>\${commitBadgesHTML(commit)}
       </div>
       <div class="commit-meta">
-          <span class="commit-author">\${commit.author}</span>
+          <span class="commit-author" title="\${escapeHtml(commit.author_email || '')}">\${escapeHtml(commit.author)}</span>
           <span class="commit-date">\${commit.date}</span>
+          <span class="commit-hash">\${commit.abbreviated_commit || ''}</span>
       </div>
-      <div class="commit-subject">\${commit.subject}</div>
+      <div class="commit-subject">\${escapeHtml(commit.subject)}</div>
+      \${commit.body ? '<div class="commit-body">' + escapeHtml(commit.body) + '</div>' : ''}
       <div class="commit-actions">
           <button class="view-btn" onclick="viewCommit('\${commit.hash}')">
               👁️ View Details
           </button>
+          <button class="files-btn" onclick="compareWith('\${commit.hash}')" title="Compare this version with another one">
+              ⇄ Compare
+          </button>
+          <button class="files-btn" onclick="setComparisonBaseline('\${commit.hash}')" title="Set as comparison baseline: the editor gutter shows changes against this version">
+              📌 Baseline
+          </button>
           \${index > 0 ? \`
+              <button class="files-btn" onclick="toggleCommitFiles('\${commit.hash}')">
+                  📂 Files
+              </button>
               <button class="restore-btn" onclick="restoreCommit('\${commit.hash}')">
                   ⏮️ Restore
               </button>
           \` : ''}
       </div>
+      <div class="commit-files" id="files-\${commit.hash}" style="display: none;"></div>
     \`;
   }
   
@@ -920,9 +1536,17 @@ const commonJavaScript = `
           message.title,
           message.message,
           message.files,
-          message.commitHash
+          message.commitHash,
+          message.paths,
+          message.impact
         );
         break;
+      case 'showCommitFiles':
+        renderCommitFiles(message.hash, message.files);
+        break;
+      case 'showDiscardedFiles':
+        renderDiscardedFiles(message.hash, message.files);
+        break;
       case 'showDiscardConfirmation':
         showDiscardModal(
           message.title,
@@ -940,17 +1564,297 @@ const commonJavaScript = `
       case 'showError':
         showErrorMessage(message.error);
         break;
+      case 'updateSections':
+        updateSections(message.sections);
+        break;
+      case 'setSuggestedMessage':
+        setSuggestedMessage(message.message);
+        break;
+      case 'setGeneratedMessage':
+        setGeneratedMessage(message.message);
+        break;
+      case 'setCommitLint':
+        showCommitLint(message.message, message.result);
+        break;
     }
   });
+
+  // Swap in parts of the sidebar that changed outside TimeLad, e.g. a commit made in the terminal
+  function updateSections(sections) {
+    const ids = Object.keys(sections);
+    if (ids.some(id => !document.getElementById(id))) {
+      // Not showing the version list right now; render the whole sidebar instead
+      vscode.postMessage({ command: 'refresh' });
+      return;
+    }
+
+    ids.forEach(id => {
+      document.getElementById(id).innerHTML = sections[id];
+    });
+    applyCommitDraft();
+    applyFileSelection();
+
+    // Keep the current filter applied to the new list
+    const filterInput = document.getElementById('commitFilter');
+    if (filterInput && filterInput.value) {
+      filterInput.dispatchEvent(new Event('input'));
+    }
+  }
   
   function saveChanges() {
-    vscode.postMessage({ command: 'saveChanges' });
+    vscode.postMessage({ command: 'saveChanges', data: { message: composeCommitMessage() } });
+  }
+
+  // Commit message composer; an edited message is kept as a draft until a new version is saved
+  const COMMIT_TYPE_PREFIX = /^([a-z]+)(\\([^)]*\\))?(!)?:\\s*/;
+
+  function composeCommitMessage() {
+    const subject = document.getElementById('commitSubject');
+    const body = document.getElementById('commitBody');
+    if (!subject || !subject.value.trim()) {
+      // Left empty: the message is generated when saving
+      return '';
+    }
+    const details = body ? body.value.trim() : '';
+    return subject.value.trim() + (details ? '\\n\\n' + details : '');
+  }
+
+  function setCommitFields(message) {
+    const subject = document.getElementById('commitSubject');
+    const body = document.getElementById('commitBody');
+    if (!subject || !body) {
+      return;
+    }
+    const [firstLine, ...rest] = (message || '').split('\\n');
+    subject.value = firstLine.trim();
+    body.value = rest.join('\\n').trim();
+    highlightCommitType();
+    lintCommitMessage();
+  }
+
+  function highlightCommitType() {
+    const subject = document.getElementById('commitSubject');
+    const match = subject ? subject.value.match(COMMIT_TYPE_PREFIX) : null;
+    document.querySelectorAll('.commit-type-chip').forEach(chip => {
+      chip.classList.toggle('active', !!match && chip.dataset.type === match[1]);
+    });
+  }
+
+  function applyCommitType(type) {
+    const subject = document.getElementById('commitSubject');
+    if (!subject) {
+      return;
+    }
+    const match = subject.value.match(COMMIT_TYPE_PREFIX);
+    // Keep the scope, the breaking change marker and the description
+    subject.value = match
+      ? type + (match[2] || '') + (match[3] || '') + ': ' + subject.value.slice(match[0].length)
+      : type + ': ' + subject.value.trim();
+    subject.focus();
+    updateCommitDraft();
+  }
+
+  function updateCommitDraft() {
+    const composer = document.getElementById('commitComposer');
+    if (!composer) {
+      return;
+    }
+    const commitDraft = {
+      head: composer.dataset.head,
+      subject: document.getElementById('commitSubject').value,
+      body: document.getElementById('commitBody').value
+    };
+    vscode.setState({ ...(vscode.getState() || {}), commitDraft });
+    highlightCommitType();
+    lintCommitMessage();
+  }
+
+  function applyCommitDraft() {
+    const composer = document.getElementById('commitComposer');
+    if (!composer) {
+      return;
+    }
+    const state = vscode.getState() || {};
+    const draft = state.commitDraft;
+    if (draft && draft.head === composer.dataset.head) {
+      document.getElementById('commitSubject').value = draft.subject;
+      document.getElementById('commitBody').value = draft.body;
+    } else if (draft) {
+      // A new version was saved since; start over from the suggestion
+      vscode.setState({ ...state, commitDraft: null });
+    }
+    highlightCommitType();
+    lintCommitMessage();
+  }
+
+  // Check the message against the commit message rules once typing pauses
+  let commitLintTimer = null;
+  let commitLintFixes = [];
+
+  function lintCommitMessage() {
+    clearTimeout(commitLintTimer);
+    commitLintTimer = setTimeout(() => {
+      const message = composeCommitMessage();
+      if (message) {
+        vscode.postMessage({ command: 'lintCommitMessage', message });
+      } else {
+        // Generated messages are checked, and fixed, when saving
+        showCommitLint('', null);
+      }
+    }, 300);
+  }
+
+  function showCommitLint(message, result) {
+    const list = document.getElementById('commitLint');
+    if (!list || message !== composeCommitMessage()) {
+      // Written on since; a newer check is on its way
+      return;
+    }
+    const violations = result ? result.violations : [];
+    commitLintFixes = violations.map(violation => violation.fix);
+    list.innerHTML = violations.map((violation, index) =>
+      '<div class="commit-lint-item ' + violation.severity + '">'
+        + (violation.severity === 'error' ? '⛔ ' : '⚠️ ') + escapeHtml(violation.message)
+        + (violation.fix ? ' <button type="button" class="commit-lint-fix" onclick="applyCommitLintFix(' + index + ')">' + escapeHtml(violation.fix.label) + '</button>' : '')
+        + '</div>'
+    ).join('') + (result && result.blocked
+      ? '<div class="commit-lint-blocked">Fix the errors to save' + (result.source ? ' (rules from ' + escapeHtml(result.source) + ')' : '') + '</div>'
+      : '');
+  }
+
+  function applyCommitLintFix(index) {
+    const fix = commitLintFixes[index];
+    if (fix) {
+      setCommitFields(fix.message);
+      updateCommitDraft();
+    }
+  }
+
+  function hasCommitDraft() {
+    return !!(vscode.getState() || {}).commitDraft;
+  }
+
+  function useRecentMessage(select) {
+    if (!select.value) {
+      return;
+    }
+    setCommitFields(select.value);
+    select.value = '';
+    updateCommitDraft();
+  }
+
+  function resetCommitMessage() {
+    vscode.setState({ ...(vscode.getState() || {}), commitDraft: null });
+    suggestCommitMessage();
+  }
+
+  // Describe only the ticked files when some are left out
+  function suggestCommitMessage() {
+    const composer = document.getElementById('commitComposer');
+    if (!composer || hasCommitDraft()) {
+      return;
+    }
+    const boxes = Array.from(document.querySelectorAll('.change-select'));
+    const paths = boxes.filter(box => box.checked).map(box => box.dataset.file);
+    if (paths.length === boxes.length) {
+      setCommitFields(composer.dataset.suggested);
+    } else {
+      vscode.postMessage({ command: 'suggestCommitMessage', paths });
+    }
+  }
+
+  function setSuggestedMessage(message) {
+    if (!hasCommitDraft()) {
+      setCommitFields(message);
+    }
+  }
+
+  // Ask the configured language model or command; its message replaces whatever was written
+  function generateCommitMessage(button) {
+    const paths = Array.from(document.querySelectorAll('.change-select'))
+      .filter(box => box.checked)
+      .map(box => box.dataset.file);
+    button.disabled = true;
+    button.textContent = '⏳ Generating…';
+    vscode.postMessage({ command: 'generateCommitMessage', paths });
+  }
+
+  function setGeneratedMessage(message) {
+    const button = document.getElementById('generateCommitMessage');
+    if (button) {
+      button.disabled = false;
+      button.textContent = '✨ Generate';
+    }
+    if (message) {
+      setCommitFields(message);
+      updateCommitDraft();
+    }
+  }
+
+  // Tick only the files of one area, to save unrelated changes as separate versions
+  function selectChangeArea(button) {
+    const files = JSON.parse(button.dataset.files);
+    document.querySelectorAll('.change-select').forEach(box => {
+      box.checked = files.includes(box.dataset.file);
+    });
+    updateFileSelection();
+  }
+
+  // Files unticked in the uncommitted section are remembered while the sidebar re-renders
+  function updateFileSelection() {
+    const unselectedFiles = Array.from(document.querySelectorAll('.change-select'))
+      .filter(box => !box.checked)
+      .map(box => box.dataset.file);
+    vscode.setState({ ...(vscode.getState() || {}), unselectedFiles });
+    updateSaveSelectedButton();
+    suggestCommitMessage();
+  }
+
+  function applyFileSelection() {
+    const boxes = Array.from(document.querySelectorAll('.change-select'));
+    if (boxes.length === 0) {
+      return;
+    }
+    const unselectedFiles = (vscode.getState() || {}).unselectedFiles || [];
+    boxes.forEach(box => {
+      box.checked = !unselectedFiles.includes(box.dataset.file);
+    });
+    // Forget files that no longer have changes
+    updateFileSelection();
+  }
+
+  function updateSaveSelectedButton() {
+    const button = document.getElementById('saveSelectedBtn');
+    if (!button) {
+      return;
+    }
+    const selectedCount = document.querySelectorAll('.change-select:checked').length;
+    button.disabled = selectedCount === 0;
+    button.textContent = '✅ Save selected (' + selectedCount + ')';
+  }
+
+  function saveSelectedChanges() {
+    const paths = Array.from(document.querySelectorAll('.change-select:checked')).map(box => box.dataset.file);
+    if (paths.length > 0) {
+      vscode.postMessage({ command: 'saveChanges', data: { message: composeCommitMessage(), paths } });
+    }
   }
+
+  applyCommitDraft();
+  applyFileSelection();
   
   function discardChanges() {
     vscode.postMessage({ command: 'requestDiscard' });
   }
   
+  function undoRestore() {
+    vscode.postMessage({ command: 'undoRestore' });
+  }
+  
+  function selectRepository(repoPath) {
+    vscode.postMessage({ command: 'selectRepository', repoPath: repoPath });
+  }
+  
   function copyToClipboard(text) {
     navigator.clipboard.writeText(text).then(() => {
       showCopyFeedback();
@@ -1067,12 +1971,91 @@ function getLoadingTemplate() {
   `;
 }
 
+/**
+ * Conventional commit types offered as chips in the commit message composer
+ */
+const COMMIT_TYPES = [
+  ["feat", "A new feature"],
+  ["fix", "A bug fix"],
+  ["docs", "Documentation only"],
+  ["style", "Formatting that does not change what the code does"],
+  ["refactor", "A code change that neither fixes a bug nor adds a feature"],
+  ["perf", "A performance improvement"],
+  ["test", "Adding or correcting tests"],
+  ["build", "Build system or dependencies"],
+  ["ci", "Continuous integration configuration"],
+  ["chore", "Other changes that do not touch source or tests"],
+  ["revert", "Undo an earlier version"],
+];
+
+/**
+ * Split a commit message into its subject line and body
+ * @param {string} message Commit message
+ * @returns {{subject: string, body: string}} First line, and the rest without the blank line after it
+ */
+function splitCommitMessage(message) {
+  const [subject, ...rest] = String(message || "").split("\n");
+  return { subject: subject.trim(), body: rest.join("\n").trim() };
+}
+
+/**
+ * Generate the commit message composer shown under the uncommitted changes
+ * @param {Object} composer Suggested message, recent messages, the version the draft belongs to, the
+ *                          provider behind the Generate button and unrelated areas the changes are in
+ * @returns {string} HTML for the composer
+ */
+function generateCommitComposer(composer) {
+  const suggestedMessage = composer ? composer.suggestedMessage || "" : "";
+  const recentMessages = composer ? composer.recentMessages || [] : [];
+  const { subject, body } = splitCommitMessage(suggestedMessage);
+
+  const chipsHTML = COMMIT_TYPES
+    .map(([type, description]) => `<button type="button" class="commit-type-chip" data-type="${type}" onclick="applyCommitType('${type}')" title="${escapeHtml(description)}">${type}</button>`)
+    .join("");
+
+  const recentHTML = recentMessages.length > 0 ? `
+        <select id="recentMessages" class="recent-messages" onchange="useRecentMessage(this)" title="Reuse the message of a recent save">
+          <option value="">🕘 Recent messages…</option>
+          ${recentMessages
+            .map((message) => `<option value="${escapeHtml(message)}">${escapeHtml(splitCommitMessage(message).subject)}</option>`)
+            .join("")}
+        </select>` : "";
+
+  const areas = composer ? composer.areas || [] : [];
+  const splitHTML = areas.length > 1 ? `
+      <div class="commit-split-hint">
+        ✂️ These changes touch ${areas.length} separate areas. Save them as separate versions by ticking one at a time:
+        ${areas
+          .map((area) => `<button type="button" class="commit-split-area" data-files="${escapeHtml(JSON.stringify(area.files))}" onclick="selectChangeArea(this)" title="${escapeHtml(area.files.join("\n"))}">${escapeHtml(area.scope)} (${area.files.length})</button>`)
+          .join("")}
+      </div>` : "";
+
+  const generator = composer ? composer.generator : null;
+  const generateHTML = generator ? `
+        <button type="button" id="generateCommitMessage" class="commit-composer-reset" onclick="generateCommitMessage(this)" title="Ask ${escapeHtml(generator)} to write the message">✨ Generate</button>` : "";
+
+  return `
+    <div class="commit-composer" id="commitComposer" data-suggested="${escapeHtml(suggestedMessage)}" data-head="${escapeHtml(composer ? composer.head || "" : "")}">
+      ${splitHTML}
+      <div class="commit-type-chips">${chipsHTML}</div>
+      <input type="text" id="commitSubject" class="commit-subject" value="${escapeHtml(subject)}" placeholder="Summary of the changes (generated when left empty)" oninput="updateCommitDraft()">
+      <textarea id="commitBody" class="commit-body" rows="3" placeholder="Details (optional)" oninput="updateCommitDraft()">${escapeHtml(body)}</textarea>
+      <div id="commitLint" class="commit-lint"></div>
+      <div class="commit-composer-footer">
+        ${recentHTML}${generateHTML}
+        <button type="button" class="commit-composer-reset" onclick="resetCommitMessage()" title="Go back to the generated message">↺ Suggested</button>
+      </div>
+    </div>
+  `;
+}
+
 /**
  * Generate uncommitted changes section HTML
  * @param {Object} uncommittedChanges Uncommitted changes information
+ * @param {Object} composer Suggested message, recent messages and the version the draft belongs to
  * @returns {string} HTML for uncommitted changes section
  */
-function generateUncommittedChangesSection(uncommittedChanges) {
+function generateUncommittedChangesSection(uncommittedChanges, composer = null) {
   if (!uncommittedChanges || !uncommittedChanges.hasChanges) {
     return "";
   }
@@ -1102,8 +2085,11 @@ function generateUncommittedChangesSection(uncommittedChanges) {
 
       return `
       <li class="change-item">
-        <span class="change-status ${statusClass}">${statusSymbol}</span>
-        <span class="change-filename">${file.fileName}</span>
+        <label class="change-label" title="Include in the next saved version">
+          <input type="checkbox" class="change-select" data-file="${escapeHtml(file.fileName)}" checked onchange="updateFileSelection()">
+          <span class="change-status ${statusClass}">${statusSymbol}</span>
+          <span class="change-filename">${escapeHtml(file.fileName)}</span>
+        </label>
       </li>
     `;
     })
@@ -1117,7 +2103,10 @@ function generateUncommittedChangesSection(uncommittedChanges) {
           <button class="discard-btn" onclick="discardChanges()" title="Discard all changes">
             🗑️ Discard
           </button>
-          <button class="save-btn" onclick="saveChanges()" title="Save changes with auto-generated commit message">
+          <button id="saveSelectedBtn" class="discard-btn" onclick="saveSelectedChanges()" title="Save only the ticked files; the others stay unsaved">
+            ✅ Save selected
+          </button>
+          <button class="save-btn" onclick="saveChanges()" title="Save all changes with the message below">
             💾 Save
           </button>
         </div>
@@ -1130,6 +2119,7 @@ function generateUncommittedChangesSection(uncommittedChanges) {
           ? `<div class="changes-summary">${uncommittedChanges.summary}</div>`
           : ""
       }
+      ${generateCommitComposer(composer)}
       <style>
         .uncommitted-actions {
           display: flex;
@@ -1149,6 +2139,10 @@ function generateUncommittedChangesSection(uncommittedChanges) {
         .discard-btn:hover {
           background: var(--vscode-button-secondaryHoverBackground);
         }
+        .discard-btn:disabled {
+          opacity: 0.5;
+          cursor: default;
+        }
         .save-btn {
           background: var(--vscode-button-background);
           color: var(--vscode-button-foreground);
@@ -1163,35 +2157,430 @@ function generateUncommittedChangesSection(uncommittedChanges) {
         .save-btn:hover {
           background: var(--vscode-button-hoverBackground);
         }
+        .commit-composer {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+          margin-top: 12px;
+        }
+        .commit-type-chips {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 4px;
+        }
+        .commit-type-chip {
+          background: transparent;
+          color: var(--vscode-descriptionForeground);
+          border: 1px solid var(--vscode-panel-border);
+          border-radius: 10px;
+          padding: 1px 8px;
+          cursor: pointer;
+          font-family: var(--vscode-editor-font-family, monospace);
+          font-size: 0.8em;
+        }
+        .commit-type-chip:hover,
+        .commit-type-chip.active {
+          background: var(--vscode-button-secondaryBackground);
+          color: var(--vscode-button-secondaryForeground);
+          border-color: var(--vscode-focusBorder);
+        }
+        .commit-subject,
+        .commit-body,
+        .recent-messages {
+          width: 100%;
+          box-sizing: border-box;
+          background: var(--vscode-input-background);
+          color: var(--vscode-input-foreground);
+          border: 1px solid var(--vscode-input-border, var(--vscode-panel-border));
+          border-radius: 4px;
+          padding: 4px 6px;
+          font-family: var(--vscode-font-family);
+          font-size: 0.9em;
+        }
+        .commit-body {
+          resize: vertical;
+        }
+        .commit-composer-footer {
+          display: flex;
+          gap: 6px;
+          align-items: center;
+        }
+        .recent-messages {
+          flex: 1;
+          min-width: 0;
+        }
+        .commit-composer-reset {
+          background: none;
+          border: none;
+          color: var(--vscode-textLink-foreground);
+          cursor: pointer;
+          font-size: 0.85em;
+          white-space: nowrap;
+        }
+        .commit-split-hint {
+          font-size: 0.85em;
+          color: var(--vscode-descriptionForeground);
+        }
+        .commit-split-area {
+          margin: 4px 4px 0 0;
+          background: transparent;
+          color: var(--vscode-textLink-foreground);
+          border: 1px solid var(--vscode-panel-border);
+          border-radius: 10px;
+          padding: 1px 8px;
+          cursor: pointer;
+          font-size: 0.9em;
+        }
+        .commit-lint {
+          display: flex;
+          flex-direction: column;
+          gap: 2px;
+          font-size: 0.85em;
+        }
+        .commit-lint:empty {
+          display: none;
+        }
+        .commit-lint-item.error {
+          color: var(--vscode-errorForeground);
+        }
+        .commit-lint-item.warning {
+          color: var(--vscode-editorWarning-foreground);
+        }
+        .commit-lint-fix {
+          background: none;
+          border: none;
+          padding: 0;
+          color: var(--vscode-textLink-foreground);
+          cursor: pointer;
+          font-size: inherit;
+          text-decoration: underline;
+        }
+        .commit-lint-blocked {
+          color: var(--vscode-descriptionForeground);
+        }
+        .commit-composer-reset:first-of-type {
+          margin-left: auto;
+        }
+        .commit-composer-reset:disabled {
+          opacity: 0.6;
+          cursor: default;
+        }
       </style>
     </div>
   `;
 }
 
+/**
+ * Escape text for use inside an HTML attribute or element
+ * @param {string} text Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Generate the repository picker shown when the workspace holds more than one repository
+ * @param {Object} repositoryInfo Repositories found and the path of the selected one
+ * @returns {string} HTML for the repository picker
+ */
+function generateRepositoryPicker(repositoryInfo) {
+  if (!repositoryInfo || !repositoryInfo.repositories || repositoryInfo.repositories.length < 2) {
+    return "";
+  }
+
+  const optionsHTML = repositoryInfo.repositories
+    .map(
+      (repository) =>
+        `<option value="${escapeHtml(repository.path)}" title="${escapeHtml(repository.path)}"${
+          repository.path === repositoryInfo.selectedPath ? " selected" : ""
+        }>${escapeHtml(repository.name)}</option>`
+    )
+    .join("");
+
+  return `
+    <div class="repo-picker">
+      <label class="repo-picker-label" for="repoSelect">📁 Repository</label>
+      <select id="repoSelect" class="repo-select" onchange="selectRepository(this.value)">
+        ${optionsHTML}
+      </select>
+      <style>
+        .repo-picker {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          margin-bottom: 12px;
+          font-size: 0.9em;
+        }
+        .repo-picker-label {
+          white-space: nowrap;
+          color: var(--vscode-descriptionForeground);
+        }
+        .repo-select {
+          flex: 1;
+          min-width: 0;
+          padding: 4px;
+          background: var(--vscode-dropdown-background);
+          color: var(--vscode-dropdown-foreground);
+          border: 1px solid var(--vscode-dropdown-border);
+          border-radius: 4px;
+          font-family: var(--vscode-font-family);
+        }
+      </style>
+    </div>
+  `;
+}
+
+/**
+ * Generate the "Recently discarded" section listing the backups that hold uncommitted work
+ * @param {Array} discardedWork Backups holding discarded work, newest first
+ * @returns {string} HTML for the recently discarded section
+ */
+function generateDiscardedSection(discardedWork) {
+  if (!discardedWork || discardedWork.length === 0) {
+    return "";
+  }
+
+  const discardedListHTML = discardedWork
+    .map(
+      (backup) => `
+      <li class="lane-item">
+        <div class="lane-item-header">
+          <span>${escapeHtml(backup.description)}</span>
+          <span class="lane-item-date">${escapeHtml(new Date(backup.date).toLocaleString())}</span>
+        </div>
+        <div class="commit-actions">
+          <button class="files-btn" onclick="toggleDiscardedFiles('${backup.hash}')">
+            👁️ Preview
+          </button>
+          <button class="restore-btn" onclick="bringBackDiscardedWork('${backup.hash}')" title="Put these changes back into your files">
+            ↩️ Bring back
+          </button>
+        </div>
+        <div class="commit-files" id="discarded-files-${backup.hash}" style="display: none;"></div>
+      </li>
+    `
+    )
+    .join("");
+
+  return `
+    <details class="sidebar-lane">
+      <summary class="sidebar-lane-title">🗂️ Recently discarded (${discardedWork.length})</summary>
+      <ul class="lane-list">
+        ${discardedListHTML}
+      </ul>
+    </details>
+  `;
+}
+
+/**
+ * Generate the "Autosaves" lane listing automatic checkpoints of the working tree
+ * @param {Array} autosaves Autosaves, newest first, each with the version it was based on
+ * @returns {string} HTML for the autosaves lane
+ */
+function generateAutosavesSection(autosaves) {
+  if (!autosaves || autosaves.length === 0) {
+    return "";
+  }
+
+  const autosaveListHTML = autosaves
+    .map(
+      (autosave) => `
+      <li class="lane-item" data-hash="${autosave.hash}">
+        <div class="lane-item-header">
+          <span>${escapeHtml(autosave.subject)}${
+            autosave.baseVersion ? ` · based on Version ${autosave.baseVersion}` : ""
+          }</span>
+          <span class="lane-item-date">${escapeHtml(autosave.date)}</span>
+        </div>
+        <div class="commit-actions">
+          <button class="files-btn" onclick="toggleCommitFiles('${autosave.hash}')" title="Files changed since the version this autosave was based on">
+            📂 Files
+          </button>
+          <button class="restore-btn" onclick="restoreCommit('${autosave.hash}')" title="Bring your files back to this autosave as a new version">
+            ⏮️ Restore
+          </button>
+        </div>
+        <div class="commit-files" id="files-${autosave.hash}" style="display: none;"></div>
+      </li>
+    `
+    )
+    .join("");
+
+  return `
+    <details class="sidebar-lane">
+      <summary class="sidebar-lane-title">💾 Autosaves (${autosaves.length})</summary>
+      <ul class="lane-list">
+        ${autosaveListHTML}
+      </ul>
+    </details>
+  `;
+}
+
+/**
+ * Generate the banner offering to undo the last restore
+ * @param {Object} lastRestore Last restore information, or null when there is nothing to undo
+ * @returns {string} HTML for the undo banner
+ */
+function generateUndoRestoreBanner(lastRestore) {
+  if (!lastRestore) {
+    return "";
+  }
+
+  const description = lastRestore.paths && lastRestore.paths.length > 0
+    ? `Restored ${lastRestore.paths.length} item(s) from version ${lastRestore.version}`
+    : `Restored version ${lastRestore.version}`;
+
+  return `
+    <div class="sidebar-banner">
+      <span class="sidebar-banner-text">⏮️ ${description}</span>
+      <button class="sidebar-banner-btn" onclick="undoRestore()" title="Put your files back the way they were before this restore">
+        ↩️ Undo restore
+      </button>
+    </div>
+  `;
+}
+
+/**
+ * Generate the banner saying which version the editor gutter compares with
+ * @param {Object} baseline Pinned comparison baseline, or null when the gutter compares with the latest version
+ * @returns {string} HTML for the baseline banner
+ */
+function generateBaselineBanner(baseline) {
+  if (!baseline) {
+    return "";
+  }
+
+  return `
+    <div class="sidebar-banner">
+      <span class="sidebar-banner-text">📌 Editor gutter shows changes since version ${escapeHtml(String(baseline.version))}</span>
+      <button class="sidebar-banner-btn" onclick="clearComparisonBaseline()" title="Compare the editor gutter with the latest version again">
+        ✕ Clear baseline
+      </button>
+    </div>
+  `;
+}
+
+/**
+ * Generate badges for the branches and tags pointing at a commit, and for merge commits
+ * @param {Object} commit Commit object
+ * @returns {string} HTML for the badges
+ */
+function generateCommitBadges(commit) {
+  const refs = commit.refs ? commit.refs.split(", ") : [];
+  let html = refs.map((ref) => `<span class="commit-ref">${escapeHtml(ref)}</span>`).join("");
+  if (commit.parents && commit.parents.length > 1) {
+    html += '<span class="commit-ref">🔀 Merge</span>';
+  }
+  return html;
+}
+
+const SIGNATURE_STATUS = {
+  G: "✅ Good signature",
+  B: "❌ Bad signature",
+  U: "✅ Good signature, unknown key validity",
+  X: "⚠️ Good signature, expired",
+  Y: "⚠️ Good signature, expired key",
+  R: "❌ Signed with a revoked key",
+  E: "⚠️ Signature cannot be checked",
+};
+
+/**
+ * Describe a person and email, e.g. "Ada <ada@example.com>"
+ * @param {string} name Name
+ * @param {string} email Email address
+ * @returns {string} Escaped description
+ */
+function formatIdentity(name, email) {
+  return escapeHtml(email ? `${name} <${email}>` : name || "");
+}
+
+/**
+ * Generate the extra detail rows for a commit: committer, parents, refs, signature, body, trailers and notes
+ * @param {Object} commit Commit object
+ * @returns {string} HTML for the detail rows
+ */
+function generateCommitExtraDetails(commit) {
+  const rows = [];
+  const committedByAuthor =
+    commit.committer_name === commit.author_name && commit.committer_email === commit.author_email;
+
+  if (commit.committer_name && !committedByAuthor) {
+    rows.push(`<span class="label">Committer:</span> ${formatIdentity(commit.committer_name, commit.committer_email)}`);
+  }
+  if (commit.committer_date && commit.committer_date !== commit.author_date) {
+    rows.push(`<span class="label">Committed:</span> ${escapeHtml(commit.committer_date)}`);
+  }
+  if (commit.parents && commit.parents.length > 0) {
+    const parents = commit.parents.map((parent) => `<span class="hash">${escapeHtml(parent.substring(0, 7))}</span>`);
+    rows.push(`<span class="label">${commit.parents.length > 1 ? "Parents" : "Parent"}:</span> ${parents.join(" ")}`);
+  }
+  if (commit.refs) {
+    rows.push(`<span class="label">Refs:</span> ${generateCommitBadges({ refs: commit.refs })}`);
+  }
+  if (commit.verification_flag && SIGNATURE_STATUS[commit.verification_flag]) {
+    const signer = commit.signer ? ` by ${escapeHtml(commit.signer)}` : "";
+    const key = commit.signer_key ? ` (key ${escapeHtml(commit.signer_key)})` : "";
+    rows.push(`<span class="label">Signature:</span> ${SIGNATURE_STATUS[commit.verification_flag]}${signer}${key}`);
+  }
+
+  let html = rows.map((row) => `<div class="detail-item">${row}</div>`).join("");
+
+  if (commit.body) {
+    html += `<h2>📝 Full message:</h2><pre>${escapeHtml(commit.body)}</pre>`;
+  }
+  if (commit.trailers && commit.trailers.length > 0) {
+    html += `<h2>🔖 Trailers:</h2><pre>${escapeHtml(commit.trailers.join("\n"))}</pre>`;
+  }
+  if (commit.commit_notes) {
+    html += `<h2>🗒️ Notes:</h2><pre>${escapeHtml(commit.commit_notes)}</pre>`;
+  }
+  return html;
+}
+
 /**
  * Generate commit list item HTML
  * @param {Object} commit Commit object
  * @param {number} index Index of commit in the list
+ * @param {string|null} baselineHash Hash of the version the editor gutter compares with, if any
  * @returns {string} HTML for commit list item
  */
-function generateCommitListItem(commit, index) {
+function generateCommitListItem(commit, index, baselineHash = null) {
   return `
     <li class="commit-item" data-hash="${commit.hash}">
         <div class="commit-header">
-            <span class="commit-version-large">Version ${commit.version}</span>
+            <span class="commit-version-large">Version ${commit.version}</span>${generateCommitBadges(commit)}${
+              commit.hash === baselineHash ? '<span class="commit-ref">📌 Baseline</span>' : ""
+            }
         </div>
         <div class="commit-meta">
-            <span class="commit-author">${commit.author}</span>
+            <span class="commit-author" title="${escapeHtml(commit.author_email || "")}">${escapeHtml(commit.author)}</span>
             <span class="commit-date">${commit.date}</span>
+            <span class="commit-hash">${commit.abbreviated_commit || ""}</span>
         </div>
-        <div class="commit-subject">${commit.subject}</div>
+        <div class="commit-subject">${escapeHtml(commit.subject)}</div>
+        ${commit.body ? `<div class="commit-body">${escapeHtml(commit.body)}</div>` : ""}
         <div class="commit-actions">
             <button class="view-btn" onclick="viewCommit('${commit.hash}')">
                 👁️ View Details
             </button>
+            <button class="files-btn" onclick="compareWith('${commit.hash}')" title="Compare this version with another one">
+                ⇄ Compare
+            </button>
+            <button class="files-btn" onclick="setComparisonBaseline('${commit.hash}')" title="Set as comparison baseline: the editor gutter shows changes against this version">
+                📌 Baseline
+            </button>
             ${
               index > 0
                 ? `
+                <button class="files-btn" onclick="toggleCommitFiles('${commit.hash}')">
+                    📂 Files
+                </button>
                 <button class="restore-btn" onclick="restoreCommit('${commit.hash}')">
                     ⏮️ Restore
                 </button>
@@ -1199,24 +2588,86 @@ function generateCommitListItem(commit, index) {
                 : ""
             }
         </div>
+        <div class="commit-files" id="files-${commit.hash}" style="display: none;"></div>
     </li>
   `;
 }
 
 /**
- * Generate sidebar webview content
+ * Generate the file history list that replaces the version list while "History of this file" is on
+ * @param {Object} fileHistory File name and the versions that touched it, each with the file's name in that version
+ * @returns {string} HTML for the file history
+ */
+function generateFileHistorySection(fileHistory) {
+  const baseName = fileHistory.fileName.split("/").pop();
+  const items = fileHistory.commits.map((commit, index) => {
+    const olderCommit = fileHistory.commits[index + 1];
+    const diffButton = (against, otherFileName, label) =>
+      `<button type="button" class="files-btn" data-diff-hash="${commit.hash}" data-diff-file="${escapeHtml(
+        commit.fileName
+      )}" data-diff-against="${against}" data-diff-other="${escapeHtml(otherFileName)}">${label}</button>`;
+
+    return `
+    <li class="commit-item" data-hash="${commit.hash}">
+        <div class="commit-header">
+            <span class="commit-version-large">Version ${commit.version}</span>${generateCommitBadges(commit)}
+        </div>
+        <div class="commit-meta">
+            <span class="commit-author" title="${escapeHtml(commit.author_email || "")}">${escapeHtml(commit.author)}</span>
+            <span class="commit-date">${commit.date}</span>
+            <span class="commit-hash">${commit.abbreviated_commit || ""}</span>
+        </div>
+        <div class="commit-subject">${escapeHtml(commit.subject)}</div>
+        ${commit.fileName !== fileHistory.fileName
+          ? `<div class="file-history-name">as ${escapeHtml(commit.fileName)}</div>`
+          : ""}
+        <div class="commit-actions">
+            <button class="view-btn" onclick="viewCommit('${commit.hash}')">
+                👁️ View Details
+            </button>
+            ${diffButton("working", fileHistory.fileName, "↔ Current")}
+            ${diffButton("previous", olderCommit ? olderCommit.fileName : commit.fileName, "↔ Previous")}
+            <button class="restore-btn" data-restore-hash="${commit.hash}" data-restore-path="${escapeHtml(commit.fileName)}">
+                ⏮️ Restore this file
+            </button>
+        </div>
+    </li>`;
+  });
+
+  return `
+    <div class="file-history-header">
+        <span class="file-history-title" title="${escapeHtml(fileHistory.fileName)}">📄 History of <strong>${escapeHtml(baseName)}</strong></span>
+        <button class="files-btn" onclick="closeFileHistory()">← All versions</button>
+    </div>
+    ${items.length === 0
+      ? '<div class="no-commits">No saved versions of this file yet.</div>'
+      : `<ul class="commit-list" id="commitList">${items.join("")}</ul>`}
+  `;
+}
+
+/**
+ * Generate the parts of the sidebar that change with the repository, keyed by the id of the element holding them
+ * Auto-refresh swaps these in place so the filter, the repository picker and open dialogs are left alone
  * @param {Array} commits Array of commit objects
  * @param {Object} uncommittedChanges Uncommitted changes information
  * @param {Object} paginationInfo Pagination information
- * @returns {string} HTML content for sidebar
+ * @param {Object} lastRestore Last restore that can still be undone
+ * @param {Array} discardedWork Backups holding discarded work, newest first
+ * @param {Object} fileHistory History of one file to show instead of all versions, or null
+ * @param {Object} baseline Version the editor gutter compares with, or null
+ * @param {Array} autosaves Automatic checkpoints of the working tree, newest first
+ * @param {Object} composer Suggested message, recent messages and the version the draft belongs to
+ * @returns {{commitCount: string, undoRestoreRegion: string, uncommittedRegion: string, historyRegion: string}} HTML of each part
  */
-function getSidebarTemplate(commits, uncommittedChanges = null, paginationInfo = null) {
-  const commitListHTML =
-    commits.length === 0
+function getSidebarSections(commits, uncommittedChanges = null, paginationInfo = null, lastRestore = null, discardedWork = [], fileHistory = null, baseline = null, autosaves = [], composer = null) {
+  const baselineHash = baseline ? baseline.hash : null;
+  const commitListHTML = fileHistory
+    ? generateFileHistorySection(fileHistory)
+    : commits.length === 0
       ? '<div class="no-commits">No commits found in this repository.</div>'
-      : `<ul class="commit-list" id="commitList">
+      : `<ul class="commit-list" id="commitList" data-baseline-hash="${baselineHash || ""}">
         ${commits
-          .map((commit, index) => generateCommitListItem(commit, index))
+          .map((commit, index) => generateCommitListItem(commit, index, baselineHash))
           .join("")}
        </ul>
        ${paginationInfo && paginationInfo.hasMore ? `
@@ -1231,6 +2682,40 @@ function getSidebarTemplate(commits, uncommittedChanges = null, paginationInfo =
          </div>
        ` : ''}`;
 
+  return {
+    commitCount: fileHistory
+      ? `${fileHistory.commits.length} versions changed this file`
+      : paginationInfo
+        ? `Showing ${paginationInfo.showingCount} of ${paginationInfo.totalCount} versions`
+        : `${commits.length} versions`,
+    undoRestoreRegion: generateUndoRestoreBanner(lastRestore),
+    uncommittedRegion: generateUncommittedChangesSection(uncommittedChanges, composer),
+    historyRegion: `
+        ${generateAutosavesSection(autosaves)}
+        
+        ${generateDiscardedSection(discardedWork)}
+        
+        ${commitListHTML}`,
+  };
+}
+
+/**
+ * Generate sidebar webview content
+ * @param {Array} commits Array of commit objects
+ * @param {Object} uncommittedChanges Uncommitted changes information
+ * @param {Object} paginationInfo Pagination information
+ * @param {Object} lastRestore Last restore that can still be undone
+ * @param {Array} discardedWork Backups holding discarded work, newest first
+ * @param {Object} repositoryInfo Repositories in the workspace and the selected one
+ * @param {Object} fileHistory History of one file to show instead of all versions, or null
+ * @param {Object} baseline Version the editor gutter compares with, or null
+ * @param {Array} autosaves Automatic checkpoints of the working tree, newest first
+ * @param {Object} composer Suggested message, recent messages and the version the draft belongs to
+ * @returns {string} HTML content for sidebar
+ */
+function getSidebarTemplate(commits, uncommittedChanges = null, paginationInfo = null, lastRestore = null, discardedWork = [], repositoryInfo = null, fileHistory = null, baseline = null, autosaves = [], composer = null) {
+  const sections = getSidebarSections(commits, uncommittedChanges, paginationInfo, lastRestore, discardedWork, fileHistory, baseline, autosaves, composer);
+
   return `
     <!DOCTYPE html>
     <html lang="en">
@@ -1255,23 +2740,28 @@ function getSidebarTemplate(commits, uncommittedChanges = null, paginationInfo =
         <div class="header">
             <div>
                 <h1>📊 TimeLad</h1>
-                <p class="commit-count">
-                  ${paginationInfo ? 
-                    `Showing ${paginationInfo.showingCount} of ${paginationInfo.totalCount} versions` : 
-                    `${commits.length} versions`
-                  }
-                </p>
+                <p class="commit-count" id="commitCount">${sections.commitCount}</p>
             </div>
             <div class="header-buttons">
                 <!-- Refresh functionality now handled by VS Code's native refresh button -->
+                ${fileHistory ? "" : `
+                <button class="files-btn" onclick="showFileHistory()" title="Show only the versions that changed the file in the active editor">
+                    📄 History of this file
+                </button>`}
             </div>
         </div>
         
+        ${generateRepositoryPicker(repositoryInfo)}
+        
         <input type="text" class="search-box" placeholder="🔍 Filter commits by message, author, or version..." id="commitFilter">
         
-        ${generateUncommittedChangesSection(uncommittedChanges)}
+        <div id="undoRestoreRegion">${sections.undoRestoreRegion}</div>
         
-        ${commitListHTML}
+        ${generateBaselineBanner(baseline)}
+        
+        <div id="uncommittedRegion">${sections.uncommittedRegion}</div>
+        
+        <div id="historyRegion">${sections.historyRegion}</div>
 
         <!-- Restore Confirmation Modal -->
         <div id="confirmationModal" class="modal-overlay">
@@ -1281,15 +2771,22 @@ function getSidebarTemplate(commits, uncommittedChanges = null, paginationInfo =
                     <h2 id="modalTitle" class="modal-title">Confirm Restore</h2>
                 </div>
                 <div class="modal-content">
-                    <p id="modalMessage">You have uncommitted changes that will be permanently lost.</p>
+                    <p id="modalMessage">You have uncommitted changes that will be discarded.</p>
                     
-                    <div class="modal-warning">
-                        <strong>⚠️ Warning:</strong> This action cannot be undone. All uncommitted changes will be permanently lost.
+                    <div id="modalWarning" class="modal-warning">
+                        <strong>⚠️ Warning:</strong> All uncommitted changes will be removed from your files. A backup is kept under "Recently discarded" so you can bring them back.
                     </div>
                     
                     <div class="modal-file-list" id="modalFilesList">
                         <!-- Files will be populated dynamically -->
                     </div>
+                    
+                    <div id="modalImpact" style="display: none;">
+                        <div id="modalImpactSummary" class="modal-impact-summary"></div>
+                        <div class="modal-file-list" id="modalImpactList">
+                            <!-- Impact report will be populated dynamically -->
+                        </div>
+                    </div>
                 </div>
                 <div class="modal-actions">
                     <button id="cancelRestoreBtn" class="modal-btn modal-btn-secondary" onclick="cancelRestore()">
@@ -1310,10 +2807,10 @@ function getSidebarTemplate(commits, uncommittedChanges = null, paginationInfo =
                     <h2 class="modal-title">Confirm Discard Changes</h2>
                 </div>
                 <div class="modal-content">
-                    <p id="discardMessage">You are about to permanently discard all uncommitted changes.</p>
+                    <p id="discardMessage">You are about to discard all uncommitted changes.</p>
                     
                     <div class="modal-warning">
-                        <strong>🗑️ Warning:</strong> This action cannot be undone. All your uncommitted work will be permanently lost.
+                        <strong>🗑️ Warning:</strong> All your uncommitted work will be removed from your files. A backup is kept under "Recently discarded" so you can bring it back.
                     </div>
                     
                     <div class="modal-file-list" id="discardFilesList">
@@ -1340,13 +2837,45 @@ function getSidebarTemplate(commits, uncommittedChanges = null, paginationInfo =
   `;
 }
 
+/**
+ * Generate the list of changed files in the details panel, each with buttons that open a side-by-side diff
+ * @param {string} hash Commit hash
+ * @param {Array} files Files changed in the commit
+ * @returns {string} HTML for the file list
+ */
+function generateDetailFileList(hash, files) {
+  if (!files || files.length === 0) {
+    return "";
+  }
+
+  const rows = files.map((file) => {
+    const statusClass =
+      file.status === "A" ? "added" : file.status === "D" ? "deleted" : "modified";
+    const diffButton = (against, label) =>
+      `<button type="button" class="file-diff-btn" data-diff-hash="${escapeHtml(hash)}" data-diff-file="${escapeHtml(
+        file.fileName
+      )}" data-diff-against="${against}">${label}</button>`;
+    return `
+        <div class="detail-file">
+            <span class="detail-file-status ${statusClass}">${escapeHtml(file.status)}</span>
+            <span class="detail-file-name">${escapeHtml(file.fileName)}</span>
+            ${diffButton("working", "↔ Current")}
+            ${diffButton("previous", "↔ Previous")}
+        </div>`;
+  });
+
+  return `<div class="detail-item">${rows.join("")}</div>`;
+}
+
 /**
  * Generate commit details webview content
  * @param {Object} commit Commit object
  * @param {string} commitDetails Detailed commit information from git show
+ * @param {string|null} version Version number to show instead of commit.version
+ * @param {Array} files Files changed in this version, each with fileName and status
  * @returns {string} HTML content for commit details
  */
-function getCommitDetailsTemplate(commit, commitDetails, version = null) {
+function getCommitDetailsTemplate(commit, commitDetails, version = null, files = []) {
   // Use passed version or fallback to commit.version or default
   const displayVersion = version || commit.version || 'Details';
   
@@ -1369,10 +2898,10 @@ function getCommitDetailsTemplate(commit, commitDetails, version = null) {
         <h1><span class="version-badge">Version ${displayVersion}</span></h1>
         
         <div class="detail-item">
-            <span class="label">Description:</span> ${commit.subject}
+            <span class="label">Description:</span> ${escapeHtml(commit.subject || commit.message)}
         </div>
         <div class="detail-item">
-            <span class="label">Author:</span> ${commit.author}
+            <span class="label">Author:</span> ${formatIdentity(commit.author, commit.author_email)}
         </div>
         <div class="detail-item">
             <span class="label">Date:</span> ${commit.date}
@@ -1382,12 +2911,11 @@ function getCommitDetailsTemplate(commit, commitDetails, version = null) {
               commit.hash
             }</span>
         </div>
+        ${generateCommitExtraDetails(commit)}
         
         <h2>📋 Changes in this version:</h2>
-        <pre>${
-          commitDetails.split("diff --git")[0] ||
-          "No detailed changes available."
-        }</pre>
+        ${generateDetailFileList(commit.hash, files)}
+        <pre>${escapeHtml(commitDetails || "No detailed changes available.")}</pre>
         
         <script>
             ${commonJavaScript}
@@ -1397,6 +2925,208 @@ function getCommitDetailsTemplate(commit, commitDetails, version = null) {
   `;
 }
 
+/**
+ * Generate the comparison view between two versions
+ * @param {Object} from Older version, with hash and label
+ * @param {Object} to Newer version, with hash and label
+ * @param {Object} comparison Changed files with status and line counts, plus totals
+ * @returns {string} HTML content for the comparison
+ */
+function getComparisonTemplate(from, to, comparison) {
+  const counts = [
+    comparison.added > 0 ? `${comparison.added} added` : "",
+    comparison.modified > 0 ? `${comparison.modified} modified` : "",
+    comparison.deleted > 0 ? `${comparison.deleted} deleted` : "",
+  ].filter(Boolean);
+  const summary =
+    counts.length > 0
+      ? `${counts.join(", ")} · +${comparison.insertions} −${comparison.deletions} lines`
+      : "No files differ between these versions.";
+
+  const rows = comparison.files.map((file) => {
+    const statusClass =
+      file.status === "A" ? "added" : file.status === "D" ? "deleted" : "modified";
+    const lines =
+      file.insertions === null ? "binary" : `+${file.insertions} −${file.deletions}`;
+    return `
+        <div class="detail-file compare-file" data-compare-file="${escapeHtml(file.fileName)}" title="Open diff">
+            <span class="detail-file-status ${statusClass}">${escapeHtml(file.status)}</span>
+            <span class="detail-file-name">${escapeHtml(file.fileName)}</span>
+            <span class="detail-file-lines">${lines}</span>
+        </div>`;
+  });
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${escapeHtml(from.label)} ↔ ${escapeHtml(to.label)}</title>
+        <style>
+            ${baseStyles}
+            ${commitDetailsStyles}
+            body {
+                padding: 20px;
+            }
+        </style>
+    </head>
+    <body>
+        <h1>
+            <span class="version-badge">${escapeHtml(from.label)}</span>
+            ↔
+            <span class="version-badge">${escapeHtml(to.label)}</span>
+        </h1>
+        <div class="detail-item">
+            <span class="label">From:</span> <span class="hash">${escapeHtml(from.hash)}</span><br>
+            <span class="label">To:</span> <span class="hash">${escapeHtml(to.hash)}</span>
+        </div>
+
+        <h2>📋 ${summary}</h2>
+        ${rows.length > 0 ? `<div class="detail-item">${rows.join("")}</div>` : ""}
+
+        <script>
+            const vscode = acquireVsCodeApi();
+            document.addEventListener('click', event => {
+              const row = event.target.closest('[data-compare-file]');
+              if (row) {
+                vscode.postMessage({ command: 'openComparisonDiff', fileName: row.getAttribute('data-compare-file') });
+              }
+            });
+        </script>
+    </body>
+    </html>
+  `;
+}
+
+// What each kind of backup was made before, by the operation in its branch name
+const BACKUP_OPERATIONS = {
+  restore: "⏪ Restore",
+  "restore-files": "📄 Restore of files",
+  "undo-restore": "↩️ Undo of a restore",
+  discard: "🗑️ Discard",
+  "restore-backup": "🗄️ Restore of a backup",
+};
+
+/**
+ * Generate the Backups panel content
+ * @param {Array} backups Backup branches, newest first, each with the files changed since it was made
+ *                        (null when they could not be read)
+ * @param {Object} retention How many backups are kept at most, and for how many days
+ * @returns {string} HTML content for the Backups panel
+ */
+function getBackupsTemplate(backups, retention) {
+  const items = backups.map((backup) => {
+    const changes = backup.changes;
+    const rows = changes
+      ? changes.files.map((file) => {
+          const statusClass =
+            file.status === "A" ? "added" : file.status === "D" ? "deleted" : "modified";
+          const lines =
+            file.insertions === null ? "binary" : `+${file.insertions} −${file.deletions}`;
+          return `
+            <div class="detail-file compare-file" data-backup-hash="${escapeHtml(backup.hash)}" data-backup-file="${escapeHtml(file.fileName)}" title="Open diff">
+                <span class="detail-file-status ${statusClass}">${escapeHtml(file.status)}</span>
+                <span class="detail-file-name">${escapeHtml(file.fileName)}</span>
+                <span class="detail-file-lines">${lines}</span>
+            </div>`;
+        })
+      : [];
+    const summary = !changes
+      ? "Could not compare this backup with your files."
+      : rows.length > 0
+        ? `${rows.length} file(s) changed since this backup:`
+        : "Your files are the same as in this backup.";
+
+    return `
+        <div class="detail-item backup-item">
+            <div class="backup-header">
+                <span class="backup-operation">${BACKUP_OPERATIONS[backup.operation] || escapeHtml(backup.operation)}</span>
+                <span class="backup-date">${escapeHtml(new Date(backup.date).toLocaleString())}</span>
+            </div>
+            <div class="backup-description">${escapeHtml(backup.description)}</div>
+            <div class="backup-branch"><span class="hash">${escapeHtml(backup.branch)}</span></div>
+            <div class="backup-summary">${summary}</div>
+            ${rows.join("")}
+            <div class="commit-actions">
+                <button class="restore-btn" data-restore-backup="${escapeHtml(backup.branch)}"${changes && rows.length === 0 ? " disabled" : ""} title="Put every file back the way it was in this backup">
+                    ↩️ Restore
+                </button>
+                <button class="view-btn" data-delete-backup="${escapeHtml(backup.branch)}" title="Delete this backup branch">
+                    🗑️ Delete
+                </button>
+            </div>
+        </div>`;
+  });
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Backups</title>
+        <style>
+            ${baseStyles}
+            ${commitListStyles}
+            ${commitDetailsStyles}
+            body {
+                padding: 20px;
+            }
+            .backup-header {
+                display: flex;
+                justify-content: space-between;
+                gap: 8px;
+                font-weight: bold;
+            }
+            .backup-date,
+            .backup-summary {
+                color: var(--vscode-descriptionForeground);
+                font-weight: normal;
+            }
+            .backup-description,
+            .backup-branch,
+            .backup-summary {
+                margin-top: 6px;
+            }
+            .restore-btn:disabled {
+                opacity: 0.5;
+                cursor: default;
+            }
+        </style>
+    </head>
+    <body>
+        <h1>🗄️ Backups</h1>
+        <p class="backup-summary">
+            TimeLad backs up your files, unsaved changes included, to a <span class="hash">timelad/backup/…</span> branch before every
+            restore and discard. The newest ${retention.maxBackups} are kept for ${retention.days} days.
+        </p>
+        ${items.length > 0 ? items.join("") : '<div class="detail-item">No backups yet.</div>'}
+
+        <script>
+            const vscode = acquireVsCodeApi();
+            document.addEventListener('click', event => {
+              const file = event.target.closest('[data-backup-file]');
+              if (file) {
+                vscode.postMessage({ command: 'openBackupDiff', hash: file.getAttribute('data-backup-hash'), fileName: file.getAttribute('data-backup-file') });
+                return;
+              }
+              const restore = event.target.closest('[data-restore-backup]');
+              if (restore) {
+                vscode.postMessage({ command: 'restoreBackup', branch: restore.getAttribute('data-restore-backup') });
+                return;
+              }
+              const remove = event.target.closest('[data-delete-backup]');
+              if (remove) {
+                vscode.postMessage({ command: 'deleteBackup', branch: remove.getAttribute('data-delete-backup') });
+              }
+            });
+        </script>
+    </body>
+    </html>
+  `;
+}
+
 /**
  * Generate full page commit history webview content
  * @param {Array} commits Array of commit objects
@@ -1460,15 +3190,22 @@ function getCommitHistoryTemplate(commits) {
                     <h2 id="modalTitle" class="modal-title">Confirm Restore</h2>
                 </div>
                 <div class="modal-content">
-                    <p id="modalMessage">You have uncommitted changes that will be permanently lost.</p>
+                    <p id="modalMessage">You have uncommitted changes that will be discarded.</p>
                     
-                    <div class="modal-warning">
-                        <strong>⚠️ Warning:</strong> This action cannot be undone. All uncommitted changes will be permanently lost.
+                    <div id="modalWarning" class="modal-warning">
+                        <strong>⚠️ Warning:</strong> All uncommitted changes will be removed from your files. A backup is kept under "Recently discarded" so you can bring them back.
                     </div>
                     
                     <div class="modal-file-list" id="modalFilesList">
                         <!-- Files will be populated dynamically -->
                     </div>
+                    
+                    <div id="modalImpact" style="display: none;">
+                        <div id="modalImpactSummary" class="modal-impact-summary"></div>
+                        <div class="modal-file-list" id="modalImpactList">
+                            <!-- Impact report will be populated dynamically -->
+                        </div>
+                    </div>
                 </div>
                 <div class="modal-actions">
                     <button id="cancelRestoreBtn" class="modal-btn modal-btn-secondary" onclick="cancelRestore()">
@@ -1489,10 +3226,10 @@ function getCommitHistoryTemplate(commits) {
                     <h2 class="modal-title">Confirm Discard Changes</h2>
                 </div>
                 <div class="modal-content">
-                    <p id="discardMessage">You are about to permanently discard all uncommitted changes.</p>
+                    <p id="discardMessage">You are about to discard all uncommitted changes.</p>
                     
                     <div class="modal-warning">
-                        <strong>🗑️ Warning:</strong> This action cannot be undone. All your uncommitted work will be permanently lost.
+                        <strong>🗑️ Warning:</strong> All your uncommitted work will be removed from your files. A backup is kept under "Recently discarded" so you can bring it back.
                     </div>
                     
                     <div class="modal-file-list" id="discardFilesList">
@@ -1522,6 +3259,10 @@ function getCommitHistoryTemplate(commits) {
 module.exports = {
   getLoadingTemplate,
   getSidebarTemplate,
+  getSidebarSections,
   getCommitDetailsTemplate,
+  getComparisonTemplate,
+  getBackupsTemplate,
   getCommitHistoryTemplate,
+  escapeHtml,
 };
@@ -146,12 +146,13 @@ class VSCodeMock {
       // If vscode module doesn't exist, create a mock
       const Module = require("module");
       const originalRequire = Module.prototype.require;
+      const mock = this.mock;
       Module.prototype.require = function (...args) {
         if (args[0] === "vscode") {
-          return this.mock;
+          return mock;
         }
         return originalRequire.apply(this, args);
-      }.bind(this);
+      };
     }
     return this;
   }
@@ -0,0 +1,168 @@
+/**
+ * Unit tests for refreshing the sidebar after changes made outside TimeLad
+ * Runs the sidebar provider against a throwaway repository on disk with a fake webview
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const VSCodeMock = require('./vscode-mock');
+const { git, createTestRepository } = require('./testUtils');
+
+new VSCodeMock().apply();
+
+const vscode = require('vscode');
+
+const { GitService } = require('../../out/services/GitService');
+const { FileOperationsService } = require('../../out/services/FileOperationsService');
+const { GitHistoryWebviewProvider } = require('../../out/providers/GitHistoryWebviewProvider');
+const { RepositoryWatcher } = require('../../out/services/RepositoryWatcher');
+const constants = require('../../out/constants');
+
+function commitFile(repoPath, fileName, content, message) {
+  fs.writeFileSync(path.join(repoPath, fileName), content);
+  git(repoPath, 'add -A');
+  git(repoPath, `commit -q -m "${message}"`);
+}
+
+function createContext() {
+  const state = new Map();
+  return {
+    workspaceState: {
+      get: key => state.get(key),
+      update: async (key, value) => state.set(key, value),
+    },
+  };
+}
+
+/** Handler the provider registered on the last watcher created for a glob pattern */
+function watcherHandler(pattern, event) {
+  const call = vscode.workspace.createFileSystemWatcher.getCalls().filter(c => c.args[0] === pattern).pop();
+  return call.returnValue[event].lastCall.args[0];
+}
+
+function waitForAutoRefresh() {
+  return new Promise(resolve => setTimeout(resolve, constants.AUTO_REFRESH_DELAY + 700));
+}
+
+describe('GitHistoryWebviewProvider auto-refresh', () => {
+  let repoPath;
+  let gitService;
+  let provider;
+  let view;
+  let messages;
+
+  beforeEach(() => {
+    repoPath = createTestRepository('timelad-auto-refresh-');
+    commitFile(repoPath, 'a.txt', 'a1\n', 'first');
+
+    gitService = new GitService({}, new FileOperationsService());
+    gitService.setSelectedRepository(repoPath);
+    gitService.findRepositories = async () => [{ path: repoPath, name: path.basename(repoPath), isValid: true }];
+
+    messages = [];
+    view = { visible: true, webview: { html: '', postMessage: async message => messages.push(message) } };
+    provider = new GitHistoryWebviewProvider(createContext(), gitService);
+    provider.view = view;
+  });
+
+  afterEach(() => {
+    provider.dispose();
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  it('should reload the version list when a commit is made outside TimeLad', async () => {
+    commitFile(repoPath, 'a.txt', 'a2\n', 'made in the terminal');
+
+    watcherHandler('**/.git/**', 'onDidChange')(vscode.Uri.file(path.join(repoPath, '.git', 'index')));
+    watcherHandler('**/.git/**', 'onDidChange')(vscode.Uri.file(path.join(repoPath, '.git', 'refs', 'heads', 'main')));
+    await waitForAutoRefresh();
+
+    assert.strictEqual(messages.length, 1);
+    const { command, sections } = messages[0];
+    assert.strictEqual(command, 'updateSections');
+    assert.ok(sections.historyRegion.includes('made in the terminal'));
+    assert.ok(sections.commitCount.includes('of 2 versions'));
+    assert.strictEqual(view.webview.html, '');
+  });
+
+  it('should reload only the uncommitted section when files are edited', async () => {
+    fs.writeFileSync(path.join(repoPath, 'a.txt'), 'edited\n');
+
+    const onChange = watcherHandler('**/*', 'onDidChange');
+    onChange(vscode.Uri.file(path.join(repoPath, 'a.txt')));
+    onChange(vscode.Uri.file(path.join(repoPath, 'a.txt')));
+    await waitForAutoRefresh();
+
+    assert.strictEqual(messages.length, 1);
+    assert.deepStrictEqual(Object.keys(messages[0].sections), ['uncommittedRegion']);
+    assert.ok(messages[0].sections.uncommittedRegion.includes('a.txt'));
+  });
+
+  it('should not refresh for files git ignores', async () => {
+    commitFile(repoPath, '.gitignore', 'node_modules/\n', 'ignore dependencies');
+    fs.mkdirSync(path.join(repoPath, 'node_modules', 'lib'), { recursive: true });
+    fs.writeFileSync(path.join(repoPath, 'node_modules', 'lib', 'index.js'), 'built\n');
+
+    watcherHandler('**/*', 'onDidCreate')(vscode.Uri.file(path.join(repoPath, 'node_modules', 'lib', 'index.js')));
+    await waitForAutoRefresh();
+
+    assert.deepStrictEqual(messages, []);
+  });
+
+  it('should ignore changes in other repositories, inside .git objects and while hidden', async () => {
+    watcherHandler('**/*', 'onDidChange')(vscode.Uri.file(path.join(os.tmpdir(), 'elsewhere', 'b.txt')));
+    watcherHandler('**/.git/**', 'onDidCreate')(vscode.Uri.file(path.join(repoPath, '.git', 'objects', 'ab', 'cdef')));
+    view.visible = false;
+    watcherHandler('**/*', 'onDidChange')(vscode.Uri.file(path.join(repoPath, 'a.txt')));
+    await waitForAutoRefresh();
+
+    assert.deepStrictEqual(messages, []);
+  });
+});
+
+describe('RepositoryWatcher with the Git extension', () => {
+  let watcher;
+  let repository;
+  let queued;
+
+  beforeEach(() => {
+    const listeners = [];
+    repository = {
+      rootUri: vscode.Uri.file(path.join(path.sep, 'work', 'project')),
+      state: {
+        HEAD: { name: 'main', commit: 'a'.repeat(40) },
+        onDidChange: listener => {
+          listeners.push(listener);
+          return { dispose() {} };
+        },
+      },
+      fire: () => listeners.forEach(listener => listener()),
+    };
+    const api = { repositories: [repository], onDidOpenRepository: () => ({ dispose() {} }) };
+    const gitService = new GitService({}, new FileOperationsService());
+    gitService.getGitExtension = () => ({ getAPI: () => api });
+
+    watcher = new RepositoryWatcher(gitService);
+    queued = [];
+    watcher.queue = (scope, fsPath) => queued.push([scope, fsPath]);
+  });
+
+  afterEach(() => {
+    watcher.dispose();
+  });
+
+  it('should tell commits and branch switches from edits by where HEAD points', () => {
+    const root = repository.rootUri.fsPath;
+
+    repository.fire();
+    repository.state.HEAD = { name: 'main', commit: 'b'.repeat(40) };
+    repository.fire();
+    repository.state.HEAD = { name: 'feature', commit: 'b'.repeat(40) };
+    repository.fire();
+
+    assert.deepStrictEqual(queued, [['changes', root], ['history', root], ['history', root]]);
+  });
+});
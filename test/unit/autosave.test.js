@@ -0,0 +1,115 @@
+/**
+ * Unit tests for automatic checkpoints kept on hidden refs
+ * Runs GitService against a throwaway repository on disk
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const VSCodeMock = require('./vscode-mock');
+const { git, createTestRepository } = require('./testUtils');
+
+new VSCodeMock().apply();
+
+const { GitService } = require('../../out/services/GitService');
+const { FileOperationsService } = require('../../out/services/FileOperationsService');
+
+function readFile(repoPath, fileName) {
+  return fs.readFileSync(path.join(repoPath, fileName), 'utf8');
+}
+
+describe('GitService autosaves', () => {
+  let repoPath;
+  let gitService;
+
+  beforeEach(() => {
+    repoPath = createTestRepository('timelad-autosave-');
+
+    fs.writeFileSync(path.join(repoPath, 'a.txt'), 'a1\n');
+    git(repoPath, 'add .');
+    git(repoPath, 'commit -q -m "first"');
+
+    const notificationService = {
+      showUncommittedChangesWarning: async () => true,
+    };
+    gitService = new GitService(notificationService, new FileOperationsService());
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  it('should capture the working tree without touching the branch or the index', async () => {
+    const head = git(repoPath, 'rev-parse HEAD');
+    fs.writeFileSync(path.join(repoPath, 'a.txt'), 'staged\n');
+    git(repoPath, 'add a.txt');
+    fs.writeFileSync(path.join(repoPath, 'a.txt'), 'work in progress\n');
+    fs.writeFileSync(path.join(repoPath, 'new.txt'), 'brand new\n');
+    const statusBefore = git(repoPath, 'status --porcelain');
+
+    const autosave = await gitService.createAutosave(repoPath, 'Autosave on save');
+
+    assert.ok(autosave.ref.startsWith('refs/timelad/autosaves/'));
+    assert.strictEqual(git(repoPath, 'rev-parse HEAD'), head);
+    assert.strictEqual(git(repoPath, 'status --porcelain'), statusBefore);
+    assert.strictEqual(git(repoPath, 'show :a.txt'), 'staged');
+    assert.strictEqual(git(repoPath, `show ${autosave.hash}:a.txt`), 'work in progress');
+    assert.strictEqual(git(repoPath, `show ${autosave.hash}:new.txt`), 'brand new');
+  });
+
+  it('should skip autosaves when nothing changed since the last version or autosave', async () => {
+    assert.strictEqual(await gitService.createAutosave(repoPath, 'Autosave on save'), null);
+
+    fs.writeFileSync(path.join(repoPath, 'a.txt'), 'a2\n');
+    assert.ok(await gitService.createAutosave(repoPath, 'Autosave on save'));
+    assert.strictEqual(await gitService.createAutosave(repoPath, 'Autosave on save'), null);
+
+    assert.strictEqual((await gitService.getAutosaves(repoPath)).length, 1);
+  });
+
+  it('should list autosaves newest first with the version they were based on', async () => {
+    fs.writeFileSync(path.join(repoPath, 'a.txt'), 'a2\n');
+    await gitService.createAutosave(repoPath, 'Autosave on save');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    fs.writeFileSync(path.join(repoPath, 'a.txt'), 'a3\n');
+    await gitService.createAutosave(repoPath, 'Autosave every 5 minutes');
+
+    const autosaves = await gitService.getAutosaves(repoPath);
+
+    assert.deepStrictEqual(autosaves.map(a => a.subject), ['Autosave every 5 minutes', 'Autosave on save']);
+    assert.deepStrictEqual(autosaves.map(a => a.baseVersion), [1, 1]);
+    assert.deepStrictEqual(autosaves.map(a => a.version), [0, 0]);
+  });
+
+  it('should drop autosaves beyond the maximum and past the retention period', async () => {
+    for (const content of ['a2\n', 'a3\n', 'a4\n']) {
+      fs.writeFileSync(path.join(repoPath, 'a.txt'), content);
+      await gitService.createAutosave(repoPath, 'Autosave on save');
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    await gitService.pruneAutosaves(repoPath, 7, 2);
+    const kept = await gitService.getAutosaves(repoPath);
+    assert.strictEqual(kept.length, 2);
+    assert.strictEqual(git(repoPath, `show ${kept[0].hash}:a.txt`), 'a4');
+
+    await gitService.pruneAutosaves(repoPath, -1, 50);
+    assert.deepStrictEqual(await gitService.getAutosaves(repoPath), []);
+  });
+
+  it('should restore an autosave as a new version with the existing restore flow', async () => {
+    fs.writeFileSync(path.join(repoPath, 'a.txt'), 'autosaved\n');
+    const autosave = await gitService.createAutosave(repoPath, 'Autosave on save');
+    git(repoPath, 'checkout -q -- a.txt');
+
+    const [listed] = await gitService.getAutosaves(repoPath);
+    const result = await gitService.restoreVersion(listed, repoPath, true);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(readFile(repoPath, 'a.txt'), 'autosaved\n');
+    assert.strictEqual(git(repoPath, 'rev-list --count HEAD'), '2');
+    assert.ok(git(repoPath, 'log -1 --pretty=%s').startsWith('Restored the autosave from '));
+    assert.strictEqual(listed.hash, autosave.hash);
+  });
+});
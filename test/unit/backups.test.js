@@ -0,0 +1,136 @@
+/**
+ * Unit tests for the backup branches made before restores and discards, and the Backups panel
+ * Runs GitService against a throwaway repository on disk
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const VSCodeMock = require('./vscode-mock');
+const { git, createTestRepository } = require('./testUtils');
+
+new VSCodeMock().apply();
+
+const { GitService } = require('../../out/services/GitService');
+const { FileOperationsService } = require('../../out/services/FileOperationsService');
+const { getBackupsTemplate } = require('../../out/views/templates/webviewTemplates');
+
+describe('GitService backups', () => {
+  let repoPath;
+  let gitService;
+
+  beforeEach(() => {
+    repoPath = createTestRepository('timelad-backups-');
+    fs.writeFileSync(path.join(repoPath, 'app.js'), 'v1\n');
+    git(repoPath, 'add .');
+    git(repoPath, 'commit -q -m "first"');
+
+    gitService = new GitService({ showUncommittedChangesWarning: async () => true }, new FileOperationsService());
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  it('should back up uncommitted and untracked files before discarding them', async () => {
+    fs.writeFileSync(path.join(repoPath, 'app.js'), 'unsaved\n');
+    fs.writeFileSync(path.join(repoPath, 'notes.txt'), 'new\n');
+
+    await gitService.discardChanges(repoPath);
+
+    const [backup, ...rest] = await gitService.getBackups(repoPath);
+    assert.strictEqual(rest.length, 0);
+    assert.match(backup.branch, /^timelad\/backup\/pre-discard-\d{4}-/);
+    assert.strictEqual(backup.operation, 'discard');
+    assert.strictEqual(backup.description, 'Before discarding changes');
+    assert.strictEqual(git(repoPath, `show ${backup.branch}:app.js`), 'unsaved');
+    assert.strictEqual(git(repoPath, `show ${backup.branch}:notes.txt`), 'new');
+    assert.strictEqual(git(repoPath, 'status --porcelain'), '');
+
+    const changes = (await gitService.getBackupChanges([backup.branch], repoPath)).get(backup.branch);
+    assert.deepStrictEqual(changes.files.map(file => [file.fileName, file.status]), [['app.js', 'M'], ['notes.txt', 'D']]);
+  });
+
+  it('should bring a backup back as unsaved changes, backing up the files first', async () => {
+    fs.writeFileSync(path.join(repoPath, 'app.js'), 'unsaved\n');
+    await gitService.discardChanges(repoPath);
+    const [discarded] = await gitService.getBackups(repoPath);
+    fs.writeFileSync(path.join(repoPath, 'later.js'), 'later\n');
+
+    const result = await gitService.restoreBackup(discarded.branch, repoPath);
+
+    assert.deepStrictEqual(result, { success: true, paths: ['app.js', 'later.js'] });
+    assert.strictEqual(fs.readFileSync(path.join(repoPath, 'app.js'), 'utf8'), 'unsaved\n');
+    assert.strictEqual(fs.existsSync(path.join(repoPath, 'later.js')), false);
+    assert.strictEqual(git(repoPath, 'diff --cached --name-only'), '');
+
+    const [undo] = await gitService.getBackups(repoPath);
+    assert.strictEqual(undo.operation, 'restore-backup');
+    assert.strictEqual(undo.description, `Before restoring ${discarded.branch}`);
+    assert.strictEqual(git(repoPath, `show ${undo.branch}:later.js`), 'later');
+  });
+
+  it('should back up and restore in a linked worktree', async () => {
+    const worktreePath = `${repoPath}-worktree`;
+    git(repoPath, `worktree add -q -b side "${worktreePath}"`);
+    try {
+      fs.writeFileSync(path.join(worktreePath, 'app.js'), 'unsaved\n');
+      await gitService.discardChanges(worktreePath);
+      const [backup] = await gitService.getBackups(worktreePath);
+      assert.strictEqual(git(worktreePath, `show ${backup.branch}:app.js`), 'unsaved');
+
+      await gitService.restoreBackup(backup.branch, worktreePath);
+      assert.strictEqual(fs.readFileSync(path.join(worktreePath, 'app.js'), 'utf8'), 'unsaved\n');
+    } finally {
+      fs.rmSync(worktreePath, { recursive: true, force: true });
+    }
+  });
+
+  it('should keep only the newest backups and delete nothing but backups', async () => {
+    for (const operation of ['restore', 'restore-files', 'discard']) {
+      await gitService.createBackupBranch(repoPath, operation, `Before ${operation}`);
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    await gitService.cleanupOldBackups(repoPath, 30, 2);
+    const backups = await gitService.getBackups(repoPath);
+    assert.deepStrictEqual(backups.map(backup => backup.operation), ['discard', 'restore-files']);
+
+    await gitService.deleteBackup(backups[0].branch, repoPath);
+    assert.deepStrictEqual((await gitService.getBackups(repoPath)).map(backup => backup.operation), ['restore-files']);
+
+    const currentBranch = git(repoPath, 'branch --show-current');
+    await assert.rejects(gitService.deleteBackup(currentBranch, repoPath), /Not a TimeLad backup/);
+    await assert.rejects(gitService.deleteBackup('timelad/backup/../../main', repoPath), /Not a TimeLad backup/);
+    assert.strictEqual(git(repoPath, 'branch --show-current'), currentBranch);
+  });
+
+  it('should list backups with what changed since each of them', () => {
+    const html = getBackupsTemplate([
+      {
+        branch: 'timelad/backup/pre-discard-2026-10-19T08-30-00-000Z',
+        hash: 'abc1234',
+        date: '2026-10-19T08:30:00.000Z',
+        operation: 'discard',
+        description: 'Before discarding changes',
+        changes: { files: [{ fileName: 'app.js', status: 'M', insertions: 1, deletions: 1 }] },
+      },
+      {
+        branch: 'timelad/backup/pre-restore-2026-10-18T08-30-00-000Z',
+        hash: 'def5678',
+        date: '2026-10-18T08:30:00.000Z',
+        operation: 'restore',
+        description: 'Before restoring version 3',
+        changes: { files: [] },
+      },
+    ], { maxBackups: 20, days: 30 });
+
+    assert.ok(html.includes('The newest 20 are kept for 30 days.'));
+    assert.ok(html.includes('data-backup-hash="abc1234" data-backup-file="app.js"'));
+    assert.ok(html.includes('data-restore-backup="timelad/backup/pre-discard-2026-10-19T08-30-00-000Z"'));
+    assert.ok(html.includes('data-restore-backup="timelad/backup/pre-restore-2026-10-18T08-30-00-000Z" disabled'));
+    assert.ok(html.includes('Your files are the same as in this backup.'));
+    assert.ok(getBackupsTemplate([], { maxBackups: 20, days: 30 }).includes('No backups yet.'));
+  });
+});
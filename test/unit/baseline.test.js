@@ -0,0 +1,76 @@
+/**
+ * Unit tests for the editor gutter comparing with a pinned baseline version
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { describe, it, beforeEach } = require('mocha');
+const VSCodeMock = require('./vscode-mock');
+
+new VSCodeMock().apply();
+
+const vscode = require('vscode');
+
+const { BaselineQuickDiffProvider } = require('../../out/providers/BaselineQuickDiffProvider');
+
+function createContext() {
+  const state = new Map();
+  return {
+    workspaceState: {
+      get: key => state.get(key),
+      update: async (key, value) => {
+        if (value === undefined) {
+          state.delete(key);
+        } else {
+          state.set(key, value);
+        }
+      },
+    },
+  };
+}
+
+describe('BaselineQuickDiffProvider', () => {
+  const repoPath = path.join(path.sep, 'work', 'project');
+  const baseline = { repoPath, hash: 'a'.repeat(40), version: 3 };
+  let context;
+  let provider;
+
+  beforeEach(() => {
+    context = createContext();
+    provider = new BaselineQuickDiffProvider(context);
+  });
+
+  it('should compare nothing until a baseline is set', () => {
+    const uri = vscode.Uri.file(path.join(repoPath, 'src', 'app.js'));
+
+    assert.strictEqual(provider.getBaseline(), null);
+    assert.strictEqual(provider.provideOriginalResource(uri), undefined);
+  });
+
+  it('should compare files in the baseline repository with the baseline version', async () => {
+    await provider.setBaseline(baseline);
+
+    const original = provider.provideOriginalResource(vscode.Uri.file(path.join(repoPath, 'src', 'app.js')));
+
+    assert.strictEqual(original.scheme, 'timelad');
+    assert.deepStrictEqual(JSON.parse(original.query), { repoPath, fileName: 'src/app.js', ref: baseline.hash });
+  });
+
+  it('should leave files outside the repository and inside .git alone', async () => {
+    await provider.setBaseline(baseline);
+
+    assert.strictEqual(provider.provideOriginalResource(vscode.Uri.file(path.join(path.sep, 'work', 'other.js'))), undefined);
+    assert.strictEqual(provider.provideOriginalResource(vscode.Uri.file(path.join(repoPath, '.git', 'config'))), undefined);
+  });
+
+  it('should keep the baseline for the workspace until it is cleared', async () => {
+    await provider.setBaseline(baseline);
+
+    const reloaded = new BaselineQuickDiffProvider(context);
+    assert.deepStrictEqual(reloaded.getBaseline(), baseline);
+
+    await reloaded.clearBaseline();
+    assert.strictEqual(reloaded.getBaseline(), null);
+    assert.strictEqual(reloaded.provideOriginalResource(vscode.Uri.file(path.join(repoPath, 'a.js'))), undefined);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Unit tests for line blame mapped to TimeLad version numbers
+ * Runs GitService against a throwaway repository on disk
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const VSCodeMock = require('./vscode-mock');
+const { git, createTestRepository } = require('./testUtils');
+
+new VSCodeMock().apply();
+
+const { GitService } = require('../../out/services/GitService');
+const { FileOperationsService } = require('../../out/services/FileOperationsService');
+
+describe('GitService blame', () => {
+  let repoPath;
+  let gitService;
+  let firstCommit;
+  let secondCommit;
+
+  beforeEach(() => {
+    repoPath = createTestRepository('timelad-blame-');
+
+    fs.writeFileSync(path.join(repoPath, 'tab\there.txt'), 'one\ntwo\nthree\n');
+    git(repoPath, 'add .');
+    git(repoPath, 'commit -q -m "first"');
+    firstCommit = git(repoPath, 'rev-parse HEAD');
+
+    fs.writeFileSync(path.join(repoPath, 'tab\there.txt'), 'one\nTWO\nthree\n');
+    git(repoPath, '-c user.name="Ada" -c user.email=ada@example.com commit -q -a -m "shout the second line"');
+    secondCommit = git(repoPath, 'rev-parse HEAD');
+
+    gitService = new GitService({}, new FileOperationsService());
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  it('should report the version, author and previous version for every line', async () => {
+    const lines = await gitService.getBlame('tab\there.txt', repoPath);
+
+    assert.deepStrictEqual(lines.map(l => l.line), [1, 2, 3]);
+    assert.deepStrictEqual(lines.map(l => l.version), [1, 2, 1]);
+    assert.strictEqual(lines[0].hash, firstCommit);
+    assert.strictEqual(lines[1].hash, secondCommit);
+    assert.strictEqual(lines[1].author, 'Ada');
+    assert.strictEqual(lines[1].authorEmail, 'ada@example.com');
+    assert.strictEqual(lines[1].summary, 'shout the second line');
+    assert.ok(lines[1].authorTime > 0);
+    assert.strictEqual(lines[1].previousHash, firstCommit);
+    assert.strictEqual(lines[1].previousFileName, 'tab\there.txt');
+    assert.strictEqual(lines[0].fileName, 'tab\there.txt');
+    assert.strictEqual(lines[0].previousHash, null);
+  });
+
+  it('should blame unsaved editor contents and mark new lines as not saved', async () => {
+    const lines = await gitService.getBlame('tab\there.txt', repoPath, 'zero\none\nTWO\nthree\n');
+
+    assert.deepStrictEqual(lines.map(l => l.version), [null, 1, 2, 1]);
+  });
+});
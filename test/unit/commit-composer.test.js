@@ -0,0 +1,105 @@
+/**
+ * Unit tests for writing the commit message before saving
+ * Runs GitService against a throwaway repository on disk and renders the composer
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const VSCodeMock = require('./vscode-mock');
+const { git, createTestRepository } = require('./testUtils');
+
+new VSCodeMock().apply();
+
+const { GitService } = require('../../out/services/GitService');
+const { FileOperationsService } = require('../../out/services/FileOperationsService');
+const { getSidebarSections } = require('../../out/views/templates/webviewTemplates');
+const { GitHistoryWebviewProvider } = require('../../out/providers/GitHistoryWebviewProvider');
+
+describe('Commit message composer', () => {
+  let repoPath;
+  let gitService;
+
+  beforeEach(() => {
+    repoPath = createTestRepository('timelad-composer-');
+
+    fs.writeFileSync(path.join(repoPath, 'app.js'), 'app\n');
+    fs.writeFileSync(path.join(repoPath, 'README.md'), 'readme\n');
+    git(repoPath, 'add .');
+    git(repoPath, 'commit -q -m "first"');
+
+    gitService = new GitService({}, new FileOperationsService());
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  it('should save with the message written in the composer, body included', async () => {
+    fs.writeFileSync(path.join(repoPath, 'app.js'), 'changed\n');
+
+    const message = await gitService.saveChanges(repoPath, null, 'fix(app): handle empty input\n\nThe form crashed when nothing was typed.\n');
+
+    assert.strictEqual(message, 'fix(app): handle empty input\n\nThe form crashed when nothing was typed.');
+    assert.strictEqual(git(repoPath, 'log -1 --pretty=%s'), 'fix(app): handle empty input');
+    assert.strictEqual(git(repoPath, 'log -1 --pretty=%b'), 'The form crashed when nothing was typed.');
+  });
+
+  it('should use the written message when saving only some files', async () => {
+    fs.writeFileSync(path.join(repoPath, 'app.js'), 'changed\n');
+    fs.writeFileSync(path.join(repoPath, 'README.md'), 'not saved\n');
+
+    await gitService.saveChanges(repoPath, ['app.js'], 'feat: new app');
+
+    assert.strictEqual(git(repoPath, 'log -1 --pretty=%s'), 'feat: new app');
+    assert.strictEqual(git(repoPath, 'status --porcelain'), 'M README.md');
+  });
+
+  it('should fall back to a generated message when the composer is left empty', async () => {
+    fs.writeFileSync(path.join(repoPath, 'app.js'), 'changed\n');
+
+    const message = await gitService.saveChanges(repoPath, null, '   ');
+
+    assert.strictEqual(message, 'feat: update app.js');
+  });
+
+  it('should suggest the message Save would generate, for all or only the ticked files', async () => {
+    assert.strictEqual(await gitService.suggestCommitMessage(repoPath), '');
+
+    fs.writeFileSync(path.join(repoPath, 'app.js'), 'changed\n');
+    fs.writeFileSync(path.join(repoPath, 'README.md'), 'changed\n');
+
+    assert.strictEqual(await gitService.suggestCommitMessage(repoPath, ['README.md']), 'docs: update README.md');
+    assert.strictEqual(await gitService.suggestCommitMessage(repoPath, ['missing.js']), '');
+    assert.ok(await gitService.suggestCommitMessage(repoPath));
+  });
+
+  it('should render the suggested message, type chips and recent messages', () => {
+    const uncommittedChanges = {
+      hasChanges: true,
+      files: [{ fileName: 'app.js', status: ' M', type: 'modified' }],
+    };
+    const { uncommittedRegion } = getSidebarSections([], uncommittedChanges, null, null, [], null, null, [], {
+      suggestedMessage: 'feat: update app.js\n\nMore details',
+      recentMessages: ['fix: <script> tag', 'docs: readme'],
+      head: 'abc123',
+    });
+
+    assert.ok(uncommittedRegion.includes('id="commitSubject" class="commit-subject" value="feat: update app.js"'));
+    assert.ok(uncommittedRegion.includes('>More details</textarea>'));
+    assert.ok(uncommittedRegion.includes('data-head="abc123"'));
+    for (const type of ['feat', 'fix', 'docs', 'style', 'refactor', 'chore']) {
+      assert.ok(uncommittedRegion.includes(`data-type="${type}"`), type);
+    }
+    assert.ok(uncommittedRegion.includes('<option value="fix: &lt;script&gt; tag">fix: &lt;script&gt; tag</option>'));
+    assert.ok(!uncommittedRegion.includes('<script>'));
+  });
+
+  it('should show the saved message as text', () => {
+    const html = GitHistoryWebviewProvider.prototype.getSuccessTemplate('Changes saved!', '"fix <Button> rendering"');
+
+    assert.ok(html.includes('<div class="subtitle">&quot;fix &lt;Button&gt; rendering&quot;</div>'));
+    assert.ok(!html.includes('<Button>'));
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Unit tests for checking commit messages against commit message rules before saving
+ * Runs CommitLintService on messages and commitlint configurations, and GitService on a throwaway repository
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const VSCodeMock = require('./vscode-mock');
+const { git, createTestRepository } = require('./testUtils');
+
+new VSCodeMock().apply();
+
+const { CommitLintService, DEFAULT_COMMIT_LINT_RULES } = require('../../out/services/CommitLintService');
+const { GitService } = require('../../out/services/GitService');
+const { FileOperationsService } = require('../../out/services/FileOperationsService');
+
+const CONVENTIONAL = {
+  ...DEFAULT_COMMIT_LINT_RULES,
+  types: { severity: 'error', value: ['chore', 'docs', 'feat', 'fix'] },
+  typeRequired: { severity: 'error', value: true },
+  headerMaxLength: { severity: 'error', value: 30 },
+  bodyMaxLineLength: { severity: 'warning', value: 20 },
+};
+
+describe('CommitLintService', () => {
+  const lint = new CommitLintService();
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'timelad-commitlint-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should find unknown and missing types, with the type that was meant as a fix', () => {
+    const [unknown] = lint.lint('feature(api): add paging', CONVENTIONAL);
+    assert.strictEqual(unknown.rule, 'type-enum');
+    assert.deepStrictEqual(unknown.fix, { label: 'Use "feat"', message: 'feat(api): add paging' });
+
+    assert.deepStrictEqual(lint.lint('config: update eslint', CONVENTIONAL)[0].fix.message, 'chore: update eslint');
+    assert.strictEqual(lint.lint('banana: update eslint', CONVENTIONAL)[0].fix, null);
+
+    const [missing] = lint.lint('Add paging', CONVENTIONAL);
+    assert.strictEqual(missing.rule, 'type-empty');
+    assert.strictEqual(missing.fix.message, 'chore: Add paging');
+
+    assert.deepStrictEqual(lint.lint('fix: handle empty carts', CONVENTIONAL), []);
+  });
+
+  it('should shorten long summaries and rewrap long lines of the details', () => {
+    const [dropScope] = lint.lint('feat(checkout): add refund button', CONVENTIONAL);
+    assert.strictEqual(dropScope.message, 'The summary is 33 characters long; keep it within 30');
+    assert.deepStrictEqual(dropScope.fix, { label: 'Drop the scope', message: 'feat: add refund button' });
+
+    const [moveRest] = lint.lint('feat: add refund button to the checkout page\n\nAsked for', CONVENTIONAL);
+    assert.strictEqual(moveRest.fix.message, 'feat: add refund button to the\n\ncheckout page\n\nAsked for');
+
+    const [wrap] = lint.lint('fix: handle carts\n\n- Skip empty carts when totalling', CONVENTIONAL);
+    assert.strictEqual(wrap.severity, 'warning');
+    assert.strictEqual(wrap.fix.message, 'fix: handle carts\n\n- Skip empty carts\n  when totalling');
+  });
+
+  it('should require a ticket and leave out forbidden words', () => {
+    const rules = {
+      ...DEFAULT_COMMIT_LINT_RULES,
+      ticketRequired: { severity: 'error', value: true },
+      forbiddenWords: { severity: 'warning', value: ['WIP', 'fixup!'] },
+    };
+
+    const violations = lint.lint('WIP: add refunds', rules, 'PAY-7');
+    assert.deepStrictEqual(violations.map(violation => violation.rule), ['references-empty', 'forbidden-words']);
+    assert.strictEqual(violations[0].fix.message, 'WIP: add refunds\n\nRefs: PAY-7');
+    assert.strictEqual(violations[1].fix.message, 'add refunds');
+
+    assert.strictEqual(lint.applyFixes('fixup! add wip refunds', rules, 'PAY-7'), 'add refunds\n\nRefs: PAY-7');
+    assert.deepStrictEqual(lint.lint('Fix totals (#42)', rules), []);
+    assert.strictEqual(lint.lint('add refunds', rules)[0].fix, null);
+  });
+
+  it('should find the ticket a branch is for', () => {
+    assert.strictEqual(lint.ticketFromBranch('feature/pay-123-refunds', DEFAULT_COMMIT_LINT_RULES.ticketPattern), 'PAY-123');
+    assert.strictEqual(lint.ticketFromBranch('fix/42-login', DEFAULT_COMMIT_LINT_RULES.ticketPattern), '#42');
+    assert.strictEqual(lint.ticketFromBranch('fix/42-login', '[A-Z]+-\\d+'), null);
+    assert.strictEqual(lint.ticketFromBranch('main', DEFAULT_COMMIT_LINT_RULES.ticketPattern), null);
+  });
+
+  it('should read commitlint rules from JSON, YAML and JavaScript configurations without running them', async () => {
+    assert.strictEqual(await lint.readConfig(root), null);
+
+    fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify({ commitlint: { rules: { 'header-max-length': [1, 'always', 50] } } }));
+    assert.deepStrictEqual(await lint.readConfig(root), {
+      source: 'package.json',
+      rules: { headerMaxLength: { severity: 'warning', value: 50 } },
+    });
+
+    fs.writeFileSync(path.join(root, '.commitlintrc.yml'), [
+      'extends:',
+      '  - "@commitlint/config-conventional"',
+      'rules:',
+      '  type-enum: [2, always, [feat, fix]]',
+      '  body-max-line-length: [0]',
+    ].join('\n'));
+    fs.rmSync(path.join(root, 'package.json'));
+    const yaml = await lint.readConfig(root);
+    assert.strictEqual(yaml.source, '.commitlintrc.yml');
+    assert.deepStrictEqual(yaml.rules.types, { severity: 'error', value: ['feat', 'fix'] });
+    assert.deepStrictEqual(yaml.rules.typeRequired, { severity: 'error', value: true });
+    assert.strictEqual(yaml.rules.bodyMaxLineLength, null);
+
+    fs.rmSync(path.join(root, '.commitlintrc.yml'));
+    fs.writeFileSync(path.join(root, 'commitlint.config.ts'), [
+      "import { RuleConfigSeverity, type UserConfig } from '@commitlint/types';",
+      'const config: UserConfig = {',
+      "  rules: {",
+      "    'references-empty': [RuleConfigSeverity.Error, 'never'],",
+      "    'header-max-length': [RuleConfigSeverity.Warning, 'always', 60],",
+      '  },',
+      '};',
+      'export default config;',
+    ].join('\n'));
+    assert.deepStrictEqual(await lint.readConfig(root), {
+      source: 'commitlint.config.ts',
+      rules: {
+        ticketRequired: { severity: 'error', value: true },
+        headerMaxLength: { severity: 'warning', value: 60 },
+      },
+    });
+  });
+});
+
+describe('GitService commit message rules', () => {
+  let repoPath;
+  let gitService;
+
+  beforeEach(() => {
+    repoPath = createTestRepository('timelad-commitlint-repo-');
+    fs.writeFileSync(path.join(repoPath, '.commitlintrc.json'), JSON.stringify({ extends: ['@commitlint/config-conventional'] }));
+    git(repoPath, 'add .');
+    git(repoPath, 'commit -q -m "chore: add commitlint"');
+    gitService = new GitService({}, new FileOperationsService());
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  it('should check messages against the repository configuration and the settings', async () => {
+    const result = await gitService.lintCommitMessage('update: WIP on the parser', repoPath);
+
+    assert.strictEqual(result.mode, 'warn');
+    assert.strictEqual(result.blocked, false);
+    assert.strictEqual(result.source, '.commitlintrc.json');
+    assert.deepStrictEqual(result.violations.map(violation => violation.rule), ['type-enum', 'forbidden-words']);
+  });
+
+  it('should fix generated messages, save typed ones with a warning, and refuse them in block mode', async () => {
+    fs.writeFileSync(path.join(repoPath, '.eslintrc.json'), '{}\n');
+    assert.strictEqual(await gitService.saveChanges(repoPath), 'chore: update .eslintrc.json');
+
+    fs.appendFileSync(path.join(repoPath, '.eslintrc.json'), '\n');
+    assert.strictEqual(await gitService.saveChanges(repoPath, null, 'Tidy eslint'), 'Tidy eslint');
+
+    const getRules = gitService.getCommitLintRules.bind(gitService);
+    gitService.getCommitLintRules = async (repo) => ({ ...(await getRules(repo)), mode: 'block' });
+    fs.appendFileSync(path.join(repoPath, '.eslintrc.json'), '\n');
+    await assert.rejects(gitService.saveChanges(repoPath, null, 'Tidy eslint again'), /Not saved.*Start the summary with a type/);
+    assert.strictEqual(git(repoPath, 'log -1 --format=%s'), 'Tidy eslint');
+    assert.strictEqual((await gitService.lintCommitMessage('Tidy', repoPath)).blocked, true);
+  });
+
+  it('should leave the index alone when a message is refused', async () => {
+    gitService.getCommitLintRules = async () => ({ mode: 'block', rules: DEFAULT_COMMIT_LINT_RULES });
+    fs.writeFileSync(path.join(repoPath, '.commitlintrc.json'), '{}\n');
+    fs.writeFileSync(path.join(repoPath, 'new.txt'), 'new\n');
+
+    await assert.rejects(gitService.saveChanges(repoPath, null, 'WIP on the parser'), /Not saved/);
+    await assert.rejects(gitService.saveChanges(repoPath, ['new.txt'], 'WIP on the parser'), /Not saved/);
+
+    assert.deepStrictEqual(git(repoPath, 'status --porcelain').split('\n'), [
+      'M .commitlintrc.json',
+      '?? new.txt',
+    ]);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Unit tests for reading commit history into the full GitCommit model
+ * Runs GitService against a throwaway repository on disk
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const VSCodeMock = require('./vscode-mock');
+const { git, createTestRepository } = require('./testUtils');
+
+new VSCodeMock().apply();
+
+const { GitService } = require('../../out/services/GitService');
+const { FileOperationsService } = require('../../out/services/FileOperationsService');
+
+describe('GitService commit log', () => {
+  let repoPath;
+  let gitService;
+
+  beforeEach(() => {
+    repoPath = createTestRepository('timelad-log-', '-b main');
+
+    fs.writeFileSync(path.join(repoPath, 'a.txt'), 'a1\n');
+    git(repoPath, 'add .');
+    git(repoPath, 'commit -q -m "first"');
+
+    gitService = new GitService({}, new FileOperationsService());
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  it('should keep subjects with pipes and fill body, trailers, refs and committer data', async () => {
+    fs.writeFileSync(path.join(repoPath, 'a.txt'), 'a2\n');
+    git(repoPath, 'add .');
+    const message = 'feat: a | b | c\n\nLonger explanation\nwith two lines.\n\nSigned-off-by: Ada <ada@example.com>\n';
+    git(
+      repoPath,
+      '-c user.name="Committer Person" -c user.email=committer@example.com commit -q -F - --author="Ada <ada@example.com>"',
+      message
+    );
+    git(repoPath, 'tag v1.0');
+    git(repoPath, 'notes add -m "Reviewed"');
+
+    const [commit, first] = await gitService.getCommits(10, repoPath);
+
+    assert.strictEqual(commit.subject, 'feat: a | b | c');
+    assert.strictEqual(commit.hash, git(repoPath, 'rev-parse HEAD'));
+    assert.strictEqual(commit.abbreviated_commit, git(repoPath, 'rev-parse --short HEAD'));
+    assert.deepStrictEqual(commit.parents, [first.hash]);
+    assert.strictEqual(commit.author, 'Ada');
+    assert.strictEqual(commit.author_email, 'ada@example.com');
+    assert.strictEqual(commit.committer_name, 'Committer Person');
+    assert.strictEqual(commit.committer_email, 'committer@example.com');
+    assert.ok(commit.body.startsWith('Longer explanation\nwith two lines.'));
+    assert.deepStrictEqual(commit.trailers, ['Signed-off-by: Ada <ada@example.com>']);
+    assert.strictEqual(commit.commit_notes, 'Reviewed');
+    assert.ok(commit.refs.includes('HEAD -> main'));
+    assert.ok(commit.refs.includes('tag: v1.0'));
+    assert.strictEqual(commit.version, 2);
+
+    assert.strictEqual(first.subject, 'first');
+    assert.deepStrictEqual(first.parents, []);
+    assert.strictEqual(first.body, '');
+    assert.strictEqual(first.version, 1);
+  });
+
+  it('should report both parents of a merge commit', async () => {
+    git(repoPath, 'checkout -q -b side');
+    fs.writeFileSync(path.join(repoPath, 'b.txt'), 'b\n');
+    git(repoPath, 'add .');
+    git(repoPath, 'commit -q -m "side work"');
+    git(repoPath, 'checkout -q main');
+    fs.writeFileSync(path.join(repoPath, 'c.txt'), 'c\n');
+    git(repoPath, 'add .');
+    git(repoPath, 'commit -q -m "main work"');
+    git(repoPath, 'merge -q --no-edit side');
+
+    const { commits, totalCount } = await gitService.getCommitsPaginated({ repoPath, useCache: false });
+
+    assert.strictEqual(commits.length, totalCount);
+    assert.strictEqual(commits[0].parents.length, 2);
+    assert.ok(commits[0].subject.startsWith('Merge branch'));
+  });
+
+  it('should check signatures only for a single commit', async () => {
+    const [commit] = await gitService.getCommits(10, repoPath);
+    assert.strictEqual(commit.verification_flag, undefined);
+
+    assert.deepStrictEqual(await gitService.getCommitSignature(commit.hash, repoPath), {
+      verification_flag: 'N',
+      signer: '',
+      signer_key: '',
+    });
+  });
+});
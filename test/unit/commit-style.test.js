@@ -0,0 +1,120 @@
+/**
+ * Unit tests for generated commit messages that follow the repository's own style
+ * Feeds commit subjects to CommitStyleService, and runs GitService on a throwaway repository
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const VSCodeMock = require('./vscode-mock');
+const { git, createTestRepository } = require('./testUtils');
+
+new VSCodeMock().apply();
+
+const { CommitStyleService } = require('../../out/services/CommitStyleService');
+const { GitService } = require('../../out/services/GitService');
+const { FileOperationsService } = require('../../out/services/FileOperationsService');
+
+describe('CommitStyleService', () => {
+  const styles = new CommitStyleService();
+
+  it('should learn plain, past tense subjects with ticket IDs in brackets', () => {
+    const style = styles.detect([
+      '[PAY-12] Added refund button',
+      '[PAY-14] Fixed rounding of totals',
+      'Merge branch \'main\' into feature',
+      '[PAY-9] Updated checkout copy',
+      '[PAY-20] Removed legacy gateway',
+      'Renamed the invoice helpers',
+    ]);
+
+    assert.deepStrictEqual(style, {
+      conventional: false,
+      gitmoji: null,
+      capitalized: true,
+      tense: 'past',
+      ticketFormat: '[{ticket}] ',
+      ticketKind: 'key',
+      endsWithPeriod: false,
+      maxSubjectLength: 33,
+    });
+  });
+
+  it('should learn conventional subjects with gitmoji shortcodes, and need enough subjects', () => {
+    const style = styles.detect([
+      ':sparkles: feat(api): add pagination to the orders endpoint',
+      ':bug: fix: handle empty carts',
+      ':memo: docs: describe the release process',
+      ':recycle: refactor(db): extract the connection pool',
+      'chore: bump eslint',
+    ]);
+
+    assert.strictEqual(style.conventional, true);
+    assert.strictEqual(style.gitmoji, 'shortcode');
+    assert.strictEqual(style.capitalized, false);
+    assert.strictEqual(style.tense, 'imperative');
+    assert.strictEqual(style.ticketFormat, null);
+
+    assert.strictEqual(styles.detect(['Initial commit', 'Add readme']), null);
+  });
+
+  it('should rewrite conventional messages in a learned style', () => {
+    const message = 'feat(parser): add parseTrailers\n\n- Add exported function parseTrailers in src/parser.ts';
+
+    assert.strictEqual(
+      styles.apply(message, { ...styles.preset('plain'), tense: 'past', ticketFormat: '{ticket}: ' }, 'PAY-7'),
+      'PAY-7: Added parseTrailers\n\n- Added exported function parseTrailers in src/parser.ts'
+    );
+    assert.strictEqual(styles.apply('build(deps): bump lodash', styles.preset('gitmoji')), '⬆️ Bump lodash');
+    assert.strictEqual(
+      styles.apply('fix: update app.js', { ...styles.preset('plain'), conventional: true, gitmoji: 'shortcode', capitalized: false, tense: 'present', endsWithPeriod: true }),
+      ':bug: fix: updates app.js.'
+    );
+    assert.strictEqual(styles.preset('conventional'), null);
+  });
+
+  it('should drop the scope, then words, to stay within the typical length', () => {
+    const style = { ...styles.preset('plain'), conventional: true, capitalized: false, maxSubjectLength: 30 };
+
+    assert.strictEqual(styles.apply('feat(trailers): add parseTrailers', style), 'feat: add parseTrailers');
+    assert.strictEqual(styles.apply('feat(trailers): add parseTrailers and formatTrailers', style), 'feat: add parseTrailers and…');
+  });
+
+  it('should find the ticket a branch is for', () => {
+    const keys = { ...styles.preset('plain'), ticketFormat: '[{ticket}] ', ticketKind: 'key' };
+    const issues = { ...keys, ticketKind: 'issue' };
+
+    assert.strictEqual(styles.ticketFromBranch('feature/pay-123-refunds', keys), 'PAY-123');
+    assert.strictEqual(styles.ticketFromBranch('main', keys), null);
+    assert.strictEqual(styles.ticketFromBranch('fix/42-login', issues), '#42');
+    assert.strictEqual(styles.ticketFromBranch('feature/pay-123', styles.preset('plain')), null);
+  });
+});
+
+describe('GitService commit messages in the repository style', () => {
+  let repoPath;
+
+  beforeEach(() => {
+    repoPath = createTestRepository('timelad-commit-style-');
+    git(repoPath, 'checkout -q -b feature/web-31-signup');
+    for (const subject of ['WEB-1 Added login page', 'WEB-2 Fixed footer links', 'WEB-3 Removed old banner', 'WEB-4 Updated logo', 'WEB-5 Added signup form']) {
+      fs.writeFileSync(path.join(repoPath, 'app.js'), `${subject}\n`);
+      git(repoPath, 'add .');
+      git(repoPath, `commit -q -m "${subject}"`);
+    }
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  it('should write generated messages like the recent commits, with the ticket from the branch', async () => {
+    const gitService = new GitService({}, new FileOperationsService());
+    fs.writeFileSync(path.join(repoPath, 'app.js'), 'changed\n');
+
+    assert.strictEqual(await gitService.suggestCommitMessage(repoPath), 'WEB-31 Updated app.js');
+    assert.strictEqual(await gitService.saveChanges(repoPath), 'WEB-31 Updated app.js');
+  });
+});
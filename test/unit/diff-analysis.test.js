@@ -0,0 +1,210 @@
+/**
+ * Unit tests for commit messages generated from what changed inside the files
+ * Feeds unified diffs to DiffAnalysisService and CommitMessageService, and runs GitService on a throwaway repository
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const VSCodeMock = require('./vscode-mock');
+
+new VSCodeMock().apply();
+
+const { DiffAnalysisService } = require('../../out/services/DiffAnalysisService');
+const { CommitMessageService } = require('../../out/services/CommitMessageService');
+const { GitService } = require('../../out/services/GitService');
+const { FileOperationsService } = require('../../out/services/FileOperationsService');
+
+function fileDiff(fileName, lines) {
+  return [
+    `diff --git a/${fileName} b/${fileName}`,
+    `--- a/${fileName}`,
+    `+++ b/${fileName}`,
+    '@@ -1,0 +1,0 @@',
+    ...lines,
+  ].join('\n');
+}
+
+describe('DiffAnalysisService', () => {
+  const analyzer = new DiffAnalysisService();
+
+  it('should find declarations that were added, removed or changed', () => {
+    const analysis = analyzer.analyze(fileDiff('src/parser.ts', [
+      '+export function parseTrailers(message: string): string[] {',
+      '+class TrailerCache {',
+      '-function legacyParse(text) {',
+      '-export const parseHeader = (line) => {',
+      '+export const parseHeader = (line, strict) => {',
+    ]));
+
+    assert.deepStrictEqual(analysis.addedSymbols.map(s => [s.kind, s.name, s.exported]), [
+      ['function', 'parseTrailers', true],
+      ['class', 'TrailerCache', false],
+    ]);
+    assert.deepStrictEqual(analysis.removedSymbols.map(s => s.name), ['legacyParse']);
+    assert.deepStrictEqual(analysis.changedSymbols.map(s => s.name), ['parseHeader']);
+  });
+
+  it('should read dependency changes from package manifests', () => {
+    const analysis = analyzer.analyze(fileDiff('package.json', [
+      '-  "version": "1.0.0",',
+      '+  "version": "1.1.0",',
+      '-    "lodash": "^4.17.20",',
+      '+    "lodash": "^4.17.21",',
+      '+    "chalk": "^5.0.0",',
+      '-    "left-pad": "1.3.0"',
+      '-    "build": "tsc -p ./",',
+    ]) + '\n' + fileDiff('requirements.txt', ['+requests==2.31.0']));
+
+    assert.deepStrictEqual(analysis.dependencyChanges.map(c => [c.name, c.change, c.from, c.to]), [
+      ['lodash', 'updated', '^4.17.20', '^4.17.21'],
+      ['chalk', 'added', null, '^5.0.0'],
+      ['left-pad', 'removed', '1.3.0', null],
+      ['requests', 'added', null, '2.31.0'],
+    ]);
+    assert.strictEqual(analysis.dependenciesOnly, true);
+  });
+
+  it('should tell test-only, formatting-only and rename-only changes apart', () => {
+    assert.strictEqual(analyzer.analyze(fileDiff('src/__tests__/parser.js', ['+it("parses")'])).testOnly, true);
+    assert.strictEqual(analyzer.analyze(fileDiff('src/parser.spec.ts', ['+it("parses")'])).testOnly, true);
+    assert.strictEqual(analyzer.analyze(fileDiff('src/parser.ts', ['+it("parses")'])).testOnly, false);
+
+    const formatting = analyzer.analyze(fileDiff('src/app.js', [
+      '-if (a) { return b; }',
+      '+if (a) {',
+      '+    return b;',
+      '+}',
+    ]));
+    assert.strictEqual(formatting.formattingOnly, true);
+
+    const renamed = analyzer.analyze([
+      'diff --git a/src/old.js b/lib/old.js',
+      'similarity index 100%',
+      'rename from src/old.js',
+      'rename to lib/old.js',
+    ].join('\n'));
+    assert.deepStrictEqual(renamed.renames, [{ from: 'src/old.js', to: 'lib/old.js' }]);
+    assert.strictEqual(renamed.formattingOnly, false);
+  });
+
+  it('should read file names git quotes or ends with a tab', () => {
+    const analysis = analyzer.analyze([
+      'diff --git a/src/new file.ts b/src/new file.ts',
+      'new file mode 100644',
+      '--- /dev/null',
+      '+++ b/src/new file.ts\t',
+      '@@ -0,0 +1 @@',
+      '+export class Widget {}',
+      'diff --git "a/docs/caf\\303\\251.md" "b/docs/caf\\303\\251.md"',
+      'deleted file mode 100644',
+      '--- "a/docs/caf\\303\\251.md"',
+      '+++ /dev/null',
+      '@@ -1 +0,0 @@',
+      '-coffee',
+    ].join('\n'));
+
+    assert.deepStrictEqual(analysis.files.map(f => [f.fileName, f.status]), [
+      ['src/new file.ts', 'added'],
+      ['docs/café.md', 'deleted'],
+    ]);
+    assert.deepStrictEqual(analysis.addedSymbols.map(s => s.name), ['Widget']);
+  });
+});
+
+describe('CommitMessageService with diffs', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new CommitMessageService();
+  });
+
+  it('should name added declarations in the subject and explain them in the body', async () => {
+    const message = await service.generateCommitMessage(
+      [{ fileName: 'src/parser.ts', type: 'modified' }],
+      '',
+      fileDiff('src/parser.ts', ['+export function parseTrailers(message: string): string[] {'])
+    );
+
+    assert.strictEqual(message, 'feat(parser): add parseTrailers\n\n- Add exported function parseTrailers in src/parser.ts');
+  });
+
+  it('should keep long lists of names within the subject length', async () => {
+    const names = ['parseTrailers', 'formatTrailers', 'validateTrailers', 'normalizeTrailerKeys', 'mergeTrailerBlocks'];
+    const message = await service.generateCommitMessage(
+      [{ fileName: 'src/trailers.ts', type: 'modified' }],
+      '',
+      fileDiff('src/trailers.ts', names.map(name => `+export function ${name}() {`))
+    );
+
+    const subject = message.split('\n')[0];
+    assert.ok(subject.length <= 72, subject);
+    assert.match(subject, /^feat\(trailers\): add parseTrailers, .* and \d more$/);
+    assert.strictEqual(message.split('\n').filter(line => line.startsWith('- Add')).length, names.length);
+  });
+
+  it('should describe dependency bumps, tests, formatting and renames', async () => {
+    const generate = (fileName, diff) => service.generateCommitMessage([{ fileName, type: 'modified' }], '', diff);
+
+    assert.strictEqual(
+      (await generate('package.json', fileDiff('package.json', ['-    "lodash": "^4.17.20",', '+    "lodash": "^4.17.21",']))).split('\n')[0],
+      'build(deps): bump lodash from ^4.17.20 to ^4.17.21'
+    );
+    assert.strictEqual(
+      await generate('test/parser.test.js', fileDiff('test/parser.test.js', ['+  it("reads trailers", () => {});'])),
+      'test: update tests for parser'
+    );
+    assert.strictEqual(
+      (await generate('src/app.js', fileDiff('src/app.js', ['-const a=1;', '+const a = 1;']))).split('\n')[0],
+      'style(app): format app.js'
+    );
+    assert.strictEqual(
+      (await generate('lib/util.js', 'diff --git a/src/util.js b/lib/util.js\nrename from src/util.js\nrename to lib/util.js')).split('\n')[0],
+      'refactor: move util.js to lib'
+    );
+  });
+
+  it('should fall back to file names when the diff shows nothing specific', async () => {
+    const message = await service.generateCommitMessage(
+      [{ fileName: 'src/app.js', type: 'modified' }],
+      '',
+      fileDiff('src/app.js', ['-let count = 1;', '+let count = 2;'])
+    );
+
+    assert.strictEqual(message, 'feat: update app.js');
+  });
+});
+
+describe('GitService commit messages from diffs', () => {
+  let repoPath;
+  let gitService;
+
+  beforeEach(() => {
+    repoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'timelad-diff-message-'));
+    execSync('git init -q && git config user.name "Test User" && git config user.email "test@example.com"', { cwd: repoPath });
+    fs.mkdirSync(path.join(repoPath, 'src'));
+    fs.writeFileSync(path.join(repoPath, 'src/parser.js'), 'function parseHeader(line) {\n  return line;\n}\n');
+    execSync('git add . && git commit -q -m "first"', { cwd: repoPath });
+    gitService = new GitService({}, new FileOperationsService());
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  it('should read new files and edits from the working tree without staging them', async () => {
+    fs.appendFileSync(path.join(repoPath, 'src/parser.js'), 'export function parseTrailers(message) {\n  return [];\n}\n');
+    fs.writeFileSync(path.join(repoPath, 'src/scratch.txt'), 'notes\n');
+
+    const suggested = await gitService.suggestCommitMessage(repoPath, ['src/parser.js']);
+
+    assert.strictEqual(suggested.split('\n')[0], 'feat(parser): add parseTrailers');
+    assert.strictEqual(execSync('git status --porcelain', { cwd: repoPath, encoding: 'utf8' }), ' M src/parser.js\n?? src/scratch.txt\n');
+
+    await gitService.saveChanges(repoPath);
+    assert.strictEqual(execSync('git log -1 --pretty=%s', { cwd: repoPath, encoding: 'utf8' }).trim(), 'feat(parser): add parseTrailers');
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Unit tests for keeping and bringing back discarded work
+ * Runs GitService against a throwaway repository on disk
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const VSCodeMock = require('./vscode-mock');
+const { git, createTestRepository } = require('./testUtils');
+
+new VSCodeMock().apply();
+
+const { GitService } = require('../../out/services/GitService');
+const { FileOperationsService } = require('../../out/services/FileOperationsService');
+const { getSidebarSections } = require('../../out/views/templates/webviewTemplates');
+
+function readFile(repoPath, fileName) {
+  return fs.readFileSync(path.join(repoPath, fileName), 'utf8');
+}
+
+describe('GitService discarded work', () => {
+  let repoPath;
+  let gitService;
+
+  beforeEach(() => {
+    repoPath = createTestRepository('timelad-discarded-');
+
+    fs.writeFileSync(path.join(repoPath, 'a.txt'), 'a1\n');
+    fs.writeFileSync(path.join(repoPath, 'b.txt'), 'b1\n');
+    git(repoPath, 'add .');
+    git(repoPath, 'commit -q -m "first"');
+
+    const notificationService = {
+      showUncommittedChangesWarning: async () => true,
+    };
+    gitService = new GitService(notificationService, new FileOperationsService());
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  it('should keep discarded work, including untracked files, in one backup', async () => {
+    fs.writeFileSync(path.join(repoPath, 'a.txt'), 'work in progress\n');
+    fs.writeFileSync(path.join(repoPath, 'new.txt'), 'brand new\n');
+
+    await gitService.discardChanges(repoPath);
+
+    assert.strictEqual(git(repoPath, 'status --porcelain'), '');
+    assert.strictEqual((await gitService.getBackups(repoPath)).length, 1);
+    const discarded = await gitService.getDiscardedWork(repoPath);
+    assert.strictEqual(discarded.length, 1);
+    assert.strictEqual(discarded[0].description, 'Before discarding changes');
+    assert.strictEqual(discarded[0].operation, 'discard');
+
+    const files = await gitService.getCommitFiles(discarded[0].hash, repoPath);
+    assert.deepStrictEqual(files.map(f => `${f.status} ${f.fileName}`).sort(), ['A new.txt', 'M a.txt']);
+  });
+
+  it('should leave backups without uncommitted work out of discarded work', async () => {
+    const first = git(repoPath, 'rev-parse --short HEAD');
+    fs.writeFileSync(path.join(repoPath, 'b.txt'), 'b2\n');
+    git(repoPath, 'commit -q -am "second"');
+
+    await gitService.restoreVersion({ hash: first, author: '', date: '', subject: '', version: 1 }, repoPath, true);
+
+    assert.strictEqual((await gitService.getBackups(repoPath)).length, 1);
+    assert.deepStrictEqual(await gitService.getDiscardedWork(repoPath), []);
+  });
+
+  it('should reuse what the index knows when backing up the files', async () => {
+    // A same-size edit with the old timestamps is invisible to anything trusting the stat data, as in git status
+    git(repoPath, 'config core.trustctime false');
+    const past = new Date('2020-01-01T00:00:00Z');
+    fs.utimesSync(path.join(repoPath, 'b.txt'), past, past);
+    git(repoPath, 'status --porcelain');
+    fs.writeFileSync(path.join(repoPath, 'b.txt'), 'zz\n');
+    fs.utimesSync(path.join(repoPath, 'b.txt'), past, past);
+    await gitService.createBackupBranch(repoPath, 'test', 'Nothing changed as far as the index knows');
+    assert.deepStrictEqual(await gitService.getDiscardedWork(repoPath), []);
+
+    fs.writeFileSync(path.join(repoPath, 'a.txt'), 'staged\n');
+    git(repoPath, 'add a.txt');
+    fs.writeFileSync(path.join(repoPath, 'new.txt'), 'brand new\n');
+
+    const branch = await gitService.createBackupBranch(repoPath, 'test', 'Staged and untracked');
+    const files = await gitService.getCommitFiles(git(repoPath, `rev-parse ${branch}`), repoPath);
+    assert.deepStrictEqual(files.map(f => `${f.status} ${f.fileName}`), ['M a.txt', 'A new.txt']);
+    assert.strictEqual(git(repoPath, 'status --porcelain'), 'M  a.txt\n?? new.txt');
+  });
+
+  it('should bring discarded work back as unsaved changes', async () => {
+    fs.writeFileSync(path.join(repoPath, 'a.txt'), 'work in progress\n');
+    fs.writeFileSync(path.join(repoPath, 'new.txt'), 'brand new\n');
+    fs.unlinkSync(path.join(repoPath, 'b.txt'));
+    await gitService.discardChanges(repoPath);
+    const [discarded] = await gitService.getDiscardedWork(repoPath);
+
+    const result = await gitService.bringBackDiscardedWork(discarded.hash, repoPath, true);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(readFile(repoPath, 'a.txt'), 'work in progress\n');
+    assert.strictEqual(readFile(repoPath, 'new.txt'), 'brand new\n');
+    assert.ok(!fs.existsSync(path.join(repoPath, 'b.txt')));
+    assert.strictEqual(git(repoPath, 'diff --cached --name-only'), '');
+  });
+
+  it('should back up current edits before bringing back discarded work over them', async () => {
+    fs.writeFileSync(path.join(repoPath, 'a.txt'), 'first try\n');
+    await gitService.discardChanges(repoPath);
+    const [discarded] = await gitService.getDiscardedWork(repoPath);
+
+    fs.writeFileSync(path.join(repoPath, 'a.txt'), 'second try\n');
+    await gitService.bringBackDiscardedWork(discarded.hash, repoPath, true);
+
+    assert.strictEqual(readFile(repoPath, 'a.txt'), 'first try\n');
+    const backups = await gitService.getDiscardedWork(repoPath);
+    assert.strictEqual(backups.length, 2);
+    assert.strictEqual(backups[0].operation, 'bring-back');
+    assert.strictEqual(git(repoPath, `show ${backups[0].hash}:a.txt`), 'second try');
+  });
+
+  it('should keep and bring back discarded work in a linked worktree', async () => {
+    const worktreePath = `${repoPath}-worktree`;
+    git(repoPath, `worktree add -q -b side "${worktreePath}"`);
+    try {
+      fs.writeFileSync(path.join(worktreePath, 'a.txt'), 'work in progress\n');
+      fs.writeFileSync(path.join(worktreePath, 'new.txt'), 'brand new\n');
+
+      await gitService.discardChanges(worktreePath);
+      assert.strictEqual(git(worktreePath, 'status --porcelain'), '');
+
+      const [discarded] = await gitService.getDiscardedWork(worktreePath);
+      await gitService.bringBackDiscardedWork(discarded.hash, worktreePath, true);
+      assert.strictEqual(readFile(worktreePath, 'a.txt'), 'work in progress\n');
+      assert.strictEqual(readFile(worktreePath, 'new.txt'), 'brand new\n');
+      assert.strictEqual(git(worktreePath, 'diff --cached --name-only'), '');
+    } finally {
+      fs.rmSync(worktreePath, { recursive: true, force: true });
+    }
+  });
+
+  it('should keep uncommitted work in the backup made before restoring a version', async () => {
+    const first = git(repoPath, 'rev-parse --short HEAD');
+    fs.writeFileSync(path.join(repoPath, 'b.txt'), 'b2\n');
+    git(repoPath, 'commit -q -am "second"');
+    fs.writeFileSync(path.join(repoPath, 'a.txt'), 'unsaved\n');
+
+    const commit = { hash: first, author: '', date: '', subject: '', version: 1 };
+    await gitService.restoreVersion(commit, repoPath, true);
+
+    const discarded = await gitService.getDiscardedWork(repoPath);
+    assert.strictEqual(discarded.length, 1);
+    assert.strictEqual(discarded[0].description, 'Before restoring version 1');
+    assert.strictEqual(git(repoPath, `show ${discarded[0].hash}:a.txt`), 'unsaved');
+  });
+});
+
+describe('Recently discarded lane', () => {
+  it('should escape the description of discarded work', () => {
+    const discardedWork = [{
+      branch: 'timelad/backup/pre-discard-2026-10-19T09-30-00-000Z',
+      hash: 'abc1234',
+      date: '2026-10-19T09:30:00.000Z',
+      operation: 'discard',
+      description: '<img src=x onerror=alert(1)>',
+    }];
+    const { historyRegion } = getSidebarSections([], null, null, null, discardedWork);
+
+    assert.ok(!historyRegion.includes('<img src=x'));
+    assert.ok(historyRegion.includes('&lt;img src=x onerror=alert(1)&gt;'));
+    assert.ok(historyRegion.includes("bringBackDiscardedWork('abc1234')"));
+  });
+});
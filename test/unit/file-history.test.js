@@ -0,0 +1,66 @@
+/**
+ * Unit tests for the history of a single file
+ * Runs GitService against a throwaway repository on disk
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const VSCodeMock = require('./vscode-mock');
+const { git, createTestRepository } = require('./testUtils');
+
+new VSCodeMock().apply();
+
+const { GitService } = require('../../out/services/GitService');
+const { FileOperationsService } = require('../../out/services/FileOperationsService');
+
+function commitFile(repoPath, fileName, content, message) {
+  fs.writeFileSync(path.join(repoPath, fileName), content);
+  git(repoPath, 'add -A');
+  git(repoPath, `commit -q -m "${message}"`);
+}
+
+describe('GitService file history', () => {
+  let repoPath;
+  let gitService;
+
+  beforeEach(() => {
+    repoPath = createTestRepository('timelad-file-history-');
+
+    commitFile(repoPath, 'notes.txt', 'one\ntwo\nthree\nfour\n', 'add notes');
+    commitFile(repoPath, 'other.txt', 'unrelated\n', 'add other file');
+    commitFile(repoPath, 'notes.txt', 'one\ntwo\nthree\nfour\nfive\n', 'extend notes');
+    git(repoPath, 'mv notes.txt "my notes.txt"');
+    git(repoPath, 'commit -q -m "rename notes"');
+    commitFile(repoPath, 'my notes.txt', 'one\ntwo\nthree\nfour\nfive\nsix\n', 'extend renamed notes');
+
+    gitService = new GitService({}, new FileOperationsService());
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  it('should list only the versions that touched the file, following renames', async () => {
+    const history = await gitService.getFileHistory('my notes.txt', repoPath);
+
+    assert.deepStrictEqual(
+      history.map(c => c.subject),
+      ['extend renamed notes', 'rename notes', 'extend notes', 'add notes']
+    );
+    assert.deepStrictEqual(
+      history.map(c => c.fileName),
+      ['my notes.txt', 'my notes.txt', 'notes.txt', 'notes.txt']
+    );
+  });
+
+  it('should number versions the same way as the full timeline', async () => {
+    const history = await gitService.getFileHistory('my notes.txt', repoPath);
+    const { commits } = await gitService.getCommitsPaginated({ repoPath, useCache: false });
+    const versions = new Map(commits.map(c => [c.hash, c.version]));
+
+    assert.deepStrictEqual(history.map(c => c.version), [5, 4, 3, 1]);
+    history.forEach(c => assert.strictEqual(c.version, versions.get(c.hash)));
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Unit tests for running git without a shell
+ * File names, revisions and messages containing shell syntax must reach git untouched,
+ * and long-running commands must stop on timeout or cancellation
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const VSCodeMock = require('./vscode-mock');
+const { git, createTestRepository } = require('./testUtils');
+
+new VSCodeMock().apply();
+
+const { GitService } = require('../../out/services/GitService');
+const { GitCommandRunner, GitCommandCancelledError } = require('../../out/services/GitCommandRunner');
+const { FileOperationsService } = require('../../out/services/FileOperationsService');
+
+const HOSTILE_NAMES = [
+  '$(touch pwned).txt',
+  '`touch pwned`.txt',
+  'it\'s "quoted"; touch pwned.txt',
+  'line\nbreak.txt',
+  '-n.txt',
+];
+
+function writeFile(repoPath, fileName, content) {
+  fs.writeFileSync(path.join(repoPath, fileName), content);
+}
+
+function readFile(repoPath, fileName) {
+  return fs.readFileSync(path.join(repoPath, fileName), 'utf8');
+}
+
+describe('GitCommandRunner', () => {
+  let repoPath;
+  let runner;
+
+  beforeEach(() => {
+    repoPath = createTestRepository('timelad-runner-');
+    runner = new GitCommandRunner();
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  it('should pass stdin input to git verbatim', async () => {
+    const message = 'fix: handle "quotes", `ticks` and $(touch pwned)\n\nSecond line with \\ backslash';
+
+    await runner.run(['commit', '--allow-empty', '-F', '-'], { cwd: repoPath, input: message });
+
+    assert.strictEqual(git(repoPath, 'log -1 --pretty=%B'), message);
+    assert.strictEqual(fs.existsSync(path.join(repoPath, 'pwned')), false);
+  });
+
+  it('should reject with git\'s error output when a command fails', async () => {
+    await assert.rejects(
+      runner.run(['rev-parse', '--verify', 'no-such-branch'], { cwd: repoPath }),
+      /Command failed: git rev-parse --verify no-such-branch/
+    );
+  });
+
+  it('should stream records as they arrive, including the last unterminated one', async () => {
+    const records = [];
+
+    const { stdout } = await runner.run(['--version'], {
+      cwd: repoPath,
+      recordSeparator: ' ',
+      onRecord: record => records.push(record),
+    });
+
+    assert.strictEqual(stdout, '');
+    assert.deepStrictEqual(records.slice(0, 2), ['git', 'version']);
+    assert.ok(records[records.length - 1].endsWith('\n'));
+  });
+
+  it('should kill the process when it times out', async () => {
+    const slowRunner = new GitCommandRunner('sleep');
+
+    await assert.rejects(slowRunner.run(['5'], { timeout: 100 }), /Timed out/);
+  });
+
+  it('should kill the process when cancellation is requested', async () => {
+    const slowRunner = new GitCommandRunner('sleep');
+    let cancel;
+    const token = {
+      isCancellationRequested: false,
+      onCancellationRequested: listener => {
+        cancel = listener;
+        return { dispose: () => undefined };
+      },
+    };
+
+    const running = slowRunner.run(['5'], { token });
+    cancel();
+
+    await assert.rejects(running, error => error instanceof GitCommandCancelledError);
+  });
+});
+
+describe('GitService cancellation', () => {
+  let repoPath;
+  let gitService;
+  const cancelledToken = {
+    isCancellationRequested: true,
+    onCancellationRequested: () => ({ dispose: () => undefined }),
+  };
+
+  beforeEach(() => {
+    repoPath = createTestRepository('timelad-cancel-');
+
+    writeFile(repoPath, 'a.txt', 'v1\n');
+    git(repoPath, 'add .');
+    git(repoPath, 'commit -q -m "first"');
+    writeFile(repoPath, 'a.txt', 'v2\n');
+    git(repoPath, 'commit -q -a -m "second"');
+
+    const notificationService = {
+      showUncommittedChangesWarning: async () => true,
+    };
+    gitService = new GitService(notificationService, new FileOperationsService());
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  it('should roll a cancelled restore back and bring uncommitted work back', async () => {
+    const head = git(repoPath, 'rev-parse HEAD');
+    const firstCommit = git(repoPath, 'rev-parse HEAD~1');
+    writeFile(repoPath, 'a.txt', 'work in progress\n');
+    writeFile(repoPath, 'new.txt', 'brand new\n');
+    writeFile(repoPath, '.git/info/exclude', '.env\n');
+    writeFile(repoPath, '.env', 'SECRET=1\n');
+
+    const result = await gitService.restoreVersion({ hash: firstCommit, version: 1 }, repoPath, true, cancelledToken);
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.cancelled, true);
+    assert.strictEqual(git(repoPath, 'rev-parse HEAD'), head);
+    assert.strictEqual(readFile(repoPath, 'a.txt'), 'work in progress\n');
+    assert.strictEqual(readFile(repoPath, 'new.txt'), 'brand new\n');
+    assert.strictEqual(readFile(repoPath, '.env'), 'SECRET=1\n');
+  });
+
+  it('should roll a cancelled path restore back', async () => {
+    const head = git(repoPath, 'rev-parse HEAD');
+    const firstCommit = git(repoPath, 'rev-parse HEAD~1');
+    writeFile(repoPath, 'a.txt', 'work in progress\n');
+
+    const result = await gitService.restorePaths(
+      { hash: firstCommit, version: 1 }, ['a.txt'], repoPath, true, cancelledToken
+    );
+
+    assert.strictEqual(result.cancelled, true);
+    assert.strictEqual(git(repoPath, 'rev-parse HEAD'), head);
+    assert.strictEqual(readFile(repoPath, 'a.txt'), 'work in progress\n');
+  });
+});
+
+describe('GitService with hostile names', () => {
+  let repoPath;
+  let gitService;
+
+  beforeEach(() => {
+    repoPath = createTestRepository('timelad-hostile-');
+
+    HOSTILE_NAMES.forEach(name => writeFile(repoPath, name, 'v1\n'));
+    git(repoPath, 'add -A');
+    git(repoPath, 'commit -q -m "first"');
+
+    const notificationService = {
+      showUncommittedChangesWarning: async () => true,
+    };
+    gitService = new GitService(notificationService, new FileOperationsService());
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  it('should report changed files with their exact names', async () => {
+    HOSTILE_NAMES.forEach(name => writeFile(repoPath, name, 'v2\n'));
+
+    const { files } = await gitService.getUncommittedChanges(repoPath);
+
+    assert.deepStrictEqual(files.map(f => f.fileName).sort(), [...HOSTILE_NAMES].sort());
+    assert.strictEqual(fs.existsSync(path.join(repoPath, 'pwned')), false);
+  });
+
+  it('should restore and preview files whose names contain shell syntax', async () => {
+    const firstCommit = git(repoPath, 'rev-parse HEAD');
+    HOSTILE_NAMES.forEach(name => writeFile(repoPath, name, 'v2\n'));
+    git(repoPath, 'commit -q -a -m "second"');
+
+    const preview = await gitService.getRestorePreview(firstCommit, HOSTILE_NAMES, repoPath);
+    assert.deepStrictEqual(preview.files.map(f => f.fileName).sort(), [...HOSTILE_NAMES].sort());
+
+    const result = await gitService.restorePaths({ hash: firstCommit, version: 1 }, HOSTILE_NAMES, repoPath, true);
+
+    assert.strictEqual(result.success, true);
+    HOSTILE_NAMES.forEach(name => assert.strictEqual(readFile(repoPath, name), 'v1\n'));
+    const files = await gitService.getCommitFiles(result.newCommit, repoPath);
+    assert.deepStrictEqual(files.map(f => f.fileName).sort(), [...HOSTILE_NAMES].sort());
+    assert.strictEqual(fs.existsSync(path.join(repoPath, 'pwned')), false);
+  });
+
+  it('should back up and bring back files whose names contain shell syntax', async () => {
+    HOSTILE_NAMES.forEach(name => writeFile(repoPath, name, 'work in progress\n'));
+
+    await gitService.discardChanges(repoPath);
+    const [discarded] = await gitService.getDiscardedWork(repoPath);
+    await gitService.bringBackDiscardedWork(discarded.hash, repoPath, true);
+
+    HOSTILE_NAMES.forEach(name => assert.strictEqual(readFile(repoPath, name), 'work in progress\n'));
+    assert.strictEqual(fs.existsSync(path.join(repoPath, 'pwned')), false);
+  });
+
+  it('should reject revisions that look like options', async () => {
+    await assert.rejects(gitService.getCommitDetails('--output=pwned', repoPath), /Invalid revision/);
+    await assert.rejects(gitService.createRestoreCommitSimple('--output=pwned', repoPath), /Invalid revision/);
+    await assert.rejects(gitService.bringBackDiscardedWork('--output=pwned', repoPath, true), /Invalid revision/);
+    assert.strictEqual(fs.existsSync(path.join(repoPath, 'pwned')), false);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Unit tests for finding and selecting repositories in multi-repository workspaces
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const VSCodeMock = require('./vscode-mock');
+
+new VSCodeMock().apply();
+
+const { GitService } = require('../../out/services/GitService');
+const { FileOperationsService } = require('../../out/services/FileOperationsService');
+
+function initRepo(repoPath) {
+  fs.mkdirSync(repoPath, { recursive: true });
+  execSync('git init -q', { cwd: repoPath });
+}
+
+describe('GitService repository selection', () => {
+  let workspacePath;
+  let gitService;
+
+  beforeEach(() => {
+    workspacePath = fs.mkdtempSync(path.join(os.tmpdir(), 'timelad-repos-'));
+    initRepo(workspacePath);
+    initRepo(path.join(workspacePath, 'packages', 'app'));
+    fs.mkdirSync(path.join(workspacePath, 'src'));
+
+    gitService = new GitService({}, new FileOperationsService());
+  });
+
+  afterEach(() => {
+    fs.rmSync(workspacePath, { recursive: true, force: true });
+  });
+
+  it('should find repositories nested inside another repository', async () => {
+    const repositories = await gitService.scanFolderForGit(workspacePath, 2);
+
+    assert.deepStrictEqual(repositories, [workspacePath, path.join(workspacePath, 'packages', 'app')]);
+  });
+
+  it('should run against the selected repository', async () => {
+    const nestedPath = path.join(workspacePath, 'packages', 'app');
+
+    gitService.setSelectedRepository(nestedPath);
+
+    assert.strictEqual(gitService.getSelectedRepository(), nestedPath);
+    assert.strictEqual(await gitService.getRepositoryPath(), nestedPath);
+  });
+
+  it('should pick the innermost repository for a file', () => {
+    const repositories = [
+      { path: workspacePath, name: 'root', isValid: true },
+      { path: path.join(workspacePath, 'packages', 'app'), name: 'app', isValid: true },
+    ];
+
+    assert.strictEqual(
+      gitService.getRepositoryForFile(path.join(workspacePath, 'packages', 'app', 'index.js'), repositories),
+      path.join(workspacePath, 'packages', 'app')
+    );
+    assert.strictEqual(
+      gitService.getRepositoryForFile(path.join(workspacePath, 'packages', 'application.js'), repositories),
+      workspacePath
+    );
+    assert.strictEqual(gitService.getRepositoryForFile('/elsewhere/file.js', repositories), null);
+  });
+});
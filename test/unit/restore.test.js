@@ -0,0 +1,195 @@
+/**
+ * Unit tests for restoring versions, single files and folders
+ * Runs GitService against a throwaway repository on disk
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const VSCodeMock = require('./vscode-mock');
+const { git, createTestRepository } = require('./testUtils');
+
+new VSCodeMock().apply();
+
+const { GitService } = require('../../out/services/GitService');
+const { FileOperationsService } = require('../../out/services/FileOperationsService');
+
+function writeFile(repoPath, fileName, content) {
+  const filePath = path.join(repoPath, fileName);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+describe('GitService restore', () => {
+  let repoPath;
+  let gitService;
+  let warningAnswer;
+  let firstCommit;
+
+  beforeEach(() => {
+    repoPath = createTestRepository('timelad-restore-');
+
+    writeFile(repoPath, 'src/a.js', 'a1\n');
+    writeFile(repoPath, 'src/b.js', 'b1\n');
+    writeFile(repoPath, 'README.md', 'readme1\n');
+    git(repoPath, 'add .');
+    git(repoPath, 'commit -q -m "first"');
+    firstCommit = git(repoPath, 'rev-parse --short HEAD');
+
+    writeFile(repoPath, 'src/a.js', 'a2\n');
+    fs.unlinkSync(path.join(repoPath, 'src/b.js'));
+    writeFile(repoPath, 'src/c.js', 'c2\n');
+    writeFile(repoPath, 'README.md', 'readme2\n');
+    git(repoPath, 'add -A');
+    git(repoPath, 'commit -q -m "second"');
+
+    warningAnswer = true;
+    const notificationService = {
+      showUncommittedChangesWarning: async () => warningAnswer,
+    };
+    gitService = new GitService(notificationService, new FileOperationsService());
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  it('should list the files changed in a version', async () => {
+    const head = git(repoPath, 'rev-parse --short HEAD');
+    const files = await gitService.getCommitFiles(head, repoPath);
+    const byName = Object.fromEntries(files.map(f => [f.fileName, f.status]));
+
+    assert.deepStrictEqual(byName, {
+      'README.md': 'M',
+      'src/a.js': 'M',
+      'src/b.js': 'D',
+      'src/c.js': 'A',
+    });
+  });
+
+  it('should preview the impact of a restore without changing anything', async () => {
+    const before = git(repoPath, 'rev-parse HEAD');
+    const preview = await gitService.getRestorePreview(firstCommit, null, repoPath);
+    const byName = Object.fromEntries(preview.files.map(f => [f.fileName, f]));
+
+    assert.strictEqual(byName['src/b.js'].status, 'A');
+    assert.strictEqual(byName['src/c.js'].status, 'D');
+    assert.strictEqual(byName['src/a.js'].status, 'M');
+    assert.strictEqual(byName['src/a.js'].insertions, 1);
+    assert.strictEqual(byName['src/a.js'].deletions, 1);
+    assert.strictEqual(preview.added, 1);
+    assert.strictEqual(preview.modified, 2);
+    assert.strictEqual(preview.deleted, 1);
+    assert.strictEqual(git(repoPath, 'rev-parse HEAD'), before);
+    assert.strictEqual(git(repoPath, 'status --porcelain'), '');
+  });
+
+  it('should limit the preview to the selected paths', async () => {
+    const preview = await gitService.getRestorePreview(firstCommit, ['README.md'], repoPath);
+
+    assert.deepStrictEqual(preview.files.map(f => f.fileName), ['README.md']);
+  });
+
+  it('should restore a single file and leave everything else alone', async () => {
+    const commit = { hash: firstCommit, author: '', date: '', subject: '', version: 1 };
+    const result = await gitService.restorePaths(commit, ['src/a.js'], repoPath, true);
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.paths, ['src/a.js']);
+    assert.strictEqual(fs.readFileSync(path.join(repoPath, 'src/a.js'), 'utf8'), 'a1\n');
+    assert.strictEqual(fs.readFileSync(path.join(repoPath, 'README.md'), 'utf8'), 'readme2\n');
+    assert.ok(fs.existsSync(path.join(repoPath, 'src/c.js')));
+
+    const message = git(repoPath, 'log -1 --pretty=%B');
+    assert.ok(message.startsWith('Restored src/a.js from version 1'));
+    assert.ok(message.includes('- src/a.js'));
+  });
+
+  it('should restore a folder including deleted and added files', async () => {
+    const commit = { hash: firstCommit, author: '', date: '', subject: '', version: 1 };
+    await gitService.restorePaths(commit, ['src'], repoPath, true);
+
+    assert.strictEqual(fs.readFileSync(path.join(repoPath, 'src/b.js'), 'utf8'), 'b1\n');
+    assert.ok(!fs.existsSync(path.join(repoPath, 'src/c.js')));
+    assert.strictEqual(git(repoPath, 'status --porcelain'), '');
+  });
+
+  it('should keep uncommitted work outside the restored paths', async () => {
+    writeFile(repoPath, 'README.md', 'work in progress\n');
+
+    const commit = { hash: firstCommit, author: '', date: '', subject: '', version: 1 };
+    await gitService.restorePaths(commit, ['src/a.js'], repoPath, true);
+
+    assert.strictEqual(fs.readFileSync(path.join(repoPath, 'README.md'), 'utf8'), 'work in progress\n');
+    assert.strictEqual(git(repoPath, 'status --porcelain'), 'M README.md');
+  });
+
+  it('should cancel when the user rejects losing changes in the restored paths', async () => {
+    writeFile(repoPath, 'src/a.js', 'local edit\n');
+    warningAnswer = false;
+    const before = git(repoPath, 'rev-parse HEAD');
+
+    const commit = { hash: firstCommit, author: '', date: '', subject: '', version: 1 };
+    const result = await gitService.restorePaths(commit, ['src/a.js'], repoPath);
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(git(repoPath, 'rev-parse HEAD'), before);
+    assert.strictEqual(fs.readFileSync(path.join(repoPath, 'src/a.js'), 'utf8'), 'local edit\n');
+  });
+
+  it('should undo a restore by stepping back when nothing was saved since', async () => {
+    const before = git(repoPath, 'rev-parse HEAD');
+    const commit = { hash: firstCommit, author: '', date: '', subject: '', version: 1 };
+    const restore = await gitService.restorePaths(commit, ['src'], repoPath, true);
+
+    assert.strictEqual(await gitService.canUndoRestore(restore, repoPath), true);
+    const result = await gitService.undoRestore(restore, repoPath, true);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(git(repoPath, 'rev-parse HEAD'), before);
+    assert.ok(!fs.existsSync(path.join(repoPath, 'src/b.js')));
+    assert.strictEqual(await gitService.canUndoRestore(restore, repoPath), false);
+  });
+
+  it('should undo a restore with a new version when later work exists', async () => {
+    const commit = { hash: firstCommit, author: '', date: '', subject: '', version: 1 };
+    const restore = await gitService.restorePaths(commit, ['src/a.js'], repoPath, true);
+
+    writeFile(repoPath, 'README.md', 'later work\n');
+    git(repoPath, 'commit -q -am "later"');
+
+    const result = await gitService.undoRestore({ ...restore, version: 1 }, repoPath, true);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(fs.readFileSync(path.join(repoPath, 'src/a.js'), 'utf8'), 'a2\n');
+    assert.strictEqual(fs.readFileSync(path.join(repoPath, 'README.md'), 'utf8'), 'later work\n');
+    assert.ok(git(repoPath, 'log -1 --pretty=%B').startsWith('Undid restore of version 1'));
+  });
+
+  it('should keep uncommitted work when an undo runs into later changes', async () => {
+    const commit = { hash: firstCommit, author: '', date: '', subject: '', version: 1 };
+    const restore = await gitService.restorePaths(commit, ['src/a.js'], repoPath, true);
+
+    writeFile(repoPath, 'src/a.js', 'a3\n');
+    git(repoPath, 'commit -q -am "later"');
+    const before = git(repoPath, 'rev-parse HEAD');
+    writeFile(repoPath, 'README.md', 'work in progress\n');
+    writeFile(repoPath, 'notes.txt', 'draft\n');
+
+    await assert.rejects(() => gitService.undoRestore(restore, repoPath, true), /touch the same files/);
+
+    assert.strictEqual(git(repoPath, 'rev-parse HEAD'), before);
+    assert.strictEqual(fs.readFileSync(path.join(repoPath, 'src/a.js'), 'utf8'), 'a3\n');
+    assert.strictEqual(fs.readFileSync(path.join(repoPath, 'README.md'), 'utf8'), 'work in progress\n');
+    assert.strictEqual(fs.readFileSync(path.join(repoPath, 'notes.txt'), 'utf8'), 'draft\n');
+  });
+
+  it('should refuse to undo a restore that is no longer on the branch', async () => {
+    const commit = { hash: firstCommit, author: '', date: '', subject: '', version: 1 };
+    const restore = await gitService.restorePaths(commit, ['src/a.js'], repoPath, true);
+    git(repoPath, `reset -q --hard ${restore.previousCommit}`);
+
+    await assert.rejects(() => gitService.undoRestore(restore, repoPath, true), /no restore to undo/);
+  });
+});
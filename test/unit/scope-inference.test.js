@@ -0,0 +1,163 @@
+/**
+ * Unit tests for commit scopes taken from paths, monorepo packages and the scope map
+ * Runs ScopeInferenceService and GitService against throwaway folders and repositories
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const VSCodeMock = require('./vscode-mock');
+const { git, createTestRepository } = require('./testUtils');
+
+new VSCodeMock().apply();
+
+const { ScopeInferenceService } = require('../../out/services/ScopeInferenceService');
+const { CommitMessageService } = require('../../out/services/CommitMessageService');
+const { GitService } = require('../../out/services/GitService');
+const { FileOperationsService } = require('../../out/services/FileOperationsService');
+const { getSidebarSections } = require('../../out/views/templates/webviewTemplates');
+
+function writeFiles(root, files) {
+  for (const [fileName, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, fileName)), { recursive: true });
+    fs.writeFileSync(path.join(root, fileName), content);
+  }
+}
+
+function createMonorepo(root) {
+  writeFiles(root, {
+    'package.json': JSON.stringify({ private: true, workspaces: ['packages/*', 'apps/**', '!packages/legacy'] }),
+    'packages/api/package.json': JSON.stringify({ name: '@acme/api' }),
+    'packages/api/src/server.js': 'server\n',
+    'packages/legacy/package.json': JSON.stringify({ name: 'legacy' }),
+    'packages/notes/README.md': 'no package.json\n',
+    'apps/mobile/ios/package.json': JSON.stringify({ name: 'mobile-ios' }),
+    'apps/web/package.json': JSON.stringify({ name: 'web' }),
+    'apps/web/index.html': 'web\n',
+  });
+}
+
+describe('ScopeInferenceService', () => {
+  const scopes = new ScopeInferenceService();
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'timelad-scopes-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should read monorepo packages from the workspaces globs', async () => {
+    createMonorepo(root);
+
+    assert.deepStrictEqual(await scopes.readWorkspaces(root), [
+      { path: 'apps/mobile/ios', name: 'mobile-ios' },
+      { path: 'apps/web', name: 'web' },
+      { path: 'packages/api', name: '@acme/api' },
+    ]);
+
+    fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify({ workspaces: { packages: ['apps/web'] } }));
+    assert.deepStrictEqual(await scopes.readWorkspaces(root), [{ path: 'apps/web', name: 'web' }]);
+
+    fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify({ name: 'single' }));
+    assert.deepStrictEqual(await scopes.readWorkspaces(root), []);
+  });
+
+  it('should prefer the scope map, then the package, then the shared folder', () => {
+    const context = {
+      scopeMap: { 'packages/api/docs': 'docs', 'src/**/i18n': 'i18n' },
+      workspaces: [{ path: 'packages/api', name: '@acme/api' }, { path: 'packages/web', name: 'web' }],
+    };
+
+    assert.strictEqual(scopes.scopeOf(['packages/api/src/a.js', 'packages/api/src/b.js', 'package-lock.json'], context), 'api');
+    assert.strictEqual(scopes.scopeOf(['packages/api/docs/setup.md'], context), 'docs');
+    assert.strictEqual(scopes.scopeOf(['src/app/i18n/en.json', 'src/i18n/de.json'], context), 'i18n');
+    assert.strictEqual(scopes.scopeOf(['packages/api/src/a.js', 'packages/web/b.js'], context), null);
+    assert.strictEqual(scopes.scopeOf(['src/auth/login.ts', 'src/auth/oauth/google.ts'], context), 'auth');
+    assert.strictEqual(scopes.scopeOf(['src/a.ts', 'src/b.ts'], context), null);
+    assert.strictEqual(scopes.scopeOf(['README.md'], null), null);
+    assert.strictEqual(scopes.scopeOf(['src/parser.ts'], null, true), 'parser');
+  });
+
+  it('should group changes by area, leaving out files outside every area', () => {
+    const context = { scopeMap: {}, workspaces: [{ path: 'packages/api', name: 'api' }, { path: 'packages/web', name: 'web' }] };
+
+    assert.deepStrictEqual(scopes.groupByArea(['packages/web/a.js', 'packages/api/b.js', 'packages/web/c.js', 'README.md'], context), [
+      { scope: 'web', files: ['packages/web/a.js', 'packages/web/c.js'] },
+      { scope: 'api', files: ['packages/api/b.js'] },
+    ]);
+  });
+});
+
+describe('CommitMessageService types and scopes from paths', () => {
+  const generate = (fileNames, options) => new CommitMessageService().generateCommitMessage(
+    fileNames.map(fileName => ({ fileName, type: 'modified' })),
+    '',
+    '',
+    options
+  );
+
+  it('should tell tests, docs and configuration apart by where the files are', async () => {
+    assert.strictEqual(await generate(['test/helpers/setup.js']), 'test(helpers): update setup.js');
+    assert.strictEqual(await generate(['test/setup.js']), 'test: update setup.js');
+    assert.strictEqual(await generate(['src/__tests__/parser.js', 'src/parser.spec.ts']), 'test: update 2 files');
+    assert.strictEqual(await generate(['docs/conf.py']), 'docs: update conf.py');
+    assert.strictEqual(await generate(['.eslintrc.js']), 'config: update .eslintrc.js');
+    assert.strictEqual(await generate(['webpack.config.js']), 'config: update webpack.config.js');
+    assert.strictEqual(await generate(['src/parser.js', 'test/parser.test.js']), 'feat: update 2 files');
+  });
+
+  it('should add the scope of the area or folder the files are in', async () => {
+    assert.strictEqual(await generate(['src/api/users.js', 'src/api/orders.js']), 'feat(api): update 2 files');
+    assert.strictEqual(
+      await generate(['packages/web/app.css'], { scopeContext: { scopeMap: {}, workspaces: [{ path: 'packages/web', name: '@acme/web' }] } }),
+      'style(web): update app.css'
+    );
+  });
+});
+
+describe('GitService in a monorepo', () => {
+  let repoPath;
+  let gitService;
+
+  beforeEach(() => {
+    repoPath = createTestRepository('timelad-monorepo-');
+    createMonorepo(repoPath);
+    git(repoPath, 'add .');
+    git(repoPath, 'commit -q -m "first"');
+    gitService = new GitService({}, new FileOperationsService());
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  it('should scope messages by package and suggest splitting changes to several packages', async () => {
+    fs.appendFileSync(path.join(repoPath, 'packages/api/src/server.js'), 'more\n');
+
+    assert.strictEqual(await gitService.suggestCommitMessage(repoPath), 'feat(api): update server.js');
+    assert.deepStrictEqual(await gitService.suggestSplit(repoPath), []);
+
+    fs.appendFileSync(path.join(repoPath, 'apps/web/index.html'), 'more\n');
+    assert.deepStrictEqual(await gitService.suggestSplit(repoPath), [
+      { scope: 'api', files: ['packages/api/src/server.js'] },
+      { scope: 'web', files: ['apps/web/index.html'] },
+    ]);
+  });
+
+  it('should offer ticking one area at a time in the composer', () => {
+    const uncommittedChanges = { hasChanges: true, files: [{ fileName: 'apps/web/index.html', status: ' M', type: 'modified' }] };
+    const areas = [{ scope: 'api', files: ['packages/api/src/server.js'] }, { scope: 'web', files: ['apps/web/index.html'] }];
+
+    const { uncommittedRegion } = getSidebarSections([], uncommittedChanges, null, null, [], null, null, [], {
+      suggestedMessage: '', recentMessages: [], head: '', areas,
+    });
+
+    assert.ok(uncommittedRegion.includes('touch 2 separate areas'));
+    assert.ok(uncommittedRegion.includes('data-files="[&quot;apps/web/index.html&quot;]" onclick="selectChangeArea(this)"'));
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Unit tests for saving only some of the changed files as a new version
+ * Runs GitService against a throwaway repository on disk
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const VSCodeMock = require('./vscode-mock');
+const { git, createTestRepository } = require('./testUtils');
+
+new VSCodeMock().apply();
+
+const { GitService } = require('../../out/services/GitService');
+const { FileOperationsService } = require('../../out/services/FileOperationsService');
+const constants = require('../../out/constants');
+
+function committedFiles(repoPath) {
+  return git(repoPath, 'show --name-status --pretty=format: HEAD').split('\n').filter(Boolean);
+}
+
+describe('GitService selective save', () => {
+  let repoPath;
+  let gitService;
+
+  beforeEach(() => {
+    repoPath = createTestRepository('timelad-selective-save-');
+
+    for (const fileName of ['app.js', 'old.js', 'gone.js', 'staged.js']) {
+      fs.writeFileSync(path.join(repoPath, fileName), `${fileName}\n`);
+    }
+    git(repoPath, 'add .');
+    git(repoPath, 'commit -q -m "first"');
+
+    gitService = new GitService({}, new FileOperationsService());
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  it('should commit only the chosen files and leave the rest uncommitted', async () => {
+    fs.writeFileSync(path.join(repoPath, 'app.js'), 'changed\n');
+    fs.writeFileSync(path.join(repoPath, 'debug.log'), 'noise\n');
+    fs.writeFileSync(path.join(repoPath, 'staged.js'), 'staged change\n');
+    git(repoPath, 'add staged.js');
+
+    const message = await gitService.saveChanges(repoPath, ['app.js']);
+
+    assert.strictEqual(message, 'feat: update app.js');
+    assert.deepStrictEqual(committedFiles(repoPath), ['M\tapp.js']);
+    assert.deepStrictEqual(git(repoPath, 'status --porcelain').split('\n'), ['M  staged.js', '?? debug.log']);
+  });
+
+  it('should save new, deleted and renamed files', async () => {
+    fs.writeFileSync(path.join(repoPath, 'new.js'), 'new\n');
+    fs.rmSync(path.join(repoPath, 'gone.js'));
+    git(repoPath, 'mv old.js renamed.js');
+    fs.writeFileSync(path.join(repoPath, 'app.js'), 'not saved\n');
+
+    await gitService.saveChanges(repoPath, ['new.js', 'gone.js', 'renamed.js']);
+
+    assert.deepStrictEqual(committedFiles(repoPath).sort(), ['A\tnew.js', 'D\tgone.js', 'R100\told.js\trenamed.js']);
+    assert.strictEqual(git(repoPath, 'status --porcelain'), 'M app.js');
+  });
+
+  it('should refuse to save when none of the chosen files changed', async () => {
+    fs.writeFileSync(path.join(repoPath, 'app.js'), 'changed\n');
+
+    await assert.rejects(
+      gitService.saveChanges(repoPath, ['staged.js']),
+      { message: constants.MESSAGES.NO_FILES_SELECTED }
+    );
+    assert.strictEqual(git(repoPath, 'rev-list --count HEAD'), '1');
+  });
+
+  it('should leave new files untracked when the save fails', async () => {
+    fs.writeFileSync(path.join(repoPath, 'new.js'), 'new\n');
+    const executeGitCommand = gitService.executeGitCommand.bind(gitService);
+    gitService.executeGitCommand = async (args, ...rest) => {
+      if (args[0] === 'commit') {
+        throw new Error('pre-commit hook failed');
+      }
+      return executeGitCommand(args, ...rest);
+    };
+
+    await assert.rejects(gitService.saveChanges(repoPath, ['new.js']), /pre-commit hook failed/);
+
+    assert.strictEqual(git(repoPath, 'status --porcelain'), '?? new.js');
+    assert.strictEqual(git(repoPath, 'rev-list --count HEAD'), '1');
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Unit tests for the TimeLad status bar item and its quick menu
+ * Runs the status bar against a throwaway repository on disk
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const VSCodeMock = require('./vscode-mock');
+const { git, createTestRepository } = require('./testUtils');
+
+new VSCodeMock().apply();
+
+const vscode = require('vscode');
+
+const { GitService } = require('../../out/services/GitService');
+const { FileOperationsService } = require('../../out/services/FileOperationsService');
+const { StatusBarProvider } = require('../../out/providers/StatusBarProvider');
+
+function commitFile(repoPath, fileName, content, message) {
+  fs.writeFileSync(path.join(repoPath, fileName), content);
+  git(repoPath, 'add -A');
+  git(repoPath, `commit -q -m "${message}"`);
+}
+
+describe('StatusBarProvider', () => {
+  let repoPath;
+  let gitService;
+  let watcherEvents;
+  let historyProvider;
+  let statusBar;
+  let item;
+
+  beforeEach(async () => {
+    repoPath = createTestRepository('timelad-status-bar-', '-b main');
+    commitFile(repoPath, 'a.txt', 'a1\n', 'first');
+    commitFile(repoPath, 'a.txt', 'a2\n', 'second');
+
+    gitService = new GitService({}, new FileOperationsService());
+    gitService.setSelectedRepository(repoPath);
+
+    watcherEvents = new vscode.EventEmitter();
+    historyProvider = { calls: [] };
+    historyProvider.saveChanges = async () => historyProvider.calls.push('save');
+    historyProvider.pickVersionToRestore = async () => historyProvider.calls.push('restore');
+
+    statusBar = new StatusBarProvider(gitService, historyProvider, { onDidChange: watcherEvents.event });
+    item = vscode.window.createStatusBarItem.lastCall.returnValue;
+    await statusBar.update();
+  });
+
+  afterEach(() => {
+    statusBar.dispose();
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  it('should show the branch, the version number and the unsaved change count', async () => {
+    assert.strictEqual(item.text, '$(history) main · Version 2');
+    assert.strictEqual(item.visible, true);
+    assert.strictEqual(item.command, 'timelad.showQuickMenu');
+
+    fs.writeFileSync(path.join(repoPath, 'a.txt'), 'edited\n');
+    fs.writeFileSync(path.join(repoPath, 'b.txt'), 'new\n');
+    await statusBar.update();
+
+    assert.strictEqual(item.text, '$(history) main · Version 2  $(pencil) 2');
+    assert.ok(item.tooltip.includes('2 unsaved changes'));
+  });
+
+  it('should follow changes reported by the repository watcher', async () => {
+    commitFile(repoPath, 'a.txt', 'a3\n', 'third');
+
+    watcherEvents.fire({ scopes: new Set(['history']), paths: [repoPath] });
+    for (let attempt = 0; attempt < 50 && !item.text.includes('Version 3'); attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+
+    assert.strictEqual(item.text, '$(history) main · Version 3');
+  });
+
+  it('should show a detached HEAD and hide outside a repository', async () => {
+    git(repoPath, 'checkout -q --detach HEAD~1');
+    await statusBar.update();
+    assert.strictEqual(item.text, '$(history) Detached · Version 1');
+
+    gitService.getRepositoryPath = async () => {
+      throw new Error('No repository');
+    };
+    await statusBar.update();
+    assert.strictEqual(item.visible, false);
+  });
+
+  it('should run the action picked from the quick menu', async () => {
+    vscode.window.showQuickPick = async items => items.find(i => i.label.includes('Restore'));
+
+    await statusBar.showQuickMenu();
+
+    assert.deepStrictEqual(historyProvider.calls, ['restore']);
+  });
+});
@@ -1,3 +1,7 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execSync } = require("child_process");
 const sinon = require("sinon");
 
 /**
@@ -348,6 +352,24 @@ class TestUtils {
 
     return networkStub;
   }
+
+  /**
+   * Run a git command in a repository and return its trimmed output
+   */
+  static git(repoPath, command, input) {
+    return execSync(`git ${command}`, { cwd: repoPath, encoding: "utf8", input }).trim();
+  }
+
+  /**
+   * Create a throwaway git repository with a test identity configured
+   */
+  static createTestRepository(prefix, initOptions = "") {
+    const repoPath = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    TestUtils.git(repoPath, `init -q ${initOptions}`);
+    TestUtils.git(repoPath, 'config user.name "Test User"');
+    TestUtils.git(repoPath, 'config user.email "test@example.com"');
+    return repoPath;
+  }
 }
 
-module.exports = TestUtils;
\ No newline at end of file
+module.exports = TestUtils;
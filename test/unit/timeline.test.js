@@ -0,0 +1,115 @@
+/**
+ * Unit tests for TimeLad entries in the Timeline view
+ * Runs the timeline provider against a throwaway repository on disk
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const VSCodeMock = require('./vscode-mock');
+const { git, createTestRepository } = require('./testUtils');
+
+new VSCodeMock().apply();
+
+const { GitService } = require('../../out/services/GitService');
+const { FileOperationsService } = require('../../out/services/FileOperationsService');
+const { VersionTimelineProvider } = require('../../out/providers/VersionTimelineProvider');
+
+function commitFile(repoPath, fileName, content, message) {
+  fs.writeFileSync(path.join(repoPath, fileName), content);
+  git(repoPath, 'add -A');
+  git(repoPath, `commit -q -m "${message}"`);
+}
+
+describe('VersionTimelineProvider', () => {
+  let repoPath;
+  let fileUri;
+  let gitService;
+  let historyProvider;
+  let executedCommands;
+  let timelineProvider;
+
+  beforeEach(() => {
+    repoPath = createTestRepository('timelad-timeline-');
+
+    commitFile(repoPath, 'notes.txt', 'one\n', 'add notes');
+    commitFile(repoPath, 'other.txt', 'unrelated\n', 'add other file');
+    git(repoPath, 'mv notes.txt renamed.txt');
+    git(repoPath, 'commit -q -m "rename notes"');
+    commitFile(repoPath, 'renamed.txt', 'one\ntwo\n', 'extend notes');
+
+    const filePath = path.join(repoPath, 'renamed.txt');
+    fileUri = { fsPath: filePath, scheme: 'file', toString: () => `file://${filePath}` };
+
+    gitService = new GitService({}, new FileOperationsService());
+    gitService.findRepositories = async () => [{ path: repoPath, name: path.basename(repoPath), isValid: true }];
+
+    historyProvider = { calls: [] };
+    historyProvider.restoreFileFromVersion = async (...args) => historyProvider.calls.push(['restore', ...args]);
+    historyProvider.showVersionDetails = async (...args) => historyProvider.calls.push(['details', ...args]);
+
+    executedCommands = [];
+    const notificationService = { executeCommand: async (...args) => executedCommands.push(args) };
+    timelineProvider = new VersionTimelineProvider(gitService, historyProvider, notificationService);
+  });
+
+  afterEach(() => {
+    timelineProvider.dispose();
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  it('should list the versions of the file with version number, message and author', async () => {
+    const { items, paging } = await timelineProvider.provideTimeline(fileUri, {});
+
+    assert.deepStrictEqual(items.map(i => i.label), ['extend notes', 'rename notes', 'add notes']);
+    assert.deepStrictEqual(
+      items.map(i => i.description),
+      ['Version 4 · Test User', 'Version 3 · Test User', 'Version 1 · Test User']
+    );
+    assert.strictEqual(items[0].contextValue, 'timelad:version');
+    assert.ok(items[0].timestamp >= items[2].timestamp);
+    assert.strictEqual(paging.cursor, undefined);
+  });
+
+  it('should page through the versions with the cursor', async () => {
+    const first = await timelineProvider.provideTimeline(fileUri, { limit: 2 });
+    const second = await timelineProvider.provideTimeline(fileUri, { limit: 2, cursor: first.paging.cursor });
+
+    assert.deepStrictEqual(first.items.map(i => i.label), ['extend notes', 'rename notes']);
+    assert.deepStrictEqual(second.items.map(i => i.label), ['add notes']);
+    assert.strictEqual(second.paging.cursor, undefined);
+  });
+
+  it('should diff a version against the version of the file before it, across renames', async () => {
+    const { items } = await timelineProvider.provideTimeline(fileUri, {});
+
+    await timelineProvider.openChanges(items[1], fileUri);
+
+    const [command, left, right] = executedCommands[0];
+    assert.strictEqual(command, 'vscode.diff');
+    assert.deepStrictEqual(JSON.parse(left.query), { repoPath, fileName: 'notes.txt', ref: items[2].id });
+    assert.deepStrictEqual(JSON.parse(right.query), { repoPath, fileName: 'renamed.txt', ref: items[1].id });
+  });
+
+  it('should restore the file and open details through the sidebar', async () => {
+    const { items } = await timelineProvider.provideTimeline(fileUri, {});
+
+    await timelineProvider.restoreFile(items[2], fileUri);
+    await timelineProvider.openDetails(items[2], fileUri);
+
+    assert.deepStrictEqual(historyProvider.calls, [
+      ['restore', items[2].id, 'notes.txt', repoPath],
+      ['details', items[2].id, repoPath],
+    ]);
+  });
+
+  it('should list nothing for files outside a repository', async () => {
+    const outside = { fsPath: path.join(os.tmpdir(), 'elsewhere.txt'), scheme: 'file', toString: () => 'file:///elsewhere.txt' };
+
+    const { items } = await timelineProvider.provideTimeline(outside, {});
+
+    assert.deepStrictEqual(items, []);
+  });
+});
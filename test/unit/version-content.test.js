@@ -0,0 +1,215 @@
+/**
+ * Unit tests for serving file contents at any version through the timelad: scheme
+ * and for comparing two versions
+ * Runs GitService, VersionContentProvider and the version picker against a throwaway repository on disk
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const VSCodeMock = require('./vscode-mock');
+const { git, createTestRepository } = require('./testUtils');
+
+new VSCodeMock().apply();
+
+const { GitService } = require('../../out/services/GitService');
+const { FileOperationsService } = require('../../out/services/FileOperationsService');
+const { VersionContentProvider } = require('../../out/providers/VersionContentProvider');
+const { GitHistoryWebviewProvider } = require('../../out/providers/GitHistoryWebviewProvider');
+const constants = require('../../out/constants');
+
+function createContext() {
+  const state = new Map();
+  return {
+    workspaceState: {
+      get: key => state.get(key),
+      update: async (key, value) => state.set(key, value),
+    },
+  };
+}
+
+/** QuickPick that keeps what the provider shows and lets a test type and accept */
+function createFakeQuickPick() {
+  const handlers = {};
+  return {
+    items: [],
+    activeItems: [],
+    selectedItems: [],
+    value: '',
+    busy: false,
+    onDidChangeValue: handler => { handlers.changeValue = handler; },
+    onDidAccept: handler => { handlers.accept = handler; },
+    onDidHide: handler => { handlers.hide = handler; },
+    show() {},
+    hide() { handlers.hide(); },
+    dispose() {},
+    type(value) {
+      this.value = value;
+      handlers.changeValue(value);
+    },
+    accept() {
+      this.selectedItems = this.activeItems;
+      return handlers.accept();
+    },
+  };
+}
+
+async function waitFor(condition) {
+  for (let i = 0; i < 200 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.ok(condition(), 'timed out');
+}
+
+describe('Version content', () => {
+  let repoPath;
+  let gitService;
+  let firstCommit;
+  let secondCommit;
+
+  beforeEach(() => {
+    repoPath = createTestRepository('timelad-content-');
+
+    fs.writeFileSync(path.join(repoPath, 'a.txt'), 'first\n\n');
+    git(repoPath, 'add .');
+    git(repoPath, 'commit -q -m "first"');
+    firstCommit = git(repoPath, 'rev-parse HEAD');
+
+    fs.writeFileSync(path.join(repoPath, 'a.txt'), 'second\n');
+    fs.writeFileSync(path.join(repoPath, 'b c.txt'), 'added\n');
+    git(repoPath, 'add .');
+    git(repoPath, 'commit -q -m "second"');
+    secondCommit = git(repoPath, 'rev-parse HEAD');
+
+    gitService = new GitService({}, new FileOperationsService());
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  it('should return a file exactly as it was in a version, trailing newlines included', async () => {
+    assert.strictEqual(await gitService.getFileContent(firstCommit, 'a.txt', repoPath), 'first\n\n');
+    assert.strictEqual(await gitService.getFileContent(secondCommit, 'a.txt', repoPath), 'second\n');
+  });
+
+  it('should return an empty document for a file missing from a version', async () => {
+    assert.strictEqual(await gitService.getFileContent(firstCommit, 'b c.txt', repoPath), '');
+  });
+
+  it('should still fail for revisions that do not exist', async () => {
+    await assert.rejects(gitService.getFileContent('no-such-branch', 'a.txt', repoPath));
+    await assert.rejects(gitService.getFileContent('--output=pwned', 'a.txt', repoPath), /Invalid revision/);
+  });
+
+  it('should resolve timelad: URIs to the file at that version', async () => {
+    const provider = new VersionContentProvider(gitService);
+
+    const uri = VersionContentProvider.toUri(repoPath, 'b c.txt', secondCommit);
+    assert.strictEqual(uri.scheme, 'timelad');
+    assert.ok(uri.path.endsWith('/b c.txt'));
+    assert.strictEqual(await provider.provideTextDocumentContent(uri), 'added\n');
+
+    const emptyUri = VersionContentProvider.toUri(repoPath, 'a.txt', null);
+    assert.strictEqual(await provider.provideTextDocumentContent(emptyUri), '');
+  });
+
+  it('should compare any two versions with status and line counts', async () => {
+    fs.rmSync(path.join(repoPath, 'a.txt'));
+    fs.writeFileSync(path.join(repoPath, 'b c.txt'), 'added\nmore\n');
+    git(repoPath, 'add -A');
+    git(repoPath, 'commit -q -m "third"');
+    const thirdCommit = git(repoPath, 'rev-parse HEAD');
+
+    const comparison = await gitService.compareVersions(firstCommit, thirdCommit, repoPath);
+
+    assert.deepStrictEqual(
+      comparison.files.map(f => [f.status, f.fileName, f.insertions, f.deletions]),
+      [['D', 'a.txt', 0, 2], ['A', 'b c.txt', 2, 0]]
+    );
+    assert.strictEqual(comparison.added, 1);
+    assert.strictEqual(comparison.deleted, 1);
+    assert.strictEqual(comparison.insertions, 2);
+    assert.strictEqual(comparison.deletions, 2);
+  });
+});
+
+describe('Comparing with any version', () => {
+  let repoPath;
+  let gitService;
+  let provider;
+  let picker;
+  let opened;
+  const pageSize = constants.QUICKPICK_PAGE_SIZE;
+
+  beforeEach(() => {
+    repoPath = createTestRepository('timelad-compare-');
+    for (let version = 1; version <= 7; version++) {
+      fs.writeFileSync(path.join(repoPath, 'a.txt'), `${version}\n`);
+      git(repoPath, 'add .');
+      git(repoPath, `commit -q -m "change ${version}"`);
+    }
+
+    gitService = new GitService({}, new FileOperationsService());
+    gitService.setSelectedRepository(repoPath);
+    gitService.findRepositories = async () => [{ path: repoPath, name: path.basename(repoPath), isValid: true }];
+    provider = new GitHistoryWebviewProvider(createContext(), gitService);
+    opened = [];
+    provider.openComparison = async (first, second) => { opened.push([first, second]); };
+
+    constants.QUICKPICK_PAGE_SIZE = 3;
+    picker = createFakeQuickPick();
+    provider.notificationService.createQuickPick = () => picker;
+  });
+
+  afterEach(() => {
+    constants.QUICKPICK_PAGE_SIZE = pageSize;
+    provider.dispose();
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  it('should list every version, not only those loaded in the sidebar', async () => {
+    const latest = git(repoPath, 'rev-parse HEAD');
+    const done = provider.compareWith(latest);
+
+    await waitFor(() => picker.items.length > 0 && !picker.busy);
+    assert.deepStrictEqual(picker.items.map(item => item.label), [6, 5, 4, 3, 2, 1].map(v => `Version ${v}`));
+
+    picker.type('2');
+    assert.deepStrictEqual(picker.activeItems.map(item => item.label), ['Version 2']);
+    await picker.accept();
+    await done;
+
+    assert.deepStrictEqual(opened, [[latest, git(repoPath, 'rev-parse HEAD~5')]]);
+  });
+
+  it('should open a typed version number before its page is listed', async () => {
+    const latest = git(repoPath, 'rev-parse HEAD');
+    const getPage = gitService.getCommitsPaginated.bind(gitService);
+    let release;
+    const nextPages = new Promise(resolve => { release = resolve; });
+    gitService.getCommitsPaginated = async options => {
+      if (options.offset > 0) {
+        await nextPages;
+      }
+      return getPage(options);
+    };
+
+    const done = provider.compareWith(latest);
+    await waitFor(() => picker.items.length > 0);
+    assert.deepStrictEqual(picker.items.map(item => item.label), ['Version 6', 'Version 5']);
+
+    picker.type('1');
+    assert.deepStrictEqual(picker.activeItems.map(item => [item.label, item.description]), [['Version 1', 'Not listed yet']]);
+    picker.type('99');
+    assert.deepStrictEqual(picker.items.map(item => item.label), ['Version 6', 'Version 5']);
+    picker.type('1');
+    await picker.accept();
+    release();
+    await done;
+    await waitFor(() => !picker.busy);
+
+    assert.deepStrictEqual(opened, [[latest, git(repoPath, 'rev-list --max-parents=0 HEAD')]]);
+  });
+});
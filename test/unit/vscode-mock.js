@@ -30,10 +30,23 @@ class VSCodeMock {
         withProgress: this.sandbox.stub().callsFake((options, task) => {
           return task({ report: this.sandbox.stub() });
         }),
+        onDidChangeActiveTextEditor: this.sandbox.stub(),
+        createStatusBarItem: this.sandbox.stub().callsFake((alignment, priority) => ({
+          alignment,
+          priority,
+          text: '',
+          tooltip: undefined,
+          command: undefined,
+          visible: false,
+          show() { this.visible = true; },
+          hide() { this.visible = false; },
+          dispose: this.sandbox.stub(),
+        })),
       },
       workspace: {
         getConfiguration: this.sandbox.stub().returns({
           get: this.sandbox.stub().returns(""),
+          inspect: this.sandbox.stub().returns(undefined),
           update: this.sandbox.stub().resolves(),
           has: this.sandbox.stub().returns(true),
         }),
@@ -42,12 +55,28 @@ class VSCodeMock {
         onDidChangeWorkspaceFolders: this.sandbox.stub(),
         findFiles: this.sandbox.stub().resolves([]),
         openTextDocument: this.sandbox.stub().resolves(),
+        createFileSystemWatcher: this.sandbox.stub().callsFake(() => ({
+          onDidChange: this.sandbox.stub(),
+          onDidCreate: this.sandbox.stub(),
+          onDidDelete: this.sandbox.stub(),
+          dispose: this.sandbox.stub(),
+        })),
       },
       commands: {
         registerCommand: this.sandbox.stub(),
         executeCommand: this.sandbox.stub().resolves(),
         getCommands: this.sandbox.stub().resolves([]),
       },
+      scm: {
+        createSourceControl: this.sandbox.stub().callsFake((id, label, rootUri) => ({
+          id,
+          label,
+          rootUri,
+          inputBox: { value: '', placeholder: '', visible: true },
+          quickDiffProvider: undefined,
+          dispose: this.sandbox.stub(),
+        })),
+      },
       extensions: {
         getExtension: this.sandbox.stub().returns(null),
         onDidChange: this.sandbox.stub(),
@@ -55,6 +84,7 @@ class VSCodeMock {
       Uri: {
         file: this.sandbox.stub().callsFake((path) => ({ fsPath: path, scheme: 'file' })),
         parse: this.sandbox.stub().callsFake((uri) => ({ fsPath: uri, scheme: 'file' })),
+        from: this.sandbox.stub().callsFake((components) => ({ ...components, fsPath: components.path })),
         joinPath: this.sandbox.stub(),
       },
       ViewColumn: {
@@ -72,11 +102,24 @@ class VSCodeMock {
       WebviewViewProvider: class MockWebviewViewProvider {},
       EventEmitter: class MockEventEmitter {
         constructor() {
-          this._event = this.sandbox.stub();
+          this.listeners = [];
+          this._event = (listener) => {
+            this.listeners.push(listener);
+            return { dispose: () => { this.listeners = this.listeners.filter(l => l !== listener); } };
+          };
         }
         get event() { return this._event; }
-        fire() {}
-        dispose() {}
+        fire(data) { this.listeners.slice().forEach(listener => listener(data)); }
+        dispose() { this.listeners = []; }
+      },
+      StatusBarAlignment: {
+        Left: 1,
+        Right: 2,
+      },
+      ThemeIcon: class MockThemeIcon {
+        constructor(id) {
+          this.id = id;
+        }
       },
       ConfigurationTarget: {
         Global: 1,
@@ -127,6 +170,7 @@ class VSCodeMock {
       .withArgs(section)
       .returns({
         get: this.sandbox.stub().callsFake((key) => values[key] || ""),
+        inspect: this.sandbox.stub().callsFake((key) => (key in values ? { key, globalValue: values[key] } : undefined)),
         update: this.sandbox.stub().resolves(),
         has: this.sandbox.stub().callsFake((key) => key in values),
       });
@@ -146,12 +190,13 @@ class VSCodeMock {
       // If vscode module doesn't exist, create a mock
       const Module = require("module");
       const originalRequire = Module.prototype.require;
+      const mock = this.mock;
       Module.prototype.require = function (...args) {
         if (args[0] === "vscode") {
-          return this.mock;
+          return mock;
         }
         return originalRequire.apply(this, args);
-      }.bind(this);
+      };
     }
     return this;
   }